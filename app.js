@@ -20,8 +20,14 @@ const searchRoutes = require('./routes/searchRoutes');
 const rankingRoutes = require('./routes/rankingRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const subscriptionRequestRoutes = require('./routes/subscriptionRequestRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const cronRoutes = require('./routes/cronRoutes');
 // Removed Google passport strategy initialization
 const websocketService = require('./services/websocketService');
+const notificationDeliveryService = require('./services/notificationDeliveryService');
+const jobQueueService = require('./services/jobQueueService');
+const priceHistoryService = require('./services/priceHistoryService');
 const updateLastActive = require('./middleware/updateLastActive');
 
 const app = express();
@@ -99,6 +105,9 @@ app.use('/api/search', searchRoutes);
 app.use('/api/ranking', rankingRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/subscription', subscriptionRequestRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/cron', cronRoutes);
 
 app.get('/', (req, res) => {
   res.json({ 
@@ -155,6 +164,15 @@ if (process.env.VERCEL) {
     // Initialize WebSocket service
     websocketService.initialize(server);
 
+    // Deliver scheduled admin notifications (Vercel deployments call GET /api/cron/notifications from Vercel Cron, see vercel.json)
+    notificationDeliveryService.startScheduler();
+
+    // Run queued background jobs (Vercel deployments call GET /api/cron/jobs from Vercel Cron, see vercel.json)
+    jobQueueService.startWorker();
+    // Price history for offers starting and ending on schedule; each sweep queues the next
+    priceHistoryService.scheduleOfferPriceSweep()
+      .catch(err => console.error('Offer price sweep scheduling error:', err));
+
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`WebSocket server initialized`);
@@ -5,8 +5,8 @@ const emailService = require('../services/emailService');
 const { verifyGoogleIdToken } = require('../services/googleVerify');
 const websocketService = require('../services/websocketService');
 const fcmNotificationService = require('../services/fcmNotificationService');
-const { extractTextFromUrl, extractLicenseDetails } = require('../services/ocrService');
-const { forwardGeocode, computeAddressMatchScore } = require('../services/geocodingService');
+const { extractDocumentFromUrl, extractLicenseDetails, locateField, scoreLicenseMatch } = require('../services/ocrService');
+const { forwardGeocode } = require('../services/geocodingService');
 
 exports.register = async (req, res) => {
   try {
@@ -134,35 +134,28 @@ exports.register = async (req, res) => {
         try {
           console.log('🔍 Processing license document OCR for location comparison...');
           
-          // Extract text from license document
-          const rawText = await extractTextFromUrl(licenseDocument.url);
+          // Extract text (with per-line confidence and bounding boxes) from license document
+          const ocrResult = await extractDocumentFromUrl(licenseDocument.url);
+          const rawText = ocrResult.text;
           
           if (rawText && rawText.trim().length > 0) {
             // Extract license details including location
-            const { extractedLicenseNumber, extractedAddress, extractedLocation } = extractLicenseDetails(rawText);
+            const details = extractLicenseDetails(rawText);
+            const { extractedLicenseNumber, extractedAddress } = details;
             
             // Store OCR results
             shop.licenseOcr = {
               extractedLicenseNumber: extractedLicenseNumber || null,
               extractedAddress: extractedAddress || null,
               rawText: rawText.substring(0, 5000), // Limit stored text
-              processedAt: new Date()
-            };
-            
-            // Compare license number
-            const licenseNumberMatch = extractedLicenseNumber && 
-              extractedLicenseNumber.replace(/\s/g, '').toUpperCase() === 
-              licenseNumber.replace(/\s/g, '').toUpperCase();
-            
-            // Compare addresses
-            let addressMatchScore = 0;
-            if (extractedAddress) {
-              addressMatchScore = computeAddressMatchScore(address, extractedAddress);
-              if (gpsAddress) {
-                const gpsScore = computeAddressMatchScore(gpsAddress, extractedAddress);
-                addressMatchScore = Math.max(addressMatchScore, gpsScore);
+              processedAt: new Date(),
+              source: ocrResult.source,
+              confidence: ocrResult.confidence,
+              fields: {
+                licenseNumber: locateField(extractedLicenseNumber, ocrResult.lines),
+                address: locateField(extractedAddress, ocrResult.lines)
               }
-            }
+            };
             
             // Geocode extracted address and compare GPS coordinates
             let licenseLocationDistance = null;
@@ -194,6 +187,21 @@ exports.register = async (req, res) => {
               }
             }
             
+            // Accept or reject the license based on how closely it matches the registration
+            const licenseMatch = scoreLicenseMatch({
+              licenseNumber,
+              addresses: [address, gpsAddress],
+              details,
+              rawText,
+              locationMatch: licenseLocationMatch
+            });
+            const licenseNumberMatch = licenseMatch.licenseNumberMatch;
+            const addressMatchScore = licenseMatch.addressScore;
+            shop.licenseOcr.status = licenseMatch.status;
+            shop.licenseOcr.licenseNumberScore = licenseMatch.licenseNumberScore;
+            shop.licenseOcr.addressScore = licenseMatch.addressScore;
+            shop.licenseOcr.reasons = licenseMatch.reasons;
+            
             // Set flags based on comparison results
             shop.flags = shop.flags || {};
             shop.flags.licenceMismatch = !licenseNumberMatch;
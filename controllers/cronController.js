@@ -0,0 +1,65 @@
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+const jobQueueService = require('../services/jobQueueService');
+const priceHistoryService = require('../services/priceHistoryService');
+
+// Serverless deployments have no long-running scheduler, so Vercel Cron calls these
+// endpoints instead (see vercel.json). Each call works through due items until none are
+// left or the time budget is spent; whatever remains is picked up by the next call.
+// Vercel only runs crons every 5 minutes on the Pro plan (Hobby allows one run a day), and
+// the functions need a maxDuration well above the budget (60s) so a batch that starts near
+// its end can finish.
+const TIME_BUDGET_MS = 25 * 1000;
+
+// Jobs that need minutes and cannot checkpoint (training runs in memory). A cron call would
+// be stopped partway, so they are left to scripts/runJobWorker.js on a separate worker unless
+// CRON_RUN_LONG_JOBS=true says the functions may run long enough.
+const LONG_JOB_TYPES = ['model_retrain', 'embedding_training'];
+
+/**
+* Call run (which processes a batch and returns how many it handled) until it finds nothing
+* or the time budget is spent. run gets the budget's deadline (epoch ms).
+* @returns {Promise<number>}
+*/
+async function drain(run) {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  let total = 0;
+  let processed;
+  do {
+    processed = await run(deadline);
+    total += processed;
+  } while (processed > 0 && Date.now() < deadline);
+  return total;
+}
+
+// GET /api/cron/notifications - deliver admin notifications whose scheduled time has passed
+exports.runNotificationScheduler = async (req, res) => {
+  try {
+    const processed = await drain(() => notificationDeliveryService.runDueNotifications());
+    res.json({ success: true, data: { processed } });
+  } catch (error) {
+    console.error('Cron notification scheduler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run notification scheduler'
+    });
+  }
+};
+
+// GET /api/cron/jobs - run queued background jobs (notification sends, analytics, order
+// expiry, offer price sweeps, imports). Resumable jobs checkpoint and pause at the deadline;
+// another job still running when the function times out is retried once its lease ends.
+exports.runJobWorker = async (req, res) => {
+  try {
+    // Recurring sweep: makes sure the next one is queued (no-op when it already is)
+    await priceHistoryService.scheduleOfferPriceSweep();
+    const excludeTypes = process.env.CRON_RUN_LONG_JOBS === 'true' ? [] : LONG_JOB_TYPES;
+    const processed = await drain((deadline) => jobQueueService.runDueJobs({ deadline, excludeTypes }));
+    res.json({ success: true, data: { processed } });
+  } catch (error) {
+    console.error('Cron job worker error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job worker'
+    });
+  }
+};
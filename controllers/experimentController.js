@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Experiment = require('../models/experimentModel');
+const experimentService = require('../services/experimentService');
+const { logActivity } = require('./activityController');
+
+// Experiments whose variants are being served can only have their schedule, traffic and description changed
+const LIVE_EDITABLE_FIELDS = ['name', 'description', 'endDate', 'trafficAllocation'];
+
+const logExperimentAction = (req, experiment, action) => logActivity({
+  type: 'admin_action',
+  description: `Experiment "${experiment.name}" ${action} by admin`,
+  adminId: req.admin?.id,
+  metadata: { experimentId: experiment._id, experimentKey: experiment.key, surface: experiment.surface, status: experiment.status },
+  severity: 'medium',
+  status: 'success',
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('User-Agent')
+});
+
+// List experiments
+exports.getExperiments = async (req, res) => {
+  try {
+    const { status, surface } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (surface) filter.surface = surface;
+
+    const experiments = await Experiment.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({ success: true, data: experiments });
+  } catch (error) {
+    console.error('Get experiments error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch experiments' });
+  }
+};
+
+// Get one experiment
+exports.getExperimentById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const experiment = await Experiment.findById(req.params.id).populate('createdBy', 'name email');
+    if (!experiment) {
+      return res.status(404).json({ success: false, message: 'Experiment not found' });
+    }
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    console.error('Get experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch experiment' });
+  }
+};
+
+// Create an experiment (as a draft)
+exports.createExperiment = async (req, res) => {
+  try {
+    const { value, error } = experimentService.normalizeExperimentInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const experiment = await Experiment.create({ ...value, status: 'draft', createdBy: req.admin.id });
+    await logExperimentAction(req, experiment, 'created');
+
+    res.status(201).json({ success: true, message: 'Experiment created', data: experiment });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An experiment with this key already exists' });
+    }
+    console.error('Create experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create experiment' });
+  }
+};
+
+// Update an experiment
+exports.updateExperiment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ success: false, message: 'Experiment not found' });
+    }
+    if (experiment.status === 'completed') {
+      return res.status(409).json({ success: false, message: 'Completed experiments cannot be changed' });
+    }
+
+    const { value, error } = experimentService.normalizeExperimentInput(
+      { ...req.body, surface: req.body.surface !== undefined ? req.body.surface : experiment.surface },
+      { partial: true }
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (req.body.surface === undefined) delete value.surface;
+
+    // Changing variants, surface, key or targeting after exposure would mix users across arms
+    if (experiment.status !== 'draft') {
+      const locked = Object.keys(value).filter(field => !LIVE_EDITABLE_FIELDS.includes(field));
+      if (locked.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${locked.join(', ')} can only be changed while the experiment is a draft`
+        });
+      }
+    }
+
+    const startDate = value.startDate !== undefined ? value.startDate : experiment.startDate;
+    const endDate = value.endDate !== undefined ? value.endDate : experiment.endDate;
+    if (startDate && endDate && endDate <= startDate) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    Object.assign(experiment, value);
+    await experiment.save();
+    experimentService.clearCache();
+    await logExperimentAction(req, experiment, 'updated');
+
+    res.json({ success: true, message: 'Experiment updated', data: experiment });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An experiment with this key already exists' });
+    }
+    console.error('Update experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update experiment' });
+  }
+};
+
+// Start (or resume) an experiment
+exports.startExperiment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ success: false, message: 'Experiment not found' });
+    }
+    if (experiment.endDate && experiment.endDate <= new Date()) {
+      return res.status(409).json({ success: false, message: 'Experiment end date has passed' });
+    }
+
+    const conflicting = await Experiment.findOne({
+      _id: { $ne: experiment._id },
+      surface: experiment.surface,
+      status: 'running'
+    }).select('key name');
+    if (conflicting) {
+      return res.status(409).json({
+        success: false,
+        message: `Experiment "${conflicting.name}" is already running on ${experiment.surface}`
+      });
+    }
+
+    const now = new Date();
+    let started;
+    try {
+      started = await Experiment.findOneAndUpdate(
+        { _id: experiment._id, status: { $in: ['draft', 'paused'] } },
+        { $set: { status: 'running', updatedAt: now, ...(experiment.startedAt ? {} : { startedAt: now }) } },
+        { new: true }
+      );
+    } catch (error) {
+      // Another experiment on this surface was started between the check above and this update
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `Another experiment is already running on ${experiment.surface}`
+        });
+      }
+      throw error;
+    }
+    if (!started) {
+      return res.status(409).json({ success: false, message: `Experiment is ${experiment.status} and cannot be started` });
+    }
+    experimentService.clearCache();
+    await logExperimentAction(req, started, 'started');
+
+    res.json({ success: true, message: 'Experiment started', data: started });
+  } catch (error) {
+    console.error('Start experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start experiment' });
+  }
+};
+
+// Pause a running experiment (users get the default experience meanwhile)
+exports.pauseExperiment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const experiment = await Experiment.findOneAndUpdate(
+      { _id: req.params.id, status: 'running' },
+      { $set: { status: 'paused', updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!experiment) {
+      return res.status(409).json({ success: false, message: 'Only running experiments can be paused' });
+    }
+    experimentService.clearCache();
+    await logExperimentAction(req, experiment, 'paused');
+
+    res.json({ success: true, message: 'Experiment paused', data: experiment });
+  } catch (error) {
+    console.error('Pause experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to pause experiment' });
+  }
+};
+
+// Stop an experiment for good
+exports.completeExperiment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const now = new Date();
+    const experiment = await Experiment.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['running', 'paused'] } },
+      { $set: { status: 'completed', completedAt: now, updatedAt: now } },
+      { new: true }
+    );
+    if (!experiment) {
+      return res.status(409).json({ success: false, message: 'Only running or paused experiments can be completed' });
+    }
+    experimentService.clearCache();
+    await logExperimentAction(req, experiment, 'completed');
+
+    res.json({ success: true, message: 'Experiment completed', data: experiment });
+  } catch (error) {
+    console.error('Complete experiment error:', error);
+    res.status(500).json({ success: false, message: 'Failed to complete experiment' });
+  }
+};
+
+// CTR and conversion per variant with 95% confidence intervals
+exports.getExperimentResults = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid experiment ID' });
+    }
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({ success: false, message: 'Experiment not found' });
+    }
+
+    const results = await experimentService.getResults(experiment);
+
+    res.json({
+      success: true,
+      data: {
+        experiment: {
+          id: experiment._id,
+          key: experiment.key,
+          name: experiment.name,
+          surface: experiment.surface,
+          status: experiment.status,
+          startedAt: experiment.startedAt,
+          completedAt: experiment.completedAt
+        },
+        ...results,
+        generatedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get experiment results error:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute experiment results' });
+  }
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const favoriteService = require('../services/favoriteService');
+
+// Get the current user's favorites with live price, offer and open-status data
+exports.getFavorites = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { type } = req.query;
+
+    if (type && !favoriteService.TARGET_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Must be "shop", "product", or "offer"'
+      });
+    }
+
+    const { favorites, total } = await favoriteService.listFavorites(req.user.id, { type, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        favorites,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch favorites'
+    });
+  }
+};
+
+// Save a shop, product or offer
+exports.addFavorite = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.body;
+
+    if (!favoriteService.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetType must be "shop", "product", or "offer"'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid targetId'
+      });
+    }
+
+    const { favorite, created, notFound } = await favoriteService.addFavorite(req.user.id, targetType, targetId, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+    if (notFound) {
+      return res.status(404).json({
+        success: false,
+        message: `${targetType.charAt(0).toUpperCase() + targetType.slice(1)} not found`
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Added to favorites' : 'Already in favorites',
+      data: {
+        favorite: {
+          id: favorite._id,
+          targetType: favorite.targetType,
+          targetId: favorite.targetId,
+          savedAt: favorite.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add favorite'
+    });
+  }
+};
+
+// Remove a saved shop, product or offer
+exports.removeFavorite = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    if (!favoriteService.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetType must be "shop", "product", or "offer"'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid targetId'
+      });
+    }
+
+    const removed = await favoriteService.removeFavorite(req.user.id, targetType, targetId, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Favorite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from favorites'
+    });
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove favorite'
+    });
+  }
+};
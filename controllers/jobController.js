@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Job = require('../models/jobModel');
+const jobQueueService = require('../services/jobQueueService');
+const { logActivity } = require('./activityController');
+
+// Job types admins may queue directly (notification sends are queued from the notifications API)
+const ADMIN_JOB_TYPES = ['model_retrain', 'embedding_training', 'similarity_refresh', 'shop_rating_recalculation', 'system_analytics'];
+
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  payload: job.payload,
+  progress: job.progress,
+  result: job.result,
+  lastError: job.lastError,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  requestedBy: job.requestedBy,
+  createdAt: job.createdAt
+});
+
+// Queue a background job
+exports.createJob = async (req, res) => {
+  try {
+    const { type, payload = {} } = req.body;
+    if (!ADMIN_JOB_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${ADMIN_JOB_TYPES.join(', ')}`
+      });
+    }
+
+    let jobPayload = {};
+    if (type === 'system_analytics') {
+      jobPayload = { timeRange: parseInt(payload.timeRange) || 30 };
+    } else if (type === 'model_retrain' && typeof payload.notes === 'string') {
+      jobPayload = { notes: payload.notes.trim().slice(0, 500) };
+    }
+
+    // One open job per type (per time range for analytics)
+    const dedupeKey = type === 'system_analytics' ? `${type}:${jobPayload.timeRange}` : type;
+    const { job, created } = await jobQueueService.enqueue(type, jobPayload, {
+      dedupeKey,
+      requestedBy: req.admin.id,
+      ...(type === 'model_retrain' || type === 'embedding_training' ? { maxAttempts: 1 } : {})
+    });
+
+    if (created) {
+      await logActivity({
+        type: 'admin_action',
+        description: `Background job "${type}" queued by admin`,
+        adminId: req.admin.id,
+        metadata: { jobId: job._id, jobType: type },
+        severity: 'medium',
+        status: 'success',
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created ? 'Job queued' : 'A job of this type is already queued or running',
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to queue job' });
+  }
+};
+
+// List jobs, newest first
+exports.getJobs = async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (type && !Job.schema.path('type').enumValues.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Invalid job type' });
+    }
+    if (status && !Job.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid job status' });
+    }
+
+    const { jobs, total } = await jobQueueService.listJobs({ type, status, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(formatJob),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch jobs' });
+  }
+};
+
+// Status, progress and result of one job
+exports.getJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    const job = await jobQueueService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, data: formatJob(job) });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job' });
+  }
+};
+
+// Cancel a job that has not started yet
+exports.cancelJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    const job = await jobQueueService.cancel(req.params.id);
+    if (!job) {
+      const existing = await Job.findById(req.params.id).select('status');
+      return existing
+        ? res.status(409).json({ success: false, message: `Job is ${existing.status} and can no longer be cancelled` })
+        : res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, message: 'Job cancelled', data: formatJob(job) });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel job' });
+  }
+};
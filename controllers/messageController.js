@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const Message = require('../models/messageModel');
+const Conversation = require('../models/conversationModel');
+const messagingService = require('../services/messagingService');
+const { uploadBuffer, isCloudinaryConfigured } = require('../services/cloudinaryService');
+const { handleSingleFile } = require('./uploadController');
+const { logActivity } = require('./activityController');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+function pageOptions(query, defaultLimit = 20) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, 50);
+  return { page, limit };
+}
+
+function failure(res, result) {
+  return res.status(result.statusCode).json({
+    success: false,
+    message: result.message
+  });
+}
+
+// The conversation a route addresses, seen from the shopper's or the shop's side
+function conversationFor(req, side) {
+  const filter = side === 'shop' ? { shopId: req.shop._id } : { userId: req.user.id };
+  return messagingService.findConversation(req.params.id, filter);
+}
+
+// Conversation list for one side, most recent activity first
+const listConversations = (side) => async (req, res) => {
+  try {
+    const { page, limit } = pageOptions(req.query);
+    const filter = side === 'shop' ? { shopId: req.shop._id } : { userId: req.user.id };
+
+    const result = await messagingService.listConversations(filter, { page, limit });
+    res.json({
+      success: true,
+      data: {
+        conversations: result.conversations.map(conversation => messagingService.formatConversation(conversation, side)),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(result.total / limit),
+          totalConversations: result.total,
+          hasNext: page < Math.ceil(result.total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations'
+    });
+  }
+};
+
+// Message history (?before=<ISO date of the oldest message loaded>&limit=30)
+const getMessages = (side) => async (req, res) => {
+  try {
+    let before;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'before must be a date'
+        });
+      }
+    }
+
+    const result = await conversationFor(req, side);
+    if (!result.success) return failure(res, result);
+
+    const { limit } = pageOptions(req.query, 30);
+    const history = await messagingService.listMessages(result.conversation._id, { before, limit });
+    res.json({
+      success: true,
+      data: {
+        conversation: messagingService.formatConversation(result.conversation, side),
+        messages: history.messages.map(message => messagingService.formatMessage(message)),
+        hasMore: history.hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages'
+    });
+  }
+};
+
+// Send a message (body: text?, attachments?)
+const sendMessage = (side) => async (req, res) => {
+  try {
+    const result = await conversationFor(req, side);
+    if (!result.success) return failure(res, result);
+
+    const sent = await messagingService.sendMessage(result.conversation, side, req.user.id, req.body);
+    if (!sent.success) return failure(res, sent);
+
+    res.status(201).json({
+      success: true,
+      data: messagingService.formatMessage(sent.message)
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message'
+    });
+  }
+};
+
+// Mark the other side's messages as read (sends a read receipt)
+const markRead = (side) => async (req, res) => {
+  try {
+    const result = await conversationFor(req, side);
+    if (!result.success) return failure(res, result);
+
+    const read = await messagingService.markRead(result.conversation, side);
+    res.json({
+      success: true,
+      data: { read: read.read, readAt: read.readAt }
+    });
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark messages as read'
+    });
+  }
+};
+
+// Shopper: my conversations with shops
+exports.getMyConversations = listConversations('user');
+exports.getMyMessages = getMessages('user');
+exports.sendMyMessage = sendMessage('user');
+exports.markMyMessagesRead = markRead('user');
+
+// Shop owner: conversations with my customers
+exports.getShopConversations = listConversations('shop');
+exports.getShopMessages = getMessages('shop');
+exports.sendShopMessage = sendMessage('shop');
+exports.markShopMessagesRead = markRead('shop');
+
+// Shopper: open (or reopen) the conversation with a shop, optionally with a first message
+// (body: shopId, text?, attachments?)
+exports.startConversation = async (req, res) => {
+  try {
+    const { shopId, text, attachments } = req.body;
+
+    // Validate the first message before creating anything
+    if (text !== undefined || attachments !== undefined) {
+      const { error } = messagingService.normalizeMessageInput({ text, attachments }, req.user.id);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+    }
+
+    const result = await messagingService.startConversation(req.user.id, shopId);
+    if (!result.success) return failure(res, result);
+
+    let message = null;
+    if (text !== undefined || attachments !== undefined) {
+      const sent = await messagingService.sendMessage(result.conversation, 'user', req.user.id, { text, attachments });
+      if (!sent.success) return failure(res, sent);
+      message = messagingService.formatMessage(sent.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        conversation: messagingService.formatConversation(result.conversation, 'user'),
+        message
+      }
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start conversation'
+    });
+  }
+};
+
+// POST /api/messages/attachments - Upload an image to attach to a message (form-data: file)
+// Returns { url, publicId, mimeType }; pass publicId and mimeType in the message's attachments
+// (the server rebuilds the URL from publicId)
+exports.uploadAttachment = [handleSingleFile, async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file || !file.buffer) {
+      return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+    // Checked from the file's content; the Content-Type the client sent is not trusted
+    const mimeType = messagingService.detectImageType(file.buffer);
+    if (!mimeType) {
+      return res.status(400).json({ success: false, message: 'Only JPEG, PNG, GIF or WebP images can be attached to messages.' });
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      return res.status(400).json({ success: false, message: 'File size too large. Maximum size is 5MB.' });
+    }
+    if (!isCloudinaryConfigured()) {
+      return res.status(500).json({ success: false, message: 'Cloudinary not configured' });
+    }
+
+    // Timestamped so two photos with the same name do not overwrite each other
+    const uploadResult = await uploadBuffer(
+      file.buffer,
+      messagingService.attachmentFolder(req.user.id),
+      `${Date.now()}_${file.originalname}`,
+      { resourceType: 'image' }
+    );
+    return res.json({
+      success: true,
+      data: {
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        mimeType
+      }
+    });
+  } catch (e) {
+    console.error('Message attachment upload error:', e);
+    return res.status(500).json({ success: false, message: 'Failed to upload attachment' });
+  }
+}];
+
+// Report a message from the other side of a conversation (body: reason)
+exports.reportMessage = async (req, res) => {
+  try {
+    const result = await messagingService.reportMessage(req.params.id, req.user.id, req.body && req.body.reason);
+    if (!result.success) return failure(res, result);
+
+    const message = result.message;
+    await logActivity({
+      type: 'message_reported',
+      description: `Message in a shop conversation reported by the ${message.sender === 'user' ? 'shop' : 'customer'}`,
+      userId: req.user.id,
+      shopId: message.shopId._id,
+      metadata: {
+        messageId: message._id,
+        conversationId: message.conversationId,
+        reason: message.reportReasons[message.reportReasons.length - 1].reason,
+        reportCount: message.reportCount
+      },
+      severity: 'medium',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Message reported successfully',
+      data: {
+        reportCount: message.reportCount,
+        status: message.status
+      }
+    });
+  } catch (error) {
+    console.error('Report message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report message'
+    });
+  }
+};
+
+// Admin: reported messages (?status=flagged by default; removed or active for decided ones)
+exports.getReportedMessages = async (req, res) => {
+  try {
+    const { page, limit } = pageOptions(req.query);
+    const status = req.query.status || 'flagged';
+    if (!['active', 'flagged', 'removed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be "active", "flagged", or "removed"'
+      });
+    }
+
+    const query = { status, reportCount: { $gt: 0 } };
+    const [messages, total] = await Promise.all([
+      Message.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'fullName name email')
+        .populate('shopId', 'shopName')
+        .populate('senderId', 'fullName name email')
+        .populate('reportReasons.reportedBy', 'fullName name email'),
+      Message.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.map(message => ({
+          ...messagingService.formatMessage(message, { forAdmin: true }),
+          customer: message.userId,
+          shop: message.shopId,
+          senderId: message.senderId
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalMessages: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reported messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reported messages'
+    });
+  }
+};
+
+// Admin: a full conversation, removed messages included, to judge a report in context
+exports.getConversationForAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation ID'
+      });
+    }
+
+    let before;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'before must be a date'
+        });
+      }
+    }
+
+    const conversation = await Conversation.findById(id)
+      .populate('shopId', 'shopName phone ownerId')
+      .populate('userId', 'fullName name email picture');
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const { limit } = pageOptions(req.query, 50);
+    const history = await messagingService.listMessages(conversation._id, { before, limit });
+    res.json({
+      success: true,
+      data: {
+        conversation: messagingService.formatConversation(conversation),
+        messages: history.messages.map(message => messagingService.formatMessage(message, { forAdmin: true })),
+        hasMore: history.hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation for admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation'
+    });
+  }
+};
+
+// Admin: decide on a message (body: status "removed" to hide it, "active" to dismiss reports; notes?)
+exports.updateMessageStatus = async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    if (!['active', 'removed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be "active" or "removed"'
+      });
+    }
+
+    const result = await messagingService.moderateMessage(req.params.id, req.admin?.id, status, notes);
+    if (!result.success) return failure(res, result);
+
+    const message = result.message;
+    await logActivity({
+      type: 'admin_action',
+      description: `Reported message ${status === 'removed' ? 'removed' : 'restored'} by admin`,
+      adminId: req.admin?.id,
+      shopId: message.shopId,
+      userId: message.senderId,
+      metadata: {
+        messageId: message._id,
+        conversationId: message.conversationId,
+        status,
+        reportCount: message.reportCount
+      },
+      severity: 'medium',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Message ${status === 'removed' ? 'removed' : 'restored'} successfully`,
+      data: messagingService.formatMessage(message, { forAdmin: true })
+    });
+  } catch (error) {
+    console.error('Update message status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update message status'
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const mlRecommendationService = require('../services/mlRecommendationService');
 const mlAnalyticsService = require('../services/mlAnalyticsService');
+const jobQueueService = require('../services/jobQueueService');
 const UserBehavior = require('../models/userBehaviorModel');
 const Recommendation = require('../models/recommendationModel');
 const UserProfile = require('../models/userProfileModel');
@@ -402,79 +403,33 @@ function calculateProfileCompleteness(profile) {
  */
 exports.getSystemAnalytics = async (req, res) => {
   try {
-    const { timeRange = 30 } = req.query;
-    const startDate = new Date(Date.now() - timeRange * 24 * 60 * 60 * 1000);
-
-    const [
-      totalBehaviors,
-      totalRecommendations,
-      activeUsers,
-      topCategories,
-      recommendationPerformance
-    ] = await Promise.all([
-      UserBehavior.countDocuments({ createdAt: { $gte: startDate } }),
-      Recommendation.countDocuments({ createdAt: { $gte: startDate } }),
-      UserBehavior.distinct('userId', { createdAt: { $gte: startDate } }),
-      UserBehavior.aggregate([
-        {
-          $match: {
-            'metadata.productCategory': { $exists: true },
-            createdAt: { $gte: startDate }
-          }
-        },
-        {
-          $group: {
-            _id: '$metadata.productCategory',
-            count: { $sum: 1 }
-          }
-        },
-        {
-          $sort: { count: -1 }
-        },
-        {
-          $limit: 10
-        }
-      ]),
-      Recommendation.aggregate([
-        {
-          $match: { createdAt: { $gte: startDate } }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            clicked: { $sum: { $cond: ['$userFeedback.clicked', 1, 0] } },
-            liked: { $sum: { $cond: ['$userFeedback.liked', 1, 0] } },
-            dismissed: { $sum: { $cond: ['$userFeedback.dismissed', 1, 0] } },
-            avgScore: { $avg: '$score' },
-            avgConfidence: { $avg: '$confidence' }
-          }
-        }
-      ])
-    ]);
+    const timeRange = parseInt(req.query.timeRange) || 30;
+    const maxAgeMs = 15 * 60 * 1000;
+
+    // Analytics are computed by a background job; serve the latest result and refresh it when stale
+    const latest = await jobQueueService.getLatestResult('system_analytics', { timeRange });
+    const isFresh = latest && Date.now() - latest.finishedAt.getTime() < maxAgeMs;
+    let job = null;
+    if (!isFresh) {
+      ({ job } = await jobQueueService.enqueue('system_analytics', { timeRange }, {
+        dedupeKey: `system_analytics:${timeRange}`,
+        requestedBy: req.admin?.id
+      }));
+    }
 
-    const analytics = {
-      overview: {
-        totalBehaviors,
-        totalRecommendations,
-        activeUsers: activeUsers.length,
-        timeRange: parseInt(timeRange)
-      },
-      topCategories,
-      recommendationPerformance: recommendationPerformance[0] || {
-        total: 0,
-        clicked: 0,
-        liked: 0,
-        dismissed: 0,
-        avgScore: 0,
-        avgConfidence: 0
-      },
-      generatedAt: new Date().toISOString()
-    };
+    if (!latest) {
+      return res.status(202).json({
+        success: true,
+        message: 'Analytics are being computed',
+        data: null,
+        job: { id: job._id, status: job.status }
+      });
+    }
 
     res.json({
       success: true,
-      data: analytics
+      data: latest.result,
+      ...(job ? { refreshing: true, job: { id: job._id, status: job.status } } : {})
     });
   } catch (error) {
     console.error('Get system analytics error:', error);
@@ -541,14 +496,25 @@ exports.getModelPerformance = async (req, res) => {
  */
 exports.retrainModels = async (req, res) => {
   try {
-    // This would trigger model retraining
-    // For now, we'll just clear caches and return success
-    
-    mlAnalyticsService.clearCache();
+    // Retraining runs as a background job; a retrain already queued or running is reused
+    const { job, created } = await jobQueueService.enqueue('model_retrain', {
+      notes: typeof req.body?.notes === 'string' ? req.body.notes.trim().slice(0, 500) : undefined
+    }, {
+      dedupeKey: 'model_retrain',
+      requestedBy: req.admin?.id,
+      maxAttempts: 1
+    });
+    // Collaborative-filtering embeddings are trained alongside the ranking models
+    const { job: embeddingJob } = await jobQueueService.enqueue('embedding_training', {}, {
+      dedupeKey: 'embedding_training',
+      requestedBy: req.admin?.id,
+      maxAttempts: 1
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Model retraining initiated successfully'
+      message: created ? 'Model retraining queued' : 'Model retraining is already queued',
+      data: { jobId: job._id, status: job.status, embeddingJobId: embeddingJob._id }
     });
   } catch (error) {
     console.error('Retrain models error:', error);
@@ -1,7 +1,22 @@
+const mongoose = require('mongoose');
 const Notification = require('../models/notificationModel');
 const DeviceToken = require('../models/deviceTokenModel');
 const { logActivity } = require('./activityController');
 const fcmNotificationService = require('../services/fcmNotificationService');
+const notificationInboxService = require('../services/notificationInboxService');
+const jobQueueService = require('../services/jobQueueService');
+
+// Parse a scheduledAt value; returns { date } or { error }
+function parseScheduledAt(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'scheduledAt must be a valid date' };
+  }
+  if (date.getTime() < Date.now() - 60 * 1000) {
+    return { error: 'scheduledAt must be in the future' };
+  }
+  return { date };
+}
 
 // Get all notifications with pagination and filtering
 exports.getAllNotifications = async (req, res) => {
@@ -45,6 +60,8 @@ exports.getAllNotifications = async (req, res) => {
       createdDate: notification.createdAt.toISOString().split('T')[0],
       sentDate: notification.sentAt ? notification.sentAt.toISOString().split('T')[0] : undefined,
       scheduledAt: notification.scheduledAt ? notification.scheduledAt.toISOString().split('T')[0] : undefined,
+      scheduledFor: notification.scheduledAt ? notification.scheduledAt.toISOString() : undefined,
+      lastError: notification.lastError,
       createdBy: notification.createdBy ? {
         id: notification.createdBy._id,
         name: notification.createdBy.name,
@@ -100,6 +117,8 @@ exports.getNotificationById = async (req, res) => {
       createdDate: notification.createdAt.toISOString().split('T')[0],
       sentDate: notification.sentAt ? notification.sentAt.toISOString().split('T')[0] : undefined,
       scheduledAt: notification.scheduledAt ? notification.scheduledAt.toISOString().split('T')[0] : undefined,
+      scheduledFor: notification.scheduledAt ? notification.scheduledAt.toISOString() : undefined,
+      lastError: notification.lastError,
       createdBy: notification.createdBy ? {
         id: notification.createdBy._id,
         name: notification.createdBy.name,
@@ -141,12 +160,26 @@ exports.createNotification = async (req, res) => {
       });
     }
     
+    let scheduledDate;
+    if (scheduledAt) {
+      const parsed = parseScheduledAt(scheduledAt);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      scheduledDate = parsed.date;
+    }
+    
+    // A scheduled notification is picked up by the delivery scheduler once due
     const notificationData = {
       title,
       message,
       type,
       createdBy: req.admin?.id,
-      scheduledAt: scheduledAt ? new Date(scheduledAt) : undefined
+      scheduledAt: scheduledDate,
+      status: scheduledDate ? 'scheduled' : 'draft'
     };
     
     const notification = new Notification(notificationData);
@@ -179,7 +212,8 @@ exports.createNotification = async (req, res) => {
           type: notification.type,
           status: notification.status,
           createdDate: notification.createdAt.toISOString().split('T')[0],
-          scheduledAt: notification.scheduledAt ? notification.scheduledAt.toISOString().split('T')[0] : undefined
+          scheduledAt: notification.scheduledAt ? notification.scheduledAt.toISOString().split('T')[0] : undefined,
+          scheduledFor: notification.scheduledAt ? notification.scheduledAt.toISOString() : undefined
         }
       }
     });
@@ -214,12 +248,58 @@ exports.updateNotification = async (req, res) => {
       });
     }
     
+    if (notification.status === 'sending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Notification is being sent and cannot be updated'
+      });
+    }
+    
+    if (type && !['global', 'shopkeeper', 'shopper'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Must be "global", "shopkeeper", or "shopper"'
+      });
+    }
+    
     notification.title = title || notification.title;
     notification.message = message || notification.message;
     notification.type = type || notification.type;
-    notification.scheduledAt = scheduledAt ? new Date(scheduledAt) : notification.scheduledAt;
+    if (scheduledAt) {
+      const parsed = parseScheduledAt(scheduledAt);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      notification.scheduledAt = parsed.date;
+      if (notification.status === 'draft') {
+        notification.status = 'scheduled';
+      }
+    }
     
-    await notification.save();
+    // Only save if the scheduler has not claimed it in the meantime
+    const updated = await Notification.findOneAndUpdate(
+      { _id: notification._id, status: { $in: ['draft', 'scheduled', 'failed', 'cancelled'] } },
+      {
+        $set: {
+          title: notification.title,
+          message: notification.message,
+          type: notification.type,
+          scheduledAt: notification.scheduledAt,
+          status: notification.status,
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Notification is being sent and cannot be updated'
+      });
+    }
     
     // Log the activity
     await logActivity({
@@ -251,7 +331,7 @@ exports.updateNotification = async (req, res) => {
   }
 };
 
-// Send notification
+// Send notification now (delivers to the notification's audience)
 exports.sendNotification = async (req, res) => {
   try {
     const { id } = req.params;
@@ -271,23 +351,94 @@ exports.sendNotification = async (req, res) => {
       });
     }
     
-    // Update notification status
-    notification.status = 'sent';
-    notification.sentAt = new Date();
-    await notification.save();
+    if (notification.status === 'sending' || notification.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: notification.status === 'cancelled'
+          ? 'Notification has been cancelled; reschedule it first'
+          : 'Notification is already being sent'
+      });
+    }
+    
+    // Large audiences take a while: deliver from the job queue. The job claims the
+    // notification atomically, so a scheduler instance or a second click cannot send it again.
+    const { job, created } = await jobQueueService.enqueue('notification_send', {
+      notificationId: notification._id.toString()
+    }, {
+      dedupeKey: `notification_send:${notification._id}`,
+      requestedBy: req.admin?.id,
+      maxAttempts: 1
+    });
+    
+    if (created) {
+      await logActivity({
+        type: 'admin_action',
+        description: `Notification "${notification.title}" queued for sending by admin`,
+        adminId: req.admin?.id,
+        metadata: {
+          notificationId: notification._id,
+          notificationTitle: notification.title,
+          notificationType: notification.type,
+          jobId: job._id
+        },
+        severity: 'high',
+        status: 'success',
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: created ? 'Notification queued for sending' : 'Notification is already queued for sending',
+      data: { jobId: job._id, jobStatus: job.status }
+    });
+    
+  } catch (error) {
+    console.error('Send notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send notification'
+    });
+  }
+};
+
+// Cancel a scheduled (or draft) notification
+exports.cancelNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, status: { $in: ['draft', 'scheduled'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!notification) {
+      const existing = await Notification.findById(id).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a notification that is ${existing.status}`
+      });
+    }
     
     // Log the activity
     await logActivity({
       type: 'admin_action',
-      description: `Notification "${notification.title}" sent by admin`,
+      description: `Notification "${notification.title}" cancelled by admin`,
       adminId: req.admin?.id,
       metadata: {
         notificationId: notification._id,
         notificationTitle: notification.title,
-        notificationType: notification.type,
-        sentAt: notification.sentAt
+        scheduledAt: notification.scheduledAt
       },
-      severity: 'high',
+      severity: 'medium',
       status: 'success',
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent')
@@ -295,22 +446,123 @@ exports.sendNotification = async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Notification sent successfully'
+      message: 'Notification cancelled successfully',
+      data: { status: notification.status, cancelledAt: notification.cancelledAt }
     });
     
   } catch (error) {
-    console.error('Send notification error:', error);
+    console.error('Cancel notification error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send notification'
+      message: 'Failed to cancel notification'
     });
   }
 };
 
+// Reschedule a notification (also revives cancelled or failed ones)
+exports.rescheduleNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledAt } = req.body;
+    
+    if (!scheduledAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledAt is required'
+      });
+    }
+    
+    const parsed = parseScheduledAt(scheduledAt);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, status: { $in: ['draft', 'scheduled', 'cancelled', 'failed'] } },
+      {
+        $set: { status: 'scheduled', scheduledAt: parsed.date, attempts: 0, updatedAt: new Date() },
+        $unset: { cancelledAt: 1, lastError: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!notification) {
+      const existing = await Notification.findById(id).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule a notification that is ${existing.status}`
+      });
+    }
+    
+    // Log the activity
+    await logActivity({
+      type: 'admin_action',
+      description: `Notification "${notification.title}" rescheduled by admin`,
+      adminId: req.admin?.id,
+      metadata: {
+        notificationId: notification._id,
+        notificationTitle: notification.title,
+        scheduledAt: notification.scheduledAt
+      },
+      severity: 'medium',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.json({
+      success: true,
+      message: 'Notification rescheduled successfully',
+      data: { status: notification.status, scheduledFor: notification.scheduledAt.toISOString() }
+    });
+    
+  } catch (error) {
+    console.error('Reschedule notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule notification'
+    });
+  }
+};
+
+// Validate and apply a coarse last-known location / notify radius to a device; returns an error message on bad input
+function applyDeviceLocation(deviceToken, { latitude, longitude, radiusKm }) {
+  if (latitude !== undefined || longitude !== undefined) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return 'Valid latitude and longitude are required';
+    }
+    // Store only ~1km precision; nearby pushes do not need more
+    deviceToken.lastLocation = {
+      type: 'Point',
+      coordinates: [Math.round(lng * 100) / 100, Math.round(lat * 100) / 100]
+    };
+    deviceToken.locationUpdatedAt = new Date();
+  }
+  if (radiusKm !== undefined) {
+    const radius = parseFloat(radiusKm);
+    if (Number.isNaN(radius) || radius < 0.5 || radius > 50) {
+      return 'radiusKm must be between 0.5 and 50';
+    }
+    deviceToken.notifyRadiusKm = radius;
+  }
+  return null;
+}
+
 // Register device for push notifications
 exports.registerDevice = async (req, res) => {
   try {
-    const { token, platform, appVersion, deviceInfo } = req.body;
+    const { token, platform, appVersion, deviceInfo, latitude, longitude, radiusKm } = req.body;
     const userId = req.user.id;
 
     if (!token) {
@@ -340,7 +592,6 @@ exports.registerDevice = async (req, res) => {
       deviceToken.deviceInfo = deviceInfo || deviceToken.deviceInfo;
       deviceToken.isActive = true;
       deviceToken.lastUsed = new Date();
-      await deviceToken.save();
     } else {
       // Create new token
       deviceToken = new DeviceToken({
@@ -351,9 +602,17 @@ exports.registerDevice = async (req, res) => {
         deviceInfo: deviceInfo || {},
         isActive: true
       });
-      await deviceToken.save();
     }
 
+    const locationError = applyDeviceLocation(deviceToken, { latitude, longitude, radiusKm });
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+    await deviceToken.save();
+
     res.json({
       success: true,
       message: 'Device registered successfully',
@@ -371,12 +630,191 @@ exports.registerDevice = async (req, res) => {
   }
 };
 
+// Update a device's coarse location and nearby-notification radius
+exports.updateDeviceLocation = async (req, res) => {
+  try {
+    const { token, latitude, longitude, radiusKm } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device token is required'
+      });
+    }
+
+    const deviceToken = await DeviceToken.findOne({ token, userId: req.user.id });
+    if (!deviceToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not registered'
+      });
+    }
+
+    const locationError = applyDeviceLocation(deviceToken, { latitude, longitude, radiusKm });
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+    await deviceToken.save();
+
+    res.json({
+      success: true,
+      message: 'Device location updated successfully',
+      data: {
+        deviceId: deviceToken._id,
+        radiusKm: deviceToken.notifyRadiusKm,
+        locationUpdatedAt: deviceToken.locationUpdatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update device location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device location'
+    });
+  }
+};
+
+// Shape an inbox item for the app
+function formatInboxItem(item) {
+  return {
+    id: item._id,
+    title: item.title,
+    body: item.body,
+    type: item.type,
+    data: item.data ? Object.fromEntries(item.data) : {},
+    notificationId: item.notificationId,
+    isRead: !!item.readAt,
+    readAt: item.readAt,
+    createdAt: item.createdAt
+  };
+}
+
+// Get the current user's notification inbox
+exports.getInbox = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    const { items, total, unreadCount } = await notificationInboxService.listInbox(req.user.id, { page, limit, unreadOnly });
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(formatInboxItem),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+// Mark one inbox item as read
+exports.markInboxItemRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const item = await notificationInboxService.markRead(req.user.id, id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { item: formatInboxItem(item) }
+    });
+  } catch (error) {
+    console.error('Mark inbox item read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+};
+
+// Mark all inbox items as read
+exports.markAllInboxRead = async (req, res) => {
+  try {
+    const marked = await notificationInboxService.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { marked }
+    });
+  } catch (error) {
+    console.error('Mark all inbox read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+};
+
+// Delete an inbox item
+exports.deleteInboxItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const deleted = await notificationInboxService.removeItem(req.user.id, id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete inbox item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+};
+
 // Get notification statistics
 exports.getNotificationStats = async (req, res) => {
   try {
     const totalNotifications = await Notification.countDocuments();
     const draftNotifications = await Notification.countDocuments({ status: 'draft' });
     const sentNotifications = await Notification.countDocuments({ status: 'sent' });
+    const scheduledNotifications = await Notification.countDocuments({ status: 'scheduled' });
+    const failedNotifications = await Notification.countDocuments({ status: 'failed' });
     
     // Get notifications by type
     const typeStats = await Notification.aggregate([
@@ -399,6 +837,8 @@ exports.getNotificationStats = async (req, res) => {
         totalNotifications,
         draftNotifications,
         sentNotifications,
+        scheduledNotifications,
+        failedNotifications,
         newNotifications,
         typeStats
       }
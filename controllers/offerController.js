@@ -4,6 +4,10 @@ const Product = require('../models/productModel');
 const { logActivity } = require('./activityController');
 const websocketService = require('../services/websocketService');
 const fcmNotificationService = require('../services/fcmNotificationService');
+const priceHistoryService = require('../services/priceHistoryService');
+const offerRedemptionService = require('../services/offerRedemptionService');
+const { validateOfferRules, offerHeadlinePercent } = require('../services/pricingService');
+const { findVariant, variantLabel } = require('../services/productVariantService');
 
 // Get all offers for a shop
 exports.getMyOffers = async (req, res) => {
@@ -54,7 +58,7 @@ exports.getMyOffers = async (req, res) => {
 // Create a new offer
 exports.createOffer = async (req, res) => {
   try {
-    const { productId, title, description, category, discountType, discountValue, startDate, endDate, maxUses, isCustomOffer, customImageUrl, customType } = req.body;
+    const { productId, variantId, title, description, category, discountType, discountValue, startDate, endDate, maxUses, maxUsesPerUser, rules, stacking, isCustomOffer, customImageUrl, customType } = req.body;
 
     // Validate required fields
     if (!title || !startDate || !endDate) {
@@ -89,6 +93,20 @@ exports.createOffer = async (req, res) => {
           message: 'Product not found or does not belong to this shop'
         });
       }
+      if (variantId && !findVariant(product, variantId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variant not found on this product'
+        });
+      }
+    }
+
+    const offerRules = await validateOfferRules(shop._id, discountType || 'Fixed Amount', rules, stacking);
+    if (offerRules.error) {
+      return res.status(400).json({
+        success: false,
+        message: offerRules.error
+      });
     }
 
     // Create offer with status derived from dates
@@ -107,15 +125,18 @@ exports.createOffer = async (req, res) => {
 
     const offerData = {
       shopId: shop._id,
-      ...(isCustomOffer ? {} : { productId: productId }),
+      ...(isCustomOffer ? {} : { productId: productId, variantId: variantId || undefined }),
       title,
       description: description || '',
       category: category || 'Other',
       discountType: discountType || 'Fixed Amount',
       discountValue: discountValue !== undefined ? discountValue : 0,
+      rules: offerRules.rules,
+      stacking: offerRules.stacking,
       startDate: parsedStart,
       endDate: parsedEnd,
       maxUses: maxUses || 0,
+      ...(maxUsesPerUser !== undefined ? { maxUsesPerUser } : {}),
       status: derivedStatus,
       isCustomOffer: !!isCustomOffer,
       customImageUrl: customImageUrl || undefined,
@@ -125,9 +146,14 @@ exports.createOffer = async (req, res) => {
     const newOffer = new Offer(offerData);
     await newOffer.save();
 
+    // Record the discounted price on the product's price timeline
+    if (derivedStatus === 'active') {
+      await priceHistoryService.recordOfferPriceChange(newOffer, { reason: 'offer_activated', changedBy: req.user.id });
+    }
+
     // Populate product details for response
     if (!isCustomOffer) {
-      await newOffer.populate('productId', 'name category price images');
+      await newOffer.populate('productId', 'name category price images variants');
     }
     await newOffer.populate('shopId', 'shopName address phone location rating isLive verificationStatus isActive');
 
@@ -173,7 +199,7 @@ exports.createOffer = async (req, res) => {
       type: 'offer_created',
       description: isCustomOffer
         ? `Custom offer "${title}" created`
-        : `Offer "${title}" created for product "${product.name}"`,
+        : `Offer "${title}" created for product "${product.name}"${variantId ? ` (${variantLabel(findVariant(product, variantId))})` : ''}`,
       shopId: shop._id,
       userId: req.user.id,
       metadata: {
@@ -197,17 +223,18 @@ exports.createOffer = async (req, res) => {
       console.error('Failed to broadcast offer count:', countErr);
     }
 
-    // Send push notification for new offer (special deals and featured offers)
+    // Send push notification for new offer to users near the shop, only for special deals and
+    // featured offers (discount > 20%) so trivial offers do not use up the daily cap
+    // (notifyNewOffer picks the specialDeals/featuredOffers preference and applies the cap)
     try {
-      // Only send notifications for active offers that are visible on home screen
       if (derivedStatus === 'active') {
-        const isSpecialDeal = !!isCustomOffer;
-        const isFeatured = newOffer.discountValue > 20 || !!newOffer.isPromoted;
-        
-        // Send notification for special deals or featured offers
+        const isSpecialDeal = !!newOffer.isCustomOffer;
+        const isFeatured = !isCustomOffer && (offerHeadlinePercent(newOffer) > 20 || !!newOffer.isPromoted);
         if (isSpecialDeal || isFeatured) {
-          await fcmNotificationService.notifyNewOffer(newOffer, newOffer.shopId);
-          console.log(`📢 Sent push notification for new ${isSpecialDeal ? 'special deal' : 'featured offer'}: ${title}`);
+          const result = await fcmNotificationService.notifyNewOffer(newOffer, newOffer.shopId);
+          if (result && result.success) {
+            console.log(`📢 Sent nearby push notification for new ${isSpecialDeal ? 'special deal' : 'featured offer'}: ${title}`);
+          }
         }
       }
     } catch (notifErr) {
@@ -234,7 +261,7 @@ exports.createOffer = async (req, res) => {
 exports.updateOffer = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, discountType, discountValue, startDate, endDate, maxUses, status } = req.body;
+    const { title, description, discountType, discountValue, startDate, endDate, maxUses, maxUsesPerUser, rules, stacking, status, variantId } = req.body;
 
     // Get shop ID from authenticated user
     const shop = await Shop.findOne({ ownerId: req.user.id });
@@ -254,6 +281,37 @@ exports.updateOffer = async (req, res) => {
       });
     }
 
+    if (discountType !== undefined || rules !== undefined || stacking !== undefined) {
+      const offerRules = await validateOfferRules(
+        shop._id,
+        discountType !== undefined ? discountType : offer.discountType,
+        rules !== undefined ? rules : (offer.rules ? offer.rules.toObject() : {}),
+        stacking !== undefined ? stacking : (offer.stacking ? offer.stacking.toObject() : {})
+      );
+      if (offerRules.error) {
+        return res.status(400).json({
+          success: false,
+          message: offerRules.error
+        });
+      }
+      offer.rules = offerRules.rules;
+      offer.stacking = offerRules.stacking;
+    }
+
+    // Retarget the offer to one variant of its product (null/'' for the whole product)
+    if (variantId !== undefined && !offer.isCustomOffer) {
+      if (variantId) {
+        const product = await Product.findOne({ _id: offer.productId, shopId: shop._id }).select('variants');
+        if (!product || !findVariant(product, variantId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Variant not found on this product'
+          });
+        }
+      }
+      offer.variantId = variantId || undefined;
+    }
+
     // Update offer fields
     if (title !== undefined) offer.title = title;
     if (description !== undefined) offer.description = description;
@@ -262,10 +320,15 @@ exports.updateOffer = async (req, res) => {
     if (startDate !== undefined) offer.startDate = new Date(startDate);
     if (endDate !== undefined) offer.endDate = new Date(endDate);
     if (maxUses !== undefined) offer.maxUses = maxUses;
+    if (maxUsesPerUser !== undefined) offer.maxUsesPerUser = maxUsesPerUser;
     if (status !== undefined) offer.status = status;
 
     await offer.save();
-    await offer.populate('productId', 'name category price images');
+    await priceHistoryService.recordOfferPriceChange(offer, {
+      reason: offer.status === 'active' ? 'offer_updated' : 'offer_deactivated',
+      changedBy: req.user.id
+    });
+    await offer.populate('productId', 'name category price images variants');
     await offer.populate('shopId', 'shopName address phone location rating isLive verificationStatus isActive');
 
     // Log the activity
@@ -298,7 +361,7 @@ exports.updateOffer = async (req, res) => {
     try {
       if (offer.status === 'active') {
         const isSpecialDeal = !!offer.isCustomOffer;
-        const isFeatured = offer.discountValue > 20 || !!offer.isPromoted;
+        const isFeatured = offerHeadlinePercent(offer) > 20 || !!offer.isPromoted;
         
         // Only send notification if it's a special deal or featured offer
         if (isSpecialDeal || isFeatured) {
@@ -349,6 +412,8 @@ exports.deleteOffer = async (req, res) => {
       });
     }
 
+    await priceHistoryService.recordOfferPriceChange(offer, { reason: 'offer_deactivated', changedBy: req.user.id });
+
     // Log the activity
     await logActivity({
       type: 'offer_deleted',
@@ -450,6 +515,10 @@ exports.toggleOfferStatus = async (req, res) => {
     // Toggle status between active and inactive
     offer.status = offer.status === 'active' ? 'inactive' : 'active';
     await offer.save();
+    await priceHistoryService.recordOfferPriceChange(offer, {
+      reason: offer.status === 'active' ? 'offer_activated' : 'offer_deactivated',
+      changedBy: req.user.id
+    });
     await offer.populate('productId', 'name category price images');
 
     // Log the activity
@@ -1208,6 +1277,10 @@ exports.updateOfferStatus = async (req, res) => {
       });
     }
 
+    await priceHistoryService.recordOfferPriceChange(offer, {
+      reason: status === 'active' ? 'offer_activated' : 'offer_deactivated'
+    });
+
     // Log the activity
     await logActivity({
       type: 'offer_status_updated',
@@ -1269,13 +1342,6 @@ exports.getFilteredOffers = async (req, res) => {
       filter.category = category;
     }
 
-    // Add discount range filter
-    if (minDiscount || maxDiscount) {
-      filter.discountValue = {};
-      if (minDiscount) filter.discountValue.$gte = parseFloat(minDiscount);
-      if (maxDiscount) filter.discountValue.$lte = parseFloat(maxDiscount);
-    }
-
     // Add expiring soon filter
     if (expiringHours) {
       const expiryTime = new Date(now.getTime() + (parseInt(expiringHours) * 60 * 60 * 1000));
@@ -1293,9 +1359,6 @@ exports.getFilteredOffers = async (req, res) => {
     // Build sort object
     let sort = {};
     switch (sortBy) {
-      case 'discount':
-        sort = { discountValue: -1 };
-        break;
       case 'expiring':
         sort = { endDate: 1 };
         break;
@@ -1306,18 +1369,43 @@ exports.getFilteredOffers = async (req, res) => {
         sort = { title: 1 };
         break;
       default:
-        sort = { discountValue: -1 };
+        sort = null; // By discount
     }
 
-    // Execute query
-    const offers = await Offer.find(filter)
-      .populate('productId', 'name category price images')
-      .populate('shopId', 'name address location')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const totalOffers = await Offer.countDocuments(filter);
+    let offers;
+    let totalOffers;
+    if (minDiscount || maxDiscount || !sort) {
+      // Discounts compare as headline percents (fixed amounts against the product or variant
+      // price, BOGO/tiered/bundle by their rules), which the query cannot compute: rank the
+      // matching offers' pricing fields here, then load the page
+      const min = minDiscount ? parseFloat(minDiscount) : -Infinity;
+      const max = maxDiscount ? parseFloat(maxDiscount) : Infinity;
+      const candidates = await Offer.find(filter)
+        .select('productId variantId discountType discountValue rules')
+        .populate('productId', 'price variants._id variants.price')
+        .sort(sort || { createdAt: -1 })
+        .lean();
+      const ranked = candidates
+        .map(offer => ({ id: offer._id, percent: offerHeadlinePercent(offer) }))
+        .filter(({ percent }) => percent >= min && percent <= max);
+      if (!sort) ranked.sort((a, b) => b.percent - a.percent);
+
+      totalOffers = ranked.length;
+      const pageIds = ranked.slice(skip, skip + parseInt(limit)).map(({ id }) => id.toString());
+      const pageOffers = await Offer.find({ _id: { $in: pageIds } })
+        .populate('productId', 'name category price images')
+        .populate('shopId', 'name address location');
+      const byId = new Map(pageOffers.map(offer => [offer._id.toString(), offer]));
+      offers = pageIds.map(id => byId.get(id)).filter(Boolean);
+    } else {
+      offers = await Offer.find(filter)
+        .populate('productId', 'name category price images')
+        .populate('shopId', 'name address location')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit));
+      totalOffers = await Offer.countDocuments(filter);
+    }
 
     res.json({
       success: true,
@@ -1341,3 +1429,162 @@ exports.getFilteredOffers = async (req, res) => {
     });
   }
 };
+
+// Claim an offer as a shopper: returns a signed single-use code and QR payload
+exports.claimOffer = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid offer ID'
+      });
+    }
+
+    const result = await offerRedemptionService.claimOffer(req.user.id, id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Offer claimed successfully' : 'Offer already claimed',
+      data: result.claim
+    });
+  } catch (error) {
+    console.error('Claim offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim offer'
+    });
+  }
+};
+
+// Get the current shopper's claimed offers
+exports.getMyClaims = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['claimed', 'redeemed', 'expired'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be "claimed", "redeemed", or "expired"'
+      });
+    }
+
+    const claims = await offerRedemptionService.listUserClaims(req.user.id, { status });
+
+    res.json({
+      success: true,
+      data: claims
+    });
+  } catch (error) {
+    console.error('Get my claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch claimed offers'
+    });
+  }
+};
+
+function formatRedemption(redemption, offer) {
+  return {
+    id: redemption._id,
+    code: redemption.code,
+    status: redemption.status,
+    expiresAt: redemption.expiresAt,
+    redeemedAt: redemption.redeemedAt,
+    customer: redemption.userId && redemption.userId.email ? {
+      id: redemption.userId._id,
+      name: redemption.userId.fullName,
+      email: redemption.userId.email
+    } : null,
+    offer: offer ? {
+      id: offer._id,
+      title: offer.title,
+      discountType: offer.discountType,
+      discountValue: offer.discountValue,
+      currentUses: offer.currentUses,
+      maxUses: offer.maxUses
+    } : null
+  };
+}
+
+// Check a customer's code or QR payload before redeeming it (shop owner)
+exports.verifyRedemption = async (req, res) => {
+  try {
+    const { code, qrPayload } = req.body;
+
+    const result = await offerRedemptionService.verifyRedemption(req.shop._id, { code, qrPayload });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        redeemable: result.redeemable,
+        reason: result.reason,
+        redemption: formatRedemption(result.redemption, result.offer)
+      }
+    });
+  } catch (error) {
+    console.error('Verify redemption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify redemption code'
+    });
+  }
+};
+
+// Redeem a customer's code or QR payload in-store (shop owner)
+exports.redeemOffer = async (req, res) => {
+  try {
+    const { code, qrPayload } = req.body;
+
+    const result = await offerRedemptionService.redeem(req.shop._id, { code, qrPayload }, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    // Log the activity
+    await logActivity({
+      type: 'offer_redeemed',
+      description: `Offer "${result.offer.title}" redeemed`,
+      shopId: req.shop._id,
+      userId: req.user.id,
+      metadata: {
+        offerId: result.offer._id,
+        redemptionId: result.redemption._id,
+        customerId: result.redemption.userId,
+        currentUses: result.offer.currentUses,
+        maxUses: result.offer.maxUses
+      },
+      severity: 'low',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Offer redeemed successfully',
+      data: formatRedemption(result.redemption, result.offer)
+    });
+  } catch (error) {
+    console.error('Redeem offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeem offer'
+    });
+  }
+};
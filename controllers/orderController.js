@@ -0,0 +1,205 @@
+const orderService = require('../services/orderService');
+const { logActivity } = require('./activityController');
+
+const ORDER_STATUSES = ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired'];
+
+function listOptions(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(parseInt(query.limit) || 20, 50);
+  return { status: query.status, page, limit };
+}
+
+function paginated(result, { page, limit }) {
+  return {
+    orders: result.orders.map(orderService.formatOrder),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(result.total / limit),
+      totalOrders: result.total,
+      hasNext: page < Math.ceil(result.total / limit),
+      hasPrev: page > 1
+    }
+  };
+}
+
+// Shopper: reserve products at a shop for pickup (body: shopId, items, offerId?, pickupWindow, note?)
+exports.createOrder = async (req, res) => {
+  try {
+    const { shopId, items, offerId, pickupWindow, note } = req.body;
+
+    const result = await orderService.createOrder(req.user.id, { shopId, items, offerId, pickupWindow, note });
+    if (!result.success) {
+      const { success, statusCode, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation placed; the shop will confirm it shortly',
+      data: orderService.formatOrder(result.order)
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place reservation'
+    });
+  }
+};
+
+// Shopper: my reservations, newest first
+exports.getMyOrders = async (req, res) => {
+  try {
+    const options = listOptions(req.query);
+    if (options.status && !ORDER_STATUSES.includes(options.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await orderService.listOrders({ userId: req.user.id }, options);
+    res.json({ success: true, data: paginated(result, options) });
+  } catch (error) {
+    console.error('Get my orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reservations'
+    });
+  }
+};
+
+// Shopper: one of my reservations
+exports.getMyOrder = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const result = await orderService.listOrders({ _id: id, userId: req.user.id }, { limit: 1 });
+    if (result.orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({ success: true, data: orderService.formatOrder(result.orders[0]) });
+  } catch (error) {
+    console.error('Get my order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reservation'
+    });
+  }
+};
+
+// Shopper: cancel an open reservation (the held stock goes back on the shelf)
+exports.cancelMyOrder = async (req, res) => {
+  try {
+    const result = await orderService.cancelOrder(req.user.id, req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled',
+      data: orderService.formatOrder(result.order)
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel reservation'
+    });
+  }
+};
+
+// Shop owner: reservations at my shop (?status=pending for the ones waiting on an answer)
+exports.getShopOrders = async (req, res) => {
+  try {
+    const options = listOptions(req.query);
+    if (options.status && !ORDER_STATUSES.includes(options.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await orderService.listOrders({ shopId: req.shop._id }, options);
+    res.json({ success: true, data: paginated(result, options) });
+  } catch (error) {
+    console.error('Get shop orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reservations'
+    });
+  }
+};
+
+// Shop owner actions share the response and activity log
+const shopOrderAction = (action, run, successMessage) => async (req, res) => {
+  try {
+    const result = await run(req);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const order = result.order;
+    await logActivity({
+      type: `order_${action}`,
+      description: `Reservation ${order._id} ${action}`,
+      shopId: req.shop._id,
+      userId: req.user.id,
+      metadata: {
+        orderId: order._id,
+        customerId: order.userId,
+        items: order.items.length,
+        total: order.total
+      },
+      severity: 'low',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: orderService.formatOrder(order)
+    });
+  } catch (error) {
+    console.error(`Order ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reservation'
+    });
+  }
+};
+
+// Shop owner: confirm a pending reservation
+exports.acceptOrder = shopOrderAction('accepted',
+  (req) => orderService.acceptOrder(req.shop._id, req.params.id),
+  'Reservation accepted');
+
+// Shop owner: decline a reservation (body: reason?); the held stock is released
+exports.rejectOrder = shopOrderAction('rejected',
+  (req) => orderService.rejectOrder(req.shop._id, req.params.id, req.body && req.body.reason),
+  'Reservation rejected');
+
+// Shop owner: the customer collected the order
+exports.completeOrder = shopOrderAction('completed',
+  (req) => orderService.completeOrder(req.shop._id, req.params.id, req.user.id),
+  'Order completed');
@@ -1,12 +1,24 @@
 const Product = require('../models/productModel');
 const Shop = require('../models/shopModel');
 const Offer = require('../models/offerModel');
+const OfferRedemption = require('../models/offerRedemptionModel');
 const { logActivity } = require('./activityController');
 const websocketService = require('../services/websocketService');
 const fcmNotificationService = require('../services/fcmNotificationService');
-const { expandQueryTerms, computeProductRelevance } = require('../services/searchService');
 const { handleSingleFile } = require('./uploadController');
 const { uploadBuffer, isCloudinaryConfigured } = require('../services/cloudinaryService');
+const priceHistoryService = require('../services/priceHistoryService');
+const { OFFER_PRICING_FIELDS, computeProductPrice, offersForVariant, priceCart, headlineDiscountPercent, offerLabel, validateOfferRules } = require('../services/pricingService');
+const productVariantService = require('../services/productVariantService');
+const restockAlertService = require('../services/restockAlertService');
+const similarityService = require('../services/similarityService');
+const canonicalItemService = require('../services/canonicalItemService');
+const catalogueService = require('../services/catalogueService');
+const searchIndexService = require('../services/searchIndexService');
+const inventoryImportService = require('../services/inventoryImportService');
+const jobQueueService = require('../services/jobQueueService');
+const Job = require('../models/jobModel');
+const CanonicalItem = require('../models/canonicalItemModel');
 
 // Public: Search products (keyword + filters + pagination)
 exports.searchProductsPublic = async (req, res) => {
@@ -16,185 +28,117 @@ exports.searchProductsPublic = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const {
-      q, // keyword
+      q, // keyword; digits are matched as text, barcode searches go through barcode=
+      barcode, // EAN/UPC/GTIN: every nearby shop selling that exact item
       category,
+      brand,
       minPrice,
       maxPrice,
       inStock,
-      sort // relevance|price_asc|price_desc|new
+      latitude,
+      longitude,
+      maxDistance, // km
+      sort // relevance|price_asc|price_desc|new|distance
     } = req.query;
 
-    const filter = { status: 'active' };
-    if (category) {
-      filter.category = category;
-    }
-    if (minPrice != null || maxPrice != null) {
-      filter.price = {};
-      if (minPrice != null) filter.price.$gte = Number(minPrice);
-      if (maxPrice != null) filter.price.$lte = Number(maxPrice);
-    }
-    if (inStock === 'true') {
-      filter.stock = { $gt: 0 };
-    }
-    if (q) {
-      const tokens = expandQueryTerms(q);
-      const escapedTokens = tokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      const anyToken = escapedTokens.length ? new RegExp(`(${escapedTokens.join('|')})`, 'i') : null;
-      if (anyToken) {
-        filter.$or = [
-          { name: anyToken },
-          { description: anyToken },
-          { category: anyToken }
-        ];
-      }
+    if (barcode && !catalogueService.normalizeGtin(barcode)) {
+      return res.status(400).json({ success: false, message: 'Invalid barcode' });
     }
 
-    // Sorting
-    let sortOption = { createdAt: -1, _id: 1 };
-    if (sort === 'price_asc') sortOption = { price: 1, _id: 1 };
-    else if (sort === 'price_desc') sortOption = { price: -1, _id: 1 };
+    // cursor (from pagination.nextCursor) takes precedence over page
+    const cursor = searchIndexService.decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
 
-    const [items, total] = await Promise.all([
-      Product.find(filter)
-        .select('name description category price images status createdAt shopId')
-        // include shop fields needed by mobile (location, address, rating, phone, live)
-        .populate('shopId', 'shopName address phone location rating isLive isActive verificationStatus')
-        .sort(sortOption)
-        .skip(skip)
-        .limit(limit),
-      Product.countDocuments(filter)
-    ]);
+    const userLocation = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : undefined;
+    const result = await searchIndexService.searchProducts({
+      q,
+      barcode,
+      category,
+      brand,
+      minPrice,
+      maxPrice,
+      inStock: inStock === 'true',
+      userLocation,
+      maxDistance: maxDistance ? parseFloat(maxDistance) : undefined,
+      sort,
+      cursor,
+      skip: cursor ? 0 : skip,
+      limit
+    });
+    const items = result.results;
 
-    // Fetch best active and currently valid offer per product (percentage normalized 0-100)
+    // Price every product through the pricing engine with its own active offers
     // CRITICAL: Only include offers for the specific product, not shop-level offers
-    const productIdToBestDiscount = {};
+    const pricingByProduct = {};
     try {
-      const productIds = items.map(p => p._id);
-      const productIdToPrice = {};
-      const productIdMap = {}; // Map for exact ObjectId matching
-      
-      // Build maps for quick lookup - ensure consistent string format
-      for (const p of items) {
-        const pid = String(p._id); // Use String() for consistent conversion
-        productIdToPrice[pid] = Number(p.price) || 0;
-        productIdMap[pid] = p._id; // Store original ObjectId for exact matching
-      }
-      
       const now = new Date();
       const activeOffers = await Offer.find({
-        productId: { $in: productIds },
+        productId: { $in: items.map(p => p._id) },
         status: 'active',
         startDate: { $lte: now },
         endDate: { $gte: now }
-      }).select('productId discountType discountValue').lean();
-      
-      // Only process offers that are actually for these specific products
+      }).select(OFFER_PRICING_FIELDS).lean();
+
+      const offersByProduct = {};
       for (const offer of activeOffers) {
-        // Ensure productId is properly extracted and normalized
-        // Handle both ObjectId and string formats for comparison
-        let pid = null;
-        if (offer.productId) {
-          // Convert to string for comparison, handling ObjectId objects
-          if (offer.productId instanceof mongoose.Types.ObjectId || 
-              (typeof offer.productId === 'object' && offer.productId.toString)) {
-            pid = offer.productId.toString();
-          } else {
-            pid = String(offer.productId);
-          }
-        }
-        
-        // CRITICAL: Verify this offer belongs to one of our search result products
-        // Use strict comparison to ensure exact match
-        if (!pid || !productIdToPrice.hasOwnProperty(pid)) {
-          // Skip if offer doesn't match any product in our search results
-          // This prevents shop-level offers from being applied to wrong products
-          continue;
-        }
-        
-        // Additional verification: Ensure the product ID string matches exactly
-        // This catches any edge cases where string conversion might differ
-        const matchingProduct = items.find(p => String(p._id) === pid);
-        if (!matchingProduct) {
-          // This shouldn't happen if hasOwnProperty check passed, but double-check anyway
-          continue;
-        }
-        
-        let value = 0;
-        if (offer.discountType === 'Percentage') {
-          value = Number(offer.discountValue);
-        } else if (offer.discountType === 'Fixed Amount') {
-          // Convert fixed amount to percentage of the product price
-          const price = productIdToPrice[pid] || 0;
-          if (price > 0) {
-            value = Math.max(0, Math.min(100, (Number(offer.discountValue) / price) * 100));
-          } else {
-            value = 0;
-          }
-        }
-        
-        // Only set if this is a better discount than already found for this product
-        if (value > 0 && (productIdToBestDiscount[pid] == null || value > productIdToBestDiscount[pid])) {
-          productIdToBestDiscount[pid] = value;
-        }
+        const pid = String(offer.productId);
+        (offersByProduct[pid] = offersByProduct[pid] || []).push(offer);
       }
-      
-      // Debug: Log products without offers to verify they're not getting shop offers
-      const productsWithoutOffers = items.filter(p => !productIdToBestDiscount[String(p._id)]);
-      if (productsWithoutOffers.length > 0) {
-        console.log(`[Product Search] Products WITHOUT offers: ${productsWithoutOffers.map(p => `"${p.name}" (${String(p._id)})`).join(', ')}`);
+
+      for (const p of items) {
+        const pid = String(p._id);
+        pricingByProduct[pid] = computeProductPrice(p, offersByProduct[pid] || [], {
+          now,
+          timezone: p.shop.timezone
+        });
       }
     } catch (error) {
       console.error('Error fetching product offers:', error);
     }
 
-    // Build mapped results with simple relevance
-    const tokensForScore = q ? expandQueryTerms(q) : [];
-    const mapped = items
-      .filter(p => p.shopId && p.shopId.isActive && p.shopId.isLive && p.shopId.verificationStatus === 'approved')
-      .map(p => {
-        const obj = {
-          id: p._id,
-          name: p.name,
-          description: p.description,
-          category: p.category,
-          price: p.price,
-          image: Array.isArray(p.images) && p.images.length ? p.images[0].url : undefined,
-          shop: p.shopId ? {
-            id: p.shopId._id,
-            name: p.shopId.shopName,
-            address: p.shopId.address,
-            phone: p.shopId.phone,
-            location: p.shopId.location,
-            rating: p.shopId.rating,
-            isLive: p.shopId.isLive
-          } : null,
-          // CRITICAL: Only use product-specific offers, never shop-level offers
-          // If productIdToBestDiscount doesn't have this product's ID, return 0 (no offer)
-          bestOfferPercent: productIdToBestDiscount[String(p._id)] ?? 0,
-          createdAt: p.createdAt
-        };
-        if (tokensForScore.length) {
-          obj._score = computeProductRelevance({
-            product: obj,
-            shop: obj.shop,
-            tokens: tokensForScore,
-            distanceKm: undefined,
-            bestOfferPercent: obj.bestOfferPercent,
-          });
-        }
-        return obj;
-      });
-
-    const ranked = q ? mapped.sort((a, b) => (b._score || 0) - (a._score || 0)) : mapped;
+    // Visibility (approved, active, live shop) and relevance are applied by the search index
+    const mapped = items.map(p => ({
+      id: p._id,
+      name: p.name,
+      description: p.description,
+      category: p.category,
+      brand: p.brand,
+      gtin: p.gtin,
+      price: p.price,
+      image: Array.isArray(p.images) && p.images.length ? p.images[0].url : undefined,
+      shop: {
+        id: p.shop._id,
+        name: p.shop.shopName,
+        address: p.shop.address,
+        phone: p.shop.phone,
+        location: p.shop.location,
+        rating: p.shop.rating,
+        isLive: p.shop.isLive
+      },
+      // CRITICAL: Only use product-specific offers, never shop-level offers
+      effectivePrice: pricingByProduct[String(p._id)] ? pricingByProduct[String(p._id)].effectivePrice : p.price,
+      bestOfferPercent: pricingByProduct[String(p._id)] ? pricingByProduct[String(p._id)].discountPercent : 0,
+      appliedOffers: pricingByProduct[String(p._id)] ? pricingByProduct[String(p._id)].appliedOffers : [],
+      // One listing per product; price is the cheapest variant ("from" price)
+      variants: productVariantService.variantSummary(p),
+      distanceKm: p.distanceKm === null ? undefined : p.distanceKm,
+      createdAt: p.createdAt
+    }));
 
     res.json({
       success: true,
-      data: ranked.map(({ _score, ...rest }) => rest),
+      data: mapped,
+      redirect: result.redirect,
+      barcode: result.barcode,
+      facets: result.facets,
       pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        limit
+        currentPage: cursor ? undefined : page,
+        totalPages: Math.ceil(result.total / limit),
+        totalItems: result.total,
+        limit,
+        nextCursor: result.nextCursor
       }
     });
   } catch (error) {
@@ -269,7 +213,7 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
     }
 
     // Get shops that match the location filter
-    const shops = await Shop.find(shopFilter).select('_id shopName address phone location rating isLive');
+    const shops = await Shop.find(shopFilter).select('_id shopName address phone location rating isLive timezone');
     const shopIds = shops.map(s => s._id);
 
     // Add shop filter to product filter
@@ -283,7 +227,7 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
     // Get products
     const [items, total] = await Promise.all([
       Product.find(productFilter)
-        .select('name description category price images status createdAt shopId')
+        .select('name description category price images status createdAt shopId options variants')
         .populate('shopId', 'shopName address phone location rating isLive isActive verificationStatus')
         .sort(sortOption)
         .skip(skip)
@@ -300,11 +244,16 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
       endDate: { $gte: now }
     })
     .populate('productId', 'name category price images')
-    .select('shopId productId title description discountType discountValue startDate endDate');
+    .select(`${OFFER_PRICING_FIELDS} description`);
 
-    // Group offers by shop ID
+    // Group offers by shop ID (and by product, for pricing)
     const offersByShop = {};
+    const offersByProduct = {};
     for (const offer of allShopOffers) {
+      if (offer.productId) {
+        const pid = offer.productId._id.toString();
+        (offersByProduct[pid] = offersByProduct[pid] || []).push(offer);
+      }
       const shopId = offer.shopId.toString();
       if (!offersByShop[shopId]) {
         offersByShop[shopId] = [];
@@ -315,6 +264,9 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
         description: offer.description,
         discountType: offer.discountType,
         discountValue: offer.discountValue,
+        label: offerLabel(offer),
+        rules: offer.rules,
+        stacking: offer.stacking,
         startDate: offer.startDate,
         endDate: offer.endDate,
         product: offer.productId ? {
@@ -329,7 +281,9 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
 
     // Create shop map for easy lookup
     const shopMap = {};
+    const timezoneByShop = {};
     for (const shop of shops) {
+      timezoneByShop[shop._id.toString()] = shop.timezone;
       shopMap[shop._id.toString()] = {
         id: shop._id,
         name: shop.shopName,
@@ -345,16 +299,26 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
     // Filter products and include shop data
     const filteredProducts = items
       .filter(p => p.shopId && p.shopId.isActive && p.shopId.verificationStatus === 'approved')
-      .map(p => ({
-        id: p._id,
-        name: p.name,
-        description: p.description,
-        category: p.category,
-        price: p.price,
-        image: Array.isArray(p.images) && p.images.length ? p.images[0].url : undefined,
-        shop: shopMap[p.shopId._id.toString()] || null,
-        createdAt: p.createdAt
-      }));
+      .map(p => {
+        const pricing = computeProductPrice(p, offersByProduct[p._id.toString()] || [], {
+          now,
+          timezone: timezoneByShop[p.shopId._id.toString()]
+        });
+        return {
+          id: p._id,
+          name: p.name,
+          description: p.description,
+          category: p.category,
+          price: p.price,
+          effectivePrice: pricing.effectivePrice,
+          bestOfferPercent: pricing.discountPercent,
+          appliedOffers: pricing.appliedOffers,
+          variants: productVariantService.variantSummary(p),
+          image: Array.isArray(p.images) && p.images.length ? p.images[0].url : undefined,
+          shop: shopMap[p.shopId._id.toString()] || null,
+          createdAt: p.createdAt
+        };
+      });
 
     // Get all shops with offers (including those without matching products)
     const shopsWithOffers = Object.values(shopMap).filter(shop => shop.offers.length > 0);
@@ -380,6 +344,354 @@ exports.searchProductsWithShopsAndOffers = async (req, res) => {
   }
 };
 
+// Shopper: Subscribe to a back-in-stock alert for an out-of-stock product, or for one
+// out-of-stock variant of it (body: variantId?)
+exports.subscribeRestock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variantId = (req.body && req.body.variantId) || null;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findOne({ _id: id, status: 'active' }).select('name stock shopId variants');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const variant = variantId ? productVariantService.findVariant(product, variantId) : null;
+    if (variantId && (!variant || variant.isActive === false)) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+    if ((variant ? variant.stock : product.stock) > 0) {
+      return res.status(400).json({ success: false, message: `${variant ? 'Variant' : 'Product'} is already in stock` });
+    }
+
+    await restockAlertService.subscribe(req.user.id, product, variant ? variant._id : null);
+
+    res.status(201).json({
+      success: true,
+      message: 'You will be notified when this product is back in stock',
+      data: { productId: product._id, variantId: variant ? variant._id : null, subscribed: true }
+    });
+  } catch (error) {
+    console.error('Subscribe restock error:', error);
+    res.status(500).json({ success: false, message: 'Failed to subscribe to restock alert' });
+  }
+};
+
+// Shopper: Cancel a back-in-stock alert (query: variantId? for a variant's alert)
+exports.unsubscribeRestock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variantId = req.query.variantId || null;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ success: false, message: 'Invalid variant ID' });
+    }
+
+    const subscription = await restockAlertService.unsubscribe(req.user.id, id, variantId);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'No active restock alert for this product' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Restock alert cancelled',
+      data: { productId: id, variantId, subscribed: false }
+    });
+  } catch (error) {
+    console.error('Unsubscribe restock error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel restock alert' });
+  }
+};
+
+// Shopper: Check whether the current user is waiting on a product (query: variantId? for a variant)
+exports.getRestockSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variantId = req.query.variantId || null;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ success: false, message: 'Invalid variant ID' });
+    }
+
+    const subscribed = await restockAlertService.isSubscribed(req.user.id, id, variantId);
+    res.json({ success: true, data: { productId: id, variantId, subscribed } });
+  } catch (error) {
+    console.error('Get restock subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch restock alert' });
+  }
+};
+
+// Public: Price timeline for a product
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findOne({ _id: id, status: 'active' }).select('name price shopId variants');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 90, 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const entries = await priceHistoryService.getPriceTimeline(product._id, { since });
+
+    const offers = await priceHistoryService.getActiveProductOffers(product._id);
+    const current = computeProductPrice(product, offers);
+    const effectivePrices = entries.map(e => e.effectivePrice).concat(current.effectivePrice);
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        name: product.name,
+        current: {
+          price: current.price,
+          effectivePrice: current.effectivePrice,
+          offerId: current.offer ? current.offer._id : null,
+          variantId: current.variantId
+        },
+        lowestEffectivePrice: Math.min(...effectivePrices),
+        highestEffectivePrice: Math.max(...effectivePrices),
+        timeline: entries.map(e => ({
+          price: e.price,
+          effectivePrice: e.effectivePrice,
+          reason: e.reason,
+          offer: e.offerId ? { id: e.offerId._id, title: e.offerId.title } : null,
+          discountType: e.discountType,
+          discountValue: e.discountValue,
+          changedAt: e.createdAt
+        })),
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch price history' });
+  }
+};
+
+// Public: alternatives to a product (same kind of item, similar price, co-viewed, nearby shops)
+exports.getSimilarProducts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const { latitude, longitude } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+    const userLocation = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : undefined;
+
+    const products = await similarityService.getSimilarProducts(id, { limit, userLocation });
+    if (!products) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({ success: true, data: { productId: id, products, total: products.length } });
+  } catch (error) {
+    console.error('Get similar products error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch similar products' });
+  }
+};
+
+// Public: the same item across shops with effective price, stock, distance and rating
+// Identify the item by productId, canonicalItemId or brand + itemName
+exports.compareProducts = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { productId, canonicalItemId, brand, itemName, latitude, longitude, maxDistance } = req.query;
+
+    let item = null;
+    if (canonicalItemId) {
+      if (!mongoose.Types.ObjectId.isValid(canonicalItemId)) {
+        return res.status(400).json({ success: false, message: 'Invalid canonical item ID' });
+      }
+      item = await CanonicalItem.findById(canonicalItemId);
+    } else if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ success: false, message: 'Invalid product ID' });
+      }
+      const product = await Product.findById(productId).select('brand itemName category gtin canonicalItemId');
+      if (product && product.canonicalItemId) {
+        item = await CanonicalItem.findById(product.canonicalItemId);
+      } else if (product) {
+        // Listed before matching existed; match it now
+        item = await canonicalItemService.assignCanonicalItem(product);
+        if (item) await Product.updateOne({ _id: product._id }, { $set: { canonicalItemId: item._id } });
+      }
+    } else if (brand && itemName) {
+      const key = canonicalItemService.canonicalKey(brand, itemName);
+      item = key ? await CanonicalItem.findOne({ key }) : null;
+    } else {
+      return res.status(400).json({ success: false, message: 'productId, canonicalItemId or brand and itemName are required' });
+    }
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const userLocation = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : undefined;
+    const comparison = await canonicalItemService.compareItem(item, {
+      userLocation,
+      maxDistance: maxDistance ? parseFloat(maxDistance) : undefined
+    });
+
+    res.json({ success: true, data: comparison });
+  } catch (error) {
+    console.error('Compare products error:', error);
+    res.status(500).json({ success: false, message: 'Failed to compare prices' });
+  }
+};
+
+// Shop owner: catalogue details for a scanned or typed barcode, to pre-fill a new product
+exports.lookupBarcode = async (req, res) => {
+  try {
+    const gtin = catalogueService.normalizeGtin(req.query.barcode);
+    if (!gtin) {
+      return res.status(400).json({ success: false, message: 'barcode must be a valid EAN-8, EAN-13, UPC-A or GTIN-14' });
+    }
+
+    const result = await catalogueService.lookupBarcode(gtin);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'This barcode is not in the catalogue yet', barcode: gtin });
+    }
+
+    const { item, listings } = result;
+    res.json({
+      success: true,
+      data: {
+        barcode: gtin,
+        product: {
+          gtin: item.gtin,
+          name: item.name,
+          category: item.category,
+          brand: item.brand,
+          itemName: item.itemName,
+          description: item.description,
+          image: item.imageUrl ? { url: item.imageUrl } : null,
+          options: item.options
+        },
+        canonicalItemId: item.canonicalItemId,
+        listings
+      }
+    });
+  } catch (error) {
+    console.error('Barcode lookup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to look up barcode' });
+  }
+};
+
+// Price a shopper's cart with every applicable offer (min purchase, bundles, first-time customer, ...)
+exports.getPriceQuote = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+    if (items.length === 0 || items.length > 100) {
+      return res.status(400).json({ success: false, message: 'items must contain between 1 and 100 products' });
+    }
+    if (items.some(i => !mongoose.Types.ObjectId.isValid(i.productId))) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID in items' });
+    }
+
+    const productIds = items.map(i => i.productId);
+    const products = await Product.find({ _id: { $in: productIds }, status: 'active' })
+      .select('name price shopId variants')
+      .populate('shopId', 'shopName timezone');
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    const missing = productIds.filter(id => !productMap.has(String(id)));
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, message: 'Some products are unavailable', productIds: missing });
+    }
+
+    // Products with variants are priced per variant, so the shopper must pick one
+    const variants = [];
+    for (const item of items) {
+      const { variant, error } = productVariantService.resolveVariant(productMap.get(String(item.productId)), item.variantId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, productId: item.productId });
+      }
+      variants.push(variant);
+    }
+
+    const now = new Date();
+    const offers = await Offer.find({
+      productId: { $in: productIds },
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now }
+    }).select(OFFER_PRICING_FIELDS);
+
+    // Per-shop context: timezone for happy hours and whether the shopper has redeemed there before
+    const shopIds = [...new Set(products.map(p => p.shopId._id.toString()))];
+    const redeemedAt = await OfferRedemption.distinct('shopId', { userId: req.user.id, shopId: { $in: shopIds }, status: 'redeemed' });
+    const returning = new Set(redeemedAt.map(String));
+    const shops = {};
+    for (const product of products) {
+      const shopId = product.shopId._id.toString();
+      shops[shopId] = { timezone: product.shopId.timezone, isFirstTimeCustomer: !returning.has(shopId) };
+    }
+
+    const quote = priceCart(items.map((item, index) => {
+      const product = productMap.get(String(item.productId));
+      const variant = variants[index];
+      const productOffers = offers.filter(o => o.productId && o.productId.toString() === product._id.toString());
+      return {
+        productId: product._id.toString(),
+        variantId: variant ? variant._id.toString() : null,
+        shopId: product.shopId._id.toString(),
+        price: variant ? variant.price : product.price,
+        quantity: item.quantity,
+        offers: offersForVariant(productOffers, variant && variant._id)
+      };
+    }), { now, shops });
+
+    res.json({
+      success: true,
+      data: {
+        items: quote.lines.map(line => {
+          const product = productMap.get(line.productId);
+          const variant = productVariantService.findVariant(product, line.variantId);
+          return {
+            productId: line.productId,
+            variantId: line.variantId,
+            name: product.name,
+            variant: variant ? productVariantService.variantLabel(variant) : null,
+            shop: { id: product.shopId._id, name: product.shopId.shopName },
+            price: line.price,
+            quantity: line.quantity,
+            subtotal: line.subtotal,
+            discount: line.discount,
+            total: line.total,
+            effectivePrice: line.effectivePrice,
+            appliedOffers: line.appliedOffers,
+            potentialOffers: line.potentialOffers
+          };
+        }),
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        total: quote.total
+      }
+    });
+  } catch (error) {
+    console.error('Get price quote error:', error);
+    res.status(500).json({ success: false, message: 'Failed to calculate price quote' });
+  }
+};
+
 // Get all products with pagination and filtering
 exports.getAllProducts = async (req, res) => {
   try {
@@ -536,6 +848,9 @@ exports.updateProductStatus = async (req, res) => {
     product.moderatedAt = new Date();
     
     await product.save();
+    if (previousStatus !== status) {
+      similarityService.queueProductRefresh(product);
+    }
     
     // Log the activity
     await logActivity({
@@ -769,8 +1084,11 @@ exports.getMyProducts = async (req, res) => {
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { description: { $regex: search, $options: 'i' } },
+        { 'variants.sku': search }
       ];
+      const gtin = catalogueService.normalizeGtin(search);
+      if (gtin) filter.$or.push({ gtin }, { 'variants.gtin': gtin });
     }
     
     const products = await Product.find(filter)
@@ -788,10 +1106,14 @@ exports.getMyProducts = async (req, res) => {
       category: product.category,
       brand: product.brand,
       itemName: product.itemName,
+      sku: product.sku,
+      gtin: product.gtin,
       price: product.price,
       stock: product.stock,
       status: product.status,
       images: product.images,
+      options: product.options,
+      variants: productVariantService.formatVariants(product),
       createdAt: product.createdAt,
       updatedAt: product.updatedAt
     }));
@@ -823,7 +1145,7 @@ exports.getMyProducts = async (req, res) => {
 exports.updateMyProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, category, price, stock, status, image, brand, itemName, model } = req.body;
+    const { name, description, category, price, stock, status, image, brand, itemName, model, sku, gtin, options, variants } = req.body;
     
     // Get shop ID from authenticated user
     const shop = await Shop.findOne({ ownerId: req.user.id });
@@ -842,6 +1164,40 @@ exports.updateMyProduct = async (req, res) => {
         message: 'Product not found or you do not have permission to update it'
       });
     }
+
+    const normalizedGtin = gtin ? catalogueService.normalizeGtin(gtin) : null;
+    if (gtin && !normalizedGtin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Barcode must be a valid EAN-8, EAN-13, UPC-A or GTIN-14'
+      });
+    }
+
+    // Options and variants: an omitted field keeps its current value; variants sent back with
+    // their id keep it (and the offers targeting that variant)
+    let variantInput = null;
+    if (options !== undefined || variants !== undefined) {
+      const current = productVariantService.variantInput(product);
+      variantInput = productVariantService.normalizeVariantInput({
+        options: options !== undefined ? options : current.options,
+        variants: variants !== undefined ? variants : current.variants
+      }, product.variants);
+      if (variantInput.error) {
+        return res.status(400).json({
+          success: false,
+          message: variantInput.error
+        });
+      }
+    }
+
+    // With variants, price and stock are derived from them on save; a top-level value would be lost
+    const hasVariants = variantInput ? variantInput.value.variants.length > 0 : product.variants.length > 0;
+    if (hasVariants && (price !== undefined || stock !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product has variants; set price and stock on each variant'
+      });
+    }
     
     // Update product fields
     if (name !== undefined) product.name = name;
@@ -851,9 +1207,24 @@ exports.updateMyProduct = async (req, res) => {
     if (itemName !== undefined) product.itemName = itemName;
     // Handle model as itemName for backward compatibility
     if (model !== undefined && itemName === undefined) product.itemName = model;
+    const previousPrice = product.price;
+    const stockBefore = restockAlertService.stockSnapshot(product);
     if (price !== undefined) product.price = price;
     if (stock !== undefined) product.stock = stock;
     if (status !== undefined) product.status = status;
+    if (sku !== undefined) product.sku = sku ? String(sku).trim() : undefined;
+    if (gtin !== undefined) product.gtin = normalizedGtin || undefined;
+    if (variantInput) {
+      // Orders move variant stock directly (orderService.holdStock), and saving the variants
+      // writes the whole array: only save if no variant's stock moved since it was loaded
+      if (product.variants.length > 0) {
+        product.$where = {
+          $and: product.variants.map(variant => ({ variants: { $elemMatch: { _id: variant._id, stock: variant.stock } } }))
+        };
+      }
+      product.options = variantInput.value.options;
+      product.variants = variantInput.value.variants;
+    }
     
     // Update image if provided
     if (image !== undefined) {
@@ -866,7 +1237,33 @@ exports.updateMyProduct = async (req, res) => {
       }
     }
     
+    if (product.isModified('brand') || product.isModified('itemName') || product.isModified('gtin') || !product.canonicalItemId) {
+      await canonicalItemService.assignCanonicalItem(product);
+    }
+    const barcodesChanged = product.isModified('gtin') || product.isModified('variants');
+
+    // Similar-product lists only depend on what the product is, its price and whether it is listed
+    // (variant edits can move the derived price)
+    const similarityChanged = ['name', 'category', 'brand', 'itemName', 'price', 'status', 'variants'].some(field => product.isModified(field));
+
     await product.save();
+
+    // Keep the price timeline (and price drop alerts) in sync
+    if (product.price !== previousPrice) {
+      await priceHistoryService.recordProductPrice(product, { reason: 'price_change', changedBy: req.user.id });
+    }
+
+    if (similarityChanged) {
+      similarityService.queueProductRefresh(product);
+    }
+
+    if (barcodesChanged) {
+      await catalogueService.recordProduct(product);
+    }
+
+    // Back in stock: alert shoppers waiting on this product or a restocked variant (runs in the background)
+    restockAlertService.notifyRestocked(product, stockBefore)
+      .catch(err => console.error('Back-in-stock alert error:', err));
     
     // Log the activity
     await logActivity({
@@ -898,16 +1295,28 @@ exports.updateMyProduct = async (req, res) => {
         name: product.name,
         description: product.description,
         category: product.category,
+        gtin: product.gtin,
         price: product.price,
         stock: product.stock,
         status: product.status,
         images: product.images,
+        options: product.options,
+        variants: productVariantService.formatVariants(product),
         createdAt: product.createdAt,
         updatedAt: product.updatedAt
       }
     });
     
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
+      return res.status(409).json({ success: false, message: 'Another product in your shop already uses this SKU' });
+    }
+    if (error.code === 11000 && error.keyPattern && error.keyPattern['variants.sku']) {
+      return res.status(409).json({ success: false, message: 'A variant SKU is already used by another product in your shop' });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ success: false, message: 'Stock changed while saving (an order came in); reload the product and try again' });
+    }
     console.error('Update my product error:', error);
     res.status(500).json({
       success: false,
@@ -943,6 +1352,7 @@ exports.deleteMyProduct = async (req, res) => {
     
     // Delete the product
     await Product.findByIdAndDelete(id);
+    similarityService.queueProductRefresh(product);
     
     // Log the activity
     await logActivity({
@@ -984,13 +1394,32 @@ exports.createProductWithOffer = async (req, res) => {
   try {
     const { product, offer } = req.body;
     
-    // Validate product data
-    if (!product || !product.name || !product.category || !product.brand || !product.itemName || !product.price || product.stock === undefined) {
+    // Validate product data (products with variants take price and stock from their variants)
+    const hasVariants = !!product && Array.isArray(product.variants) && product.variants.length > 0;
+    if (!product || !product.name || !product.category || !product.brand || !product.itemName ||
+        (!hasVariants && (!product.price || product.stock === undefined))) {
       return res.status(400).json({
         success: false,
         message: 'Product name, category, brand, item name, price, and stock are required'
       });
     }
+
+    const variantInput = productVariantService.normalizeVariantInput({ options: product.options, variants: product.variants });
+    if (variantInput.error) {
+      return res.status(400).json({
+        success: false,
+        message: variantInput.error
+      });
+    }
+
+    // Optional barcode (see GET /api/products/lookup for pre-filling the other fields)
+    const gtin = product.gtin ? catalogueService.normalizeGtin(product.gtin) : null;
+    if (product.gtin && !gtin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Barcode must be a valid EAN-8, EAN-13, UPC-A or GTIN-14'
+      });
+    }
     
     // Get shop ID from authenticated user
     const shop = await Shop.findOne({ ownerId: req.user.id });
@@ -1009,8 +1438,12 @@ exports.createProductWithOffer = async (req, res) => {
       category: product.category,
       brand: product.brand,
       itemName: product.itemName,
-      price: product.price,
-      stock: product.stock,
+      sku: product.sku ? String(product.sku).trim() : undefined,
+      gtin: gtin || undefined,
+      price: hasVariants ? 0 : product.price,
+      stock: hasVariants ? 0 : product.stock,
+      options: variantInput.value.options,
+      variants: variantInput.value.variants,
       status: 'active'
     };
     
@@ -1020,9 +1453,13 @@ exports.createProductWithOffer = async (req, res) => {
     }
     
     const newProduct = new Product(productData);
+    await canonicalItemService.assignCanonicalItem(newProduct);
     await newProduct.save();
+    similarityService.queueProductRefresh(newProduct);
+    await catalogueService.recordProduct(newProduct);
     
     let newOffer = null;
+    let offerVariant = null;
     
     // Create offer if provided
     if (offer && offer.title && offer.discountValue !== undefined) {
@@ -1034,6 +1471,25 @@ exports.createProductWithOffer = async (req, res) => {
         });
       }
       
+      const offerRules = await validateOfferRules(shop._id, offer.discountType, offer.rules, offer.stacking);
+      if (offerRules.error) {
+        return res.status(400).json({
+          success: false,
+          message: offerRules.error
+        });
+      }
+
+      // The variants were just created, so a single-variant offer names its variant by SKU
+      if (offer.variantSku) {
+        offerVariant = newProduct.variants.find(variant => variant.sku === String(offer.variantSku).trim());
+        if (!offerVariant) {
+          return res.status(400).json({
+            success: false,
+            message: 'Offer variantSku does not match any variant of the product'
+          });
+        }
+      }
+      
       // Ensure startDate is not in the future for immediate visibility
       const now = new Date();
       let parsedStart = new Date(offer.startDate);
@@ -1045,10 +1501,13 @@ exports.createProductWithOffer = async (req, res) => {
       const offerData = {
         shopId: shop._id,
         productId: newProduct._id,
+        variantId: offerVariant ? offerVariant._id : undefined,
         title: offer.title,
         description: offer.description || '',
         discountType: offer.discountType,
         discountValue: offer.discountValue,
+        rules: offerRules.rules,
+        stacking: offerRules.stacking,
         startDate: parsedStart,
         endDate: new Date(offer.endDate),
         maxUses: offer.maxUses || 0,
@@ -1095,6 +1554,9 @@ exports.createProductWithOffer = async (req, res) => {
       }
     }
     
+    // Start the price timeline (includes the offer price when created with an offer)
+    await priceHistoryService.recordProductPrice(newProduct, { reason: 'initial', changedBy: req.user.id });
+    
     // Log the activity
     await logActivity({
       type: 'product_created',
@@ -1121,7 +1583,7 @@ exports.createProductWithOffer = async (req, res) => {
     // Send push notification for new offer (if created with product)
     if (newOffer && newOffer.status === 'active') {
       try {
-        const isFeatured = newOffer.discountValue > 20;
+        const isFeatured = headlineDiscountPercent(newOffer, offerVariant ? offerVariant.price : newProduct.price) > 20;
         
         // Send notification for featured offers (discount > 20%)
         if (isFeatured) {
@@ -1144,10 +1606,13 @@ exports.createProductWithOffer = async (req, res) => {
         name: newProduct.name,
         description: newProduct.description,
         category: newProduct.category,
+        gtin: newProduct.gtin,
         price: newProduct.price,
         stock: newProduct.stock,
         status: newProduct.status,
         images: newProduct.images,
+        options: newProduct.options,
+        variants: productVariantService.formatVariants(newProduct),
         createdAt: newProduct.createdAt
       },
       offer: newOffer ? {
@@ -1160,12 +1625,19 @@ exports.createProductWithOffer = async (req, res) => {
         endDate: newOffer.endDate,
         maxUses: newOffer.maxUses,
         currentUses: newOffer.currentUses,
+        variantId: newOffer.variantId,
         status: newOffer.status,
         createdAt: newOffer.createdAt
       } : null
     });
     
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
+      return res.status(409).json({ success: false, message: 'Another product in your shop already uses this SKU' });
+    }
+    if (error.code === 11000 && error.keyPattern && error.keyPattern['variants.sku']) {
+      return res.status(409).json({ success: false, message: 'A variant SKU is already used by another product in your shop' });
+    }
     console.error('Create product with offer error:', error);
     res.status(500).json({
       success: false,
@@ -1216,3 +1688,135 @@ exports.uploadProductImage = [handleSingleFile, async (req, res) => {
     return res.status(500).json({ success: false, message: 'Failed to upload product image' });
   }
 }];
+
+// POST /api/shops/products/import - Bulk upsert the shop's catalogue from a CSV/XLSX file
+// form-data: file, mapping (JSON {field: column heading}, optional), dryRun ("true" to only validate)
+// Rows are matched by SKU, then by category + brand + itemName; valid rows are imported by a
+// background job and rows with errors are reported and skipped
+exports.importMyProducts = [handleSingleFile, async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file || !file.buffer) {
+      return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+    if (file.size > 10 * 1024 * 1024) {
+      return res.status(400).json({ success: false, message: 'File size too large. Maximum size is 10MB.' });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (_) {
+        return res.status(400).json({ success: false, message: 'mapping must be a JSON object of field to column heading' });
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ success: false, message: 'mapping must be a JSON object of field to column heading' });
+      }
+    }
+
+    const parsed = await inventoryImportService.parseFile(file.buffer);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const shop = req.shop;
+    const validation = await inventoryImportService.validateImport(shop._id, parsed, mapping);
+    if (validation.error) {
+      return res.status(400).json({ success: false, message: validation.error, columns: parsed.headers });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true || req.query.dryRun === 'true';
+    if (dryRun || validation.rows.length === 0) {
+      return res.json({ success: true, dryRun, data: { report: validation.report } });
+    }
+
+    const { job, created } = await jobQueueService.enqueue('inventory_import', {
+      shopId: String(shop._id),
+      userId: String(req.user.id),
+      fileName: file.originalname,
+      rows: validation.rows
+    }, { dedupeKey: `inventory_import:${shop._id}` });
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: 'An import is already running for this shop',
+        data: { jobId: job._id }
+      });
+    }
+
+    await logActivity({
+      type: 'product_updated',
+      description: `Bulk import of ${validation.rows.length} products queued from "${file.originalname}"`,
+      shopId: shop._id,
+      userId: req.user.id,
+      metadata: { jobId: job._id, fileName: file.originalname, summary: validation.report.summary },
+      severity: 'low',
+      status: 'success',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import queued',
+      dryRun: false,
+      data: { jobId: job._id, report: validation.report }
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({ success: false, message: 'Failed to import products' });
+  }
+}];
+
+// GET /api/shops/products/import/:jobId - Progress and result of the shop's import
+exports.getMyImportStatus = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    const job = await Job.findOne({
+      _id: req.params.jobId,
+      type: 'inventory_import',
+      'payload.shopId': String(req.shop._id)
+    }).select('-payload.rows');
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+        fileName: job.payload && job.payload.fileName,
+        progress: job.progress,
+        result: job.result,
+        lastError: job.lastError,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get import status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch import status' });
+  }
+};
+
+// GET /api/shops/products/export?format=csv|xlsx - The shop's catalogue in import format
+exports.exportMyProducts = async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const file = await inventoryImportService.exportCatalogue(req.shop._id, format);
+    const fileName = `${(req.shop.shopName || 'shop').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-products.${file.extension}`;
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({ success: false, message: 'Failed to export products' });
+  }
+};
@@ -1,21 +1,32 @@
 const RankingService = require('../services/rankingService');
+const jobQueueService = require('../services/jobQueueService');
+const experimentService = require('../services/experimentService');
+const impressionService = require('../services/impressionService');
 const UserBehavior = require('../models/userBehaviorModel');
 const UserProfile = require('../models/userProfileModel');
 
 class RankingController {
+  constructor() {
+    // Routes pass these methods unbound; bind them so handlers can use this
+    for (const name of Object.getOwnPropertyNames(RankingController.prototype)) {
+      if (name !== 'constructor') this[name] = this[name].bind(this);
+    }
+  }
+
   
   /**
    * Rank shops with advanced ML-based ranking
    */
   async rankShops(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { 
         latitude, 
         longitude, 
         category, 
         minRating, 
         maxDistance = 10,
+        openNow,
         limit = 20 
       } = req.query;
 
@@ -35,7 +46,8 @@ class RankingController {
       const filters = {
         category,
         minRating: minRating ? parseFloat(minRating) : undefined,
-        maxDistance: parseFloat(maxDistance)
+        maxDistance: parseFloat(maxDistance),
+        openNow: openNow === 'true'
       };
 
       // Get ranked shops
@@ -49,15 +61,23 @@ class RankingController {
       // Track the ranking request
       await this.trackRankingRequest(userId, 'shop', filters, rankedShops.length);
 
+      const modelVersion = this.activeModelVersion();
+      const requestId = this.logRankedImpressions(userId, 'ranking_shops', 'shop', rankedShops, {
+        algorithm: 'hybrid_ml_ranking',
+        modelVersion
+      });
+
       res.json({
         success: true,
         data: {
+          requestId,
           shops: rankedShops,
           total: rankedShops.length,
           filters: filters,
           rankingInfo: {
             algorithm: 'hybrid_ml_ranking',
             features: ['rating', 'distance', 'popularity', 'user_preferences', 'clustering', 'learn_to_rank'],
+            modelVersion,
             timestamp: new Date()
           }
         }
@@ -78,13 +98,14 @@ class RankingController {
    */
   async rankShopsSimple(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { 
         latitude, 
         longitude, 
         category, 
         minRating, 
         maxDistance = 10,
+        openNow,
         limit = 20 
       } = req.query;
 
@@ -96,16 +117,22 @@ class RankingController {
       const filters = {
         category,
         minRating: minRating ? parseFloat(minRating) : undefined,
-        maxDistance: parseFloat(maxDistance)
+        maxDistance: parseFloat(maxDistance),
+        openNow: openNow === 'true'
       };
 
       const rankedShops = await RankingService.rankShopsSimple(
         userId, userLocation, filters, parseInt(limit)
       );
 
+      const requestId = this.logRankedImpressions(userId, 'ranking_shops_simple', 'shop', rankedShops, {
+        algorithm: 'visit_priority_score'
+      });
+
       return res.json({
         success: true,
         data: {
+          requestId,
           shops: rankedShops,
           total: rankedShops.length,
           filters,
@@ -127,7 +154,7 @@ class RankingController {
    */
   async rankOffers(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { 
         latitude, 
         longitude, 
@@ -167,15 +194,23 @@ class RankingController {
       // Track the ranking request
       await this.trackRankingRequest(userId, 'offer', filters, rankedOffers.length);
 
+      const modelVersion = this.activeModelVersion();
+      const requestId = this.logRankedImpressions(userId, 'ranking_offers', 'offer', rankedOffers, {
+        algorithm: 'hybrid_ml_ranking',
+        modelVersion
+      });
+
       res.json({
         success: true,
         data: {
+          requestId,
           offers: rankedOffers,
           total: rankedOffers.length,
           filters: filters,
           rankingInfo: {
             algorithm: 'hybrid_ml_ranking',
             features: ['discount', 'distance', 'shop_rating', 'user_preferences', 'clustering', 'learn_to_rank'],
+            modelVersion,
             timestamp: new Date()
           }
         }
@@ -227,29 +262,26 @@ class RankingController {
 
   /**
    * Retrain ranking models (admin endpoint)
+   * Queues a background job that trains a new model version and activates it when done
    */
   async retrainModels(req, res) {
     try {
-      // Check if user is admin
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin access required'
-        });
-      }
+      const notes = typeof req.body?.notes === 'string' ? req.body.notes.trim().slice(0, 500) : undefined;
 
-      // Start retraining in background
-      RankingService.retrainModels()
-        .then(() => {
-          console.log('Model retraining completed successfully');
-        })
-        .catch((error) => {
-          console.error('Model retraining failed:', error);
-        });
+      const { job, created } = await jobQueueService.enqueue('model_retrain', { notes }, {
+        dedupeKey: 'model_retrain',
+        requestedBy: req.admin.id,
+        maxAttempts: 1
+      });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Model retraining started',
+        message: created ? 'Model retraining queued' : 'Model retraining is already queued',
+        data: {
+          jobId: job._id,
+          status: job.status,
+          currentVersion: RankingService.loadedVersion ? RankingService.loadedVersion.version : null
+        },
         timestamp: new Date()
       });
 
@@ -268,17 +300,19 @@ class RankingController {
    */
   async getModelStatus(req, res) {
     try {
-      // Check if user is admin
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin access required'
-        });
-      }
+      await RankingService.loadActiveModels(true);
+      const { versions, total } = await RankingService.listModelVersions({ limit: 1 });
+      const { jobs: retrainJobs } = await jobQueueService.listJobs({ type: 'model_retrain', limit: 1 });
+      const active = RankingService.loadedVersion;
 
       const status = {
+        activeVersion: active ? active.version : null,
+        latestVersion: versions.length ? versions[0].version : null,
+        totalVersions: total,
         clusteringModels: RankingService.clusteringModels.size,
         rankingModels: RankingService.rankingModels.size,
+        training: !!RankingService.training,
+        lastRetrainJob: retrainJobs[0] || null,
         lastUpdate: RankingService.lastModelUpdate,
         nextUpdate: new Date(RankingService.lastModelUpdate.getTime() + RankingService.modelUpdateInterval),
         modelUpdateInterval: RankingService.modelUpdateInterval
@@ -299,18 +333,146 @@ class RankingController {
     }
   }
 
+  /**
+   * List persisted model versions (admin endpoint)
+   */
+  async getModelVersions(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const { versions, total } = await RankingService.listModelVersions({ page, limit });
+
+      res.json({
+        success: true,
+        data: {
+          versions,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: limit
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing model versions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error listing model versions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare the metrics of two model versions (admin endpoint)
+   */
+  async compareModelVersions(req, res) {
+    try {
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to version numbers are required'
+        });
+      }
+
+      const comparison = await RankingService.compareModelVersions(from, to);
+      if (!comparison) {
+        return res.status(404).json({
+          success: false,
+          message: 'Model version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: comparison
+      });
+
+    } catch (error) {
+      console.error('Error comparing model versions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error comparing model versions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Roll back to (activate) an earlier model version (admin endpoint)
+   * Other instances pick it up on their next version check
+   */
+  async rollbackModels(req, res) {
+    try {
+      let target = req.body?.version !== undefined ? parseInt(req.body.version) : undefined;
+
+      // Default: the version before the active one
+      if (target === undefined) {
+        await RankingService.loadActiveModels(true);
+        const current = RankingService.loadedVersion;
+        const { versions } = await RankingService.listModelVersions({ limit: 100 });
+        const previous = versions.find(v => !current || v.version < current.version);
+        if (!previous) {
+          return res.status(404).json({
+            success: false,
+            message: 'No earlier model version to roll back to'
+          });
+        }
+        target = previous.version;
+      }
+
+      if (!Number.isInteger(target)) {
+        return res.status(400).json({
+          success: false,
+          message: 'version must be a number'
+        });
+      }
+
+      const version = await RankingService.activateModelVersion(target, req.admin.id);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          message: 'Model version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Ranking model version ${version.version} is now active`,
+        data: {
+          version: version.version,
+          activatedAt: version.activatedAt,
+          metrics: version.metrics
+        }
+      });
+
+    } catch (error) {
+      console.error('Error rolling back ranking models:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rolling back ranking models',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Track user interaction with ranked items
    */
   async trackInteraction(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { 
         itemId, 
         itemType, 
         behaviorType, 
         rank, 
-        score 
+        score,
+        requestId
       } = req.body;
 
       // Validate required fields
@@ -321,6 +483,11 @@ class RankingController {
         });
       }
 
+      // Join the click to the impression it came from; the logged position wins over the client's rank
+      const impression = requestId
+        ? await impressionService.recordClick({ requestId: String(requestId), userId, itemId, clickType: behaviorType })
+        : null;
+
       // Track the interaction
       const behavior = new UserBehavior({
         userId,
@@ -328,9 +495,9 @@ class RankingController {
         targetType: itemType,
         behaviorType,
         metadata: {
-          rank: rank || null,
-          rankingScore: score || null,
-          timestamp: new Date()
+          requestId: impression ? String(requestId) : undefined,
+          rank: impression ? impression.position : (rank || null),
+          rankingScore: score || null
         }
       });
 
@@ -341,6 +508,7 @@ class RankingController {
         message: 'Interaction tracked successfully',
         data: {
           behaviorId: behavior._id,
+          impression: impression ? { requestId, position: impression.position, firstClick: impression.firstClick } : null,
           timestamp: behavior.createdAt
         }
       });
@@ -416,11 +584,12 @@ class RankingController {
   }
 
   /**
-   * A/B test ranking algorithms
+   * Rank with the algorithm of the user's variant in the running ranking experiment
+   * (ML ranking when no experiment applies to the user)
    */
   async getABTestRanking(req, res) {
     try {
-      const { userId } = req.user;
+      const userId = req.user.id;
       const { 
         latitude, 
         longitude, 
@@ -440,33 +609,43 @@ class RankingController {
         longitude: parseFloat(longitude)
       };
 
-      // Determine A/B test variant
-      const variant = this.getABVariant(userId);
+      const assignment = await experimentService.assignVariant(userId, 'ranking');
+      const algorithm = assignment ? assignment.variant.config.algorithm : 'ml';
       
       let rankedItems;
-      if (variant === 'A') {
-        // Control group - rule-based ranking
+      if (algorithm === 'rule_based') {
         rankedItems = await this.getRuleBasedRanking(userId, userLocation, itemType, parseInt(limit));
+      } else if (algorithm === 'simple' && itemType === 'shop') {
+        rankedItems = await RankingService.rankShopsSimple(userId, userLocation, {}, parseInt(limit));
+      } else if (itemType === 'shop') {
+        rankedItems = await RankingService.rankShops(userId, userLocation, {}, parseInt(limit));
       } else {
-        // Treatment group - ML-based ranking
-        if (itemType === 'shop') {
-          rankedItems = await RankingService.rankShops(userId, userLocation, {}, parseInt(limit));
-        } else {
-          rankedItems = await RankingService.rankOffers(userId, userLocation, {}, parseInt(limit));
-        }
+        rankedItems = await RankingService.rankOffers(userId, userLocation, {}, parseInt(limit));
       }
 
-      // Track A/B test participation
-      await this.trackABTestParticipation(userId, variant, itemType);
+      // Exposure is what the experiment results attribute clicks and conversions to
+      experimentService.logExposure(assignment, userId, {
+        itemType: itemType === 'shop' ? 'shop' : 'offer',
+        itemIds: rankedItems.map(item => item._id)
+      });
+
+      const requestId = this.logRankedImpressions(userId, 'ranking_ab_test', itemType === 'shop' ? 'shop' : 'offer', rankedItems, {
+        algorithm,
+        modelVersion: algorithm === 'rule_based' || (algorithm === 'simple' && itemType === 'shop') ? null : this.activeModelVersion(),
+        experimentKey: assignment ? assignment.experiment.key : undefined,
+        variantKey: assignment ? assignment.variant.key : undefined
+      });
 
       res.json({
         success: true,
         data: {
+          requestId,
           items: rankedItems,
           total: rankedItems.length,
           abTest: {
-            variant,
-            algorithm: variant === 'A' ? 'rule_based' : 'ml_based',
+            experiment: assignment ? assignment.experiment.key : null,
+            variant: assignment ? assignment.variant.key : null,
+            algorithm,
             timestamp: new Date()
           }
         }
@@ -484,6 +663,29 @@ class RankingController {
 
   // ===== UTILITY METHODS =====
 
+  /**
+   * Version of the ML ranking models currently served, if any
+   */
+  activeModelVersion() {
+    return RankingService.loadedVersion ? RankingService.loadedVersion.version : null;
+  }
+
+  /**
+   * Log the ranked list as impressions (in the background) and return its request ID
+   */
+  logRankedImpressions(userId, surface, itemType, rankedItems, details = {}) {
+    const requestId = impressionService.createRequestId();
+    impressionService.logImpressions({
+      requestId,
+      userId,
+      surface,
+      itemType,
+      items: rankedItems.map(item => ({ itemId: item._id, score: item.rankingScore })),
+      ...details
+    });
+    return requestId;
+  }
+
   /**
    * Track ranking request for analytics
    */
@@ -506,20 +708,6 @@ class RankingController {
     }
   }
 
-  /**
-   * Get A/B test variant for user
-   */
-  getABVariant(userId) {
-    // Consistent 50/50 bucket by hashing userId
-    const str = String(userId || '');
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      hash = ((hash << 5) - hash) + str.charCodeAt(i);
-      hash |= 0;
-    }
-    return (Math.abs(hash) % 2) === 0 ? 'A' : 'B';
-  }
-
   /**
    * Get rule-based ranking (control group)
    */
@@ -558,28 +746,6 @@ class RankingController {
       return [];
     }
   }
-
-  /**
-   * Track A/B test participation
-   */
-  async trackABTestParticipation(userId, variant, itemType) {
-    try {
-      const behavior = new UserBehavior({
-        userId,
-        behaviorType: 'ab_test_participation',
-        targetType: itemType,
-        metadata: {
-          variant,
-          testType: 'ranking_algorithm',
-          timestamp: new Date()
-        }
-      });
-
-      await behavior.save();
-    } catch (error) {
-      console.error('Error tracking A/B test participation:', error);
-    }
-  }
 }
 
 module.exports = new RankingController();
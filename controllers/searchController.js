@@ -1,7 +1,12 @@
-const Product = require('../models/productModel');
-const Shop = require('../models/shopModel');
 const Offer = require('../models/offerModel');
-const { expandQueryTerms, computeProductRelevance } = require('../services/searchService');
+const { expandQueryTerms } = require('../services/searchService');
+const searchIndexService = require('../services/searchIndexService');
+const searchRuleService = require('../services/searchRuleService');
+const { computeOpenStatus } = require('../services/openingHoursService');
+const { OFFER_PRICING_FIELDS, computeProductPrice, offerHeadlinePercent } = require('../services/pricingService');
+const { variantSummary } = require('../services/productVariantService');
+const { normalizeGtin } = require('../services/catalogueService');
+const impressionService = require('../services/impressionService');
 
 function haversineKm(a, b) {
   if (!a || !b) return undefined;
@@ -15,80 +20,106 @@ function haversineKm(a, b) {
   return 2 * R * Math.asin(Math.sqrt(h));
 }
 
+// Log the returned list in the background; the request ID lets clicks join back to it
+function logSearchImpressions(req, surface, itemType, items) {
+  const requestId = impressionService.createRequestId();
+  impressionService.logImpressions({
+    requestId,
+    userId: req.user.id,
+    surface,
+    itemType,
+    query: req.query.q,
+    items
+  });
+  return requestId;
+}
+
 class SearchController {
   async searchProducts(req, res) {
     try {
-      const { q = '', latitude, longitude, limit = 20 } = req.query;
-      const tokens = expandQueryTerms(q);
-      if (tokens.length === 0) {
-        return res.json({ success: true, data: { products: [], total: 0, tokens } });
+      const { q = '', barcode, latitude, longitude, limit = 20, category, brand, minPrice, maxPrice, maxDistance, sort } = req.query;
+      if (barcode && !normalizeGtin(barcode)) {
+        return res.status(400).json({ success: false, message: 'Invalid barcode' });
+      }
+      const tokens = expandQueryTerms(q, await searchRuleService.getRules());
+      if (tokens.length === 0 && !barcode) {
+        return res.json({ success: true, data: { products: [], total: 0, tokens, facets: {}, nextCursor: null } });
+      }
+
+      const cursor = searchIndexService.decodeCursor(req.query.cursor);
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
       }
 
       const userLoc = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null;
-      const products = await Product.find({ status: 'active' })
-        .populate('shopId', 'shopName rating location verificationStatus isActive isLive')
-        .limit(500);
+      const page = await searchIndexService.searchProducts({
+        q,
+        barcode,
+        category,
+        brand,
+        minPrice,
+        maxPrice,
+        inStock: req.query.inStock === 'true',
+        userLocation: userLoc,
+        maxDistance: maxDistance ? parseFloat(maxDistance) : undefined,
+        sort,
+        cursor,
+        limit: Math.min(parseInt(limit) || 20, 50)
+      });
 
-      // Preload offers per product - CRITICAL: Only include offers for specific products
-      const productIds = products.map(p => p._id);
-      // Build a set of product IDs for validation
-      const productIdSet = new Set(products.map(p => String(p._id)));
-      
+      // Price the page with each product's own active offers
+      const now = new Date();
       const offers = await Offer.find({ 
-        productId: { $in: productIds }, 
+        productId: { $in: page.results.map(p => p._id) }, 
         status: 'active', 
-        startDate: { $lte: new Date() }, 
-        endDate: { $gte: new Date() } 
-      }).select('productId discountType discountValue').lean();
+        startDate: { $lte: now }, 
+        endDate: { $gte: now } 
+      }).select(OFFER_PRICING_FIELDS).lean();
       
-      const bestOfferPctByProduct = new Map();
+      const offersByProduct = new Map();
       for (const ofr of offers) {
-        // Ensure this offer is for one of the products in our search results
-        const key = ofr.productId ? String(ofr.productId) : null;
-        if (!key || !productIdSet.has(key)) {
-          // Skip if offer doesn't match any product in our search results
-          continue;
-        }
-        
-        const pct = ofr.discountType === 'Percentage' ? Number(ofr.discountValue) : 0;
-        const prev = bestOfferPctByProduct.get(key) || 0;
-        if (pct > 0) {
-          bestOfferPctByProduct.set(key, Math.max(prev, pct));
-        }
+        const key = String(ofr.productId);
+        if (!offersByProduct.has(key)) offersByProduct.set(key, []);
+        offersByProduct.get(key).push(ofr);
       }
 
-      const scored = [];
-      for (const product of products) {
-        const shop = product.shopId;
-        if (!shop || shop.verificationStatus !== 'approved' || !shop.isActive || !shop.isLive) continue;
+      const results = page.results.map(product => {
+        const pricing = computeProductPrice(product, offersByProduct.get(String(product._id)) || [], {
+          now,
+          timezone: product.shop.timezone
+        });
+        return {
+          productId: product._id,
+          name: product.name,
+          category: product.category,
+          brand: product.brand,
+          price: product.price,
+          effectivePrice: pricing.effectivePrice,
+          shopName: product.shop.shopName,
+          shopRating: product.shop.rating,
+          distanceKm: product.distanceKm === null ? undefined : product.distanceKm,
+          bestOfferPercent: pricing.discountPercent,
+          variants: variantSummary(product),
+          score: product.score
+        };
+      });
 
-        const distanceKm = (userLoc && shop.location?.coordinates)
-          ? haversineKm(userLoc, { latitude: shop.location.coordinates[1], longitude: shop.location.coordinates[0] })
-          : undefined;
-        const bestOfferPercent = bestOfferPctByProduct.get(String(product._id)) || 0;
+      const requestId = logSearchImpressions(req, 'search_products', 'product',
+        results.map(r => ({ itemId: r.productId, score: r.score })));
 
-        const score = computeProductRelevance({ product, shop, tokens, distanceKm, bestOfferPercent });
-        if (score <= 0) continue;
-
-        scored.push({ product, shop, score, distanceKm, bestOfferPercent });
-      }
-
-      const results = scored
-        .sort((a, b) => b.score - a.score)
-        .slice(0, parseInt(limit))
-        .map(r => ({
-          productId: r.product._id,
-          name: r.product.name,
-          category: r.product.category,
-          price: r.product.price,
-          shopName: r.shop.shopName,
-          shopRating: r.shop.rating,
-          distanceKm: r.distanceKm,
-          bestOfferPercent: r.bestOfferPercent,
-          score: r.score
-        }));
-
-      res.json({ success: true, data: { products: results, total: results.length, tokens } });
+      res.json({
+        success: true,
+        data: {
+          requestId,
+          products: results,
+          total: page.total,
+          tokens,
+          redirect: page.redirect,
+          barcode: page.barcode,
+          facets: page.facets,
+          nextCursor: page.nextCursor
+        }
+      });
     } catch (error) {
       console.error('Error in searchProducts:', error);
       res.status(500).json({ success: false, message: 'Search failed', error: error.message });
@@ -97,46 +128,87 @@ class SearchController {
 
   async searchShops(req, res) {
     try {
-      const { q = '', latitude, longitude, limit = 20 } = req.query;
-      const tokens = expandQueryTerms(q);
+      const { q = '', latitude, longitude, limit = 20, category, maxDistance, sort } = req.query;
+      const openNow = req.query.openNow === 'true';
+      const now = new Date();
+      const tokens = expandQueryTerms(q, await searchRuleService.getRules());
       const userLoc = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null;
 
-      const shops = await Shop.find({ verificationStatus: 'approved', isActive: true })
-        .select('shopName rating address state location isLive')
-        .limit(500);
+      const cursor = searchIndexService.decodeCursor(req.query.cursor);
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
 
-      const results = shops
-        .map(shop => {
-          const hay = [shop.shopName, shop.address, shop.state].filter(Boolean).join(' ').toLowerCase();
-          let text = 0; for (const t of tokens) if (hay.includes(t)) text += 3;
-          const dist = (userLoc && shop.location?.coordinates) ? haversineKm(userLoc, { latitude: shop.location.coordinates[1], longitude: shop.location.coordinates[0] }) : undefined;
-          let score = text + Math.min(shop.rating || 0, 5) * 1.2;
-          if (typeof dist === 'number') {
-            if (dist <= 1) score += 4; else if (dist <= 3) score += 2.5; else if (dist <= 5) score += 1.5; else if (dist <= 10) score += 0.5;
-          }
-          return { shop, score, dist };
-        })
-        .filter(r => r.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, parseInt(limit))
-        .map(r => ({
-          shopId: r.shop._id,
-          shopName: r.shop.shopName,
-          rating: r.shop.rating,
-          address: r.shop.address,
-          distanceKm: r.dist,
-          score: r.score,
-          isLive: r.shop.isLive,
-          isOpen: r.shop.isLive
+      const page = await searchIndexService.searchShops({
+        q,
+        category,
+        openNow,
+        userLocation: userLoc,
+        maxDistance: maxDistance ? parseFloat(maxDistance) : undefined,
+        sort,
+        cursor,
+        limit: Math.min(parseInt(limit) || 20, 50),
+        now
+      });
+
+      // With openNow the search only returns shops open now; total is then null
+      const results = page.results
+        .map(shop => ({ shop, openStatus: computeOpenStatus(shop, now) }))
+        .map(({ shop, openStatus }) => ({
+          shopId: shop._id,
+          shopName: shop.shopName,
+          rating: shop.rating,
+          address: shop.address,
+          category: shop.category,
+          distanceKm: shop.distanceKm === null ? undefined : shop.distanceKm,
+          score: shop.score,
+          isLive: shop.isLive,
+          isOpen: openStatus.isOpen,
+          opensAt: openStatus.opensAt,
+          closesAt: openStatus.closesAt,
+          closesInMinutes: openStatus.closesInMinutes
         }));
 
-      res.json({ success: true, data: { shops: results, total: results.length, tokens } });
+      const requestId = logSearchImpressions(req, 'search_shops', 'shop',
+        results.map(r => ({ itemId: r.shopId, score: r.score })));
+
+      res.json({
+        success: true,
+        data: {
+          requestId,
+          shops: results,
+          total: page.total,
+          tokens,
+          facets: page.facets,
+          nextCursor: page.nextCursor
+        }
+      });
     } catch (error) {
       console.error('Error in searchShops:', error);
       res.status(500).json({ success: false, message: 'Shop search failed', error: error.message });
     }
   }
 
+  async autocomplete(req, res) {
+    try {
+      const { q = '', latitude, longitude, limit = 5 } = req.query;
+      if (!q.trim()) {
+        return res.json({ success: true, data: { products: [], shops: [], categories: [], brands: [] } });
+      }
+
+      const userLoc = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null;
+      const suggestions = await searchIndexService.autocomplete(q, {
+        userLocation: userLoc,
+        limit: Math.min(parseInt(limit) || 5, 10)
+      });
+
+      res.json({ success: true, data: suggestions });
+    } catch (error) {
+      console.error('Error in autocomplete:', error);
+      res.status(500).json({ success: false, message: 'Autocomplete failed', error: error.message });
+    }
+  }
+
   async discover(req, res) {
     try {
       const { latitude, longitude, limit = 20 } = req.query;
@@ -146,7 +218,7 @@ class SearchController {
       const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
       const offers = await Offer.find({ status: 'active', startDate: { $lte: new Date() }, endDate: { $gte: new Date() } })
         .populate('shopId', 'shopName rating location isLive isActive verificationStatus')
-        .populate('productId', 'name category price createdAt')
+        .populate('productId', 'name category price variants createdAt')
         .limit(500);
 
       const items = offers
@@ -157,7 +229,7 @@ class SearchController {
           // Simple interest score: discount + rating + freshness
           const freshDays = o.productId?.createdAt ? Math.max(0, (Date.now() - new Date(o.productId.createdAt).getTime()) / (1000*60*60*24)) : 999;
           const freshness = freshDays < 7 ? 2 : freshDays < 30 ? 1 : 0;
-          let score = Math.min((o.discountType === 'Percentage' ? o.discountValue : 0) / 10, 3) + Math.min(o.shopId.rating || 0, 5) * 0.8 + freshness;
+          let score = Math.min(offerHeadlinePercent(o) / 10, 3) + Math.min(o.shopId.rating || 0, 5) * 0.8 + freshness;
           if (typeof dist === 'number') {
             if (dist <= 1) score += 2; else if (dist <= 3) score += 1; else if (dist <= 5) score += 0.5;
           }
@@ -177,7 +249,10 @@ class SearchController {
           score: r.score
         }));
 
-      res.json({ success: true, data: { items, total: items.length } });
+      const requestId = logSearchImpressions(req, 'search_discover', 'offer',
+        items.map(r => ({ itemId: r.offerId, score: r.score })));
+
+      res.json({ success: true, data: { requestId, items, total: items.length } });
     } catch (error) {
       console.error('Error in discover:', error);
       res.status(500).json({ success: false, message: 'Discovery failed', error: error.message });
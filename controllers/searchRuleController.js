@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const SearchRule = require('../models/searchRuleModel');
+const searchRuleService = require('../services/searchRuleService');
+const { logActivity } = require('./activityController');
+
+const logSearchRuleAction = (req, rule, action) => logActivity({
+  type: 'admin_action',
+  description: `Search ${rule.type} rule "${rule.term}" (${rule.language}) ${action} by admin`,
+  adminId: req.admin?.id,
+  metadata: { searchRuleId: rule._id, type: rule.type, language: rule.language, term: rule.term },
+  severity: 'low',
+  status: 'success',
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('User-Agent')
+});
+
+// List search rules
+exports.getSearchRules = async (req, res) => {
+  try {
+    const { type, language, isActive, q } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (language) filter.language = language;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ term: pattern }, { synonyms: pattern }, { correction: pattern }, { category: pattern }];
+    }
+
+    const rules = await SearchRule.find(filter)
+      .sort({ type: 1, language: 1, term: 1 })
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Get search rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch search rules' });
+  }
+};
+
+// Create a rule; it applies to searches within a minute (immediately on this instance)
+exports.createSearchRule = async (req, res) => {
+  try {
+    const { value, error } = searchRuleService.normalizeRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const rule = await SearchRule.create({ ...value, createdBy: req.admin.id, updatedBy: req.admin.id });
+    searchRuleService.clearCache();
+    await logSearchRuleAction(req, rule, 'created');
+
+    res.status(201).json({ success: true, message: 'Search rule created', data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule of this type already exists for this term and language' });
+    }
+    console.error('Create search rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create search rule' });
+  }
+};
+
+// Update a rule (its type cannot change)
+exports.updateSearchRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid search rule ID' });
+    }
+    const rule = await SearchRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Search rule not found' });
+    }
+    if (req.body.type !== undefined && req.body.type !== rule.type) {
+      return res.status(400).json({ success: false, message: 'A rule\'s type cannot be changed; create a new rule instead' });
+    }
+
+    const { value, error } = searchRuleService.normalizeRuleInput(
+      { ...req.body, type: undefined },
+      { partial: true, type: rule.type }
+    );
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    Object.assign(rule, value, { updatedBy: req.admin.id });
+    await rule.save();
+    searchRuleService.clearCache();
+    await logSearchRuleAction(req, rule, 'updated');
+
+    res.json({ success: true, message: 'Search rule updated', data: rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A rule of this type already exists for this term and language' });
+    }
+    console.error('Update search rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update search rule' });
+  }
+};
+
+// Delete a rule
+exports.deleteSearchRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid search rule ID' });
+    }
+    const rule = await SearchRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Search rule not found' });
+    }
+    searchRuleService.clearCache();
+    await logSearchRuleAction(req, rule, 'deleted');
+
+    res.json({ success: true, message: 'Search rule deleted' });
+  } catch (error) {
+    console.error('Delete search rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete search rule' });
+  }
+};
+
+// Show how the live rules rewrite a query (redirect, corrections, stop-words, synonym expansion)
+exports.testSearchQuery = async (req, res) => {
+  try {
+    const query = req.body.query !== undefined ? req.body.query : req.query.q;
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ success: false, message: 'query is required' });
+    }
+
+    searchRuleService.clearCache();
+    const result = await searchRuleService.testQuery(query);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Test search query error:', error);
+    res.status(500).json({ success: false, message: 'Failed to test query' });
+  }
+};
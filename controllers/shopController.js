@@ -5,10 +5,21 @@ const Offer = require('../models/offerModel');
 const Review = require('../models/reviewModel');
 const emailService = require('../services/emailService');
 const { reverseGeocode, forwardGeocode, computeAddressMatchScore } = require('../services/geocodingService');
-const { expandQueryTerms } = require('../services/searchService');
-const { extractTextFromUrl, extractLicenseDetails } = require('../services/ocrService');
+const { expandQueryTerms, normalizeToken } = require('../services/searchService');
+const searchRuleService = require('../services/searchRuleService');
+const { extractDocumentFromUrl, extractLicenseDetails, locateField, scoreLicenseMatch } = require('../services/ocrService');
 const { uploadFromUrl } = require('../services/cloudinaryService');
 const { parseExifFromImageUrl } = require('../services/exifService');
+const { getWaitingCountsForShop } = require('../services/restockAlertService');
+const {
+  SCHEDULE_FIELDS,
+  isValidTimeZone,
+  normalizeWeeklySchedule,
+  normalizeScheduleExceptions,
+  computeOpenStatus,
+  collectOpenShops
+} = require('../services/openingHoursService');
+const similarityService = require('../services/similarityService');
 
 // Public: Search shops (keyword + optional geo radius + pagination)
 exports.searchShopsPublic = async (req, res) => {
@@ -18,15 +29,24 @@ exports.searchShopsPublic = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const { q, latitude, longitude, radius = 5000, sort } = req.query; // radius in meters
+    const openNow = req.query.openNow === 'true';
 
     const filter = {
       verificationStatus: 'approved',
       isActive: true
     };
+    // A shop can only be open when the owner has it live; the schedule is checked after the query
+    if (openNow) filter.isLive = true;
 
     if (q) {
-      const tokens = expandQueryTerms(q);
-      const escapedTokens = tokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      // Rewritten terms are accent- and punctuation-free like the search index, so the words as typed
+      // are matched too ("café" still finds "Café"); single letters split off by punctuation are dropped
+      const terms = expandQueryTerms(q, await searchRuleService.getRules());
+      const typed = String(q).toLowerCase().split(/\s+/)
+        .filter(word => word && normalizeToken(word).split(' ').some(w => terms.includes(w)));
+      const tokens = [...new Set([...terms.filter(t => t.length > 1), ...typed])];
+      const escapedTokens = tokens
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\W*'));
       const anyToken = escapedTokens.length ? new RegExp(`(${escapedTokens.join('|')})`, 'i') : null;
       if (anyToken) {
         filter.$or = [
@@ -50,22 +70,33 @@ exports.searchShopsPublic = async (req, res) => {
     let sortOption = { createdAt: -1, _id: 1 };
     if (!filter.location && sort === 'name') sortOption = { shopName: 1, _id: 1 };
 
-    const [shops, total] = await Promise.all([
-      Shop.find(filter)
-        .select('shopName address phone location verificationStatus rating reviewCount createdAt isLive')
-        .sort(sortOption)
-        .skip(skip)
-        .limit(limit),
-      Shop.countDocuments({
-        verificationStatus: 'approved',
-        isActive: true,
-        ...(q ? { $or: [ { shopName: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }, { address: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }, { state: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') } ] } : {})
-      })
-    ]);
+    const selectFields = `shopName address phone location verificationStatus rating reviewCount createdAt ${SCHEDULE_FIELDS}`;
+    const now = new Date();
+    let shops;
+    let total;
+    if (openNow) {
+      // Open status depends on each shop's schedule and time zone, so walk the matches and page the open ones
+      ({ shops, total } = await collectOpenShops(
+        Shop.find(filter).select(selectFields).sort(sortOption),
+        { now, skip, limit, countAll: true }
+      ));
+    } else {
+      [shops, total] = await Promise.all([
+        Shop.find(filter)
+          .select(selectFields)
+          .sort(sortOption)
+          .skip(skip)
+          .limit(limit),
+        Shop.countDocuments({
+          verificationStatus: 'approved',
+          isActive: true,
+          ...(q ? { $or: [ { shopName: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }, { address: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }, { state: new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') } ] } : {})
+        })
+      ]);
+    }
 
     // Fetch offers for each shop
     const shopIds = shops.map(s => s._id);
-    const now = new Date();
     const shopOffers = await Offer.find({
       shopId: { $in: shopIds },
       status: 'active',
@@ -98,6 +129,7 @@ exports.searchShopsPublic = async (req, res) => {
     res.json({
       success: true,
       data: shops.map(s => {
+        const openStatus = computeOpenStatus(s, now);
         const shopData = {
           id: s._id,
           name: s.shopName,
@@ -108,7 +140,7 @@ exports.searchShopsPublic = async (req, res) => {
           reviewCount: s.reviewCount || 0,
           offers: offersByShop[s._id.toString()] || [],
           isLive: s.isLive,
-          isOpen: s.isLive,
+          ...openStatusFields(openStatus),
           createdAt: s.createdAt
         };
 
@@ -138,13 +170,45 @@ exports.searchShopsPublic = async (req, res) => {
 // Public: Get all approved & active shops (used in GET /)
 exports.getShops = async (req, res) => {
   try {
-    const shops = await Shop.find({ verificationStatus: 'approved', isActive: true });
+    const filter = { verificationStatus: 'approved', isActive: true };
+    const openNow = req.query.openNow === 'true';
+    if (openNow) filter.isLive = true;
+
+    const now = new Date();
+    const shops = (await Shop.find(filter))
+      .map(shop => ({ ...shop.toJSON(), ...openStatusFields(computeOpenStatus(shop, now)) }))
+      .filter(shop => !openNow || shop.isOpen);
     res.json({ success: true, data: shops });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error fetching shops' });
   }
 };
 
+// Public: shops like this one (similar catalog and prices, co-viewed, nearby)
+exports.getSimilarShops = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid shop ID' });
+    }
+
+    const { latitude, longitude } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+    const userLocation = (latitude && longitude) ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : undefined;
+
+    const shops = await similarityService.getSimilarShops(id, { limit, userLocation });
+    if (!shops) {
+      return res.status(404).json({ success: false, message: 'Shop not found' });
+    }
+
+    res.json({ success: true, data: { shopId: id, shops, total: shops.length } });
+  } catch (error) {
+    console.error('Get similar shops error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch similar shops' });
+  }
+};
+
 // Get all shops for admin review
 exports.getAllShops = async (req, res) => {
   try {
@@ -293,6 +357,7 @@ exports.verifyShop = async (req, res) => {
 exports.getShopsNearLocation = async (req, res) => {
   try {
     const { latitude, longitude, radius = 5000, category } = req.query; // use 5km default
+    const openNow = req.query.openNow === 'true';
     
     if (!latitude || !longitude) {
       return res.status(400).json({ message: 'Latitude and longitude are required' });
@@ -318,13 +383,19 @@ exports.getShopsNearLocation = async (req, res) => {
     if (category && category !== 'All') {
       filter.category = category;
     }
-    const shops = await Shop.find(filter)
+    let shops = await Shop.find(filter)
       .populate('ownerId', 'fullName')
-      .select('shopName address phone location verificationStatus rating reviewCount openingHours category description amenities isLive photoProof');
+      .select(`shopName address phone location verificationStatus rating reviewCount category description amenities photoProof ${SCHEDULE_FIELDS}`);
     
+    // Compute open status from each shop's schedule
+    const now = new Date();
+    const openStatusById = new Map(shops.map(s => [s._id.toString(), computeOpenStatus(s, now)]));
+    if (openNow) {
+      shops = shops.filter(s => openStatusById.get(s._id.toString()).isOpen);
+    }
+
     // Fetch offers for each shop
     const shopIds = shops.map(s => s._id);
-    const now = new Date();
     const shopOffers = await Offer.find({
       shopId: { $in: shopIds },
       status: 'active',
@@ -359,6 +430,7 @@ exports.getShopsNearLocation = async (req, res) => {
       // Calculate distance in meters using haversine formula
       const distanceMeters = haversineMeters(userLat, userLon, shopLat, shopLon);
       const distanceKm = distanceMeters / 1000;
+      const openStatus = openStatusById.get(shop._id.toString());
       
       return {
         _id: shop._id,
@@ -375,12 +447,15 @@ exports.getShopsNearLocation = async (req, res) => {
         distance: distanceKm,
         distanceKm: distanceKm,
         openingHours: shop.openingHours || '',
+        weeklySchedule: shop.weeklySchedule || [],
+        scheduleExceptions: shop.scheduleExceptions || [],
+        timezone: shop.timezone,
         category: shop.category || 'Other',
         description: shop.description || '',
         amenities: shop.amenities || [],
         offers: offersByShop[shop._id.toString()] || [],
         isLive: shop.isLive,
-        isOpen: shop.isLive, // Shop is open if it's live
+        ...openStatusFields(openStatus),
         verificationStatus: shop.verificationStatus,
         owner: shop.ownerId,
         photoProof: shop.photoProof || null
@@ -488,6 +563,11 @@ exports.updateShopInfo = async (req, res) => {
     if (!shop) {
       return res.status(404).json({ message: 'Shop not found' });
     }
+
+    const scheduleError = applyScheduleUpdate(shop, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
     
     // Update allowed fields
     if (typeof shopName !== 'undefined') shop.shopName = shopName;
@@ -512,6 +592,9 @@ exports.updateShopInfo = async (req, res) => {
         description: shop.description,
         category: shop.category,
         openingHours: shop.openingHours,
+        weeklySchedule: shop.weeklySchedule,
+        scheduleExceptions: shop.scheduleExceptions,
+        timezone: shop.timezone,
         amenities: shop.amenities,
       }
     });
@@ -567,6 +650,11 @@ exports.updateMyShop = async (req, res) => {
       return res.status(404).json({ message: 'No shop found for this user' });
     }
 
+    const scheduleError = applyScheduleUpdate(shop, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
     // Update allowed fields
     if (typeof shopName !== 'undefined') shop.shopName = shopName;
     if (typeof phone !== 'undefined') shop.phone = phone;
@@ -600,6 +688,9 @@ exports.updateMyShop = async (req, res) => {
         description: shop.description,
         category: shop.category,
         openingHours: shop.openingHours,
+        weeklySchedule: shop.weeklySchedule,
+        scheduleExceptions: shop.scheduleExceptions,
+        timezone: shop.timezone,
         amenities: shop.amenities,
         location: shop.location,
         isLocationVerified: shop.isLocationVerified,
@@ -685,19 +776,24 @@ exports.ocrAndValidateLicense = async (req, res) => {
     const url = shop.licenseDocument && shop.licenseDocument.url;
     if (!url) return res.status(400).json({ message: 'No license document available' });
 
-    const rawText = await extractTextFromUrl(url);
-    const { extractedLicenseNumber, extractedAddress } = extractLicenseDetails(rawText);
+    const ocrResult = await extractDocumentFromUrl(url);
+    const rawText = ocrResult.text;
+    const details = extractLicenseDetails(rawText);
+    const { extractedLicenseNumber, extractedAddress } = details;
 
     shop.licenseOcr = {
       extractedLicenseNumber: extractedLicenseNumber || null,
       extractedAddress: extractedAddress || null,
       rawText,
-      processedAt: new Date()
+      processedAt: new Date(),
+      source: ocrResult.source,
+      confidence: ocrResult.confidence,
+      fields: {
+        licenseNumber: locateField(extractedLicenseNumber, ocrResult.lines),
+        address: locateField(extractedAddress, ocrResult.lines)
+      }
     };
 
-    // Compare license number
-    const licMatch = !!extractedLicenseNumber && extractedLicenseNumber.replace(/\s/g, '') === shop.licenseNumber.replace(/\s/g, '');
-    
     // Compare addresses using text similarity
     const addrScore = computeAddressMatchScore(shop.address, extractedAddress || '');
     const gpsAddrScore = computeAddressMatchScore(shop.reverseGeocodedAddress || '', extractedAddress || '');
@@ -724,20 +820,34 @@ exports.ocrAndValidateLicense = async (req, res) => {
       }
     }
 
-    // Enhanced verification logic:
-    // License mismatch if:
-    // 1. License number doesn't match, OR
-    // 2. Address similarity is poor (< 60%) AND PDF GPS distance is > 100m (if available)
-    const poorAddressMatch = addrScore < 60;
-    const pdfLocationMismatch = pdfGpsDistance !== null && pdfGpsDistance > 100;
-    
-    shop.flags.licenceMismatch = !licMatch || (poorAddressMatch && pdfLocationMismatch);
+    // Accept the license only when the number matches and the address matches either
+    // textually or by geocoded location (within 100m); unreadable documents go to admin review
+    const licenseMatch = scoreLicenseMatch({
+      licenseNumber: shop.licenseNumber,
+      // Same addresses as at registration: the one typed and the one geocoded from the shop's GPS
+      addresses: [shop.address, shop.reverseGeocodedAddress],
+      details,
+      rawText,
+      locationMatch: pdfWithinShopArea
+    });
+    shop.licenseOcr.status = licenseMatch.status;
+    shop.licenseOcr.licenseNumberScore = licenseMatch.licenseNumberScore;
+    shop.licenseOcr.addressScore = licenseMatch.addressScore;
+    shop.licenseOcr.reasons = licenseMatch.reasons;
+
+    shop.flags.licenceMismatch = licenseMatch.status !== 'accepted';
     await shop.save();
 
     res.json({
       message: 'License OCR processed',
       data: {
-        licNumberMatch: licMatch,
+        licenseStatus: licenseMatch.status,
+        reasons: licenseMatch.reasons,
+        ocrConfidence: ocrResult.confidence,
+        ocrSource: ocrResult.source,
+        fields: shop.licenseOcr.fields,
+        licNumberMatch: licenseMatch.licenseNumberMatch,
+        licenseNumberScore: licenseMatch.licenseNumberScore,
         formVsLicenceAddressScore: addrScore,
         gpsVsLicenceAddressScore: gpsAddrScore,
         pdfGpsDistance: pdfGpsDistance ? Math.round(pdfGpsDistance) : null,
@@ -803,6 +913,32 @@ exports.uploadShopPhotoAndCheckExif = async (req, res) => {
   }
 };
 
+// Validate and apply structured opening hours from a request body; returns an error message on bad input
+function applyScheduleUpdate(shop, body) {
+  const { weeklySchedule, scheduleExceptions, timezone } = body;
+  try {
+    if (typeof timezone !== 'undefined') {
+      if (!isValidTimeZone(timezone)) return 'Invalid timezone';
+      shop.timezone = timezone;
+    }
+    if (typeof weeklySchedule !== 'undefined') shop.weeklySchedule = normalizeWeeklySchedule(weeklySchedule);
+    if (typeof scheduleExceptions !== 'undefined') shop.scheduleExceptions = normalizeScheduleExceptions(scheduleExceptions);
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+// Shape computeOpenStatus output for API responses
+function openStatusFields(openStatus) {
+  return {
+    isOpen: openStatus.isOpen,
+    opensAt: openStatus.opensAt,
+    closesAt: openStatus.closesAt,
+    closesInMinutes: openStatus.closesInMinutes
+  };
+}
+
 function haversineMeters(lat1, lon1, lat2, lon2) {
   const toRad = d => (d * Math.PI) / 180;
   const R = 6371000;
@@ -872,21 +1008,36 @@ exports.getMyShopStats = async (req, res) => {
     const [
       totalProducts,
       activeOffers,
-      customerReviews
+      customerReviews,
+      waitingCounts
     ] = await Promise.all([
       Product.countDocuments({ shopId: shop._id }),
       Offer.countDocuments({ shopId: shop._id, status: 'active' }),
-      Review.countDocuments({ shopId: shop._id })
+      Review.countDocuments({ shopId: shop._id }),
+      getWaitingCountsForShop(shop._id)
     ]);
 
     // Placeholder for today's views (requires analytics events collection)
     const todaysViews = 0;
 
+    // Shoppers waiting on each out-of-stock product ("notify me when available")
+    const waitingProducts = await Product.find({ _id: { $in: waitingCounts.map(w => w.productId) } })
+      .select('name stock');
+    const productById = new Map(waitingProducts.map(p => [p._id.toString(), p]));
+    const restockWaitlist = waitingCounts
+      .filter(w => productById.has(w.productId.toString()))
+      .map(w => {
+        const product = productById.get(w.productId.toString());
+        return { productId: w.productId, name: product.name, stock: product.stock, waiting: w.waiting };
+      });
+
     const stats = {
       totalProducts,
       activeOffers,
       todaysViews,
       customerReviews,
+      waitingForRestock: restockWaitlist.reduce((sum, w) => sum + w.waiting, 0),
+      restockWaitlist,
       shopStatus: {
         verificationStatus: shop.verificationStatus,
         isActive: shop.isActive,
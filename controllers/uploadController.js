@@ -3,11 +3,24 @@ const path = require('path');
 const fs = require('fs').promises;
 const { uploadFromUrl, uploadBuffer, isCloudinaryConfigured } = require('../services/cloudinaryService');
 
-// Configure multer for file uploads
-const upload = multer();
+// Largest upload any route accepts (10MB for Vercel compatibility); routes check their own lower limits
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Configure multer for file uploads; memory storage, so larger files are cut off while streaming in
+const upload = multer({ limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
 
 // Middleware to handle multipart/form-data single file under field name 'file'
-const handleSingleFile = upload.single('file');
+function handleSingleFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File size too large. Maximum size is 10MB.' : err.message
+      });
+    }
+    next(err);
+  });
+}
 
 // Function to save file locally
 async function saveFileLocally(buffer, filename, folder = 'shop-docs') {
@@ -65,7 +78,7 @@ async function uploadHandler(req, res) {
     } : 'No file');
     
     // Validate file size (max 10MB for Vercel compatibility)
-    if (req.file && req.file.size > 10 * 1024 * 1024) {
+    if (req.file && req.file.size > MAX_FILE_SIZE) {
       return res.status(400).json({ 
         message: 'File size too large. Maximum size is 10MB.',
         maxSize: '10MB'
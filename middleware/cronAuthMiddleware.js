@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Scheduled endpoints (/api/cron) are called by Vercel Cron, which sends
+// "Authorization: Bearer <CRON_SECRET>"
+const cronAuthMiddleware = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Cron endpoints are not configured'
+    });
+  }
+
+  const token = Buffer.from(req.header('Authorization')?.replace('Bearer ', '') || '');
+  const expected = Buffer.from(secret);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret'
+    });
+  }
+  next();
+};
+
+module.exports = cronAuthMiddleware;
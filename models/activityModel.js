@@ -26,6 +26,11 @@ const activitySchema = new mongoose.Schema({
       'offer_updated',
       'offer_deleted',
       'offer_status_toggled',
+      'offer_redeemed',
+      'order_accepted',
+      'order_rejected',
+      'order_completed',
+      'message_reported',
       'review_posted',
       'review_flagged',
       'review_removed',
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const canonicalItemSchema = new mongoose.Schema({
+  // Normalized "brand|itemName"; products with the same key are the same item at different shops
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Display values, taken from the first product matched to the item
+  category: {
+    type: String,
+    trim: true
+  },
+  brand: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  itemName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+canonicalItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CanonicalItem', canonicalItemSchema);
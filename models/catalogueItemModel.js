@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const catalogueItemSchema = new mongoose.Schema({
+  // Barcode as GTIN-14: EAN-8, UPC-A and EAN-13 left-padded with zeros
+  gtin: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{14}$/
+  },
+
+  // Listing details offered when a shop adds a product with this barcode
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  // Variant option values when the barcode belongs to one variant, e.g. [{ name: 'Size', value: 'M' }]
+  options: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
+
+  // Every product carrying this barcode belongs to this canonical item (see canonicalItemService)
+  canonicalItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CanonicalItem'
+  },
+
+  // The listing the entry was learned from
+  sourceProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  sourceShopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+catalogueItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CatalogueItem', catalogueItemSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A message thread between a shopper and a shop; one per pair.
+// The shop side is whoever owns the shop, so the thread survives an ownership change.
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+
+  // Preview for the conversation list
+  lastMessage: {
+    text: String,
+    sender: { type: String, enum: ['user', 'shop'] },
+    hasAttachment: { type: Boolean, default: false },
+    // The message was removed by moderation; its text is not shown
+    removed: { type: Boolean, default: false },
+    at: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Messages each side has not read yet
+  unread: {
+    user: { type: Number, default: 0 },
+    shop: { type: Number, default: 0 }
+  },
+  lastReadAt: {
+    user: Date,
+    shop: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ userId: 1, shopId: 1 }, { unique: true });
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+conversationSchema.index({ shopId: 1, lastMessageAt: -1 });
+
+// Update the updatedAt field before saving
+conversationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
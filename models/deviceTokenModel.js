@@ -48,6 +48,25 @@ const deviceTokenSchema = new mongoose.Schema({
     specialDeals: { type: Boolean, default: true }
   },
   
+  // Coarse last-known location reported by the app, used for nearby (geofenced) pushes
+  lastLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number] // [longitude, latitude], rounded to ~1km
+    }
+  },
+  locationUpdatedAt: Date,
+  // Only notify about shops/offers within this distance of lastLocation
+  notifyRadiusKm: {
+    type: Number,
+    default: 5,
+    min: 0.5,
+    max: 50
+  },
+  
   // Status
   isActive: {
     type: Boolean,
@@ -81,6 +100,7 @@ deviceTokenSchema.pre('save', function(next) {
 // Index for efficient querying
 deviceTokenSchema.index({ userId: 1, isActive: 1 });
 deviceTokenSchema.index({ token: 1 });
+deviceTokenSchema.index({ lastLocation: '2dsphere' }, { sparse: true });
 
 module.exports = mongoose.model('DeviceToken', deviceTokenSchema);
 
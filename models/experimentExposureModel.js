@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const experimentExposureSchema = new mongoose.Schema({
+  // One row per time a user was shown a variant's results
+  experimentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    required: true
+  },
+  variantKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  surface: String,
+
+  // Items shown, used to attribute later clicks and conversions
+  itemType: {
+    type: String,
+    enum: ['product', 'shop', 'offer', 'mixed']
+  },
+  itemIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+experimentExposureSchema.index({ experimentId: 1, variantKey: 1, createdAt: -1 });
+experimentExposureSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExperimentExposure', experimentExposureSchema);
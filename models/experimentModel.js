@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const experimentSchema = new mongoose.Schema({
+  // Stable identifier, also the hashing salt for variant assignment
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{3,64}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Where the experiment applies; one running experiment per surface
+  surface: {
+    type: String,
+    enum: ['ranking', 'recommendations'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed'],
+    default: 'draft'
+  },
+
+  // Named variants with their share of enrolled traffic and surface-specific config,
+  // e.g. { algorithm: 'rule_based' } for ranking or { weights: { cf, cb, loc } } for recommendations
+  variants: [{
+    key: { type: String, required: true, trim: true },
+    name: { type: String, trim: true },
+    weight: { type: Number, required: true, min: 0 },
+    isControl: { type: Boolean, default: false },
+    config: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }],
+
+  // Percent of eligible users enrolled (the rest get the default experience and are not logged)
+  trafficAllocation: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+
+  // Only users whose UserProfile.segments match every non-empty list are eligible
+  targeting: {
+    userTypes: [String],
+    customerValues: [String],
+    engagementLevels: [String],
+    locationTypes: [String]
+  },
+
+  startDate: Date,
+  endDate: Date,
+
+  // UserBehavior events on exposed items counted as clicks / conversions
+  clickEvents: {
+    type: [String],
+    default: ['view_product', 'view_shop', 'click_offer']
+  },
+  conversionEvents: {
+    type: [String],
+    default: ['add_to_favorites', 'purchase_product', 'visit_shop']
+  },
+  // How long after an exposure an event is attributed to it
+  attributionHours: {
+    type: Number,
+    default: 24,
+    min: 1,
+    max: 24 * 14
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  startedAt: Date,
+  completedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+experimentSchema.index({ surface: 1, status: 1 });
+// One running experiment per surface, enforced by the database so concurrent starts cannot both win
+experimentSchema.index(
+  { surface: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' }, name: 'one_running_experiment_per_surface' }
+);
+
+experimentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Experiment', experimentSchema);
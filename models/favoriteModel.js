@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Shops, products and offers a customer has saved
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['shop', 'product', 'offer'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owning shop of the product/offer (the shop itself for shop favorites)
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+favoriteSchema.index({ userId: 1, targetType: 1, targetId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+favoriteSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
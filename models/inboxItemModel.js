@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One entry per recipient of a push notification (the user's in-app inbox)
+const inboxItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for admin notifications so reads can be counted in deliveryStats.opened
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+
+  // Content as pushed
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true
+  },
+  // Push data.type (new_offer, price_drop, back_in_stock, admin_notification, ...)
+  type: {
+    type: String,
+    default: 'general'
+  },
+  // Push data payload (FCM data values are strings)
+  data: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inboxItemSchema.index({ userId: 1, createdAt: -1 });
+inboxItemSchema.index({ userId: 1, readAt: 1 });
+// Inbox items are kept for 90 days
+inboxItemSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('InboxItem', inboxItemSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const itemEmbeddingSchema = new mongoose.Schema({
+  // Matrix-factorization run that produced the vector; user embeddings carry the same version
+  version: {
+    type: Number,
+    required: true
+  },
+
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['product', 'shop', 'offer'],
+    required: true
+  },
+
+  // Latent factors; a user's predicted preference is the dot product with their embedding
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // Users who interacted with the item in the training window
+  userCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+itemEmbeddingSchema.index({ version: 1, itemType: 1, itemId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ItemEmbedding', itemEmbeddingSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  // What to run (see services/jobHandlers.js)
+  type: {
+    type: String,
+    enum: ['model_retrain', 'embedding_training', 'similarity_refresh', 'inventory_import', 'order_expiry', 'offer_price_sweep', 'shop_rating_recalculation', 'notification_send', 'system_analytics'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // At most one queued/running job per key; cleared when the job finishes
+  dedupeKey: String,
+
+  // Earliest time a worker may pick the job up (pushed back between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker lease, extended while the job reports progress
+  lockedBy: String,
+  lockedUntil: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+
+  progress: {
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    current: Number,
+    total: Number,
+    message: String,
+    // Where a resumable handler picks up again after it yielded or its worker was stopped
+    checkpoint: mongoose.Schema.Types.Mixed
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  startedAt: Date,
+  finishedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are kept for 30 days
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+jobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Job', jobSchema);
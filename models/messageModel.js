@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Denormalized from the conversation for moderation queries
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+
+  // Which side wrote it, and the account that did (the shopper or the shop owner)
+  sender: {
+    type: String,
+    enum: ['user', 'shop'],
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Images uploaded through POST /api/messages/attachments
+  attachments: [{
+    _id: false,
+    url: { type: String, required: true },
+    publicId: String,
+    mimeType: String
+  }],
+
+  // Read receipt: set when the other side opens the conversation
+  readAt: Date,
+
+  // Moderation: reported messages are flagged for admins; removed ones are hidden from both sides
+  status: {
+    type: String,
+    enum: ['active', 'flagged', 'removed'],
+    default: 'active'
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reportReasons: [{
+    reason: String,
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reportedAt: { type: Date, default: Date.now }
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  moderationNotes: String,
+  moderatedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, sender: 1, readAt: 1 });
+messageSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -21,15 +21,27 @@ const notificationSchema = new mongoose.Schema({
   },
   
   // Notification status
+  // draft -> scheduled -> sending -> sent | failed; scheduled/draft can be cancelled
   status: {
     type: String,
-    enum: ['draft', 'sent'],
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled'],
     default: 'draft'
   },
   
   // Scheduling
   scheduledAt: Date,
   sentAt: Date,
+  cancelledAt: Date,
+  
+  // Delivery lease: the instance that claimed the notification and until when.
+  // A 'sending' notification whose lease expired (crashed instance) can be claimed again.
+  lockedBy: String,
+  lockedUntil: Date,
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  // Last DeviceToken sent to, saved after every batch: a delivery that is claimed again
+  // (expired lease, retry, resend) continues after it. Cleared once the notification is sent.
+  deliveryCursor: mongoose.Schema.Types.ObjectId,
   
   // Created by admin
   createdBy: {
@@ -68,5 +80,6 @@ notificationSchema.index({ type: 1 });
 notificationSchema.index({ status: 1 });
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ createdBy: 1 });
+notificationSchema.index({ status: 1, scheduledAt: 1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -14,6 +14,10 @@ const offerSchema = new mongoose.Schema({
     ref: 'Product',
     required: function() { return !this.isCustomOffer; }
   },
+  // One variant of the product (Product.variants._id); unset applies to every variant
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   
   // Offer basic information
   title: {
@@ -46,10 +50,10 @@ const offerSchema = new mongoose.Schema({
     default: 'Other'
   },
   
-  // Discount details
+  // Discount details (see services/pricingService.js for how each type is priced)
   discountType: {
     type: String,
-    enum: ['Percentage', 'Fixed Amount'],
+    enum: ['Percentage', 'Fixed Amount', 'Buy X Get Y', 'Bundle', 'Tiered'],
     required: true
   },
   discountValue: {
@@ -58,6 +62,37 @@ const offerSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Eligibility rules and parameters of the richer offer types
+  rules: {
+    minQuantity: { type: Number, min: 0 },
+    minPurchaseAmount: { type: Number, min: 0 }, // Cart subtotal at this shop
+    maxDiscountAmount: { type: Number, min: 0 },
+    buyQuantity: { type: Number, min: 1 }, // Buy X Get Y
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, min: 1, max: 100 }, // Defaults to 100 (free)
+    bundleProductIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    tiers: [{
+      _id: false,
+      minQuantity: { type: Number, min: 1 },
+      discountType: { type: String, enum: ['Percentage', 'Fixed Amount'] },
+      discountValue: { type: Number, min: 0 }
+    }],
+    firstTimeCustomerOnly: { type: Boolean, default: false },
+    // Shop-local time windows, e.g. { days: [1,2,3,4,5], start: '16:00', end: '18:00' }
+    happyHours: [{
+      _id: false,
+      days: [{ type: Number, min: 0, max: 6 }],
+      start: String,
+      end: String
+    }]
+  },
+  
+  // Stackable offers combine with each other (highest priority applied first)
+  stacking: {
+    stackable: { type: Boolean, default: false },
+    priority: { type: Number, default: 0 }
+  },
+  
   // Offer validity
   startDate: {
     type: Date,
@@ -78,6 +113,11 @@ const offerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1, // 0 means unlimited
+    min: 0
+  },
   
   // Offer status
   status: {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A shopper's claim on an offer, redeemed in-store by the shop owner
+const offerRedemptionSchema = new mongoose.Schema({
+  offerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Signed single-use code shown to the shop (also encoded in the QR payload)
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // claimed -> redeemed; claimed codes expire with the offer
+  status: {
+    type: String,
+    enum: ['claimed', 'redeemed', 'expired'],
+    default: 'claimed'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set on redemption: the user's nth use of this offer (unique, so the per-user limit holds under concurrency)
+  useNumber: Number,
+  redeemedAt: Date,
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the offer was used through a collected reservation rather than a claimed code
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+offerRedemptionSchema.index({ offerId: 1, userId: 1, status: 1 });
+offerRedemptionSchema.index(
+  { offerId: 1, userId: 1, useNumber: 1 },
+  { unique: true, partialFilterExpression: { useNumber: { $exists: true } } }
+);
+offerRedemptionSchema.index({ userId: 1, createdAt: -1 });
+offerRedemptionSchema.index({ shopId: 1, redeemedAt: -1 });
+
+// Update the updatedAt field before saving
+offerRedemptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('OfferRedemption', offerRedemptionSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// A click-and-collect reservation: stock is held at one shop until the pickup window ends
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+
+  // Reserved lines, priced when the order was placed
+  items: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: mongoose.Schema.Types.ObjectId,
+    name: { type: String, required: true },
+    variantLabel: String,
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number, required: true, min: 0 }, // Listed unit price
+    discount: { type: Number, default: 0 },
+    total: { type: Number, required: true, min: 0 }
+  }],
+
+  // Offer the shopper reserved with (optional)
+  offerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  // One of the offer's uses (Offer.currentUses) is held for this order: it becomes a
+  // redemption when the order is collected and is given back when it is released
+  offerUseHeld: Boolean,
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+
+  // pending -> accepted -> completed; pending/accepted -> rejected | cancelled | expired.
+  // Stock is held while pending or accepted and returned on rejected, cancelled and expired.
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired'],
+    default: 'pending'
+  },
+  pickupWindow: {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: { type: Date, default: Date.now },
+    by: { type: String, enum: ['customer', 'shop', 'system'] },
+    note: String
+  }],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, 'pickupWindow.end': 1 });
+
+// Update the updatedAt field before saving
+orderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Order', orderSchema);
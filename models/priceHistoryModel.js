@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema({
+  // Product whose price changed
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+
+  // Listed price and the price after the best active offer
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectivePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Offer that produced the effective price (if any)
+  offerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  discountType: String,
+  discountValue: Number,
+
+  // What caused this entry
+  reason: {
+    type: String,
+    enum: ['initial', 'price_change', 'offer_activated', 'offer_updated', 'offer_deactivated'],
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Price-drop alert bookkeeping
+  dropAlert: {
+    sent: { type: Boolean, default: false },
+    dropPercent: Number,
+    recipients: { type: Number, default: 0 },
+    sentAt: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for timeline lookups
+priceHistorySchema.index({ productId: 1, createdAt: -1 });
+priceHistorySchema.index({ shopId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { buildSearchIndex } = require('../services/searchService');
+
+const imageSchema = new mongoose.Schema({
+  url: { type: String, trim: true },
+  publicId: { type: String, trim: true },
+  mimeType: { type: String, trim: true },
+  uploadedAt: { type: Date, default: Date.now }
+});
 
 const productSchema = new mongoose.Schema({
   // Reference to the shop that owns this product
@@ -24,6 +32,22 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Shop's own stock-keeping code, unique within the shop (used by bulk import)
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
+  // Barcode (GTIN-14, see services/catalogueService.normalizeGtin)
+  gtin: {
+    type: String,
+    match: /^\d{14}$/
+  },
+  // Same item at other shops (matched on barcode, else normalized brand + itemName)
+  canonicalItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CanonicalItem'
+  },
   
   // Product basic information
   name: {
@@ -48,11 +72,29 @@ const productSchema = new mongoose.Schema({
   },
   
   // Product images (Cloudinary-backed)
-  images: [{
-    url: { type: String, trim: true },
-    publicId: { type: String, trim: true },
-    mimeType: { type: String, trim: true },
-    uploadedAt: { type: Date, default: Date.now }
+  images: [imageSchema],
+
+  // Option axes of a product sold in variants, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+  options: [{
+    _id: false,
+    name: { type: String, trim: true, required: true },
+    values: [{ type: String, trim: true }]
+  }],
+  // One entry per sellable combination of option values. With variants, price and stock
+  // above are derived on save (cheapest active variant, total active stock).
+  // Variant _ids are stable across edits so offers can target a single variant.
+  variants: [{
+    sku: { type: String, trim: true, maxlength: 64 },
+    gtin: { type: String, match: /^\d{14}$/ },
+    options: [{
+      _id: false,
+      name: { type: String, trim: true, required: true },
+      value: { type: String, trim: true, required: true }
+    }],
+    price: { type: Number, required: true, min: 0 },
+    stock: { type: Number, required: true, min: 0, default: 0 },
+    images: [imageSchema],
+    isActive: { type: Boolean, default: true }
   }],
   
   // Product status
@@ -83,6 +125,17 @@ const productSchema = new mongoose.Schema({
   },
   moderationNotes: String,
   moderatedAt: Date,
+
+  // Search index terms (kept in sync on save; see services/searchService.buildSearchIndex)
+  searchIndex: {
+    type: {
+      _id: false,
+      terms: [String],
+      grams: [String],
+      prefixes: [String]
+    },
+    select: false
+  },
   
   // Timestamps
   createdAt: {
@@ -101,12 +154,52 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// List a product with variants at its cheapest active variant and the stock of all active
+// variants, so price filters, sorting and stock checks treat every product alike
+productSchema.pre('save', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    const active = this.variants.filter(variant => variant.isActive !== false);
+    const priced = active.length ? active : this.variants;
+    this.price = Math.min(...priced.map(variant => variant.price));
+    this.stock = active.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+  next();
+});
+
+productSchema.statics.SEARCH_FIELDS = ['name', 'brand', 'itemName', 'category', 'description', 'variants'];
+
+productSchema.statics.buildSearchIndex = function(product) {
+  const optionValues = (product.variants || [])
+    .filter(variant => variant.isActive !== false)
+    .flatMap(variant => (variant.options || []).map(option => option.value));
+  return buildSearchIndex({
+    primary: [product.name, product.brand, product.itemName, product.category],
+    secondary: [product.description, ...new Set(optionValues)]
+  });
+};
+
+// Re-index when a searchable field changes
+productSchema.pre('save', function(next) {
+  if (this.isNew || this.constructor.SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.searchIndex = this.constructor.buildSearchIndex(this);
+  }
+  next();
+});
+
 // Index for efficient querying
 productSchema.index({ shopId: 1 });
 productSchema.index({ status: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ brand: 1 });
 productSchema.index({ category: 1, brand: 1 });
+productSchema.index({ canonicalItemId: 1, status: 1 });
+productSchema.index({ shopId: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productSchema.index({ shopId: 1, 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } });
+productSchema.index({ gtin: 1, status: 1 });
+productSchema.index({ 'variants.gtin': 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'searchIndex.terms': 1 });
+productSchema.index({ 'searchIndex.grams': 1 });
+productSchema.index({ 'searchIndex.prefixes': 1 });
 
 module.exports = mongoose.model('Product', productSchema);
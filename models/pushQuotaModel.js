@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Per-user daily counter for capped push categories (e.g. nearby offers/shops)
+const pushQuotaSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    default: 'nearby'
+  },
+  // UTC day the counter applies to ("YYYY-MM-DD")
+  day: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pushQuotaSchema.index({ userId: 1, category: 1, day: 1 }, { unique: true });
+// Old counters are only needed for the current day
+pushQuotaSchema.index({ createdAt: 1 }, { expireAfterSeconds: 3 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PushQuota', pushQuotaSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const rankingImpressionSchema = new mongoose.Schema({
+  // Returned with the ranked response; clients echo it back with interactions
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Endpoint that produced the list; position bias is estimated per surface
+  surface: {
+    type: String,
+    enum: [
+      'ranking_shops',
+      'ranking_shops_simple',
+      'ranking_offers',
+      'ranking_ab_test',
+      'search_products',
+      'search_shops',
+      'search_discover'
+    ],
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['shop', 'offer', 'product'],
+    required: true
+  },
+  algorithm: String,
+  // Active RankingModelVersion when ML ranking produced the list
+  modelVersion: Number,
+  experimentKey: String,
+  variantKey: String,
+  query: String,
+
+  // Items in the order shown (position is 1-based)
+  items: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    position: { type: Number, required: true },
+    score: Number,
+    clickedAt: Date,
+    clickType: String
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rankingImpressionSchema.index({ userId: 1, createdAt: -1 });
+rankingImpressionSchema.index({ 'items.itemId': 1, createdAt: -1 });
+rankingImpressionSchema.index({ surface: 1, createdAt: -1 });
+// Impressions are only needed for recent CTR and evaluation windows
+rankingImpressionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RankingImpression', rankingImpressionSchema);
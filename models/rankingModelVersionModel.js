@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const rankingModelVersionSchema = new mongoose.Schema({
+  // Monotonically increasing version number
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  // The version every instance loads; exactly one is active at a time
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  // K-means user segments (centroids only, not the training vectors)
+  clusteringModels: [{
+    clusterId: { type: Number, required: true },
+    centroid: [Number],
+    size: Number
+  }],
+
+  // Learn-to-rank decision-tree ensembles, one per user cluster
+  rankingModels: [{
+    clusterId: { type: Number, required: true },
+    learningRate: Number,
+    maxDepth: Number,
+    trees: [mongoose.Schema.Types.Mixed],
+    trainingExamples: Number
+  }],
+
+  // Data the version was trained on
+  trainingWindow: {
+    clusteringFrom: Date,
+    rankingFrom: Date,
+    to: Date,
+    behaviors: { type: Number, default: 0 },
+    rankingExamples: { type: Number, default: 0 }
+  },
+
+  // Offline quality measures, used to compare versions
+  metrics: {
+    clusterCount: Number,
+    usersClustered: Number,
+    clusterInertia: Number, // mean squared distance of users to their centroid
+    rankingModelCount: Number,
+    rankingMse: Number // mean squared error of the ensembles on their training examples
+  },
+
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled', 'script'],
+    default: 'manual'
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  notes: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rankingModelVersionSchema.index({ isActive: 1, version: -1 });
+
+module.exports = mongoose.model('RankingModelVersion', rankingModelVersionSchema);
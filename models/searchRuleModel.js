@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const searchRuleSchema = new mongoose.Schema({
+  // synonym: term also matches synonyms (and the reverse when bidirectional)
+  // stopword: term is dropped from queries
+  // spelling: term is replaced by correction
+  // redirect: a query of exactly term browses category instead
+  type: {
+    type: String,
+    enum: ['synonym', 'stopword', 'spelling', 'redirect'],
+    required: true
+  },
+  // Synonym sets are grouped per language; every active rule applies to every query
+  language: {
+    type: String,
+    enum: ['en', 'hi', 'mr'],
+    default: 'en'
+  },
+  // Normalized (lowercase) word or phrase the rule applies to
+  term: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  synonyms: [{ type: String, trim: true }],
+  bidirectional: {
+    type: Boolean,
+    default: true
+  },
+  correction: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchRuleSchema.index({ type: 1, language: 1, term: 1 }, { unique: true });
+searchRuleSchema.index({ isActive: 1 });
+
+searchRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('SearchRule', searchRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildSearchIndex } = require('../services/searchService');
 
 const shopSchema = new mongoose.Schema({
   // Reference to the user who owns this shop
@@ -76,7 +77,29 @@ const shopSchema = new mongoose.Schema({
     extractedLicenseNumber: { type: String, trim: true },
     extractedAddress: { type: String, trim: true },
     rawText: String,
-    processedAt: Date
+    processedAt: Date,
+    source: { type: String, enum: ['image_ocr', 'pdf_ocr', 'pdf_text', 'none'] },
+    confidence: { type: Number, min: 0, max: 100 }, // Overall OCR confidence
+    // Per-field confidence and location in the document (bbox in image pixels)
+    fields: {
+      licenseNumber: {
+        value: String,
+        confidence: Number,
+        bbox: { x0: Number, y0: Number, x1: Number, y1: Number },
+        page: Number
+      },
+      address: {
+        value: String,
+        confidence: Number,
+        bbox: { x0: Number, y0: Number, x1: Number, y1: Number },
+        page: Number
+      }
+    },
+    // Outcome of comparing the document with what the owner entered
+    status: { type: String, enum: ['accepted', 'rejected', 'unreadable'] },
+    licenseNumberScore: { type: Number, min: 0, max: 100 },
+    addressScore: { type: Number, min: 0, max: 100 },
+    reasons: [String]
   },
   
   // Verification status
@@ -156,7 +179,39 @@ const shopSchema = new mongoose.Schema({
     default: 'Mon-Sun: 9:00 AM - 9:00 PM',
     trim: true
   },
-  amenities: [{ 
+
+  // Structured opening hours (evaluated in the shop's own time zone).
+  // Slots use 24h "HH:mm"; a slot whose close is before its open runs past midnight.
+  // When weeklySchedule is empty the legacy openingHours string is parsed instead.
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    trim: true
+  },
+  weeklySchedule: [{
+    _id: false,
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    slots: [{
+      _id: false,
+      open: { type: String, required: true },
+      close: { type: String, required: true }
+    }]
+  }],
+  // Holiday/closure overrides by local date ("YYYY-MM-DD"); endDate makes it a range
+  scheduleExceptions: [{
+    _id: false,
+    date: { type: String, required: true },
+    endDate: { type: String },
+    closed: { type: Boolean, default: true },
+    slots: [{
+      _id: false,
+      open: { type: String, required: true },
+      close: { type: String, required: true }
+    }],
+    note: { type: String, trim: true }
+  }],
+
+  amenities: [{
     type: String, 
     trim: true 
   }],
@@ -173,6 +228,17 @@ const shopSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+
+  // Search index terms (kept in sync on save; see services/searchService.buildSearchIndex)
+  searchIndex: {
+    type: {
+      _id: false,
+      terms: [String],
+      grams: [String],
+      prefixes: [String]
+    },
+    select: false
+  },
   
   // Subscription fields
   subscription: {
@@ -215,6 +281,9 @@ const shopSchema = new mongoose.Schema({
 // Create 2dsphere index for location-based queries
 // Define geospatial index only if location is present
 shopSchema.index({ location: '2dsphere' }, { sparse: true });
+shopSchema.index({ 'searchIndex.terms': 1 });
+shopSchema.index({ 'searchIndex.grams': 1 });
+shopSchema.index({ 'searchIndex.prefixes': 1 });
 
 // Update the updatedAt field before saving
 shopSchema.pre('save', function(next) {
@@ -222,6 +291,23 @@ shopSchema.pre('save', function(next) {
   next();
 });
 
+shopSchema.statics.SEARCH_FIELDS = ['shopName', 'category', 'address', 'state', 'description'];
+
+shopSchema.statics.buildSearchIndex = function(shop) {
+  return buildSearchIndex({
+    primary: [shop.shopName, shop.category, shop.address, shop.state],
+    secondary: [shop.description]
+  });
+};
+
+// Re-index when a searchable field changes
+shopSchema.pre('save', function(next) {
+  if (this.isNew || this.constructor.SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.searchIndex = this.constructor.buildSearchIndex(this);
+  }
+  next();
+});
+
 // Virtual for formatted address
 shopSchema.virtual('formattedAddress').get(function() {
   return `${this.address}, ${this.state}`;
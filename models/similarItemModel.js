@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const similarItemSchema = new mongoose.Schema({
+  // Precomputed "similar products" / "similar shops" list for one item
+  itemType: {
+    type: String,
+    enum: ['product', 'shop'],
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Best matches first; components are each in [0, 1]
+  neighbors: [{
+    _id: false,
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    score: { type: Number, required: true },
+    text: Number,
+    price: Number,
+    coView: Number,
+    distance: Number,
+    distanceKm: Number
+  }],
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+similarItemSchema.index({ itemType: 1, itemId: 1 }, { unique: true });
+// Lets a removed item be pulled from every list it appears in
+similarItemSchema.index({ 'neighbors.itemId': 1 });
+
+module.exports = mongoose.model('SimilarItem', similarItemSchema);
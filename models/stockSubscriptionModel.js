@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// "Notify me when available" subscriptions for out-of-stock products
+const stockSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  // Variant the shopper is waiting for; without one, any stock of the product will do
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // waiting -> notified once the product is back in stock
+  status: {
+    type: String,
+    enum: ['waiting', 'notified', 'cancelled'],
+    default: 'waiting'
+  },
+  notifiedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One subscription per user, product and variant (re-subscribing reuses it). Replaces the
+// { userId, productId } unique index, which has to be dropped on existing databases.
+stockSubscriptionSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
+stockSubscriptionSchema.index({ productId: 1, status: 1 });
+stockSubscriptionSchema.index({ shopId: 1, status: 1 });
+
+// Update the updatedAt field before saving
+stockSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -75,6 +75,11 @@ const userBehaviorSchema = new mongoose.Schema({
     dayOfWeek: Number, // 0-6
     season: String, // spring, summer, fall, winter
     
+    // Ranked list the interaction came from (see RankingImpression)
+    requestId: String,
+    rank: Number,
+    rankingScore: Number,
+
     // Additional context
     referrer: String,
     userAgent: String,
@@ -106,9 +106,11 @@ const userProfileSchema = new mongoose.Schema({
   
   // ML features
   mlFeatures: {
-    // User embedding (for collaborative filtering)
+    // User embedding (for collaborative filtering), from the matrix-factorization run in embeddingVersion
     userEmbedding: [Number],
-    
+    embeddingVersion: Number,
+    embeddingUpdatedAt: Date,
+
     // Feature vectors
     categoryVector: [Number],
     priceVector: [Number],
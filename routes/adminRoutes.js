@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const adminAuthController = require('../controllers/adminAuthController');
 const offerController = require('../controllers/offerController');
+const jobController = require('../controllers/jobController');
+const experimentController = require('../controllers/experimentController');
+const searchRuleController = require('../controllers/searchRuleController');
+const messageController = require('../controllers/messageController');
 const adminAuthMiddleware = require('../middleware/adminAuthMiddleware');
 
 router.post('/login', adminAuthController.adminLogin);
@@ -19,4 +23,32 @@ router.post('/refresh-token', adminAuthController.refreshToken);
 // Offer management
 router.get('/offers/cleanup', offerController.cleanupInvalidOffers);
 
+// Background jobs (retraining, rating recalculation, notification sends, analytics)
+router.get('/jobs', jobController.getJobs);
+router.post('/jobs', jobController.createJob);
+router.get('/jobs/:id', jobController.getJobById);
+router.post('/jobs/:id/cancel', jobController.cancelJob);
+
+// A/B experiments for ranking and recommendations
+router.get('/experiments', experimentController.getExperiments);
+router.post('/experiments', experimentController.createExperiment);
+router.get('/experiments/:id', experimentController.getExperimentById);
+router.put('/experiments/:id', experimentController.updateExperiment);
+router.post('/experiments/:id/start', experimentController.startExperiment);
+router.post('/experiments/:id/pause', experimentController.pauseExperiment);
+router.post('/experiments/:id/complete', experimentController.completeExperiment);
+router.get('/experiments/:id/results', experimentController.getExperimentResults);
+
+// Search synonyms, stop-words, spelling corrections and category redirects
+router.get('/search-rules', searchRuleController.getSearchRules);
+router.post('/search-rules', searchRuleController.createSearchRule);
+router.post('/search-rules/test', searchRuleController.testSearchQuery);
+router.put('/search-rules/:id', searchRuleController.updateSearchRule);
+router.delete('/search-rules/:id', searchRuleController.deleteSearchRule);
+
+// Reported shop-customer messages
+router.get('/messages/reported', messageController.getReportedMessages);
+router.get('/conversations/:id', messageController.getConversationForAdmin);
+router.put('/messages/:id/status', messageController.updateMessageStatus);
+
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController');
+const cronAuthMiddleware = require('../middleware/cronAuthMiddleware');
+
+router.use(cronAuthMiddleware);
+
+// Scheduled admin notifications
+router.get('/notifications', cronController.runNotificationScheduler);
+
+// Background job queue
+router.get('/jobs', cronController.runJobWorker);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('../controllers/messageController');
+const authMiddleware = require('../middleware/authMiddleware');
+const shopOwnershipMiddleware = require('../middleware/shopOwnershipMiddleware');
+const requireApprovedShop = require('../middleware/requireApprovedShop');
+
+router.use(authMiddleware);
+
+// Shop owner routes - must come BEFORE /conversations/:id
+router.get('/shop/conversations', shopOwnershipMiddleware, requireApprovedShop, messageController.getShopConversations);
+router.get('/shop/conversations/:id', shopOwnershipMiddleware, requireApprovedShop, messageController.getShopMessages);
+router.post('/shop/conversations/:id/messages', shopOwnershipMiddleware, requireApprovedShop, messageController.sendShopMessage);
+router.post('/shop/conversations/:id/read', shopOwnershipMiddleware, requireApprovedShop, messageController.markShopMessagesRead);
+
+// Either side: image attachments and abuse reports
+router.post('/attachments', messageController.uploadAttachment);
+router.post('/:id/report', messageController.reportMessage);
+
+// Shopper conversations with shops
+router.get('/conversations', messageController.getMyConversations);
+router.post('/conversations', messageController.startConversation);
+router.get('/conversations/:id', messageController.getMyMessages);
+router.post('/conversations/:id/messages', messageController.sendMyMessage);
+router.post('/conversations/:id/read', messageController.markMyMessagesRead);
+
+module.exports = router;
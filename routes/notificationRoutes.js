@@ -6,6 +6,13 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 // Public route for device registration (requires user authentication)
 router.post('/register-device', authMiddleware, notificationController.registerDevice);
+router.put('/device-location', authMiddleware, notificationController.updateDeviceLocation);
+
+// User inbox (notifications pushed to the current user)
+router.get('/inbox', authMiddleware, notificationController.getInbox);
+router.put('/inbox/read-all', authMiddleware, notificationController.markAllInboxRead);
+router.put('/inbox/:id/read', authMiddleware, notificationController.markInboxItemRead);
+router.delete('/inbox/:id', authMiddleware, notificationController.deleteInboxItem);
 
 // Admin routes - require admin authentication
 router.get('/admin/all', adminAuthMiddleware, notificationController.getAllNotifications);
@@ -14,5 +21,7 @@ router.get('/admin/:id', adminAuthMiddleware, notificationController.getNotifica
 router.post('/admin', adminAuthMiddleware, notificationController.createNotification);
 router.put('/admin/:id', adminAuthMiddleware, notificationController.updateNotification);
 router.post('/admin/:id/send', adminAuthMiddleware, notificationController.sendNotification);
+router.post('/admin/:id/cancel', adminAuthMiddleware, notificationController.cancelNotification);
+router.post('/admin/:id/reschedule', adminAuthMiddleware, notificationController.rescheduleNotification);
 
 module.exports = router;
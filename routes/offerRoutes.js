@@ -17,6 +17,10 @@ router.get('/admin/stats', adminAuthMiddleware, offerController.getOfferStats);
 router.get('/admin/:id', adminAuthMiddleware, offerController.getOfferById);
 router.put('/admin/:id/status', adminAuthMiddleware, offerController.updateOfferStatus);
 
+// Shopper routes (require user authentication only)
+router.get('/claims/mine', authMiddleware, offerController.getMyClaims);
+router.post('/:id/claim', authMiddleware, offerController.claimOffer);
+
 // Apply authentication and shop ownership middleware to shop routes only
 router.use(authMiddleware);
 router.use(shopOwnershipMiddleware);
@@ -24,6 +28,8 @@ router.use(requireApprovedShop);
 
 // Offer management routes for shop owners
 router.get('/', offerController.getMyOffers);                    // Get all offers for shop
+router.post('/redemptions/verify', offerController.verifyRedemption); // Check a customer's code/QR
+router.post('/redemptions/redeem', offerController.redeemOffer);       // Redeem a customer's code/QR
 router.post('/', offerController.createOffer);                   // Create new offer
 router.get('/:id', offerController.getOffer);                    // Get specific offer
 router.put('/:id', offerController.updateOffer);                 // Update offer
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const authMiddleware = require('../middleware/authMiddleware');
+const shopOwnershipMiddleware = require('../middleware/shopOwnershipMiddleware');
+const requireApprovedShop = require('../middleware/requireApprovedShop');
+
+router.use(authMiddleware);
+
+// Shop owner routes - must come BEFORE /:id
+router.get('/shop', shopOwnershipMiddleware, requireApprovedShop, orderController.getShopOrders);
+router.post('/shop/:id/accept', shopOwnershipMiddleware, requireApprovedShop, orderController.acceptOrder);
+router.post('/shop/:id/reject', shopOwnershipMiddleware, requireApprovedShop, orderController.rejectOrder);
+router.post('/shop/:id/complete', shopOwnershipMiddleware, requireApprovedShop, orderController.completeOrder);
+
+// Shopper click-and-collect reservations
+router.post('/', orderController.createOrder);
+router.get('/', orderController.getMyOrders);
+router.get('/:id', orderController.getMyOrder);
+router.post('/:id/cancel', orderController.cancelMyOrder);
+
+module.exports = router;
@@ -10,6 +10,26 @@ router.get('/search', productController.searchProductsPublic);
 // Enhanced product search with shops and offers
 router.get('/search-with-shops', productController.searchProductsWithShopsAndOffers);
 
+// Public price timeline for a product
+router.get('/:id/price-history', productController.getPriceHistory);
+
+// Public cross-shop price comparison for the same item
+router.get('/compare', productController.compareProducts);
+
+// Shop owner: catalogue details for a barcode (pre-fills new products)
+router.get('/lookup', authMiddleware, productController.lookupBarcode);
+
+// Public alternatives to a product
+router.get('/:id/similar', productController.getSimilarProducts);
+
+// Cart price quote with every applicable offer
+router.post('/price-quote', authMiddleware, productController.getPriceQuote);
+
+// Shopper back-in-stock alerts ("notify me when available")
+router.get('/:id/notify-me', authMiddleware, productController.getRestockSubscription);
+router.post('/:id/notify-me', authMiddleware, productController.subscribeRestock);
+router.delete('/:id/notify-me', authMiddleware, productController.unsubscribeRestock);
+
 // Business dashboard: Product image upload (for shopkeepers only)
 router.post('/upload-image', authMiddleware, productController.uploadProductImage);
 
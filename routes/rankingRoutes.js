@@ -49,9 +49,9 @@ router.get('/explanation', RankingController.getRankingExplanation);
 
 /**
  * @route POST /api/ranking/interaction
- * @desc Track user interaction with ranked items
+ * @desc Track user interaction with ranked items (joined to the impression when requestId is sent)
  * @access Private
- * @body itemId, itemType, behaviorType, rank, score
+ * @body itemId, itemType, behaviorType, requestId, rank, score
  */
 router.post('/interaction', RankingController.trackInteraction);
 
@@ -69,8 +69,9 @@ router.get('/ab-test', RankingController.getABTestRanking);
 
 /**
  * @route POST /api/ranking/admin/retrain
- * @desc Retrain ranking models (admin only)
+ * @desc Train and activate a new ranking model version in the background (admin only)
  * @access Admin
+ * @body notes (optional)
  */
 router.post('/admin/retrain', adminAuthMiddleware, RankingController.retrainModels);
 
@@ -81,4 +82,28 @@ router.post('/admin/retrain', adminAuthMiddleware, RankingController.retrainMode
  */
 router.get('/admin/status', adminAuthMiddleware, RankingController.getModelStatus);
 
+/**
+ * @route GET /api/ranking/admin/versions
+ * @desc List persisted ranking model versions with their training window and metrics
+ * @access Admin
+ * @query page, limit
+ */
+router.get('/admin/versions', adminAuthMiddleware, RankingController.getModelVersions);
+
+/**
+ * @route GET /api/ranking/admin/versions/compare
+ * @desc Compare the metrics of two model versions
+ * @access Admin
+ * @query from, to (version numbers)
+ */
+router.get('/admin/versions/compare', adminAuthMiddleware, RankingController.compareModelVersions);
+
+/**
+ * @route POST /api/ranking/admin/rollback
+ * @desc Activate an earlier model version (defaults to the one before the active version)
+ * @access Admin
+ * @body version (optional)
+ */
+router.post('/admin/rollback', adminAuthMiddleware, RankingController.rollbackModels);
+
 module.exports = router;
@@ -5,9 +5,12 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 router.use(authMiddleware);
 
-// NLP-like product search (synonyms + scoring)
+// Product search over the search index (synonyms, typo tolerance, facets, cursor pagination)
 router.get('/products', SearchController.searchProducts);
 
+// Prefix suggestions while typing (products, shops, categories, brands)
+router.get('/autocomplete', SearchController.autocomplete);
+
 // Shop search
 router.get('/shops', SearchController.searchShops);
 
@@ -11,6 +11,7 @@ const requireApprovedShop = require('../middleware/requireApprovedShop');
 router.get('/', shopController.getShops);
 router.get('/nearby', shopController.getShopsNearLocation);
 router.get('/search', shopController.searchShopsPublic);
+router.get('/:id/similar', shopController.getSimilarShops);
 
 // Shop owner routes (require shop owner authentication)
 router.get('/my-shop', authMiddleware, shopOwnershipMiddleware, shopController.getMyShop);
@@ -24,6 +25,9 @@ router.post('/my-shop/upload-photo', authMiddleware, shopOwnershipMiddleware, sh
 
 // Shop owner product management routes
 router.get('/products', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.getMyProducts);
+router.get('/products/export', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.exportMyProducts);
+router.post('/products/import', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.importMyProducts);
+router.get('/products/import/:jobId', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.getMyImportStatus);
 router.put('/products/:id', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.updateMyProduct);
 router.delete('/products/:id', authMiddleware, shopOwnershipMiddleware, requireApprovedShop, productController.deleteMyProduct);
 
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const favoriteController = require('../controllers/favoriteController');
 const adminAuthMiddleware = require('../middleware/adminAuthMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Current user's favorites (saved shops, products and offers)
+router.get('/me/favorites', authMiddleware, favoriteController.getFavorites);
+router.post('/me/favorites', authMiddleware, favoriteController.addFavorite);
+router.delete('/me/favorites/:targetType/:targetId', authMiddleware, favoriteController.removeFavorite);
 
 // Admin routes for user management (require admin authentication)
 router.get('/admin/all', adminAuthMiddleware, userController.getAllUsers);
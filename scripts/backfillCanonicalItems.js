@@ -0,0 +1,54 @@
+/**
+ * Script to match existing products to canonical items (normalized brand + itemName)
+ * New and edited products are matched when saved; run this once after deploying price
+ * comparison, and again after changing the normalization rules (pass --all to rematch everything).
+ *
+ * Usage: node scripts/backfillCanonicalItems.js [--all]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/productModel');
+const canonicalItemService = require('../services/canonicalItemService');
+
+async function backfillCanonicalItems() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const filter = process.argv.includes('--all') ? {} : { canonicalItemId: { $exists: false } };
+    const cursor = Product.find(filter).select('brand itemName category canonicalItemId').cursor();
+
+    let matched = 0;
+    let unmatched = 0;
+    for await (const product of cursor) {
+      const item = await canonicalItemService.assignCanonicalItem(product);
+      await Product.updateOne(
+        { _id: product._id },
+        item ? { $set: { canonicalItemId: item._id } } : { $unset: { canonicalItemId: '' } }
+      );
+      if (item) matched++; else unmatched++;
+    }
+
+    console.log(`Matched ${matched} products, ${unmatched} could not be matched`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+backfillCanonicalItems();
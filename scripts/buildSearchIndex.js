@@ -0,0 +1,48 @@
+/**
+ * Script to build the stored search index terms on products and shops
+ * Documents are re-indexed on save; run this once after deploying the search index for
+ * existing documents, and with --all after changing the tokenizer in services/searchService.js.
+ *
+ * Usage: node scripts/buildSearchIndex.js [--all]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/productModel');
+const Shop = require('../models/shopModel');
+const searchIndexService = require('../services/searchIndexService');
+
+async function buildSearchIndex() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    // Make sure the multikey indexes exist before the search endpoints rely on them
+    await Promise.all([Product.createIndexes(), Shop.createIndexes()]);
+
+    const summary = await searchIndexService.rebuildIndex({
+      all: process.argv.includes('--all'),
+      onProgress: ({ model, indexed }) => console.log(`  ${model}: ${indexed} indexed`)
+    });
+    console.log('Search index built:', JSON.stringify(summary));
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+buildSearchIndex();
@@ -0,0 +1,145 @@
+/**
+ * Script to evaluate ranking changes offline before shipping them
+ *
+ * `snapshot` reads shops, offers, products, user profiles, behavior and ranking impressions from
+ * MONGODB_URI into a dataset file; the last --holdout-days of behavior become the evaluation queries.
+ * `replay` restores the dataset into a LOCAL MongoDB (EVAL_MONGODB_URI, collections are wiped), runs
+ * rankShops, rankOffers and rankShopsSimple for every query and weight set, and prints NDCG@k, MRR,
+ * precision@k, recall@k and catalog coverage side by side.
+ *
+ * A weights file is a JSON object of named weight sets, e.g.
+ *   { "closer": { "distance": 0.35, "rating": 0.2 } }
+ * Missing weights fall back to rankingService.featureWeights.
+ *
+ * Usage:
+ *   node scripts/evaluateRanking.js snapshot [file] [--days 30] [--holdout-days 7] [--max-behaviors 100000]
+ *   node scripts/evaluateRanking.js replay <file> [--k 10] [--weights weights.json] [--rankers rankShops,rankOffers] [--max-queries 200]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const rankingEvaluationService = require('../services/rankingEvaluationService');
+
+const DEFAULT_EVAL_URI = 'mongodb://127.0.0.1:27017/shopradar_ranking_eval';
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+const formatMetric = (value) => value.toFixed(4);
+
+function printTable(result) {
+  const headers = ['ranker', 'weights', `NDCG@${result.k}`, 'MRR', `P@${result.k}`, `R@${result.k}`, 'coverage', 'queries'];
+  const rows = result.rows.map(row => [
+    row.ranker,
+    row.weights,
+    formatMetric(row.ndcg),
+    formatMetric(row.mrr),
+    formatMetric(row.precision),
+    formatMetric(row.recall),
+    formatMetric(row.coverage),
+    row.failed ? `${row.queries} (${row.failed} failed)` : String(row.queries)
+  ]);
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  console.log(line(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(line(row)));
+}
+
+async function snapshot(file, options) {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    console.error('MONGODB_URI is not set in environment');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log('Connected to MongoDB');
+
+  const dataset = await rankingEvaluationService.createSnapshot({
+    days: options.days ? parseInt(options.days) : undefined,
+    holdoutDays: options['holdout-days'] ? parseInt(options['holdout-days']) : undefined,
+    maxBehaviors: options['max-behaviors'] ? parseInt(options['max-behaviors']) : undefined
+  });
+
+  const outFile = file || path.join('datasets', `ranking-eval-${dataset.snapshotAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, rankingEvaluationService.writeDataset(dataset));
+
+  console.log(`Wrote ${outFile}`);
+  console.log('Counts:', JSON.stringify(dataset.counts));
+}
+
+async function replay(file, options) {
+  if (!file) {
+    console.error('Usage: node scripts/evaluateRanking.js replay <file>');
+    process.exit(1);
+  }
+
+  const evalURI = process.env.EVAL_MONGODB_URI || DEFAULT_EVAL_URI;
+  if (!rankingEvaluationService.isLocalMongoUri(evalURI)) {
+    console.error(`Refusing to replay into ${evalURI}: replays wipe collections and must use a local MongoDB`);
+    process.exit(1);
+  }
+
+  const dataset = rankingEvaluationService.readDataset(fs.readFileSync(file, 'utf8'));
+  const weightSets = options.weights
+    ? JSON.parse(fs.readFileSync(options.weights, 'utf8'))
+    : rankingEvaluationService.DEFAULT_WEIGHT_SETS;
+
+  await mongoose.connect(evalURI);
+  console.log(`Connected to local MongoDB, replaying ${file} (snapshot of ${dataset.snapshotAt.toISOString()})`);
+
+  const result = await rankingEvaluationService.replay(dataset, {
+    k: options.k ? parseInt(options.k) : undefined,
+    weightSets,
+    rankers: options.rankers ? options.rankers.split(',') : undefined,
+    maxQueries: options['max-queries'] ? parseInt(options['max-queries']) : undefined,
+    onProgress: (row) => console.log(`  ${row.ranker} / ${row.weights} done`)
+  });
+
+  console.log(`\n${result.queries} queries, k=${result.k}\n`);
+  printTable(result);
+}
+
+async function evaluateRanking() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+
+  try {
+    if (command === 'snapshot') {
+      await snapshot(positional[0], options);
+    } else if (command === 'replay') {
+      await replay(positional[0], options);
+    } else {
+      console.error('Usage: node scripts/evaluateRanking.js <snapshot|replay> [file] [options]');
+      process.exit(1);
+    }
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+evaluateRanking();
@@ -1,15 +1,15 @@
 /**
  * Script to recalculate all shop ratings from active reviews
- * Run this script to fix shops that have 0.0 rating but have reviews
- * 
+ * Run this script to fix shops that have 0.0 rating but have reviews.
+ * Admins can also queue the same work from the API (POST /api/admin/jobs, type shop_rating_recalculation).
+ *
  * Usage: node scripts/recalculateAllShopRatings.js
  */
 
 const mongoose = require('mongoose');
 require('dotenv').config();
 
-const Review = require('../models/reviewModel');
-const Shop = require('../models/shopModel');
+const shopRatingService = require('../services/shopRatingService');
 
 async function recalculateAllShopRatings() {
   try {
@@ -23,54 +23,12 @@ async function recalculateAllShopRatings() {
     await mongoose.connect(mongoURI);
     console.log('Connected to MongoDB');
 
-    // Get all shops
-    const shops = await Shop.find({});
-    console.log(`Found ${shops.length} shops to process`);
-
-    let updatedCount = 0;
-    let errorCount = 0;
-
-    for (const shop of shops) {
-      try {
-        // Calculate average rating and count for the shop (only active reviews)
-        const ratingStats = await Review.aggregate([
-          { $match: { shopId: shop._id, status: 'active' } },
-          {
-            $group: {
-              _id: null,
-              averageRating: { $avg: '$rating' },
-              reviewCount: { $sum: 1 }
-            }
-          }
-        ]);
-
-        const averageRating = ratingStats.length > 0 && ratingStats[0].averageRating 
-          ? ratingStats[0].averageRating 
-          : 0;
-        const reviewCount = ratingStats.length > 0 ? ratingStats[0].reviewCount : 0;
-
-        const finalRating = averageRating > 0 ? Math.round(averageRating * 10) / 10 : 0;
-
-        // Update shop
-        await Shop.findByIdAndUpdate(shop._id, {
-          rating: finalRating,
-          reviewCount: reviewCount
-        });
-
-        if (finalRating > 0 || reviewCount > 0) {
-          console.log(`✓ Updated ${shop.shopName || shop._id}: rating=${finalRating}, reviews=${reviewCount}`);
-          updatedCount++;
-        }
-      } catch (error) {
-        console.error(`✗ Error updating shop ${shop._id}:`, error.message);
-        errorCount++;
-      }
-    }
+    const { total, updated, errors } = await shopRatingService.recalculateAllShopRatings();
 
     console.log('\n=== Summary ===');
-    console.log(`Total shops processed: ${shops.length}`);
-    console.log(`Successfully updated: ${updatedCount}`);
-    console.log(`Errors: ${errorCount}`);
+    console.log(`Total shops processed: ${total}`);
+    console.log(`Successfully updated: ${updated}`);
+    console.log(`Errors: ${errors}`);
 
     await mongoose.disconnect();
     console.log('\nDisconnected from MongoDB');
@@ -84,4 +42,3 @@ async function recalculateAllShopRatings() {
 
 // Run the script
 recalculateAllShopRatings();
-
@@ -0,0 +1,42 @@
+/**
+ * Script to recompute every "similar products" and "similar shops" list
+ * Product changes refresh the affected lists through the job queue; run this nightly from cron
+ * so new co-views and newly listed items reach every list.
+ *
+ * Usage: node scripts/refreshSimilarItems.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const similarityService = require('../services/similarityService');
+
+async function refreshSimilarItems() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const result = await similarityService.refreshAll({
+      onProgress: ({ message }) => console.log(message)
+    });
+    console.log(`Refreshed ${result.products} product and ${result.shops} shop lists, removed ${result.removed} stale lists`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+refreshSimilarItems();
@@ -0,0 +1,45 @@
+/**
+ * Script to train a new ranking model version and make it active
+ * Run it from cron (e.g. daily); server instances pick the new version up on their next check.
+ * Roll back from the admin API (POST /api/ranking/admin/rollback) if the new version misbehaves.
+ *
+ * Usage: node scripts/retrainRankingModels.js [notes]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const rankingService = require('../services/rankingService');
+
+async function retrainRankingModels() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const version = await rankingService.retrainModels({ trigger: 'script', notes: process.argv[2] });
+    if (version) {
+      console.log(`Activated ranking model version ${version.version}`);
+      console.log('Metrics:', JSON.stringify(version.metrics));
+    } else {
+      console.log('Not enough behavior data to train a new version; the active version is unchanged');
+    }
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+retrainRankingModels();
@@ -0,0 +1,49 @@
+/**
+ * Script to run queued background jobs (model retraining, rating recalculation,
+ * notification sends, analytics) until the queue is empty
+ * Use it from cron where no long-running server runs the job worker; on Vercel it is
+ * what runs model_retrain and embedding_training, which the cron endpoint skips (see
+ * controllers/cronController.js). It is safe to run alongside server instances because
+ * jobs are claimed atomically.
+ *
+ * Usage: node scripts/runJobWorker.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const jobQueueService = require('../services/jobQueueService');
+
+async function runJobWorker() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    let total = 0;
+    let processed;
+    do {
+      processed = await jobQueueService.runDueJobs();
+      total += processed;
+    } while (processed > 0);
+
+    console.log(`Ran ${total} jobs`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+runJobWorker();
@@ -0,0 +1,46 @@
+/**
+ * Script to deliver admin notifications whose scheduled time has passed
+ * Use it from cron where no long-running server runs the scheduler (e.g. Vercel);
+ * it is safe to run alongside server instances because deliveries are claimed atomically.
+ * 
+ * Usage: node scripts/runNotificationScheduler.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+
+async function runNotificationScheduler() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    let total = 0;
+    let processed;
+    do {
+      processed = await notificationDeliveryService.runDueNotifications();
+      total += processed;
+    } while (processed > 0);
+
+    console.log(`Processed ${total} due notifications`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+runNotificationScheduler();
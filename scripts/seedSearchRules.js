@@ -0,0 +1,57 @@
+/**
+ * Script to copy the built-in search synonyms (English plus Hindi and Marathi
+ * transliterations) into the SearchRule collection so admins can edit them.
+ * Existing rules with the same type, language and term are left untouched.
+ *
+ * Usage: node scripts/seedSearchRules.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const SearchRule = require('../models/searchRuleModel');
+const { DEFAULT_RULES, normalizeToken } = require('../services/searchService');
+
+async function seedSearchRules() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const result = await SearchRule.bulkWrite(DEFAULT_RULES.map(rule => ({
+      updateOne: {
+        filter: { type: rule.type, language: rule.language, term: normalizeToken(rule.term) },
+        update: {
+          $setOnInsert: {
+            synonyms: rule.synonyms.map(normalizeToken),
+            bidirectional: rule.bidirectional,
+            isActive: true,
+            notes: 'Built-in default',
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    console.log(`Inserted ${result.upsertedCount} rules, ${DEFAULT_RULES.length - result.upsertedCount} already existed`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+seedSearchRules();
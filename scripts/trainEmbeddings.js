@@ -0,0 +1,51 @@
+/**
+ * Script to train collaborative-filtering embeddings (implicit-feedback ALS on UserBehavior scores)
+ * Run it from cron (e.g. nightly); recommendations switch to the new vectors as soon as it finishes.
+ * The same training can be queued from the admin API (POST /api/admin/jobs, type "embedding_training").
+ *
+ * Usage: node scripts/trainEmbeddings.js [factors] [iterations]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const matrixFactorizationService = require('../services/matrixFactorizationService');
+
+async function trainEmbeddings() {
+  try {
+    // Connect to MongoDB
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      console.error('MONGODB_URI is not set in environment');
+      process.exit(1);
+    }
+
+    await mongoose.connect(mongoURI);
+    console.log('Connected to MongoDB');
+
+    const options = {};
+    if (process.argv[2]) options.factors = parseInt(process.argv[2]);
+    if (process.argv[3]) options.iterations = parseInt(process.argv[3]);
+
+    const result = await matrixFactorizationService.train({
+      ...options,
+      onProgress: ({ message }) => console.log(message)
+    });
+    if (result.skipped) {
+      console.log(`Skipped: ${result.reason}`);
+    } else {
+      console.log(`Trained embedding version ${result.version}: ${result.users} users, ${result.items} items, ${result.interactions} interactions`);
+    }
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Fatal error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+trainEmbeddings();
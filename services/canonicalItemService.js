@@ -0,0 +1,209 @@
+const CanonicalItem = require('../models/canonicalItemModel');
+const CatalogueItem = require('../models/catalogueItemModel');
+const Product = require('../models/productModel');
+const Offer = require('../models/offerModel');
+const { OFFER_PRICING_FIELDS, computeProductPrice, offerLabel } = require('./pricingService');
+const { SCHEDULE_FIELDS, computeOpenStatus } = require('./openingHoursService');
+
+// Pack sizes are compared in base units: "1 Kg" == "1000g", "0.5 ltr" == "500ml"
+const UNITS = {
+  g: ['g', 1], gm: ['g', 1], gms: ['g', 1], gram: ['g', 1], grams: ['g', 1],
+  kg: ['g', 1000], kgs: ['g', 1000], kilo: ['g', 1000],
+  ml: ['ml', 1], l: ['ml', 1000], ltr: ['ml', 1000], ltrs: ['ml', 1000],
+  litre: ['ml', 1000], litres: ['ml', 1000], liter: ['ml', 1000], liters: ['ml', 1000],
+  pc: ['pc', 1], pcs: ['pc', 1], piece: ['pc', 1], pieces: ['pc', 1]
+};
+const UNIT_PATTERN = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|')})\\b`, 'g');
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'of', 'with', 'new', 'and']);
+const BRAND_SUFFIXES = new Set(['ltd', 'limited', 'pvt', 'private', 'inc', 'co', 'company', 'india', 'brand', 'brands']);
+
+// Relative weight of each factor in a comparison row's value score
+const VALUE_WEIGHTS = { price: 0.5, distance: 0.25, rating: 0.15, availability: 0.1 };
+
+// Lowercase, strip accents and punctuation; Devanagari letters are kept
+function baseTokens(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(UNIT_PATTERN, (match, amount, unit) => {
+      const [base, factor] = UNITS[unit];
+      return ` ${parseFloat((parseFloat(amount) * factor).toFixed(3))}${base} `;
+    })
+    .replace(/[^a-z0-9.\u0900-\u097f]+/g, ' ')
+    .replace(/(^|\s)\.+|\.+(\s|$)/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function normalizeBrand(brand) {
+  return baseTokens(brand).filter(token => !BRAND_SUFFIXES.has(token) && !FILLER_WORDS.has(token)).join(' ');
+}
+
+/**
+* Order-insensitive item name without the brand ("Amul Butter 500 gm" by Amul -> "500g butter")
+*/
+function normalizeItemName(itemName, brand) {
+  const brandTokens = new Set(normalizeBrand(brand).split(' '));
+  return baseTokens(itemName)
+    .filter(token => !FILLER_WORDS.has(token) && !brandTokens.has(token))
+    .sort()
+    .join(' ');
+}
+
+/**
+* @returns {string|null} null when brand or item name normalize to nothing
+*/
+function canonicalKey(brand, itemName) {
+  const normalizedBrand = normalizeBrand(brand);
+  const normalizedItem = normalizeItemName(itemName, brand);
+  if (!normalizedBrand || !normalizedItem) return null;
+  return `${normalizedBrand}|${normalizedItem}`;
+}
+
+/**
+* Point a product at its canonical item, creating the item on first sight. Call before saving
+* a new product or one whose brand/itemName/gtin changed. A barcode already in the catalogue
+* wins over name matching, however the shop spelled the item.
+* @returns {Promise<object|null>} The CanonicalItem, or null when the product cannot be matched
+*/
+async function assignCanonicalItem(product) {
+  if (product.gtin) {
+    const entry = await CatalogueItem.findOne({ gtin: product.gtin }).select('canonicalItemId');
+    const item = entry && entry.canonicalItemId ? await CanonicalItem.findById(entry.canonicalItemId) : null;
+    if (item) {
+      product.canonicalItemId = item._id;
+      return item;
+    }
+  }
+
+  const key = canonicalKey(product.brand, product.itemName);
+  if (!key) {
+    product.canonicalItemId = undefined;
+    return null;
+  }
+
+  let item;
+  try {
+    item = await CanonicalItem.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, category: product.category, brand: product.brand, itemName: product.itemName } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two shops listing a new item at once; the other insert won
+    if (error.code !== 11000) throw error;
+    item = await CanonicalItem.findOne({ key });
+  }
+
+  product.canonicalItemId = item._id;
+  return item;
+}
+
+const distanceKm = (userLocation, point) => {
+  const coordinates = point && point.coordinates;
+  if (!userLocation || !Array.isArray(coordinates) || coordinates.length !== 2) return undefined;
+  const toRad = (d) => d * Math.PI / 180;
+  const dLat = toRad(coordinates[1] - userLocation.latitude);
+  const dLon = toRad(coordinates[0] - userLocation.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(userLocation.latitude)) * Math.cos(toRad(coordinates[1])) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+/**
+* Every visible shop's listing of a canonical item with its effective price after offers,
+* stock, distance and rating, best value first (in-stock listings always before out-of-stock)
+* @param {object} item - CanonicalItem
+* @param {{userLocation?: {latitude: number, longitude: number}, maxDistance?: number}} options
+*/
+async function compareItem(item, { userLocation, maxDistance } = {}) {
+  const products = await Product.find({ canonicalItemId: item._id, status: 'active' })
+    .select('name brand itemName category price stock images shopId variants')
+    .populate('shopId', `shopName rating reviewCount address location verificationStatus isActive ${SCHEDULE_FIELDS}`);
+
+  const now = new Date();
+  const listed = products.filter(p => p.shopId && p.shopId.verificationStatus === 'approved' && p.shopId.isActive);
+  const offers = await Offer.find({
+    productId: { $in: listed.map(p => p._id) },
+    status: 'active',
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  }).select(OFFER_PRICING_FIELDS).lean();
+
+  const offersByProduct = new Map();
+  for (const offer of offers) {
+    const key = String(offer.productId);
+    if (!offersByProduct.has(key)) offersByProduct.set(key, []);
+    offersByProduct.get(key).push(offer);
+  }
+
+  let rows = listed.map(product => {
+    const shop = product.shopId;
+    const pricing = computeProductPrice(product, offersByProduct.get(String(product._id)) || [], {
+      now,
+      timezone: shop.timezone
+    });
+    const openStatus = computeOpenStatus(shop, now);
+    return {
+      productId: product._id,
+      name: product.name,
+      image: product.images && product.images[0] ? product.images[0].url : null,
+      price: pricing.price,
+      effectivePrice: pricing.effectivePrice,
+      discountPercent: pricing.discountPercent,
+      offer: pricing.offer ? { id: pricing.offer._id, title: pricing.offer.title, label: offerLabel(pricing.offer) } : null,
+      stock: product.stock,
+      inStock: product.stock > 0,
+      shop: {
+        id: shop._id,
+        shopName: shop.shopName,
+        address: shop.address,
+        rating: shop.rating,
+        reviewCount: shop.reviewCount,
+        isOpen: openStatus.isOpen
+      },
+      distanceKm: distanceKm(userLocation, shop.location)
+    };
+  });
+
+  if (userLocation && maxDistance) {
+    rows = rows.filter(row => row.distanceKm === undefined || row.distanceKm <= maxDistance);
+  }
+
+  const prices = rows.map(row => row.effectivePrice).filter(price => price > 0);
+  const lowest = prices.length ? Math.min(...prices) : 0;
+  for (const row of rows) {
+    const factors = {
+      price: row.effectivePrice > 0 ? lowest / row.effectivePrice : 1,
+      distance: row.distanceKm === undefined ? 0.5 : 1 / (1 + row.distanceKm / 3),
+      rating: Math.max(0, Math.min(Number(row.shop.rating) || 0, 5)) / 5,
+      availability: row.inStock ? (row.shop.isOpen ? 1 : 0.5) : 0
+    };
+    row.valueScore = Math.round(
+      Object.entries(VALUE_WEIGHTS).reduce((sum, [key, weight]) => sum + factors[key] * weight, 0) * 1000
+    ) / 1000;
+  }
+
+  rows.sort((a, b) => (b.inStock - a.inStock) || (b.valueScore - a.valueScore) || (a.effectivePrice - b.effectivePrice));
+
+  return {
+    item: { id: item._id, category: item.category, brand: item.brand, itemName: item.itemName },
+    listings: rows,
+    summary: {
+      shops: rows.length,
+      inStock: rows.filter(row => row.inStock).length,
+      lowestEffectivePrice: prices.length ? lowest : null,
+      highestEffectivePrice: prices.length ? Math.max(...prices) : null
+    }
+  };
+}
+
+module.exports = {
+  normalizeBrand,
+  normalizeItemName,
+  canonicalKey,
+  assignCanonicalItem,
+  compareItem
+};
@@ -0,0 +1,107 @@
+// Shared barcode catalogue: one entry per GTIN with the details shops should list it under.
+// Entries are learned from the first shop that lists a barcode; later shops get their fields
+// pre-filled (GET /api/products/lookup) and join the same canonical item for price comparison.
+
+const CatalogueItem = require('../models/catalogueItemModel');
+const Product = require('../models/productModel');
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+* Barcode as GTIN-14, or null when it is not a valid EAN-8, UPC-A, EAN-13 or GTIN-14
+* (spaces and dashes are ignored; the check digit must match)
+* @param {string|number} value
+* @returns {string|null}
+*/
+function normalizeGtin(value) {
+  if (value === undefined || value === null) return null;
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return null;
+
+  const gtin = digits.padStart(14, '0');
+  // GS1 check digit: weights 3 and 1 alternate from the leftmost of the 13 data digits
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(gtin[i]) * (i % 2 === 0 ? 3 : 1);
+  return (10 - (sum % 10)) % 10 === Number(gtin[13]) ? gtin : null;
+}
+
+/**
+* Filter for active products carrying a barcode, on the product or one of its variants
+*/
+function barcodeFilter(gtin) {
+  return { status: 'active', $or: [{ gtin }, { 'variants.gtin': gtin }] };
+}
+
+/**
+* Catalogue entry for a barcode with the number of active listings
+* @param {string} gtin Normalized (normalizeGtin)
+* @returns {Promise<{item: object, listings: number}|null>}
+*/
+async function lookupBarcode(gtin) {
+  const item = await CatalogueItem.findOne({ gtin }).lean();
+  if (!item) return null;
+  const listings = await Product.countDocuments(barcodeFilter(gtin));
+  return { item, listings };
+}
+
+/**
+* Add a product's barcodes (its own and its variants') to the catalogue. Existing entries are
+* never overwritten: the first listing of a barcode defines it. Call after the product has its
+* canonical item.
+* @returns {Promise<number>} Entries created
+*/
+async function recordProduct(product) {
+  const entries = [];
+  if (product.gtin) {
+    entries.push({ gtin: product.gtin, name: product.name, options: [] });
+  }
+  for (const variant of product.variants || []) {
+    if (!variant.gtin) continue;
+    const options = (variant.options || []).map(option => ({ name: option.name, value: option.value }));
+    entries.push({
+      gtin: variant.gtin,
+      name: [product.name, ...options.map(option => option.value)].join(' '),
+      options,
+      imageUrl: variant.images && variant.images[0] ? variant.images[0].url : undefined
+    });
+  }
+  if (entries.length === 0) return 0;
+
+  const image = product.images && product.images[0] ? product.images[0].url : undefined;
+  let created = 0;
+  for (const entry of entries) {
+    try {
+      const result = await CatalogueItem.updateOne(
+        { gtin: entry.gtin },
+        { $setOnInsert: {
+          gtin: entry.gtin,
+          name: entry.name,
+          category: product.category,
+          brand: product.brand,
+          itemName: product.itemName,
+          description: product.description || undefined,
+          imageUrl: entry.imageUrl || image,
+          options: entry.options,
+          canonicalItemId: product.canonicalItemId,
+          sourceProductId: product._id,
+          sourceShopId: product.shopId,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        } },
+        { upsert: true }
+      );
+      created += result.upsertedCount || 0;
+    } catch (error) {
+      // Another shop listed the same new barcode at the same moment; its entry stands
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+}
+
+module.exports = {
+  normalizeGtin,
+  barcodeFilter,
+  lookupBarcode,
+  recordProduct
+};
@@ -48,7 +48,8 @@ async function uploadFromUrl(url, folder) {
   };
 }
 
-async function uploadBuffer(buffer, folder, filename) {
+// resourceType 'image' for files that must be served as images (Cloudinary rejects anything else)
+async function uploadBuffer(buffer, folder, filename, { resourceType = 'raw' } = {}) {
   if (!isCloudinaryConfigured()) {
     throw new Error('Cloudinary credentials are not configured');
   }
@@ -57,7 +58,7 @@ async function uploadBuffer(buffer, folder, filename) {
     const stream = cloudinary.uploader.upload_stream({ 
       folder, 
       public_id: filename && filename.split('.')[0],
-      resource_type: 'raw' // This ensures PDFs are uploaded as raw files
+      resource_type: resourceType // raw by default so PDFs are uploaded as raw files
     }, (err, res) => {
       if (err) return reject(err);
       
@@ -86,6 +87,12 @@ async function uploadBuffer(buffer, folder, filename) {
   });
 }
 
-module.exports = { uploadFromUrl, uploadBuffer, isCloudinaryConfigured };
+// Delivery URL of an uploaded image on this account's cloud
+function imageUrl(publicId) {
+  configure();
+  return cloudinary.url(publicId, { secure: true, resource_type: 'image', type: 'upload', urlAnalytics: false });
+}
+
+module.exports = { uploadFromUrl, uploadBuffer, imageUrl, isCloudinaryConfigured };
 
 
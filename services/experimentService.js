@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const Experiment = require('../models/experimentModel');
+const ExperimentExposure = require('../models/experimentExposureModel');
+const UserProfile = require('../models/userProfileModel');
+const UserBehavior = require('../models/userBehaviorModel');
+
+const SURFACES = ['ranking', 'recommendations'];
+const RANKING_ALGORITHMS = ['ml', 'rule_based', 'simple'];
+const TARGETING_FIELDS = {
+  userTypes: 'userType',
+  customerValues: 'customerValue',
+  engagementLevels: 'engagementLevel',
+  locationTypes: 'locationType'
+};
+const CACHE_MS = 60 * 1000;
+const Z_95 = 1.96;
+
+// Running experiment per surface, cached briefly so assignment adds no query per request
+const activeCache = new Map();
+
+/**
+* Uniform bucket in [0, 1) for a user, stable per experiment
+*/
+function bucket(salt, userId) {
+  const hash = crypto.createHash('md5').update(`${salt}:${userId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+async function getRunningExperiment(surface, now = new Date()) {
+  const cached = activeCache.get(surface);
+  if (cached && Date.now() - cached.loadedAt < CACHE_MS) return cached.experiment;
+
+  const experiment = await Experiment.findOne({
+    surface,
+    status: 'running',
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gt: now } }] }
+    ]
+  }).lean();
+  activeCache.set(surface, { experiment, loadedAt: Date.now() });
+  return experiment;
+}
+
+function clearCache() {
+  activeCache.clear();
+}
+
+function matchesTargeting(targeting, segments = {}) {
+  for (const [listField, segmentField] of Object.entries(TARGETING_FIELDS)) {
+    const allowed = (targeting && targeting[listField]) || [];
+    if (allowed.length > 0 && !allowed.includes(segments[segmentField])) return false;
+  }
+  return true;
+}
+
+/**
+* Variant of the running experiment on a surface for this user
+* @returns {Promise<{experiment: object, variant: object}|null>} null when the user is not enrolled
+*/
+async function assignVariant(userId, surface) {
+  try {
+    if (!userId) return null;
+    const experiment = await getRunningExperiment(surface);
+    if (!experiment || !experiment.variants || experiment.variants.length === 0) return null;
+
+    // Traffic allocation and variant split use independent hashes
+    if (bucket(`${experiment.key}:traffic`, userId) * 100 >= experiment.trafficAllocation) return null;
+
+    const targeting = experiment.targeting || {};
+    if (Object.keys(TARGETING_FIELDS).some(field => (targeting[field] || []).length > 0)) {
+      const profile = await UserProfile.findOne({ userId }).select('segments').lean();
+      if (!matchesTargeting(targeting, profile && profile.segments)) return null;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+    if (totalWeight <= 0) return null;
+    let point = bucket(experiment.key, userId) * totalWeight;
+    for (const variant of experiment.variants) {
+      point -= variant.weight;
+      if (point < 0) return { experiment, variant };
+    }
+    return { experiment, variant: experiment.variants[experiment.variants.length - 1] };
+  } catch (error) {
+    // Experiments must never break the feature they wrap
+    console.error('Experiment assignment error:', error);
+    return null;
+  }
+}
+
+/**
+* Record that a user saw a variant's results (never throws)
+*/
+async function logExposure(assignment, userId, { itemType, itemIds = [] } = {}) {
+  if (!assignment) return;
+  try {
+    await ExperimentExposure.create({
+      experimentId: assignment.experiment._id,
+      variantKey: assignment.variant.key,
+      userId,
+      surface: assignment.experiment.surface,
+      itemType,
+      itemIds: itemIds.filter(Boolean).slice(0, 100)
+    });
+  } catch (error) {
+    console.error('Experiment exposure logging error:', error);
+  }
+}
+
+/**
+* Validate admin input for creating/updating an experiment
+* @returns {{value?: object, error?: string}}
+*/
+function normalizeExperimentInput(input, { partial = false } = {}) {
+  const value = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('key')) {
+    if (typeof input.key !== 'string' || !/^[a-z0-9_-]{3,64}$/.test(input.key.trim().toLowerCase())) {
+      return { error: 'key must be 3-64 characters: lowercase letters, digits, _ or -' };
+    }
+    value.key = input.key.trim().toLowerCase();
+  }
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return { error: 'name is required' };
+    value.name = input.name.trim();
+  }
+  if (has('description')) value.description = String(input.description || '').trim();
+  if (!partial || has('surface')) {
+    if (!SURFACES.includes(input.surface)) return { error: `surface must be one of: ${SURFACES.join(', ')}` };
+    value.surface = input.surface;
+  }
+
+  if (!partial || has('variants')) {
+    const variants = Array.isArray(input.variants) ? input.variants : [];
+    if (variants.length < 2) return { error: 'At least two variants are required' };
+    const keys = new Set();
+    value.variants = [];
+    for (const v of variants) {
+      const key = typeof v.key === 'string' ? v.key.trim() : '';
+      if (!key || keys.has(key)) return { error: 'Every variant needs a unique key' };
+      keys.add(key);
+      const weight = v.weight === undefined ? 1 : Number(v.weight);
+      if (!Number.isFinite(weight) || weight < 0) return { error: `Variant ${key}: weight must be a non-negative number` };
+      const config = v.config && typeof v.config === 'object' ? v.config : {};
+      const surface = value.surface || input.surface;
+      if (surface === 'ranking' && !RANKING_ALGORITHMS.includes(config.algorithm)) {
+        return { error: `Variant ${key}: config.algorithm must be one of: ${RANKING_ALGORITHMS.join(', ')}` };
+      }
+      if (surface === 'recommendations' && config.weights) {
+        const bad = ['cf', 'cb', 'loc'].some(w => config.weights[w] !== undefined && !(Number(config.weights[w]) >= 0));
+        if (bad) return { error: `Variant ${key}: config.weights.cf/cb/loc must be non-negative numbers` };
+      }
+      value.variants.push({ key, name: v.name || key, weight, isControl: !!v.isControl, config });
+    }
+    if (value.variants.every(v => v.weight === 0)) return { error: 'At least one variant needs a positive weight' };
+    if (value.variants.filter(v => v.isControl).length > 1) return { error: 'Only one variant can be the control' };
+    if (!value.variants.some(v => v.isControl)) value.variants[0].isControl = true;
+  }
+
+  if (has('trafficAllocation')) {
+    const allocation = Number(input.trafficAllocation);
+    if (!Number.isFinite(allocation) || allocation < 0 || allocation > 100) {
+      return { error: 'trafficAllocation must be between 0 and 100' };
+    }
+    value.trafficAllocation = allocation;
+  }
+
+  if (has('targeting')) {
+    value.targeting = {};
+    for (const [listField, segmentField] of Object.entries(TARGETING_FIELDS)) {
+      const list = (input.targeting || {})[listField];
+      if (list === undefined) continue;
+      const allowed = UserProfile.schema.path(`segments.${segmentField}`).enumValues;
+      if (!Array.isArray(list) || list.some(item => !allowed.includes(item))) {
+        return { error: `targeting.${listField} must be a list of: ${allowed.join(', ')}` };
+      }
+      value.targeting[listField] = list;
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (!has(field)) continue;
+    if (input[field] === null) {
+      value[field] = null;
+      continue;
+    }
+    const date = new Date(input[field]);
+    if (isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+    value[field] = date;
+  }
+  if (value.startDate && value.endDate && value.endDate <= value.startDate) {
+    return { error: 'endDate must be after startDate' };
+  }
+
+  const behaviorTypes = UserBehavior.schema.path('behaviorType').enumValues;
+  for (const field of ['clickEvents', 'conversionEvents']) {
+    if (!has(field)) continue;
+    if (!Array.isArray(input[field]) || input[field].length === 0 || input[field].some(e => !behaviorTypes.includes(e))) {
+      return { error: `${field} must be a non-empty list of behavior types` };
+    }
+    value[field] = input[field];
+  }
+  if (has('attributionHours')) {
+    const hours = Number(input.attributionHours);
+    if (!Number.isFinite(hours) || hours < 1 || hours > 24 * 14) return { error: 'attributionHours must be between 1 and 336' };
+    value.attributionHours = hours;
+  }
+
+  return { value };
+}
+
+// ===== Statistics =====
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+* 95% Wilson score interval for a proportion
+*/
+function wilsonInterval(successes, trials) {
+  if (!trials) return [0, 0];
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const margin = (Z_95 * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials)) / denominator;
+  return [round4(Math.max(0, center - margin)), round4(Math.min(1, center + margin))];
+}
+
+// Standard normal CDF (Abramowitz-Stegun approximation)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp(-x * x / 2);
+  const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+* Difference of two proportions (variant - control) with a 95% interval and two-sided p-value
+*/
+function compareProportions(successes, trials, controlSuccesses, controlTrials) {
+  if (!trials || !controlTrials) return null;
+  const p1 = successes / trials;
+  const p0 = controlSuccesses / controlTrials;
+  const diff = p1 - p0;
+  const se = Math.sqrt(p1 * (1 - p1) / trials + p0 * (1 - p0) / controlTrials);
+  const pooled = (successes + controlSuccesses) / (trials + controlTrials);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / trials + 1 / controlTrials));
+  const pValue = pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(diff) / pooledSe)) : 1;
+  return {
+    difference: round4(diff),
+    relativeLift: p0 > 0 ? round4(diff / p0) : null,
+    ci95: [round4(diff - Z_95 * se), round4(diff + Z_95 * se)],
+    pValue: round4(pValue),
+    significant: pValue < 0.05
+  };
+}
+
+/**
+* CTR and conversion per variant, per user: users are what is randomized, and one user's
+* repeated exposures are not independent trials. A user counts as clicked/converted when any
+* of their exposures was followed by a click/conversion event on one of the exposed items
+* within the attribution window.
+*/
+async function getResults(experiment) {
+  const windowMs = experiment.attributionHours * 60 * 60 * 1000;
+  const events = [...new Set([...experiment.clickEvents, ...experiment.conversionEvents])];
+  const hadEvent = (types) => ({
+    $gt: [{ $size: { $filter: { input: '$events', cond: { $in: ['$$this.behaviorType', types] } } } }, 0]
+  });
+
+  const rows = await ExperimentExposure.aggregate([
+    { $match: { experimentId: experiment._id } },
+    {
+      $lookup: {
+        from: UserBehavior.collection.name,
+        let: { userId: '$userId', shownAt: '$createdAt', items: '$itemIds' },
+        pipeline: [
+          {
+            $match: {
+              behaviorType: { $in: events },
+              $expr: {
+                $and: [
+                  { $eq: ['$userId', '$$userId'] },
+                  { $gte: ['$createdAt', '$$shownAt'] },
+                  { $lte: ['$createdAt', { $add: ['$$shownAt', windowMs] }] },
+                  { $in: ['$targetId', '$$items'] }
+                ]
+              }
+            }
+          },
+          { $project: { behaviorType: 1 } }
+        ],
+        as: 'events'
+      }
+    },
+    { $project: { variantKey: 1, userId: 1, clicked: hadEvent(experiment.clickEvents), converted: hadEvent(experiment.conversionEvents) } },
+    {
+      $group: {
+        _id: { variantKey: '$variantKey', userId: '$userId' },
+        exposures: { $sum: 1 },
+        clicked: { $max: '$clicked' },
+        converted: { $max: '$converted' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.variantKey',
+        exposures: { $sum: '$exposures' },
+        users: { $sum: 1 },
+        clicks: { $sum: { $cond: ['$clicked', 1, 0] } },
+        conversions: { $sum: { $cond: ['$converted', 1, 0] } }
+      }
+    }
+  ]);
+
+  const byVariant = new Map(rows.map(r => [r._id, r]));
+  const control = experiment.variants.find(v => v.isControl) || experiment.variants[0];
+  const controlRow = byVariant.get(control.key) || { exposures: 0, users: 0, clicks: 0, conversions: 0 };
+
+  const variants = experiment.variants.map(variant => {
+    const row = byVariant.get(variant.key) || { exposures: 0, clicks: 0, conversions: 0, users: 0 };
+    const isControl = variant.key === control.key;
+    return {
+      key: variant.key,
+      name: variant.name,
+      isControl,
+      exposures: row.exposures,
+      users: row.users,
+      // Users who clicked / converted at least once; rates are shares of users
+      clicks: row.clicks,
+      conversions: row.conversions,
+      ctr: row.users ? round4(row.clicks / row.users) : 0,
+      ctrCi95: wilsonInterval(row.clicks, row.users),
+      conversionRate: row.users ? round4(row.conversions / row.users) : 0,
+      conversionCi95: wilsonInterval(row.conversions, row.users),
+      vsControl: isControl ? null : {
+        ctr: compareProportions(row.clicks, row.users, controlRow.clicks, controlRow.users),
+        conversion: compareProportions(row.conversions, row.users, controlRow.conversions, controlRow.users)
+      }
+    };
+  });
+
+  return {
+    control: control.key,
+    attributionHours: experiment.attributionHours,
+    clickEvents: experiment.clickEvents,
+    conversionEvents: experiment.conversionEvents,
+    variants
+  };
+}
+
+module.exports = {
+  SURFACES,
+  RANKING_ALGORITHMS,
+  assignVariant,
+  logExposure,
+  getRunningExperiment,
+  clearCache,
+  normalizeExperimentInput,
+  getResults,
+  wilsonInterval,
+  compareProportions
+};
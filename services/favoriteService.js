@@ -0,0 +1,227 @@
+const Favorite = require('../models/favoriteModel');
+const Shop = require('../models/shopModel');
+const Product = require('../models/productModel');
+const Offer = require('../models/offerModel');
+const { OFFER_PRICING_FIELDS, computeProductPrice, isOfferActive, offerLabel } = require('./pricingService');
+const { SCHEDULE_FIELDS, computeOpenStatus } = require('./openingHoursService');
+const mlRecommendationService = require('./mlRecommendationService');
+
+const TARGET_TYPES = ['shop', 'product', 'offer'];
+const SHOP_FIELDS = `shopName address rating reviewCount category location isActive verificationStatus ${SCHEDULE_FIELDS}`;
+
+/**
+* Load the favorited entity (only ones a customer can see)
+* @returns {Promise<object|null>}
+*/
+async function findTarget(targetType, targetId) {
+  if (targetType === 'shop') {
+    return Shop.findOne({ _id: targetId, isActive: true, verificationStatus: 'approved' }).select('shopName category rating');
+  }
+  if (targetType === 'product') {
+    return Product.findOne({ _id: targetId, status: 'active' }).select('name category price shopId');
+  }
+  return Offer.findById(targetId).select('title category shopId productId');
+}
+
+/**
+* Record the change as user behavior so recommendations pick it up (never throws)
+*/
+function trackFavoriteBehavior(userId, behaviorType, targetType, target, context = {}) {
+  const metadata = {
+    ...(targetType === 'shop'
+      ? { shopCategory: target.category, shopRating: target.rating }
+      : { productCategory: target.category, productPrice: target.price }),
+    userAgent: context.userAgent,
+    ipAddress: context.ipAddress
+  };
+  mlRecommendationService.trackUserBehavior(userId, { behaviorType, targetId: target._id, targetType, metadata })
+    .catch(err => console.error('Favorite behavior tracking error:', err));
+}
+
+/**
+* Save a shop, product or offer (idempotent)
+* @returns {Promise<{favorite: object|null, created: boolean, notFound?: boolean}>}
+*/
+async function addFavorite(userId, targetType, targetId, context = {}) {
+  const target = await findTarget(targetType, targetId);
+  if (!target) return { favorite: null, created: false, notFound: true };
+
+  const existing = await Favorite.findOne({ userId, targetType, targetId });
+  if (existing) return { favorite: existing, created: false };
+
+  try {
+    const favorite = await Favorite.create({
+      userId,
+      targetType,
+      targetId,
+      shopId: targetType === 'shop' ? target._id : target.shopId
+    });
+    trackFavoriteBehavior(userId, 'add_to_favorites', targetType, target, context);
+    return { favorite, created: true };
+  } catch (error) {
+    // A concurrent request saved it first
+    if (error.code === 11000) {
+      return { favorite: await Favorite.findOne({ userId, targetType, targetId }), created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+* Remove a saved shop, product or offer
+* @returns {Promise<boolean>} false when it was not saved
+*/
+async function removeFavorite(userId, targetType, targetId, context = {}) {
+  const removed = await Favorite.findOneAndDelete({ userId, targetType, targetId });
+  if (!removed) return false;
+
+  const target = await findTarget(targetType, targetId);
+  if (target) trackFavoriteBehavior(userId, 'remove_from_favorites', targetType, target, context);
+  return true;
+}
+
+function formatOffer(offer) {
+  return offer ? {
+    id: offer._id,
+    title: offer.title,
+    discountType: offer.discountType,
+    discountValue: offer.discountValue,
+    label: offerLabel(offer),
+    endDate: offer.endDate
+  } : null;
+}
+
+function formatShop(shop, now) {
+  if (!shop) return null;
+  const openStatus = computeOpenStatus(shop, now);
+  return {
+    id: shop._id,
+    name: shop.shopName,
+    address: shop.address,
+    category: shop.category,
+    rating: shop.rating,
+    reviewCount: shop.reviewCount,
+    location: shop.location,
+    isOpen: openStatus.isOpen,
+    opensAt: openStatus.opensAt,
+    closesAt: openStatus.closesAt,
+    closesInMinutes: openStatus.closesInMinutes
+  };
+}
+
+/**
+* List a user's favorites with live price, offer and open-status data
+* @param {{type?: string, page?: number, limit?: number}} options
+* @returns {Promise<{favorites: object[], total: number}>}
+*/
+async function listFavorites(userId, { type, page = 1, limit = 20 } = {}) {
+  const filter = { userId, ...(type ? { targetType: type } : {}) };
+  const [favorites, total] = await Promise.all([
+    Favorite.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Favorite.countDocuments(filter)
+  ]);
+
+  const idsOf = (t) => favorites.filter(f => f.targetType === t).map(f => f.targetId);
+  const offers = await Offer.find({ _id: { $in: idsOf('offer') } });
+  // Custom offers have no product
+  const productIds = [...idsOf('product'), ...offers.map(o => o.productId).filter(Boolean)];
+  const products = await Product.find({ _id: { $in: productIds } }).select('name price stock images status category brand shopId variants');
+  const shopIds = favorites.map(f => f.shopId).filter(Boolean);
+  const shops = await Shop.find({ _id: { $in: shopIds } }).select(SHOP_FIELDS);
+
+  const now = new Date();
+  // Live offers for favorited products and shops, loaded in one query
+  const liveOffers = await Offer.find({
+    $or: [{ productId: { $in: productIds } }, { shopId: { $in: idsOf('shop') } }],
+    status: 'active',
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  }).select(OFFER_PRICING_FIELDS);
+  const usableOffers = liveOffers.filter(o => isOfferActive(o, now));
+
+  const byId = (docs) => new Map(docs.map(d => [d._id.toString(), d]));
+  const offerMap = byId(offers);
+  const productMap = byId(products);
+  const shopMap = byId(shops);
+
+  const pricing = (product, candidateOffers, shopId) => {
+    const shopDoc = shopId ? shopMap.get(shopId.toString()) : null;
+    const { price, effectivePrice, discount, offer } = computeProductPrice(product, candidateOffers, {
+      now,
+      timezone: shopDoc && shopDoc.timezone
+    });
+    return { price, effectivePrice, discount, bestOffer: formatOffer(offer) };
+  };
+  const offersForProduct = (productId) => usableOffers.filter(o => o.productId && o.productId.toString() === productId.toString());
+  // A single-variant offer is priced on that variant
+  const offerTarget = (product, offer) => offer.variantId
+    ? { price: product.price, variants: (product.variants || []).filter(v => v._id.toString() === offer.variantId.toString()) }
+    : product;
+
+  const items = favorites.map(fav => {
+    const shop = fav.shopId ? formatShop(shopMap.get(fav.shopId.toString()), now) : null;
+    const base = { id: fav._id, targetType: fav.targetType, targetId: fav.targetId, savedAt: fav.createdAt, shop };
+
+    if (fav.targetType === 'shop') {
+      const activeOffers = usableOffers.filter(o => o.shopId.toString() === fav.targetId.toString());
+      const shopDoc = shopMap.get(fav.targetId.toString());
+      return { ...base, available: !!shopDoc && shopDoc.isActive, activeOffers: activeOffers.length };
+    }
+
+    if (fav.targetType === 'product') {
+      const product = productMap.get(fav.targetId.toString());
+      if (!product) return { ...base, available: false };
+      return {
+        ...base,
+        available: product.status === 'active',
+        product: {
+          id: product._id,
+          name: product.name,
+          category: product.category,
+          brand: product.brand,
+          image: product.images && product.images[0] ? product.images[0].url : null,
+          stock: product.stock,
+          inStock: product.stock > 0
+        },
+        ...pricing(product, offersForProduct(product._id), fav.shopId)
+      };
+    }
+
+    const offer = offerMap.get(fav.targetId.toString());
+    if (!offer) return { ...base, available: false };
+    const product = offer.productId ? productMap.get(offer.productId.toString()) : null;
+    const isLive = isOfferActive(offer, now);
+    return {
+      ...base,
+      available: isLive,
+      offer: {
+        ...formatOffer(offer),
+        status: offer.status,
+        startDate: offer.startDate,
+        isLive
+      },
+      product: product ? { id: product._id, name: product.name, stock: product.stock, inStock: product.stock > 0 } : null,
+      // Price with this offer applied, if it is still live
+      ...(product ? pricing(offerTarget(product, offer), isLive ? [offer] : [], fav.shopId) : {})
+    };
+  });
+
+  return { favorites: items, total };
+}
+
+/**
+* Users who currently have a product saved (directly or through one of its offers)
+* @returns {Promise<string[]>}
+*/
+async function getUserIdsFavoritingProduct(productId) {
+  const offerIds = await Offer.find({ productId }).distinct('_id');
+  const userIds = await Favorite.distinct('userId', {
+    $or: [
+      { targetType: 'product', targetId: productId },
+      { targetType: 'offer', targetId: { $in: offerIds } }
+    ]
+  });
+  return userIds.map(id => id.toString());
+}
+
+module.exports = { TARGET_TYPES, addFavorite, removeFavorite, listFavorites, getUserIdsFavoritingProduct };
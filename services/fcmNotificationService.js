@@ -1,5 +1,23 @@
 const admin = require('firebase-admin');
 const DeviceToken = require('../models/deviceTokenModel');
+const PushQuota = require('../models/pushQuotaModel');
+const notificationInboxService = require('./notificationInboxService');
+const { offerHeadlinePercent, offerLabel } = require('./pricingService');
+
+// Geofenced (nearby) pushes
+const EARTH_RADIUS_KM = 6371; // Mean radius, for both the $centerSphere query and haversineKm
+const MAX_NOTIFY_RADIUS_KM = 50; // Upper bound of DeviceToken.notifyRadiusKm
+const DEFAULT_NOTIFY_RADIUS_KM = 5;
+const NEARBY_PUSH_DAILY_CAP = parseInt(process.env.NEARBY_PUSH_DAILY_CAP) || 5;
+const MULTICAST_BATCH_SIZE = 500; // FCM sendEachForMulticast limit
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
 
 /**
  * Firebase Cloud Messaging (FCM) Notification Service
@@ -173,6 +191,7 @@ class FCMNotificationService {
         success: true,
         successCount: response.successCount,
         failureCount: response.failureCount,
+        failedTokens: tokens.filter((token, idx) => !response.responses[idx].success),
       };
     } catch (error) {
       console.error('❌ Error sending multicast notification:', error);
@@ -181,19 +200,21 @@ class FCMNotificationService {
   }
 
   /**
-   * Send notification to all active users
+   * Send notification to all active users (and add it to each recipient's inbox)
    */
   async sendToAllUsers(notification, data = {}, filters = {}) {
     try {
       const query = { isActive: true, ...filters };
-      const deviceTokens = await DeviceToken.find(query).select('token');
+      const deviceTokens = await DeviceToken.find(query).select('token userId');
       
       if (deviceTokens.length === 0) {
         return { success: false, error: 'No active devices found' };
       }
 
       const tokens = deviceTokens.map(dt => dt.token);
-      return await this.sendToDevices(tokens, notification, data);
+      const result = await this.sendToDevices(tokens, notification, data);
+      await notificationInboxService.addToInbox(deviceTokens.map(dt => dt.userId), notification, data);
+      return result;
     } catch (error) {
       console.error('❌ Error sending to all users:', error);
       return { success: false, error: error.message };
@@ -209,20 +230,124 @@ class FCMNotificationService {
         isActive: true,
         [`preferences.${preferenceKey}`]: true
       };
-      const deviceTokens = await DeviceToken.find(query).select('token');
+      const deviceTokens = await DeviceToken.find(query).select('token userId');
       
       if (deviceTokens.length === 0) {
         return { success: false, error: 'No devices with this preference found' };
       }
 
       const tokens = deviceTokens.map(dt => dt.token);
-      return await this.sendToDevices(tokens, notification, data);
+      const result = await this.sendToDevices(tokens, notification, data);
+      await notificationInboxService.addToInbox(deviceTokens.map(dt => dt.userId), notification, data);
+      return result;
     } catch (error) {
       console.error('❌ Error sending to users with preference:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Atomically take one push from each user's daily quota for a category, in one round-trip.
+   * Returns the users that got one; the others have reached the cap for the day.
+   * @param {string[]} userIds
+   * @param {string} day UTC "YYYY-MM-DD", as passed back to releaseDailyQuota
+   */
+  async claimDailyQuotas(userIds, day, category = 'nearby', cap = NEARBY_PUSH_DAILY_CAP) {
+    if (userIds.length === 0) return [];
+    const ops = userIds.map(userId => ({
+      updateOne: {
+        filter: { userId, category, day, count: { $lt: cap } },
+        update: { $inc: { count: 1 }, $setOnInsert: { createdAt: new Date() } },
+        upsert: true
+      }
+    }));
+    try {
+      await PushQuota.bulkWrite(ops, { ordered: false });
+      return userIds;
+    } catch (error) {
+      // The upsert collides with the existing counter when it is already at the cap
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(e => (e.code ?? e.err?.code) !== 11000)) throw error;
+      const capped = new Set(writeErrors.map(e => e.index ?? e.err.index));
+      return userIds.filter((userId, index) => !capped.has(index));
+    }
+  }
+
+  /**
+   * Give back the push claimed today for users the notification never reached
+   */
+  async releaseDailyQuota(userIds, day, category = 'nearby') {
+    if (userIds.length === 0) return;
+    await PushQuota.updateMany(
+      { userId: { $in: userIds }, category, day, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Send notification to users whose last known location is within their chosen
+   * radius of a point, honouring the daily nearby-push cap per user
+   * @param {number[]} coordinates [longitude, latitude]
+   */
+  async sendToNearbyUsers(coordinates, notification, data = {}, filters = {}) {
+    if (!this.isInitialized) {
+      console.warn('⚠️ Firebase not initialized. Skipping nearby notification.');
+      return { success: false, error: 'Firebase not initialized' };
+    }
+
+    try {
+      const [lng, lat] = coordinates;
+      const devices = await DeviceToken.find({
+        isActive: true,
+        ...filters,
+        lastLocation: {
+          $geoWithin: { $centerSphere: [[lng, lat], MAX_NOTIFY_RADIUS_KM / EARTH_RADIUS_KM] }
+        }
+      }).select('token userId lastLocation notifyRadiusKm');
+
+      // Keep devices whose own radius covers the point, grouped by user
+      const tokensByUser = new Map();
+      for (const device of devices) {
+        const [deviceLng, deviceLat] = device.lastLocation.coordinates;
+        const distanceKm = haversineKm(lat, lng, deviceLat, deviceLng);
+        if (distanceKm > (device.notifyRadiusKm || DEFAULT_NOTIFY_RADIUS_KM)) continue;
+        const userKey = device.userId.toString();
+        if (!tokensByUser.has(userKey)) tokensByUser.set(userKey, []);
+        tokensByUser.get(userKey).push(device.token);
+      }
+
+      const day = new Date().toISOString().slice(0, 10);
+      const recipients = await this.claimDailyQuotas([...tokensByUser.keys()], day);
+      const cappedUsers = tokensByUser.size - recipients.length;
+      const tokens = recipients.flatMap(userId => tokensByUser.get(userId));
+
+      if (tokens.length === 0) {
+        return { success: false, error: 'No nearby devices to notify', cappedUsers };
+      }
+
+      let successCount = 0;
+      let failureCount = 0;
+      const failedTokens = new Set();
+      for (let i = 0; i < tokens.length; i += MULTICAST_BATCH_SIZE) {
+        const batch = tokens.slice(i, i + MULTICAST_BATCH_SIZE);
+        const result = await this.sendToDevices(batch, notification, data);
+        successCount += result.successCount || 0;
+        failureCount += result.success ? (result.failureCount || 0) : batch.length;
+        for (const token of (result.success ? result.failedTokens : batch)) failedTokens.add(token);
+      }
+
+      // A push that reached none of a user's devices does not count toward their daily cap
+      const unreached = recipients.filter(userId => tokensByUser.get(userId).every(token => failedTokens.has(token)));
+      await this.releaseDailyQuota(unreached, day);
+      await notificationInboxService.addToInbox(recipients, notification, data);
+
+      return { success: successCount > 0, successCount, failureCount, cappedUsers };
+    } catch (error) {
+      console.error('❌ Error sending to nearby users:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send notification for new offer
    */
@@ -239,7 +364,7 @@ class FCMNotificationService {
 
       const isSpecialDeal = offerObj.isCustomOffer === true;
       const discountValue = offerObj.discountValue || 0;
-      const isFeatured = offerObj.isPromoted === true || discountValue > 20;
+      const isFeatured = offerObj.isPromoted === true || offerHeadlinePercent(offerObj) > 20;
       
       // Determine notification type and preference key
       let preferenceKey = 'newOffers';
@@ -253,9 +378,7 @@ class FCMNotificationService {
         notificationTitle = '⭐ Featured Offer!';
       }
 
-      const discountText = offerObj.discountType === 'Percentage' 
-        ? `${discountValue}% OFF`
-        : `₹${discountValue} OFF`;
+      const discountText = offerLabel(offerObj);
 
       const shopName = shopObj.shopName || shopObj.name || 'Shop';
       const offerTitle = offerObj.title || 'New Offer';
@@ -279,8 +402,17 @@ class FCMNotificationService {
         isCustomOffer: (isSpecialDeal).toString(),
       };
 
-      // Send to users with the specific preference enabled
-      const result = await this.sendToUsersWithPreference(preferenceKey, notification, data);
+      // Only users near the shop who have the specific preference and nearby offers enabled
+      const coordinates = shopObj.location && shopObj.location.coordinates;
+      if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+        console.warn(`⚠️ Shop ${shopName} has no location. Skipping offer notification.`);
+        return { success: false, error: 'Shop location not available' };
+      }
+
+      const result = await this.sendToNearbyUsers(coordinates, notification, data, {
+        [`preferences.${preferenceKey}`]: true,
+        'preferences.nearbyOffers': { $ne: false }
+      });
       
       if (result.success) {
         console.log(`📢 Sent new offer notification (${preferenceKey}): ${offerTitle} to ${result.successCount || 'users'}`);
@@ -293,13 +425,15 @@ class FCMNotificationService {
   }
 
   /**
-   * Send notification to specific user
+   * Send notification to specific user (and add it to their inbox)
+   * Optional filters narrow the user's devices (e.g. { 'preferences.priceDrops': true })
    */
-  async sendToUser(userId, notification, data = {}) {
+  async sendToUser(userId, notification, data = {}, filters = {}) {
     try {
       const deviceTokens = await DeviceToken.find({
         userId,
-        isActive: true
+        isActive: true,
+        ...filters
       }).select('token');
 
       if (deviceTokens.length === 0) {
@@ -307,7 +441,9 @@ class FCMNotificationService {
       }
 
       const tokens = deviceTokens.map(dt => dt.token);
-      return await this.sendToDevices(tokens, notification, data);
+      const result = await this.sendToDevices(tokens, notification, data);
+      await notificationInboxService.addToInbox([userId], notification, data);
+      return result;
     } catch (error) {
       console.error('❌ Error sending to user:', error);
       return { success: false, error: error.message };
@@ -316,7 +452,7 @@ class FCMNotificationService {
 
   /**
    * Send notification for new shop to nearby users
-   * Sends to users who have nearbyShops preference enabled
+   * Sends to users within their notify radius who have nearbyShops preference enabled
    */
   async notifyNewShop(shop) {
     try {
@@ -357,26 +493,24 @@ class FCMNotificationService {
         } : {})
       };
 
-      // Send to users with nearbyShops preference enabled (defaults to true if not set)
+      if (shopLat === null || shopLng === null) {
+        console.log(`📭 Shop ${shopName} has no location yet. Skipping nearby shop notification.`);
+        return { success: false, error: 'Shop location not available' };
+      }
+
+      // Send to users near the shop with nearbyShops preference enabled (defaults to true if not set)
       // We'll send to users who have nearbyOffers enabled (as nearbyShops is similar)
-      const deviceTokens = await DeviceToken.find({
-        isActive: true,
+      const result = await this.sendToNearbyUsers([shopLng, shopLat], notification, data, {
         $or: [
           { 'preferences.nearbyShops': { $ne: false } }, // enabled or not set (default true)
           { 'preferences.nearbyOffers': { $ne: false } }  // fallback to nearbyOffers preference
         ]
-      }).select('token userId');
+      });
 
-      if (deviceTokens.length === 0) {
-        console.log('📭 No users with nearby shop notifications enabled');
-        return { success: false, error: 'No users with nearby shop notifications enabled' };
-      }
-
-      const tokens = deviceTokens.map(dt => dt.token);
-      const result = await this.sendToDevices(tokens, notification, data);
-      
       if (result.success) {
-        console.log(`📢 Sent new shop notification: ${shopName} to ${result.successCount || tokens.length} users`);
+        console.log(`📢 Sent new shop notification: ${shopName} to ${result.successCount} devices`);
+      } else {
+        console.log(`📭 No nearby users to notify about new shop ${shopName}`);
       }
       
       return result;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RankingImpression = require('../models/rankingImpressionModel');
+
+const MAX_LOGGED_ITEMS = 100;
+const CTR_WINDOW_DAYS = 30;
+const PROPENSITY_CACHE_MS = 60 * 60 * 1000;
+// Below this many first-position impressions a surface uses the prior instead of its own estimate
+const MIN_TOP_IMPRESSIONS = 200;
+const MIN_PROPENSITY = 0.05;
+
+// Examination propensity per position, per surface
+const propensityCache = new Map();
+
+function createRequestId() {
+  return crypto.randomUUID();
+}
+
+/**
+* Record the list a user was shown. Never throws: impression logging must not fail the response.
+* @param {{requestId: string, userId: string, surface: string, itemType: string, items: Array<{itemId, score?}>,
+*   algorithm?: string, modelVersion?: number, experimentKey?: string, variantKey?: string, query?: string}} impression
+*/
+async function logImpressions({ requestId, userId, surface, itemType, items = [], algorithm, modelVersion, experimentKey, variantKey, query }) {
+  if (!requestId || !userId) return;
+  try {
+    await RankingImpression.create({
+      requestId,
+      userId,
+      surface,
+      itemType,
+      algorithm,
+      modelVersion: modelVersion == null ? undefined : modelVersion,
+      experimentKey,
+      variantKey,
+      query: query ? String(query).slice(0, 200) : undefined,
+      items: items
+        .filter(item => item && item.itemId)
+        .slice(0, MAX_LOGGED_ITEMS)
+        .map((item, index) => ({
+          itemId: item.itemId,
+          position: index + 1,
+          score: typeof item.score === 'number' && Number.isFinite(item.score) ? item.score : undefined
+        }))
+    });
+  } catch (error) {
+    console.error('Impression logging error:', error);
+  }
+}
+
+/**
+* Join an interaction back to the impression it came from. Only the first click on an item counts.
+* @returns {Promise<{position: number, surface: string, modelVersion?: number, firstClick: boolean}|null>}
+*   null when the request is unknown, belongs to another user or did not show the item
+*/
+async function recordClick({ requestId, userId, itemId, clickType }) {
+  if (!requestId || !userId || !mongoose.Types.ObjectId.isValid(itemId)) return null;
+  const itemObjectId = new mongoose.Types.ObjectId(String(itemId));
+
+  const clicked = await RankingImpression.findOneAndUpdate(
+    { requestId, userId, items: { $elemMatch: { itemId: itemObjectId, clickedAt: null } } },
+    { $set: { 'items.$.clickedAt': new Date(), 'items.$.clickType': clickType } },
+    { new: true }
+  ).lean();
+  const impression = clicked || await RankingImpression.findOne({ requestId, userId, 'items.itemId': itemObjectId }).lean();
+  if (!impression) return null;
+
+  const item = impression.items.find(entry => String(entry.itemId) === String(itemObjectId));
+  return {
+    position: item.position,
+    surface: impression.surface,
+    modelVersion: impression.modelVersion,
+    firstClick: !!clicked
+  };
+}
+
+// Prior when a surface has too little traffic: examination decays like the DCG discount
+const priorPropensity = (position) => 1 / Math.log2(position + 1);
+
+/**
+* Probability that a user examines each position of a surface, estimated as CTR@position / CTR@1
+* (made non-increasing) over the last CTR_WINDOW_DAYS, cached for an hour
+* @returns {Promise<(position: number) => number>}
+*/
+async function getPositionPropensity(surface) {
+  const cached = propensityCache.get(surface);
+  if (cached && Date.now() - cached.loadedAt < PROPENSITY_CACHE_MS) return cached.propensity;
+
+  const since = new Date(Date.now() - CTR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await RankingImpression.aggregate([
+    { $match: { surface, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $group: {
+      _id: '$items.position',
+      impressions: { $sum: 1 },
+      clicks: { $sum: { $cond: [{ $ifNull: ['$items.clickedAt', false] }, 1, 0] } }
+    } }
+  ]);
+
+  const byPosition = new Map(rows.map(row => [row._id, row]));
+  const top = byPosition.get(1);
+  let propensity = priorPropensity;
+
+  if (top && top.impressions >= MIN_TOP_IMPRESSIONS && top.clicks > 0) {
+    const topCtr = top.clicks / top.impressions;
+    const estimates = [1];
+    const maxPosition = Math.max(...byPosition.keys());
+    for (let position = 2; position <= maxPosition; position++) {
+      const row = byPosition.get(position);
+      const estimate = row && row.impressions > 0 ? (row.clicks / row.impressions) / topCtr : priorPropensity(position);
+      estimates.push(Math.max(MIN_PROPENSITY, Math.min(estimates[estimates.length - 1], estimate)));
+    }
+    propensity = (position) => estimates[position - 1] || Math.max(MIN_PROPENSITY, estimates[estimates.length - 1]);
+  }
+
+  propensityCache.set(surface, { propensity, loadedAt: Date.now() });
+  return propensity;
+}
+
+/**
+* Click-through rate of an item from logged impressions. debiasedCtr divides clicks by the expected
+* number of examinations (sum of position propensities) instead of raw impressions, so items usually
+* shown low in a list are not penalised for their position.
+* @returns {Promise<{impressions: number, clicks: number, ctr: number, debiasedCtr: number}>}
+*/
+async function getItemCTR(itemId, itemType, { days = CTR_WINDOW_DAYS } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const itemObjectId = new mongoose.Types.ObjectId(String(itemId));
+
+  const rows = await RankingImpression.aggregate([
+    { $match: { 'items.itemId': itemObjectId, itemType, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $match: { 'items.itemId': itemObjectId } },
+    { $group: {
+      _id: { surface: '$surface', position: '$items.position' },
+      impressions: { $sum: 1 },
+      clicks: { $sum: { $cond: [{ $ifNull: ['$items.clickedAt', false] }, 1, 0] } }
+    } }
+  ]);
+
+  let impressions = 0;
+  let clicks = 0;
+  let examinations = 0;
+  for (const row of rows) {
+    const propensity = await getPositionPropensity(row._id.surface);
+    impressions += row.impressions;
+    clicks += row.clicks;
+    examinations += row.impressions * propensity(row._id.position);
+  }
+
+  return {
+    impressions,
+    clicks,
+    ctr: impressions > 0 ? clicks / impressions : 0,
+    debiasedCtr: examinations > 0 ? Math.min(clicks / examinations, 1) : 0
+  };
+}
+
+function clearCache() {
+  propensityCache.clear();
+}
+
+module.exports = {
+  createRequestId,
+  logImpressions,
+  recordClick,
+  getPositionPropensity,
+  getItemCTR,
+  clearCache
+};
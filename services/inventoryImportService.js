@@ -0,0 +1,569 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { parse: parseCsv } = require('csv-parse/sync');
+const Product = require('../models/productModel');
+const Category = require('../models/categoryModel');
+const canonicalItemService = require('./canonicalItemService');
+const similarityService = require('./similarityService');
+const priceHistoryService = require('./priceHistoryService');
+const restockAlertService = require('./restockAlertService');
+const jobQueueService = require('./jobQueueService');
+const catalogueService = require('./catalogueService');
+
+const MAX_ROWS = 5000;
+// Unpacked size of all the parts of an XLSX upload; far above what MAX_ROWS rows need
+const MAX_XLSX_BYTES = 50 * 1024 * 1024;
+const MAX_REPORTED_ERRORS = 500;
+// Above this many changed products one full similarity refresh replaces per-product refreshes
+const SIMILARITY_BATCH_THRESHOLD = 50;
+
+// Columns of an export, and the fields an import can set
+const IMPORT_FIELDS = ['sku', 'gtin', 'name', 'category', 'brand', 'itemName', 'description', 'price', 'stock', 'status', 'imageUrl'];
+const REQUIRED_FOR_CREATE = ['category', 'brand', 'itemName', 'price', 'stock'];
+const IMPORT_STATUSES = ['active', 'removed'];
+
+// Common spreadsheet headings per field (compared lowercase without spaces, _ or -)
+const HEADER_ALIASES = {
+  sku: ['sku', 'skucode', 'code', 'itemcode', 'productcode'],
+  gtin: ['gtin', 'barcode', 'ean', 'upc'],
+  name: ['name', 'productname', 'title', 'product'],
+  category: ['category', 'categoryname'],
+  brand: ['brand', 'brandname', 'make', 'manufacturer'],
+  itemName: ['itemname', 'item', 'model', 'variant'],
+  description: ['description', 'details', 'desc'],
+  price: ['price', 'mrp', 'sellingprice', 'rate', 'unitprice'],
+  stock: ['stock', 'qty', 'quantity', 'stockqty', 'inventory', 'available'],
+  status: ['status'],
+  imageUrl: ['imageurl', 'image', 'imagelink', 'photo']
+};
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[\s_-]+/g, '');
+const cellText = (value) => (value === undefined || value === null ? '' : String(value).trim().replace(/^'(?=[=+\-@])/, ''));
+const collapse = (text) => cellText(text).replace(/\s+/g, ' ');
+// Text a spreadsheet app would run as a formula is prefixed with ' on export (and read back without it)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const productKey = (category, brand, itemName) =>
+  [category, brand, itemName].map(part => collapse(part).toLowerCase()).join('|');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+
+// Plain value of an XLSX cell: rich text, formula results and hyperlinks come back as objects
+function xlsxCellValue(value) {
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return xlsxCellValue(value.result);
+  if ('text' in value) return xlsxCellValue(value.text);
+  return '';
+}
+
+// Whether the XLSX parts unpack within MAX_XLSX_BYTES, counted while inflating so a zip bomb
+// stops at the cap (the declared sizes in the zip directory can lie)
+async function xlsxWithinSizeLimit(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  let total = 0;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    const fits = await new Promise((resolve, reject) => {
+      const stream = entry.internalStream('uint8array');
+      stream
+        .on('data', (chunk) => {
+          total += chunk.length;
+          if (total > MAX_XLSX_BYTES) {
+            stream.pause();
+            resolve(false);
+          }
+        })
+        .on('error', reject)
+        .on('end', () => resolve(true))
+        .resume();
+    });
+    if (!fits) return false;
+  }
+  return true;
+}
+
+// Rows of the first worksheet, read as a stream so only the first `maxRows` rows are ever parsed
+async function readXlsxRows(buffer, maxRows) {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from(buffer), {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    worksheets: 'emit'
+  });
+  const rows = [];
+  for await (const worksheet of reader) {
+    for await (const row of worksheet) {
+      // row.values is 1-based and sparse
+      const cells = Array.from(row.values.slice(1), xlsxCellValue);
+      if (cells.every(cell => cellText(cell) === '')) continue;
+      rows.push(cells);
+      if (rows.length >= maxRows) break;
+    }
+    break;
+  }
+  return rows;
+}
+
+// CSV as UTF-8 text (already capped by the upload size); the delimiter is whichever of , ; or tab
+// the heading line uses most
+function readCsvRows(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+  return parseCsv(text, { delimiter, relax_column_count: true, relax_quotes: true, skip_empty_lines: true, skip_records_with_empty_values: true });
+}
+
+/**
+* First sheet of a CSV or XLSX upload as header + rows of cell text
+* @returns {Promise<{headers: string[], rows: object[], error?: string}>}
+*/
+async function parseFile(buffer) {
+  let cellRows;
+  try {
+    // XLSX is a zip container; anything else is read as CSV with cells kept as text so codes
+    // like "00123" keep their leading zeros. Numeric XLSX cells stay full-precision numbers.
+    if (buffer.slice(0, 4).equals(OLE_SIGNATURE)) {
+      return { error: 'Old .xls workbooks are not supported; save the sheet as XLSX or CSV' };
+    }
+    if (buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+      if (!(await xlsxWithinSizeLimit(buffer))) {
+        return { error: `The workbook is too large; at most ${MAX_ROWS} rows can be imported at once` };
+      }
+      // Heading + one row past the limit is enough to reject an oversized sheet
+      cellRows = await readXlsxRows(buffer, MAX_ROWS + 2);
+    } else {
+      cellRows = readCsvRows(buffer);
+    }
+  } catch (error) {
+    return { error: 'Could not read the file; upload a CSV or XLSX spreadsheet' };
+  }
+
+  const [headerRow = [], ...dataRows] = cellRows;
+  const headers = headerRow.map(cellText);
+  if (headers.every(header => !header)) return { error: 'The first row must contain column headings' };
+  if (dataRows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} rows can be imported at once` };
+
+  const rows = dataRows.map(cells => {
+    const row = {};
+    headers.forEach((header, i) => { if (header) row[header] = cellText(cells[i]); });
+    return row;
+  });
+  return { headers, rows };
+}
+
+/**
+* Which column feeds each field: the client's mapping ({field: heading}) where given,
+* otherwise the first heading matching a known alias
+* @returns {{columns: object, unmappedColumns: string[], error?: string}}
+*/
+function resolveColumns(headers, mapping = {}) {
+  const columns = {};
+  for (const [field, header] of Object.entries(mapping || {})) {
+    if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown field in mapping: ${field}` };
+    if (header === null || header === '') continue;
+    if (!headers.includes(header)) return { error: `Column "${header}" mapped to ${field} is not in the file` };
+    columns[field] = header;
+  }
+
+  const used = new Set(Object.values(columns));
+  for (const field of IMPORT_FIELDS) {
+    if (columns[field] || (mapping && mapping[field] !== undefined)) continue;
+    const header = headers.find(h => h && !used.has(h) && HEADER_ALIASES[field].includes(headerKey(h)));
+    if (header) {
+      columns[field] = header;
+      used.add(header);
+    }
+  }
+
+  const missing = ['category', 'brand', 'itemName'].filter(field => !columns[field]);
+  if (!columns.sku && missing.length) {
+    return { error: `Map a sku column or all of category, brand and itemName (missing: ${missing.join(', ')})` };
+  }
+
+  return { columns, unmappedColumns: headers.filter(h => h && !used.has(h)) };
+}
+
+const parseNumber = (text) => {
+  // Accept "₹1,299.00" style cells
+  const cleaned = text.replace(/[\u20b9,\s]/g, '').replace(/^rs\.?/i, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+/**
+* Typed values of the cells present in a row, with a message per invalid cell
+*/
+function readRow(raw, columns) {
+  const values = {};
+  const errors = [];
+  for (const [field, header] of Object.entries(columns)) {
+    const text = field === 'description' ? cellText(raw[header]) : collapse(raw[header]);
+    if (text === '') continue;
+
+    if (field === 'price') {
+      const price = parseNumber(text);
+      if (!Number.isFinite(price) || price < 0) errors.push({ field, message: `Invalid price "${text}"` });
+      else values.price = Math.round(price * 100) / 100;
+    } else if (field === 'stock') {
+      const stock = parseNumber(text);
+      if (!Number.isInteger(stock) || stock < 0) errors.push({ field, message: `Stock must be a whole number, got "${text}"` });
+      else values.stock = stock;
+    } else if (field === 'status') {
+      const status = text.toLowerCase();
+      if (!IMPORT_STATUSES.includes(status)) errors.push({ field, message: `Status must be one of: ${IMPORT_STATUSES.join(', ')}` });
+      else values.status = status;
+    } else if (field === 'imageUrl') {
+      if (!/^https?:\/\/\S+$/i.test(text)) errors.push({ field, message: 'Image URL must start with http:// or https://' });
+      else values.imageUrl = text;
+    } else if (field === 'gtin') {
+      const gtin = catalogueService.normalizeGtin(text);
+      if (!gtin) errors.push({ field, message: `Barcode "${text}" is not a valid EAN-8, EAN-13, UPC-A or GTIN-14` });
+      else values.gtin = gtin;
+    } else if (field === 'sku' && text.length > 64) {
+      errors.push({ field, message: 'SKU can be at most 64 characters' });
+    } else {
+      values[field] = text;
+    }
+  }
+  return { values, errors };
+}
+
+// Fields of values that differ from the product
+function changedFields(product, values) {
+  return Object.keys(values).filter(field => {
+    if (field === 'imageUrl') return !(product.images && product.images[0] && product.images[0].url === values.imageUrl);
+    return product[field] !== values[field];
+  });
+}
+
+async function loadShopProducts(shopId) {
+  const products = await Product.find({ shopId })
+    .select('shopId sku gtin name category brand itemName canonicalItemId description price stock status images variants');
+  const bySku = new Map();
+  const byKey = new Map();
+  for (const product of products) {
+    if (product.sku && !bySku.has(product.sku)) bySku.set(product.sku, product);
+    const key = productKey(product.category, product.brand, product.itemName);
+    if (!byKey.has(key)) byKey.set(key, product);
+  }
+  return { bySku, byKey };
+}
+
+/**
+* Existing product a row refers to: by SKU first, then by category + brand + itemName
+* @returns {{product: object|null, error?: string}}
+*/
+function matchRow(values, existing) {
+  let product = null;
+  if (values.sku && existing.bySku.has(values.sku)) {
+    product = existing.bySku.get(values.sku);
+  } else if (values.category && values.brand && values.itemName) {
+    product = existing.byKey.get(productKey(values.category, values.brand, values.itemName)) || null;
+    if (product && values.sku && product.sku && product.sku !== values.sku) {
+      return { product: null, error: `This item is already listed under SKU "${product.sku}"` };
+    }
+  }
+  // Moderation status is the admin's call
+  if (product && product.status === 'flagged' && values.status) {
+    return { product: null, error: 'This product is flagged for review; only an admin can change its status' };
+  }
+  // Price and stock of a product with variants are derived from its variants
+  if (product && product.variants && product.variants.length > 0 &&
+      ['price', 'stock'].some(field => values[field] !== undefined && values[field] !== product[field])) {
+    return { product: null, error: 'This product has variants; edit their price and stock in the app' };
+  }
+  return { product };
+}
+
+/**
+* Validate a parsed file against the shop's catalogue
+* @returns {Promise<{report?: object, rows?: object[], error?: string}>} rows: the rows to apply ({row, values});
+*   error when the column mapping is unusable
+*/
+async function validateImport(shopId, { headers, rows }, mapping) {
+  const resolved = resolveColumns(headers, mapping);
+  if (resolved.error) return { error: resolved.error };
+  const { columns, unmappedColumns } = resolved;
+
+  const existing = await loadShopProducts(shopId);
+  const categories = await Category.find({ shopId }).select('name brands.name').lean();
+  const knownBrands = new Map(categories.map(c => [c.name.toLowerCase(), new Set((c.brands || []).map(b => b.name.toLowerCase()))]));
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  const errors = [];
+  const preview = [];
+  const valid = [];
+  const newCategories = new Map();
+  const newBrands = new Map();
+  const seenSkus = new Map();
+  const seenKeys = new Map();
+
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 2; // 1-based, after the heading row
+    const { values, errors: cellErrors } = readRow(raw, columns);
+    const rowErrors = [...cellErrors];
+
+    const match = rowErrors.length ? { product: null } : matchRow(values, existing);
+    if (match.error) rowErrors.push({ message: match.error });
+    const product = match.product;
+
+    if (!product && !rowErrors.length) {
+      const missing = REQUIRED_FOR_CREATE.filter(field => values[field] === undefined);
+      if (missing.length) rowErrors.push({ message: `New products need: ${missing.join(', ')}` });
+    }
+
+    // The same product twice in one file: the first row wins
+    if (!rowErrors.length) {
+      const target = { ...(product ? product.toObject() : {}), ...values };
+      const key = productKey(target.category, target.brand, target.itemName);
+      const sku = values.sku || (product && product.sku);
+      const earlier = (sku && seenSkus.get(sku)) || seenKeys.get(key);
+      if (earlier) {
+        rowErrors.push({ message: `Same product as row ${earlier}` });
+      } else {
+        if (sku) seenSkus.set(sku, rowNumber);
+        seenKeys.set(key, rowNumber);
+      }
+    }
+
+    if (rowErrors.length) {
+      summary.error++;
+      for (const error of rowErrors) {
+        if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row: rowNumber, ...error });
+      }
+      preview.push({ row: rowNumber, action: 'error', sku: values.sku, name: values.name });
+      return;
+    }
+
+    const changes = product ? changedFields(product, values) : IMPORT_FIELDS.filter(field => values[field] !== undefined);
+    const action = !product ? 'create' : (changes.length ? 'update' : 'unchanged');
+    summary[action]++;
+    preview.push({
+      row: rowNumber,
+      action,
+      productId: product ? product._id : undefined,
+      sku: values.sku || (product && product.sku),
+      name: values.name || (product && product.name) || `${values.brand} ${values.itemName}`,
+      changes: action === 'update' ? changes : undefined
+    });
+    if (action === 'unchanged') return;
+    valid.push({ row: rowNumber, values });
+
+    const category = values.category || product.category;
+    const brand = values.brand || product.brand;
+    const brands = knownBrands.get(category.toLowerCase());
+    if (!brands) {
+      newCategories.set(category.toLowerCase(), category);
+      newBrands.set(`${category.toLowerCase()}|${brand.toLowerCase()}`, { category, brand });
+    } else if (!brands.has(brand.toLowerCase())) {
+      newBrands.set(`${category.toLowerCase()}|${brand.toLowerCase()}`, { category, brand });
+    }
+  });
+
+  return {
+    report: {
+      totalRows: rows.length,
+      summary,
+      columns,
+      unmappedColumns,
+      newCategories: [...newCategories.values()],
+      newBrands: [...newBrands.values()],
+      errors,
+      errorsTruncated: summary.error > 0 && errors.length >= MAX_REPORTED_ERRORS,
+      rows: preview
+    },
+    rows: valid
+  };
+}
+
+/**
+* Create categories and brands the rows use that the shop has not set up yet
+*/
+async function ensureCategoryBrands(shopId, rows, existing) {
+  const wanted = new Map();
+  for (const { values } of rows) {
+    const current = matchRow(values, existing).product;
+    const category = values.category || (current && current.category);
+    const brand = values.brand || (current && current.brand);
+    if (!category || !brand) continue;
+    const entry = wanted.get(category.toLowerCase()) || { name: category, brands: new Map() };
+    entry.brands.set(brand.toLowerCase(), brand);
+    wanted.set(category.toLowerCase(), entry);
+  }
+
+  const categories = await Category.find({ shopId });
+  const byName = new Map(categories.map(c => [c.name.toLowerCase(), c]));
+  let createdCategories = 0;
+  let createdBrands = 0;
+
+  for (const [key, { name, brands }] of wanted) {
+    let category = byName.get(key);
+    if (!category) {
+      category = new Category({ shopId, name, description: '', brands: [] });
+      createdCategories++;
+    }
+    const known = new Set(category.brands.map(b => b.name.toLowerCase()));
+    for (const [brandKey, brandName] of brands) {
+      if (known.has(brandKey)) continue;
+      category.brands.push({ name: brandName, description: '' });
+      createdBrands++;
+    }
+    if (category.isNew || category.isModified()) await category.save();
+  }
+  return { createdCategories, createdBrands };
+}
+
+/**
+* Upsert validated rows into the shop's catalogue (run by the inventory_import job).
+* Rows are matched again here, so products edited since validation are updated, not duplicated.
+* Progress reports carry a checkpoint; given back as options.checkpoint, the import continues
+* after the last reported row. When shouldYield() turns true between rows it reports one and stops.
+* @returns {Promise<object|null>} The import summary, or null when it stopped at a checkpoint
+*/
+async function applyImport(shopId, rows, { userId, onProgress, checkpoint, shouldYield } = {}) {
+  const existing = await loadShopProducts(shopId);
+  const start = checkpoint ? checkpoint.next : 0;
+  const result = checkpoint
+    ? checkpoint.result
+    : { created: 0, updated: 0, unchanged: 0, failed: 0, ...(await ensureCategoryBrands(shopId, rows, existing)), errors: [] };
+  const changedProductIds = checkpoint ? checkpoint.changedProductIds : [];
+  const report = (next) => onProgress({
+    current: next,
+    total: rows.length,
+    message: `Imported ${next}/${rows.length} rows`,
+    checkpoint: { next, result: { ...result, errors: [...result.errors] }, changedProductIds: [...changedProductIds] }
+  });
+
+  for (let i = start; i < rows.length; i++) {
+    const { row, values } = rows[i];
+    try {
+      const match = matchRow(values, existing);
+      if (match.error) throw new Error(match.error);
+
+      let product = match.product;
+      const isNew = !product;
+      if (isNew) {
+        const missing = REQUIRED_FOR_CREATE.filter(field => values[field] === undefined);
+        if (missing.length) throw new Error(`New products need: ${missing.join(', ')}`);
+        product = new Product({ shopId, status: 'active', description: '' });
+      }
+
+      const changes = isNew ? Object.keys(values) : changedFields(product, values);
+      if (!changes.length) {
+        result.unchanged++;
+        continue;
+      }
+
+      const previousPrice = product.price;
+      const stockBefore = restockAlertService.stockSnapshot(product);
+      for (const field of changes) {
+        if (field === 'imageUrl') product.images = [{ url: values.imageUrl }];
+        else product[field] = values[field];
+      }
+      if (!product.name) product.name = `${product.brand} ${product.itemName}`;
+
+      if (isNew || product.isModified('brand') || product.isModified('itemName') || product.isModified('gtin')) {
+        await canonicalItemService.assignCanonicalItem(product);
+      }
+      const barcodeChanged = product.isModified('gtin');
+      await product.save();
+
+      // Teach the shared barcode catalogue (GET /api/products/lookup) the item
+      if (barcodeChanged) {
+        await catalogueService.recordProduct(product)
+          .catch(err => console.error('Barcode catalogue error:', err));
+      }
+
+      if (isNew) {
+        result.created++;
+        if (product.sku) existing.bySku.set(product.sku, product);
+        existing.byKey.set(productKey(product.category, product.brand, product.itemName), product);
+        await priceHistoryService.recordProductPrice(product, { reason: 'initial', changedBy: userId });
+      } else {
+        result.updated++;
+        if (product.price !== previousPrice) {
+          await priceHistoryService.recordProductPrice(product, { reason: 'price_change', changedBy: userId });
+        }
+        restockAlertService.notifyRestocked(product, stockBefore)
+          .catch(err => console.error('Back-in-stock alert error:', err));
+      }
+      changedProductIds.push(product._id.toString());
+    } catch (error) {
+      result.failed++;
+      const message = error.code === 11000 ? 'Another product already uses this SKU' : error.message;
+      if (result.errors.length < MAX_REPORTED_ERRORS) result.errors.push({ row, message });
+    }
+
+    const paused = Boolean(onProgress && shouldYield) && i < rows.length - 1 && shouldYield();
+    if (onProgress && ((i + 1) % 50 === 0 || i === rows.length - 1 || paused)) await report(i + 1);
+    if (paused) return null;
+  }
+
+  if (changedProductIds.length > SIMILARITY_BATCH_THRESHOLD) {
+    jobQueueService.enqueue('similarity_refresh', {}, { dedupeKey: 'similarity_refresh' })
+      .catch(err => console.error('Similarity refresh queue error:', err));
+  } else {
+    for (const _id of changedProductIds) similarityService.queueProductRefresh({ _id, shopId });
+  }
+
+  return result;
+}
+
+/**
+* The shop's catalogue (without removed products) as a CSV or XLSX file in import format
+* @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+*/
+async function exportCatalogue(shopId, format = 'csv') {
+  const products = await Product.find({ shopId, status: { $ne: 'removed' } })
+    .select('sku gtin name category brand itemName description price stock status images')
+    .sort({ category: 1, brand: 1, itemName: 1 })
+    .lean();
+
+  const rows = products.map(product => ({
+    sku: product.sku || '',
+    gtin: product.gtin || '',
+    name: product.name,
+    category: product.category,
+    brand: product.brand,
+    itemName: product.itemName,
+    description: product.description || '',
+    price: product.price,
+    stock: product.stock,
+    status: product.status,
+    imageUrl: product.images && product.images[0] ? product.images[0].url : ''
+  }));
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = IMPORT_FIELDS.map(field => ({ header: field, key: field }));
+    sheet.addRows(rows);
+    return {
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+  const lines = [IMPORT_FIELDS, ...rows.map(row => IMPORT_FIELDS.map(field => row[field]))]
+    .map(cells => cells.map(csvCell).join(','));
+  return {
+    buffer: Buffer.from(lines.join('\n'), 'utf8'),
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseFile,
+  validateImport,
+  applyImport,
+  exportCatalogue
+};
@@ -0,0 +1,105 @@
+const rankingService = require('./rankingService');
+const matrixFactorizationService = require('./matrixFactorizationService');
+const similarityService = require('./similarityService');
+const mlAnalyticsService = require('./mlAnalyticsService');
+const notificationDeliveryService = require('./notificationDeliveryService');
+const shopRatingService = require('./shopRatingService');
+const inventoryImportService = require('./inventoryImportService');
+const orderService = require('./orderService');
+const priceHistoryService = require('./priceHistoryService');
+const jobQueueService = require('./jobQueueService');
+
+/**
+* Background job handlers, keyed by Job.type.
+* Each receives the claimed job and a reportProgress({current, total, message}) function
+* (which also keeps the job's lease alive) and returns the job result. Throwing marks the
+* attempt as failed; the queue retries it until job.maxAttempts. Handlers that can run past a
+* cron call's time limit checkpoint in their progress reports and return RESUME once
+* shouldYield() is true; the next run continues from job.progress.checkpoint.
+*/
+module.exports = {
+  // New ranking model version (clustering + learn-to-rank), activated when trained
+  async model_retrain(job, reportProgress) {
+    const version = await rankingService.retrainModels({
+      trigger: job.requestedBy ? 'manual' : 'scheduled',
+      trainedBy: job.requestedBy,
+      notes: job.payload && job.payload.notes,
+      onProgress: reportProgress
+    });
+    mlAnalyticsService.clearCache();
+    if (!version) return { skipped: true, reason: 'Insufficient behavior data to train a new version' };
+    return { version: version.version, metrics: version.metrics };
+  },
+
+  // Collaborative-filtering user and item embeddings (implicit ALS)
+  async embedding_training(job, reportProgress) {
+    return matrixFactorizationService.train({ onProgress: reportProgress });
+  },
+
+  // Similar products/shops: one item (queued when a product changes) or every list (no payload)
+  async similarity_refresh(job, reportProgress, { shouldYield }) {
+    const { itemType, itemId } = job.payload || {};
+    if (!itemId) {
+      const result = await similarityService.refreshAll({
+        onProgress: reportProgress,
+        checkpoint: job.progress && job.progress.checkpoint,
+        shouldYield
+      });
+      return result || jobQueueService.RESUME;
+    }
+    const refreshed = await similarityService.refreshItem(itemType, itemId);
+    return { itemType, itemId, neighbors: refreshed ? refreshed.neighbors.length : 0, removed: !refreshed };
+  },
+
+  // Shop owner's validated CSV/XLSX rows, upserted into their catalogue
+  async inventory_import(job, reportProgress, { shouldYield }) {
+    const { shopId, userId, rows } = job.payload || {};
+    const result = await inventoryImportService.applyImport(shopId, rows || [], {
+      userId,
+      onProgress: reportProgress,
+      checkpoint: job.progress && job.progress.checkpoint,
+      shouldYield
+    });
+    return result || jobQueueService.RESUME;
+  },
+
+  // Queued for the end of each reservation's pickup window; sweeps every overdue order,
+  // so one lost job never leaves stock held
+  async order_expiry(job) {
+    return orderService.expireDueOrders();
+  },
+
+  // Price history for offers that started or ended since the last sweep; queues the next one
+  async offer_price_sweep(job, reportProgress) {
+    const until = new Date();
+    const last = await jobQueueService.getLatestResult('offer_price_sweep');
+    const since = last && last.result && last.result.until
+      ? new Date(last.result.until)
+      : new Date(until.getTime() - priceHistoryService.OFFER_SWEEP_INTERVAL_MS);
+    // Queued first, so a failed sweep does not end the chain; the next one starts where the
+    // last completed sweep ended
+    await priceHistoryService.scheduleOfferPriceSweep(until);
+    return priceHistoryService.recordScheduledOfferChanges({ since, until, onProgress: reportProgress });
+  },
+
+  async shop_rating_recalculation(job, reportProgress) {
+    return shopRatingService.recalculateAllShopRatings({ onProgress: reportProgress });
+  },
+
+  // Admin notification send; the delivery service reschedules failed sends itself
+  async notification_send(job, reportProgress) {
+    const { notificationId } = job.payload || {};
+    const claimed = await notificationDeliveryService.claimForImmediateSend(notificationId);
+    if (!claimed) return { skipped: true, reason: 'Notification is already being sent, sent or cancelled' };
+
+    const result = await notificationDeliveryService.deliver(claimed, { onProgress: reportProgress });
+    if (!result || result.status !== 'sent') {
+      throw new Error((result && result.lastError) || 'Failed to send notification');
+    }
+    return { status: result.status, sentAt: result.sentAt, deliveryStats: result.deliveryStats };
+  },
+
+  async system_analytics(job) {
+    return mlAnalyticsService.getSystemAnalytics(job.payload.timeRange);
+  }
+};
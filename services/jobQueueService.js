@@ -0,0 +1,247 @@
+const os = require('os');
+const Job = require('../models/jobModel');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 5 * 60 * 1000; // How long a running job stays locked to one worker without progress
+const RETRY_DELAY_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const MAX_PER_TICK = 5;
+// Returned by a handler that saved a checkpoint and stopped because its run's time is up
+const RESUME = Symbol('resume');
+
+/**
+ * Background Job Queue
+ * MongoDB-backed queue for work that must not block HTTP requests (model retraining,
+ * rating recalculation, bulk notification sends, heavy analytics). Workers claim jobs
+ * atomically with a lease, so several API instances and the cron runner
+ * (scripts/runJobWorker.js) can work the same queue. Failed jobs are retried with a
+ * growing delay until maxAttempts. Long handlers can checkpoint in job.progress and return
+ * RESUME when the run's deadline is near; the job is queued again without using an attempt.
+ */
+class JobQueueService {
+  constructor() {
+    this.RESUME = RESUME;
+    this.handlers = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Handlers are loaded on first use so services they need can enqueue jobs themselves
+   */
+  getHandler(type) {
+    if (!this.handlers) this.handlers = require('./jobHandlers');
+    return this.handlers[type];
+  }
+
+  /**
+   * Add a job to the queue. With a dedupeKey, an already queued/running job with the
+   * same key is returned instead of creating a second one.
+   * @param {string} type
+   * @param {object} payload
+   * @param {{dedupeKey?: string, requestedBy?: string, runAt?: Date, maxAttempts?: number}} options
+   * @returns {Promise<{job: object, created: boolean}>}
+   */
+  async enqueue(type, payload = {}, { dedupeKey, requestedBy, runAt, maxAttempts } = {}) {
+    try {
+      const job = await Job.create({
+        type,
+        payload,
+        dedupeKey,
+        requestedBy,
+        ...(runAt ? { runAt } : {}),
+        ...(maxAttempts ? { maxAttempts } : {})
+      });
+      return { job, created: true };
+    } catch (error) {
+      if (error.code === 11000 && dedupeKey) {
+        const existing = await Job.findOne({ dedupeKey });
+        if (existing) return { job: existing, created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling for queued jobs (long-running servers only)
+   */
+  startWorker(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runDueJobs().catch(err => console.error('❌ Job worker error:', err));
+    }, intervalMs);
+    console.log(`⚙️ Job worker started (${INSTANCE_ID})`);
+  }
+
+  stopWorker() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and run due jobs. Safe to call from several instances at once.
+   * @param {{maxJobs?: number, deadline?: number, excludeTypes?: string[]}} options deadline (epoch ms)
+   *   is when resumable handlers should checkpoint and stop; excludeTypes are left for other workers
+   * @returns {Promise<number>} Number of jobs run by this instance
+   */
+  async runDueJobs({ maxJobs = MAX_PER_TICK, deadline, excludeTypes = [] } = {}) {
+    if (this.running) return 0;
+    this.running = true;
+    try {
+      const now = new Date();
+      // Jobs whose worker died on the last allowed attempt are given up on
+      await Job.updateMany(
+        { status: 'running', lockedUntil: { $lt: now }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+        {
+          $set: { status: 'failed', lastError: 'Job did not complete after several attempts', finishedAt: now, updatedAt: now },
+          $unset: { dedupeKey: 1, lockedBy: 1, lockedUntil: 1 }
+        }
+      );
+
+      let processed = 0;
+      while (processed < maxJobs && !(deadline && Date.now() >= deadline)) {
+        const job = await this.claimNext(excludeTypes);
+        if (!job) break;
+        await this.runJob(job, { deadline });
+        processed += 1;
+      }
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due job (or one whose worker stopped renewing its lease)
+   */
+  async claimNext(excludeTypes = []) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        ...(excludeTypes.length ? { type: { $nin: excludeTypes } } : {}),
+        $expr: { $lt: ['$attempts', '$maxAttempts'] },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record its outcome. Handlers get (job, reportProgress, {shouldYield}).
+   */
+  async runJob(job, { deadline } = {}) {
+    const handler = this.getHandler(job.type);
+    const shouldYield = () => Boolean(deadline) && Date.now() >= deadline;
+    const reportProgress = ({ current, total, message, checkpoint } = {}) => {
+      const percent = total > 0 ? Math.min(100, Math.round((current / total) * 100)) : undefined;
+      return Job.updateOne(
+        { _id: job._id, lockedBy: INSTANCE_ID, status: 'running' },
+        {
+          $set: {
+            ...(current !== undefined ? { 'progress.current': current } : {}),
+            ...(total !== undefined ? { 'progress.total': total } : {}),
+            ...(percent !== undefined ? { 'progress.percent': percent } : {}),
+            ...(message ? { 'progress.message': message } : {}),
+            ...(checkpoint !== undefined ? { 'progress.checkpoint': checkpoint } : {}),
+            lockedUntil: new Date(Date.now() + LEASE_MS),
+            updatedAt: new Date()
+          }
+        }
+      ).catch(err => console.error(`Job ${job._id} progress update failed:`, err));
+    };
+
+    try {
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+      console.log(`⚙️ Running job ${job._id} (${job.type}, attempt ${job.attempts}/${job.maxAttempts})`);
+      const result = await handler(job, reportProgress, { shouldYield });
+      if (result === RESUME) {
+        await this.finish(job, { status: 'queued', runAt: new Date() }, { keepOpen: true, refundAttempt: true });
+        console.log(`⏸️ Job ${job._id} (${job.type}) paused at its checkpoint`);
+        return Job.findById(job._id);
+      }
+      await this.finish(job, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        'progress.percent': 100
+      });
+      console.log(`✅ Job ${job._id} (${job.type}) completed`);
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) failed:`, error);
+      const retry = job.attempts < job.maxAttempts;
+      await this.finish(job, retry
+        ? { status: 'queued', runAt: new Date(Date.now() + RETRY_DELAY_MS * job.attempts), lastError: error.message }
+        : { status: 'failed', lastError: error.message }, { keepOpen: retry });
+    }
+    return Job.findById(job._id);
+  }
+
+  /**
+   * Release the lease with the job's new state, only if this worker still holds it
+   */
+  async finish(job, update, { keepOpen = false, refundAttempt = false } = {}) {
+    const now = new Date();
+    await Job.updateOne(
+      { _id: job._id, lockedBy: INSTANCE_ID, status: 'running' },
+      {
+        $set: { ...update, ...(keepOpen ? {} : { finishedAt: now }), updatedAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1, ...(keepOpen ? {} : { dedupeKey: 1 }) },
+        ...(refundAttempt ? { $inc: { attempts: -1 } } : {})
+      }
+    );
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @returns {Promise<object|null>} null when it is not queued
+   */
+  async cancel(jobId) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: now, updatedAt: now }, $unset: { dedupeKey: 1 } },
+      { new: true }
+    );
+  }
+
+  async getJob(jobId) {
+    return Job.findById(jobId).populate('requestedBy', 'name email');
+  }
+
+  async listJobs({ type, status, page = 1, limit = 20 } = {}) {
+    const filter = { ...(type ? { type } : {}), ...(status ? { status } : {}) };
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('requestedBy', 'name email'),
+      Job.countDocuments(filter)
+    ]);
+    return { jobs, total };
+  }
+
+  /**
+   * Most recent completed job of a type matching the payload fields given
+   */
+  async getLatestResult(type, payloadMatch = {}) {
+    const filter = { type, status: 'completed' };
+    for (const [key, value] of Object.entries(payloadMatch)) filter[`payload.${key}`] = value;
+    return Job.findOne(filter).sort({ finishedAt: -1 });
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueueService();
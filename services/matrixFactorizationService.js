@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const { Matrix, CholeskyDecomposition } = require('ml-matrix');
+const UserBehavior = require('../models/userBehaviorModel');
+const UserProfile = require('../models/userProfileModel');
+const ItemEmbedding = require('../models/itemEmbeddingModel');
+
+// Interactions that express interest; search and removals carry no item preference
+const TRAINING_BEHAVIORS = [
+  'view_product',
+  'view_shop',
+  'click_offer',
+  'add_to_favorites',
+  'share_product',
+  'review_product',
+  'purchase_product',
+  'visit_shop',
+  'compare_products'
+];
+const ITEM_TYPES = ['product', 'shop', 'offer'];
+const BATCH_SIZE = 500;
+
+/**
+ * Implicit-feedback matrix factorization (ALS, Hu, Koren & Volinsky 2008).
+ * Training runs offline (job queue / script) and stores user embeddings on UserProfile and
+ * item embeddings in ItemEmbedding; recommendations are a nearest-neighbour lookup (dot product)
+ * of the user's vector against the stored item vectors of the same version.
+ */
+class MatrixFactorizationService {
+  constructor() {
+    this.defaults = {
+      factors: 16,
+      iterations: 10,
+      regularization: 0.1,
+      alpha: 10, // confidence = 1 + alpha * log(1 + summed behavior score)
+      days: 180
+    };
+    this.itemIndex = null; // { version, items, loadedAt } of the item vectors being served
+    this.itemIndexTtl = 10 * 60 * 1000;
+    this.training = null;
+  }
+
+  // ===== TRAINING =====
+
+  /**
+   * Train a new embedding version from UserBehavior scores and store it.
+   * Concurrent calls on the same instance share one training run.
+   * @param {{factors?: number, iterations?: number, regularization?: number, alpha?: number, days?: number, onProgress?: Function}} options
+   * @returns {Promise<object>} Training summary ({skipped: true} when there is no interaction data)
+   */
+  async train(options = {}) {
+    if (!this.training) {
+      this.training = this.trainVersion(options).finally(() => { this.training = null; });
+    }
+    return this.training;
+  }
+
+  async trainVersion({ onProgress, ...overrides } = {}) {
+    const params = { ...this.defaults, ...overrides };
+    const startedAt = Date.now();
+    const report = (current, total, message) => {
+      if (onProgress) return onProgress({ current, total, message });
+    };
+
+    await report(0, params.iterations + 2, 'Loading interactions');
+    const { users, items, userRows, itemRows, interactions } = await this.loadInteractions(params.days);
+    if (interactions === 0) {
+      return { skipped: true, reason: 'No interactions in the training window' };
+    }
+
+    let userFactors = this.randomFactors(users.length, params.factors, 1);
+    let itemFactors = this.randomFactors(items.length, params.factors, 2);
+
+    for (let iteration = 1; iteration <= params.iterations; iteration++) {
+      userFactors = this.alsStep(itemFactors, userRows, params);
+      itemFactors = this.alsStep(userFactors, itemRows, params);
+      await report(iteration, params.iterations + 2, `ALS iteration ${iteration}/${params.iterations}`);
+    }
+
+    await report(params.iterations + 1, params.iterations + 2, 'Saving embeddings');
+    const version = startedAt;
+    await this.saveEmbeddings(version, users, items, userFactors, itemFactors, itemRows);
+    this.itemIndex = null;
+
+    const summary = {
+      version,
+      users: users.length,
+      items: items.length,
+      interactions,
+      factors: params.factors,
+      iterations: params.iterations,
+      regularization: params.regularization,
+      alpha: params.alpha,
+      windowDays: params.days,
+      durationMs: Date.now() - startedAt
+    };
+    console.log('✅ Matrix factorization embeddings trained:', JSON.stringify(summary));
+    return summary;
+  }
+
+  /**
+   * Summed behavior score per (user, item) over the window, as sparse rows in both directions
+   */
+  async loadInteractions(days) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const cursor = UserBehavior.aggregate([
+      { $match: {
+        createdAt: { $gte: since },
+        behaviorType: { $in: TRAINING_BEHAVIORS },
+        targetType: { $in: ITEM_TYPES },
+        targetId: { $ne: null }
+      } },
+      { $group: {
+        _id: { userId: '$userId', targetType: '$targetType', targetId: '$targetId' },
+        score: { $sum: '$score' }
+      } }
+    ]).allowDiskUse(true).cursor();
+
+    const userIndex = new Map();
+    const itemIndex = new Map();
+    const users = [];
+    const items = [];
+    const userRows = [];
+    const itemRows = [];
+    let interactions = 0;
+
+    for await (const row of cursor) {
+      if (!(row.score > 0)) continue;
+      const userKey = String(row._id.userId);
+      const itemKey = `${row._id.targetType}:${row._id.targetId}`;
+      if (!userIndex.has(userKey)) {
+        userIndex.set(userKey, users.length);
+        users.push(row._id.userId);
+        userRows.push([]);
+      }
+      if (!itemIndex.has(itemKey)) {
+        itemIndex.set(itemKey, items.length);
+        items.push({ itemId: row._id.targetId, itemType: row._id.targetType });
+        itemRows.push([]);
+      }
+      const u = userIndex.get(userKey);
+      const i = itemIndex.get(itemKey);
+      userRows[u].push({ index: i, value: row.score });
+      itemRows[i].push({ index: u, value: row.score });
+      interactions++;
+    }
+
+    return { users, items, userRows, itemRows, interactions };
+  }
+
+  /**
+   * One ALS half-step: solve every row's factors with the other side fixed.
+   * x = (YᵀY + Yᵀ(C − I)Y + λI)⁻¹ YᵀC p, where p = 1 for observed interactions
+   */
+  alsStep(fixedFactors, rows, { factors, regularization, alpha }) {
+    const gram = this.gramMatrix(fixedFactors, factors);
+
+    return rows.map(row => {
+      const a = gram.map(line => line.slice());
+      const b = new Array(factors).fill(0);
+      for (let f = 0; f < factors; f++) a[f][f] += regularization;
+
+      for (const { index, value } of row) {
+        const y = fixedFactors[index];
+        const confidence = 1 + alpha * Math.log1p(value);
+        for (let f = 0; f < factors; f++) {
+          b[f] += confidence * y[f];
+          const weighted = (confidence - 1) * y[f];
+          for (let g = f; g < factors; g++) a[f][g] += weighted * y[g];
+        }
+      }
+      // Only the upper triangle was accumulated; mirror it so the system is exactly symmetric
+      for (let f = 0; f < factors; f++) {
+        for (let g = 0; g < f; g++) a[f][g] = a[g][f];
+      }
+
+      return new CholeskyDecomposition(new Matrix(a)).solve(Matrix.columnVector(b)).to1DArray();
+    });
+  }
+
+  gramMatrix(vectors, factors) {
+    const gram = Array.from({ length: factors }, () => new Array(factors).fill(0));
+    for (const v of vectors) {
+      for (let f = 0; f < factors; f++) {
+        for (let g = f; g < factors; g++) gram[f][g] += v[f] * v[g];
+      }
+    }
+    for (let f = 0; f < factors; f++) {
+      for (let g = 0; g < f; g++) gram[f][g] = gram[g][f];
+    }
+    return gram;
+  }
+
+  // Small deterministic initial factors so repeated runs on the same data agree
+  randomFactors(count, factors, seed) {
+    let state = seed * 2654435761 % 4294967296;
+    const next = () => {
+      state = (1664525 * state + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+    return Array.from({ length: count }, () =>
+      Array.from({ length: factors }, () => (next() - 0.5) * 0.1)
+    );
+  }
+
+  /**
+   * Store the new version, point user profiles at it, then drop older item vectors.
+   * Users missing from this run lose their embedding and get the cold-start fallback.
+   */
+  async saveEmbeddings(version, users, items, userFactors, itemFactors, itemRows) {
+    for (let start = 0; start < items.length; start += BATCH_SIZE) {
+      await ItemEmbedding.insertMany(items.slice(start, start + BATCH_SIZE).map((item, offset) => ({
+        version,
+        itemId: item.itemId,
+        itemType: item.itemType,
+        embedding: itemFactors[start + offset],
+        userCount: itemRows[start + offset].length
+      })), { ordered: false });
+    }
+
+    const now = new Date();
+    for (let start = 0; start < users.length; start += BATCH_SIZE) {
+      await UserProfile.bulkWrite(users.slice(start, start + BATCH_SIZE).map((userId, offset) => ({
+        updateOne: {
+          filter: { userId },
+          update: { $set: {
+            'mlFeatures.userEmbedding': userFactors[start + offset],
+            'mlFeatures.embeddingVersion': version,
+            'mlFeatures.embeddingUpdatedAt': now
+          } }
+        }
+      })), { ordered: false });
+    }
+
+    await UserProfile.updateMany(
+      { 'mlFeatures.embeddingVersion': { $exists: true, $ne: version } },
+      { $set: { 'mlFeatures.userEmbedding': [] }, $unset: { 'mlFeatures.embeddingVersion': '', 'mlFeatures.embeddingUpdatedAt': '' } }
+    );
+    await ItemEmbedding.deleteMany({ version: { $ne: version } });
+  }
+
+  // ===== SERVING =====
+
+  /**
+   * Item vectors of a version, cached in memory
+   */
+  async getItemIndex(version) {
+    if (this.itemIndex && this.itemIndex.version === version && Date.now() - this.itemIndex.loadedAt < this.itemIndexTtl) {
+      return this.itemIndex.items;
+    }
+    const items = await ItemEmbedding.find({ version }).select('itemId itemType embedding userCount').lean();
+    this.itemIndex = { version, items, loadedAt: Date.now() };
+    return items;
+  }
+
+  /**
+   * Items with the highest predicted preference for the user, excluding ones they already interacted with
+   * @returns {Promise<Array<{targetId: string, targetType: string, score: number, confidence: number}>|null>}
+   *   null when the user has no embedding (cold start)
+   */
+  async recommendForUser(userId, limit = 20, { targetTypes = ITEM_TYPES } = {}) {
+    const profile = await UserProfile.findOne({ userId })
+      .select('mlFeatures.userEmbedding mlFeatures.embeddingVersion')
+      .lean();
+    const embedding = profile && profile.mlFeatures && profile.mlFeatures.userEmbedding;
+    const version = profile && profile.mlFeatures && profile.mlFeatures.embeddingVersion;
+    if (!embedding || embedding.length === 0 || !version) return null;
+
+    const items = await this.getItemIndex(version);
+    if (items.length === 0) return null;
+
+    const interacted = new Set(
+      (await UserBehavior.distinct('targetId', { userId, targetId: { $ne: null } })).map(String)
+    );
+
+    return items
+      .filter(item => targetTypes.includes(item.itemType) && !interacted.has(String(item.itemId)))
+      .map(item => ({
+        targetId: String(item.itemId),
+        targetType: item.itemType,
+        score: Math.max(0, Math.min(this.dot(embedding, item.embedding), 1)),
+        // Vectors of items few users touched are mostly regularization
+        confidence: Math.min(item.userCount / 10, 1)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Users whose stored embeddings are closest (cosine) to this user's
+   * @returns {Promise<Array<{userId: object, similarity: number}>>}
+   */
+  async findSimilarUsers(userId, limit = 10) {
+    const profile = await UserProfile.findOne({ userId })
+      .select('mlFeatures.userEmbedding mlFeatures.embeddingVersion')
+      .lean();
+    const embedding = profile && profile.mlFeatures && profile.mlFeatures.userEmbedding;
+    if (!embedding || embedding.length === 0) return [];
+
+    const similar = [];
+    const cursor = UserProfile.find({
+      userId: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+      'mlFeatures.embeddingVersion': profile.mlFeatures.embeddingVersion
+    }).select('userId mlFeatures.userEmbedding').lean().cursor();
+
+    for await (const other of cursor) {
+      similar.push({ userId: other.userId, similarity: this.cosine(embedding, other.mlFeatures.userEmbedding) });
+    }
+
+    return similar.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  dot(a, b) {
+    if (!b || a.length !== b.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+  }
+
+  cosine(a, b) {
+    const norm = Math.sqrt(this.dot(a, a) * this.dot(b, b));
+    return norm > 0 ? this.dot(a, b) / norm : 0;
+  }
+}
+
+module.exports = new MatrixFactorizationService();
@@ -0,0 +1,401 @@
+// Shopper <-> shop messaging. Each pair has one conversation; the shop side is answered by the
+// shop's owner. New messages and read receipts go out over the /chat socket namespace
+// (websocketService); a recipient with no open chat socket gets a push instead.
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+const Shop = require('../models/shopModel');
+const fcmNotificationService = require('./fcmNotificationService');
+const websocketService = require('./websocketService');
+const { imageUrl, isCloudinaryConfigured } = require('./cloudinaryService');
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_ATTACHMENTS = 4;
+const MAX_REPORT_REASON_LENGTH = 500;
+const ATTACHMENT_FOLDER = 'messages';
+
+const SIDES = ['user', 'shop'];
+const otherSide = (side) => (side === 'user' ? 'shop' : 'user');
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message });
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Account on each side of a conversation (shopId must be populated with ownerId)
+function participantId(conversation, side) {
+  return String(side === 'user' ? idOf(conversation.userId) : conversation.shopId.ownerId);
+}
+
+/**
+* Cloudinary folder for a user's message attachments; sendMessage only accepts images from it
+*/
+function attachmentFolder(userId) {
+  return `${ATTACHMENT_FOLDER}/${userId}`;
+}
+
+// File signatures of the image types messages accept
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', test: (b) => b.toString('latin1', 0, 6) === 'GIF87a' || b.toString('latin1', 0, 6) === 'GIF89a' },
+  { mimeType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+/**
+* Image type of an upload from its first bytes (the client's Content-Type is not trusted)
+* @returns {string|null} The mime type, or null when the file is not a supported image
+*/
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = IMAGE_SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.mimeType : null;
+}
+
+function formatMessage(message, { forAdmin = false } = {}) {
+  const removed = message.status === 'removed';
+  return {
+    id: message._id,
+    conversationId: message.conversationId,
+    sender: message.sender,
+    senderId: message.senderId,
+    // Removed messages keep their place in the thread but lose their content
+    text: removed && !forAdmin ? null : (message.text || ''),
+    attachments: removed && !forAdmin ? [] : (message.attachments || []),
+    removed,
+    readAt: message.readAt || null,
+    createdAt: message.createdAt,
+    ...(forAdmin ? {
+      status: message.status,
+      reportCount: message.reportCount,
+      reportReasons: message.reportReasons,
+      moderatedBy: message.moderatedBy,
+      moderationNotes: message.moderationNotes,
+      moderatedAt: message.moderatedAt
+    } : {})
+  };
+}
+
+/**
+* @param {string} side Whose view it is; unread is that side's count
+*/
+function formatConversation(conversation, side) {
+  const shop = conversation.shopId && conversation.shopId.shopName ? conversation.shopId : null;
+  const customer = conversation.userId && conversation.userId.email ? conversation.userId : null;
+  return {
+    id: conversation._id,
+    shop: shop ? { id: shop._id, name: shop.shopName, phone: shop.phone } : { id: conversation.shopId },
+    customer: customer
+      ? { id: customer._id, name: customer.fullName || customer.name, picture: customer.picture }
+      : { id: conversation.userId },
+    lastMessage: conversation.lastMessage && conversation.lastMessage.at ? conversation.lastMessage : null,
+    lastMessageAt: conversation.lastMessageAt,
+    ...(side ? {
+      unread: conversation.unread ? conversation.unread[side] || 0 : 0,
+      // The other side has read everything sent before this
+      readByOtherAt: conversation.lastReadAt ? conversation.lastReadAt[otherSide(side)] || null : null
+    } : {
+      unread: conversation.unread,
+      lastReadAt: conversation.lastReadAt
+    }),
+    createdAt: conversation.createdAt
+  };
+}
+
+/**
+* Text and image attachments for a new message
+* @returns {{value?: {text: string, attachments: object[]}, error?: string}}
+*/
+function normalizeMessageInput({ text, attachments }, senderId) {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    return { error: 'text must be a string' };
+  }
+  if (body.length > MAX_TEXT_LENGTH) {
+    return { error: `Messages are limited to ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const list = attachments === undefined || attachments === null ? [] : attachments;
+  if (!Array.isArray(list)) return { error: 'attachments must be an array' };
+  if (list.length > MAX_ATTACHMENTS) {
+    return { error: `At most ${MAX_ATTACHMENTS} attachments per message` };
+  }
+  if (list.length > 0 && !isCloudinaryConfigured()) return { error: 'Attachments are not available' };
+  const folder = `${attachmentFolder(senderId)}/`;
+  const images = [];
+  for (const attachment of list) {
+    // Only images this sender uploaded through POST /api/messages/attachments; the URL is
+    // rebuilt from the publicId so a message can never point anywhere else
+    if (!attachment || typeof attachment.publicId !== 'string' || !attachment.publicId.startsWith(folder) ||
+        attachment.publicId.split('/').includes('..')) {
+      return { error: 'Attachments must be images uploaded with POST /api/messages/attachments' };
+    }
+    if (attachment.mimeType && !String(attachment.mimeType).startsWith('image/')) {
+      return { error: 'Only image attachments are supported' };
+    }
+    images.push({ url: imageUrl(attachment.publicId), publicId: attachment.publicId, mimeType: attachment.mimeType });
+  }
+
+  if (!body && images.length === 0) return { error: 'A message needs text or an attachment' };
+  return { value: { text: body, attachments: images } };
+}
+
+/**
+* A conversation for one side: a shopper's own ({userId}) or a shop's ({shopId})
+*/
+async function findConversation(conversationId, filter) {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return fail(400, 'Invalid conversation ID');
+  const conversation = await Conversation.findOne({ _id: conversationId, ...filter })
+    .populate('shopId', 'shopName phone ownerId')
+    .populate('userId', 'fullName name email picture');
+  if (!conversation) return fail(404, 'Conversation not found');
+  return { success: true, conversation };
+}
+
+/**
+* Which side a user is on in a conversation (for socket events, where the route does not say)
+* @returns {Promise<{success: boolean, conversation?: object, side?: string}>}
+*/
+async function findConversationForParticipant(conversationId, userId) {
+  const result = await findConversation(conversationId, {});
+  if (!result.success) return result;
+  const { conversation } = result;
+
+  if (participantId(conversation, 'user') === String(userId)) {
+    return { success: true, conversation, side: 'user' };
+  }
+  if (participantId(conversation, 'shop') === String(userId)) {
+    // Same rule as the REST shop routes (requireApprovedShop)
+    const shop = await Shop.findById(conversation.shopId._id).select('verificationStatus');
+    if (!shop || shop.verificationStatus !== 'approved') {
+      return fail(403, 'Action not allowed until shop verification is approved');
+    }
+    return { success: true, conversation, side: 'shop' };
+  }
+  return fail(404, 'Conversation not found');
+}
+
+/**
+* The shopper's conversation with a shop, created on first contact
+*/
+async function startConversation(userId, shopId) {
+  if (!mongoose.Types.ObjectId.isValid(shopId)) return fail(400, 'Invalid shop ID');
+  const shop = await Shop.findOne({ _id: shopId, verificationStatus: 'approved', isActive: true }).select('ownerId');
+  if (!shop) return fail(404, 'Shop not found');
+  if (String(shop.ownerId) === String(userId)) return fail(400, 'You cannot message your own shop');
+
+  const now = new Date();
+  try {
+    await Conversation.updateOne(
+      { userId, shopId },
+      { $setOnInsert: { userId, shopId, lastMessageAt: now, createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two first messages at once; the other request created it
+    if (error.code !== 11000) throw error;
+  }
+  const conversation = await Conversation.findOne({ userId, shopId })
+    .populate('shopId', 'shopName phone ownerId')
+    .populate('userId', 'fullName name email picture');
+  return { success: true, conversation };
+}
+
+// Push for a recipient with no chat socket open; a failed send never fails the message
+function pushMessage(recipientId, conversation, message) {
+  const title = message.sender === 'shop'
+    ? conversation.shopId.shopName
+    : (conversation.userId.fullName || conversation.userId.name || 'New message from a customer');
+  const body = message.text
+    ? (message.text.length > 100 ? `${message.text.slice(0, 97)}...` : message.text)
+    : '📷 Photo';
+  fcmNotificationService.sendToUser(recipientId, { title, body }, {
+    type: 'chat_message',
+    conversationId: conversation._id.toString(),
+    messageId: message._id.toString(),
+    shopId: conversation.shopId._id.toString(),
+    sender: message.sender
+  }).catch(err => console.error('Message notification error:', err));
+}
+
+/**
+* Post a message to a conversation and deliver it
+* @param {object} conversation From findConversation / startConversation (populated)
+* @param {string} side 'user' or 'shop'
+* @param {string} senderId The shopper or the shop owner
+*/
+async function sendMessage(conversation, side, senderId, input) {
+  const { value, error } = normalizeMessageInput(input || {}, senderId);
+  if (error) return fail(400, error);
+
+  const message = await Message.create({
+    conversationId: conversation._id,
+    userId: idOf(conversation.userId),
+    shopId: conversation.shopId._id,
+    sender: side,
+    senderId,
+    text: value.text || undefined,
+    attachments: value.attachments
+  });
+
+  const lastMessage = {
+    text: value.text.slice(0, 100),
+    sender: side,
+    hasAttachment: value.attachments.length > 0,
+    at: message.createdAt
+  };
+  await Conversation.updateOne({ _id: conversation._id }, {
+    $set: { lastMessage, lastMessageAt: message.createdAt, updatedAt: new Date() },
+    $inc: { [`unread.${otherSide(side)}`]: 1 }
+  });
+  conversation.lastMessage = lastMessage;
+  conversation.lastMessageAt = message.createdAt;
+
+  const payload = { conversationId: conversation._id, message: formatMessage(message) };
+  const recipientId = participantId(conversation, otherSide(side));
+  // The sender's other devices stay in sync too
+  websocketService.emitToUser(recipientId, 'message:new', payload);
+  websocketService.emitToUser(senderId, 'message:new', payload);
+  if (!websocketService.isUserOnline(recipientId)) {
+    pushMessage(recipientId, conversation, message);
+  }
+
+  return { success: true, message };
+}
+
+/**
+* Mark everything the other side sent as read and send the receipt
+* @returns {Promise<{success: boolean, read: number, readAt: Date}>}
+*/
+async function markRead(conversation, side) {
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    { conversationId: conversation._id, sender: otherSide(side), readAt: null },
+    { $set: { readAt } }
+  );
+  await Conversation.updateOne({ _id: conversation._id }, {
+    $set: { [`unread.${side}`]: 0, [`lastReadAt.${side}`]: readAt }
+  });
+
+  if (result.modifiedCount > 0) {
+    websocketService.emitToUser(participantId(conversation, otherSide(side)), 'message:read', {
+      conversationId: conversation._id,
+      readBy: side,
+      readAt
+    });
+  }
+  return { success: true, read: result.modifiedCount, readAt };
+}
+
+/**
+* Conversations with the most recent activity first
+* @param {{userId?: string, shopId?: string}} filter
+*/
+async function listConversations(filter, { page = 1, limit = 20 } = {}) {
+  const [conversations, total] = await Promise.all([
+    Conversation.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('shopId', 'shopName phone')
+      .populate('userId', 'fullName name email picture'),
+    Conversation.countDocuments(filter)
+  ]);
+  return { conversations, total };
+}
+
+/**
+* A page of history, oldest first, ending before a given time (for scrolling back)
+* @returns {Promise<{messages: object[], hasMore: boolean}>}
+*/
+async function listMessages(conversationId, { before, limit = 30 } = {}) {
+  const query = { conversationId };
+  if (before) query.createdAt = { $lt: before };
+  const messages = await Message.find(query).sort({ createdAt: -1 }).limit(limit + 1);
+  const hasMore = messages.length > limit;
+  return { messages: messages.slice(0, limit).reverse(), hasMore };
+}
+
+/**
+* Report a message from the other side of one of the reporter's conversations
+*/
+async function reportMessage(messageId, userId, reason) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return fail(400, 'Invalid message ID');
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) return fail(400, 'Report reason is required');
+
+  const message = await Message.findById(messageId).populate('shopId', 'ownerId');
+  if (!message) return fail(404, 'Message not found');
+
+  const reporterSide = String(message.userId) === String(userId) ? 'user'
+    : String(message.shopId.ownerId) === String(userId) ? 'shop' : null;
+  if (!reporterSide) return fail(404, 'Message not found');
+  if (message.sender === reporterSide) return fail(400, 'You cannot report your own message');
+
+  const alreadyReported = message.reportReasons.some(
+    report => report.reportedBy && report.reportedBy.toString() === String(userId)
+  );
+  if (alreadyReported) return fail(400, 'You have already reported this message');
+
+  message.reportReasons.push({
+    reason: text.slice(0, MAX_REPORT_REASON_LENGTH),
+    reportedBy: userId,
+    reportedAt: new Date()
+  });
+  message.reportCount = (message.reportCount || 0) + 1;
+  // Only two people can see a message, so one report is enough for an admin to look
+  if (message.status === 'active') message.status = 'flagged';
+  await message.save();
+
+  return { success: true, message };
+}
+
+/**
+* Admin decision on a message: 'removed' hides it from both sides, 'active' dismisses the reports
+*/
+async function moderateMessage(messageId, adminId, status, notes) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return fail(400, 'Invalid message ID');
+  const update = { status, moderatedBy: adminId, moderatedAt: new Date() };
+  if (notes) update.moderationNotes = String(notes).trim();
+  const message = await Message.findByIdAndUpdate(messageId, { $set: update }, { new: true });
+  if (!message) return fail(404, 'Message not found');
+
+  // The conversation list preview follows when this is the latest message
+  const removed = status === 'removed';
+  await Conversation.updateOne(
+    { _id: message.conversationId, 'lastMessage.at': message.createdAt, 'lastMessage.sender': message.sender },
+    { $set: {
+      'lastMessage.text': removed ? '' : (message.text || '').slice(0, 100),
+      'lastMessage.hasAttachment': !removed && message.attachments.length > 0,
+      'lastMessage.removed': removed
+    } }
+  );
+
+  // Open chats drop (or restore) the message without a reload
+  const conversation = await Conversation.findById(message.conversationId).populate('shopId', 'ownerId');
+  if (conversation) {
+    const payload = { conversationId: conversation._id, message: formatMessage(message) };
+    for (const side of SIDES) {
+      websocketService.emitToUser(participantId(conversation, side), 'message:updated', payload);
+    }
+  }
+  return { success: true, message };
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  attachmentFolder,
+  detectImageType,
+  formatMessage,
+  formatConversation,
+  normalizeMessageInput,
+  findConversation,
+  findConversationForParticipant,
+  startConversation,
+  sendMessage,
+  markRead,
+  listConversations,
+  listMessages,
+  reportMessage,
+  moderateMessage
+};
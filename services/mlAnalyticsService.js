@@ -519,6 +519,84 @@ class MLAnalyticsService {
     return insights;
   }
 
+  // ===== SYSTEM ANALYTICS =====
+
+  /**
+   * System-wide behavior and recommendation analytics (runs as a background job)
+   */
+  async getSystemAnalytics(timeRange = 30) {
+    const startDate = new Date(Date.now() - timeRange * 24 * 60 * 60 * 1000);
+
+    const [
+      totalBehaviors,
+      totalRecommendations,
+      activeUsers,
+      topCategories,
+      recommendationPerformance
+    ] = await Promise.all([
+      UserBehavior.countDocuments({ createdAt: { $gte: startDate } }),
+      Recommendation.countDocuments({ createdAt: { $gte: startDate } }),
+      UserBehavior.distinct('userId', { createdAt: { $gte: startDate } }),
+      UserBehavior.aggregate([
+        {
+          $match: {
+            'metadata.productCategory': { $exists: true },
+            createdAt: { $gte: startDate }
+          }
+        },
+        {
+          $group: {
+            _id: '$metadata.productCategory',
+            count: { $sum: 1 }
+          }
+        },
+        {
+          $sort: { count: -1 }
+        },
+        {
+          $limit: 10
+        }
+      ]),
+      Recommendation.aggregate([
+        {
+          $match: { createdAt: { $gte: startDate } }
+        },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            clicked: { $sum: { $cond: ['$userFeedback.clicked', 1, 0] } },
+            liked: { $sum: { $cond: ['$userFeedback.liked', 1, 0] } },
+            dismissed: { $sum: { $cond: ['$userFeedback.dismissed', 1, 0] } },
+            avgScore: { $avg: '$score' },
+            avgConfidence: { $avg: '$confidence' }
+          }
+        }
+      ])
+    ]);
+
+    const analytics = {
+      overview: {
+        totalBehaviors,
+        totalRecommendations,
+        activeUsers: activeUsers.length,
+        timeRange: parseInt(timeRange)
+      },
+      topCategories,
+      recommendationPerformance: recommendationPerformance[0] || {
+        total: 0,
+        clicked: 0,
+        liked: 0,
+        dismissed: 0,
+        avgScore: 0,
+        avgConfidence: 0
+      },
+      generatedAt: new Date().toISOString()
+    };
+
+    return analytics;
+  }
+
   // ===== CACHE MANAGEMENT =====
 
   getFromCache(key) {
@@ -5,6 +5,9 @@ const Product = require('../models/productModel');
 const Shop = require('../models/shopModel');
 const Offer = require('../models/offerModel');
 const RankingService = require('./rankingService');
+const experimentService = require('./experimentService');
+const matrixFactorizationService = require('./matrixFactorizationService');
+const { offerHeadlinePercent } = require('./pricingService');
 const { Matrix } = require('ml-matrix');
 const natural = require('natural');
 const Sentiment = require('sentiment');
@@ -137,33 +140,11 @@ class MLRecommendationService {
   // ===== COLLABORATIVE FILTERING =====
 
   /**
-   * Find similar users based on behavior patterns
+   * Find similar users by the cosine similarity of their stored embeddings
    */
   async findSimilarUsers(userId, limit = 10) {
     try {
-      const userProfile = await UserProfile.findOne({ userId });
-      if (!userProfile || !userProfile.mlFeatures.userEmbedding) {
-        return [];
-      }
-
-      const similarUsers = await UserProfile.find({
-        userId: { $ne: userId },
-        'mlFeatures.userEmbedding': { $exists: true }
-      }).limit(100); // Get more users for comparison
-
-      const similarities = similarUsers.map(profile => {
-        const similarity = this.calculateCosineSimilarity(
-          userProfile.mlFeatures.userEmbedding,
-          profile.mlFeatures.userEmbedding
-        );
-        return {
-          userId: profile.userId,
-          similarity,
-          profile
-        };
-      }).sort((a, b) => b.similarity - a.similarity);
-
-      return similarities.slice(0, limit);
+      return await matrixFactorizationService.findSimilarUsers(userId, limit);
     } catch (error) {
       console.error('Error finding similar users:', error);
       throw error;
@@ -172,75 +153,24 @@ class MLRecommendationService {
 
   /**
    * Generate collaborative filtering recommendations
+   * Nearest items to the user's matrix-factorization embedding (trained offline, see
+   * matrixFactorizationService); users and items the model has not seen get popular items instead
    */
   async getCollaborativeFilteringRecommendations(userId, limit = 20) {
     try {
-      const similarUsers = await this.findSimilarUsers(userId, 5);
-
-      const similarUserIds = similarUsers.map(u => u.userId);
-      
-      // Get behaviors of similar users
-      const similarUserBehaviors = await UserBehavior.find({
-        userId: { $in: similarUserIds },
-        behaviorType: { $in: ['view_product', 'click_offer', 'add_to_favorites'] },
-        createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
-      });
-
-      // Get user's existing interactions
-      const userBehaviors = await UserBehavior.find({
-        userId,
-        behaviorType: { $in: ['view_product', 'click_offer', 'add_to_favorites'] }
-      });
-
-      const userInteractedItems = new Set(
-        userBehaviors.map(b => b.targetId.toString())
-      );
-
-      // Calculate item scores based on similar users' preferences
-      const itemScores = {};
-      similarUserBehaviors.forEach(behavior => {
-        if (!userInteractedItems.has(behavior.targetId.toString())) {
-          const userSimilarity = similarUsers.find(u => 
-            u.userId.toString() === behavior.userId.toString()
-          )?.similarity || 0;
-
-          const itemId = behavior.targetId.toString();
-          if (!itemScores[itemId]) {
-            itemScores[itemId] = {
-              score: 0,
-              count: 0,
-              targetType: behavior.targetType
-            };
-          }
-          
-          itemScores[itemId].score += userSimilarity * behavior.score;
-          itemScores[itemId].count++;
-        }
-      });
-
-      // Normalize scores and create recommendations
-      let recommendations = Object.entries(itemScores)
-        .map(([itemId, data]) => ({
-          targetId: itemId,
-          targetType: data.targetType,
-          score: data.score / data.count, // Average score
-          confidence: Math.min(data.count / similarUsers.length, 1)
-        }))
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit);
-
-      // Cold collaborative fallback: global popularity if no similar users or empty
-      if (similarUsers.length === 0 || recommendations.length === 0) {
-        const popular = await this.getPopularFallbackRecommendations(limit);
-        recommendations = popular.map(p => ({
-          targetId: p.targetId,
-          targetType: p.targetType,
-          score: p.score,
-          confidence: 0.5,
-        }));
+      const recommendations = await matrixFactorizationService.recommendForUser(userId, limit);
+      if (recommendations && recommendations.length > 0) {
+        return recommendations;
       }
 
-      return recommendations;
+      // Cold start: no embedding for this user yet
+      const popular = await this.getPopularFallbackRecommendations(limit);
+      return popular.map(p => ({
+        targetId: p.targetId,
+        targetType: p.targetType,
+        score: p.score,
+        confidence: 0.5,
+      }));
     } catch (error) {
       console.error('Error generating collaborative filtering recommendations:', error);
       throw error;
@@ -346,7 +276,7 @@ class MLRecommendationService {
         status: 'active',
         startDate: { $lte: new Date() },
         endDate: { $gte: new Date() }
-      }).populate('productId', 'name category price')
+      }).populate('productId', 'name category price variants')
         .populate('shopId', 'shopName rating location');
 
       // Calculate location-based scores
@@ -380,7 +310,9 @@ class MLRecommendationService {
           offer.shopId.location.coordinates
         );
         const distanceScore = Math.max(0, 1 - (distance / maxDistance));
-        const discountScore = Math.min(offer.discountValue / 50, 1); // Normalize discount
+        // Headline percent, so fixed-amount, BOGO and tiered offers compare with percentages
+        const discountPercent = offerHeadlinePercent(offer);
+        const discountScore = Math.min(discountPercent / 50, 1); // Normalize discount
 
         recommendations.push({
           targetId: offer._id,
@@ -390,7 +322,7 @@ class MLRecommendationService {
           metadata: {
             distance: distance,
             shopName: offer.shopId.shopName,
-            discount: offer.discountValue
+            discount: discountPercent
           }
         });
       });
@@ -519,7 +451,9 @@ class MLRecommendationService {
    */
   async getHybridRecommendations(userId, userLocation, limit = 20) {
     try {
-      const variant = this.getABVariant(userId); // 'A' or 'B'
+      // Weights come from the user's variant in the running recommendations experiment, if any
+      const assignment = await experimentService.assignVariant(userId, 'recommendations');
+      const variant = assignment ? assignment.variant.key : 'default';
       const [collaborative, contentBased, locationBased] = await Promise.all([
         this.getCollaborativeFilteringRecommendations(userId, limit),
         this.getContentBasedRecommendations(userId, limit),
@@ -529,10 +463,7 @@ class MLRecommendationService {
       // Combine recommendations with weights
       const combinedRecommendations = new Map();
 
-      // A/B weight sets
-      const weights = variant === 'B'
-        ? { cf: 0.4, cb: 0.3, loc: 0.3 }
-        : { cf: 0.3, cb: 0.4, loc: 0.3 };
+      const weights = { cf: 0.3, cb: 0.4, loc: 0.3, ...((assignment && assignment.variant.config.weights) || {}) };
 
       // Add collaborative filtering
       collaborative.forEach(rec => {
@@ -615,6 +546,11 @@ class MLRecommendationService {
         finalRecommendations = finalRecommendations.map(r => ({ ...r, variant }));
       }
 
+      experimentService.logExposure(assignment, userId, {
+        itemType: 'mixed',
+        itemIds: finalRecommendations.map(r => r.targetId)
+      });
+
       return finalRecommendations;
     } catch (error) {
       console.error('Error generating hybrid recommendations:', error);
@@ -710,18 +646,7 @@ class MLRecommendationService {
     return 1 - Math.abs(normalizedPrice - 0.5) * 2; // Higher score for prices in middle of range
   }
 
-  // ===== A/B and Cold-Start Helpers =====
-
-  getABVariant(userId) {
-    // Consistent 50/50 bucket by hashing userId
-    const str = String(userId || '');
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      hash = ((hash << 5) - hash) + str.charCodeAt(i);
-      hash |= 0;
-    }
-    return (Math.abs(hash) % 2) === 0 ? 'A' : 'B';
-  }
+  // ===== Cold-Start Helpers =====
 
   async getPopularFallbackRecommendations(limit = 20) {
     // Popularity based on recent behaviors across all users
@@ -0,0 +1,212 @@
+const os = require('os');
+const Notification = require('../models/notificationModel');
+const DeviceToken = require('../models/deviceTokenModel');
+const User = require('../models/userModel');
+const fcmNotificationService = require('./fcmNotificationService');
+const notificationInboxService = require('./notificationInboxService');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_MS = 5 * 60 * 1000; // How long a claimed notification stays locked to one instance
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const MAX_PER_TICK = 10;
+const BATCH_SIZE = 500; // FCM sendEachForMulticast limit
+
+/**
+ * Admin Notification Delivery Service
+ * Sends admin-authored notifications to their audience, either on demand or when
+ * scheduledAt is due. Every delivery starts with an atomic claim (status -> 'sending'
+ * plus a lease), so several API instances can run the scheduler side by side
+ * without double-sending.
+ */
+class NotificationDeliveryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for due notifications (long-running servers only)
+   */
+  startScheduler(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.runDueNotifications().catch(err => console.error('❌ Notification scheduler error:', err));
+    }, intervalMs);
+    console.log(`⏰ Notification scheduler started (${INSTANCE_ID})`);
+  }
+
+  stopScheduler() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and deliver due notifications. Safe to call from several instances at once.
+   * @returns {Promise<number>} Number of notifications processed by this instance
+   */
+  async runDueNotifications() {
+    if (this.running) return 0;
+    this.running = true;
+    try {
+      const now = new Date();
+      // Leases that expired too many times (instance crashed mid-send) are given up on
+      await Notification.updateMany(
+        { status: 'sending', lockedUntil: { $lt: now }, attempts: { $gte: MAX_ATTEMPTS } },
+        { $set: { status: 'failed', lastError: 'Delivery did not complete after several attempts', updatedAt: now } }
+      );
+
+      let processed = 0;
+      while (processed < MAX_PER_TICK) {
+        const notification = await this.claimDue();
+        if (!notification) break;
+        await this.deliver(notification);
+        processed += 1;
+      }
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due notification (or one whose lease expired)
+   */
+  async claimDue() {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+      {
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [
+          { status: 'scheduled', scheduledAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS), updatedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { scheduledAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Atomically claim a specific notification for an immediate (admin-triggered) send
+   * @returns {Promise<object|null>} null when it is already sending, sent or cancelled
+   */
+  async claimForImmediateSend(notificationId) {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, status: { $in: ['draft', 'scheduled', 'failed'] } },
+      {
+        $set: { status: 'sending', lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS), updatedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Device filter for a notification audience
+   */
+  async getAudienceFilter(type) {
+    if (type === 'global') return {};
+    const shopkeeperIds = await User.find({ role: 'shop' }).distinct('_id');
+    return type === 'shopkeeper'
+      ? { userId: { $in: shopkeeperIds } }
+      : { userId: { $nin: shopkeeperIds } };
+  }
+
+  /**
+   * Deliver a claimed notification to its audience and record the outcome. Devices are sent
+   * to in _id order and every batch moves notification.deliveryCursor on, so an interrupted
+   * delivery resumes where it stopped instead of sending to everyone again.
+   * @param {{onProgress?: Function}} options onProgress({current, total}) is called after every batch
+   */
+  async deliver(notification, { onProgress } = {}) {
+    const resumeAfter = notification.deliveryCursor || null;
+    const previous = (resumeAfter && notification.deliveryStats) || {};
+    const stats = { totalSent: previous.totalSent || 0, delivered: previous.delivered || 0, failed: previous.failed || 0 };
+    // Set counters individually so opens recorded meanwhile are kept
+    const statsUpdate = () => ({
+      'deliveryStats.totalSent': stats.totalSent,
+      'deliveryStats.delivered': stats.delivered,
+      'deliveryStats.failed': stats.failed
+    });
+    try {
+      if (!fcmNotificationService.isInitialized) {
+        throw new Error('Push notifications are not configured');
+      }
+
+      const filter = { isActive: true, ...(await this.getAudienceFilter(notification.type)) };
+      const totalDevices = onProgress ? await DeviceToken.countDocuments(filter) : 0;
+      const payload = { title: notification.title, body: notification.message };
+      const data = { type: 'admin_notification', notificationId: notification._id.toString() };
+
+      let lastSent = resumeAfter;
+      const sendBatch = async (devices) => {
+        const tokens = devices.map(d => d.token);
+        const result = await fcmNotificationService.sendToDevices(tokens, payload, data);
+        lastSent = devices[devices.length - 1]._id;
+        stats.totalSent += tokens.length;
+        if (result.success) {
+          stats.delivered += result.successCount || 0;
+          stats.failed += result.failureCount || 0;
+        } else {
+          stats.failed += tokens.length;
+        }
+        // Extend our lease while a large audience is being processed, and save where to resume
+        await Notification.updateOne(
+          { _id: notification._id, lockedBy: INSTANCE_ID },
+          { $set: { lockedUntil: new Date(Date.now() + LEASE_MS), deliveryCursor: lastSent, ...statsUpdate() } }
+        );
+        if (onProgress) await onProgress({ current: stats.totalSent, total: totalDevices, message: `${stats.delivered} delivered` });
+      };
+
+      let batch = [];
+      const remaining = resumeAfter ? { ...filter, _id: { $gt: resumeAfter } } : filter;
+      for await (const device of DeviceToken.find(remaining).sort({ _id: 1 }).select('token userId').lean().cursor()) {
+        batch.push(device);
+        if (batch.length === BATCH_SIZE) {
+          await sendBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) await sendBatch(batch);
+      // Everyone sent to, in this run or an interrupted one. Inbox items carry notificationId
+      // so reads count towards deliveryStats.opened
+      const recipients = lastSent ? await DeviceToken.distinct('userId', { ...filter, _id: { $lte: lastSent } }) : [];
+      await notificationInboxService.addToInbox(recipients, payload, data);
+
+      const succeeded = stats.totalSent === 0 || stats.delivered > 0;
+      await this.finish(notification, {
+        status: succeeded ? 'sent' : 'failed',
+        ...(succeeded ? { sentAt: new Date() } : { lastError: 'No device accepted the notification' }),
+        ...statsUpdate()
+      }, { delivered: succeeded });
+      console.log(`📨 Notification "${notification.title}" ${succeeded ? 'sent' : 'failed'}: ${stats.delivered}/${stats.totalSent} delivered`);
+    } catch (error) {
+      console.error(`❌ Error delivering notification ${notification._id}:`, error);
+      const retry = notification.attempts < MAX_ATTEMPTS;
+      await this.finish(notification, retry
+        ? { status: 'scheduled', scheduledAt: new Date(Date.now() + RETRY_DELAY_MS * notification.attempts), lastError: error.message }
+        : { status: 'failed', lastError: error.message, ...statsUpdate() });
+    }
+    return Notification.findById(notification._id);
+  }
+
+  /**
+   * Release the lease with the final state, only if this instance still holds it.
+   * A delivered notification drops its resume point.
+   */
+  async finish(notification, update, { delivered = false } = {}) {
+    await Notification.updateOne(
+      { _id: notification._id, lockedBy: INSTANCE_ID, status: 'sending' },
+      { $set: { ...update, updatedAt: new Date() }, $unset: { lockedBy: 1, lockedUntil: 1, ...(delivered ? { deliveryCursor: 1 } : {}) } }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationDeliveryService();
@@ -0,0 +1,128 @@
+const InboxItem = require('../models/inboxItemModel');
+const Notification = require('../models/notificationModel');
+
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+* Store a pushed notification in the inbox of each recipient. Never throws:
+* a failed inbox write must not stop the push itself.
+* @param {Array<string|object>} userIds Recipients (duplicates are ignored)
+* @param {{title: string, body: string}} notification
+* @param {object} data Push data payload
+* @returns {Promise<number>} Number of inbox items created
+*/
+async function addToInbox(userIds, notification, data = {}) {
+  try {
+    const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+    if (uniqueIds.length === 0) return 0;
+
+    const base = {
+      title: notification.title,
+      body: notification.body,
+      type: data.type || 'general',
+      data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])),
+      ...(data.notificationId ? { notificationId: data.notificationId } : {})
+    };
+
+    let created = 0;
+    for (let i = 0; i < uniqueIds.length; i += INSERT_BATCH_SIZE) {
+      const docs = uniqueIds.slice(i, i + INSERT_BATCH_SIZE).map(userId => ({ ...base, userId }));
+      const inserted = await InboxItem.insertMany(docs, { ordered: false });
+      created += inserted.length;
+    }
+    return created;
+  } catch (error) {
+    console.error('❌ Error writing notification inbox:', error);
+    return 0;
+  }
+}
+
+/**
+* Count a first read towards the parent admin notification's opened stat
+*/
+async function countOpened(notificationId, count = 1) {
+  if (!notificationId || count <= 0) return;
+  await Notification.updateOne({ _id: notificationId }, { $inc: { 'deliveryStats.opened': count } });
+}
+
+/**
+* List a user's inbox, newest first
+* @returns {Promise<{items: object[], total: number, unreadCount: number}>}
+*/
+async function listInbox(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+  const filter = { userId, ...(unreadOnly ? { readAt: null } : {}) };
+  const [items, total, unreadCount] = await Promise.all([
+    InboxItem.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    InboxItem.countDocuments(filter),
+    InboxItem.countDocuments({ userId, readAt: null })
+  ]);
+  return { items, total, unreadCount };
+}
+
+/**
+* Mark one inbox item read. Only the unread -> read transition counts as an open.
+* @returns {Promise<object|null>} The item, or null if it does not belong to the user
+*/
+async function markRead(userId, itemId) {
+  const item = await InboxItem.findOneAndUpdate(
+    { _id: itemId, userId, readAt: null },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  );
+  if (item) {
+    await countOpened(item.notificationId);
+    return item;
+  }
+  return InboxItem.findOne({ _id: itemId, userId });
+}
+
+/**
+* Mark every unread item of a user read
+* @returns {Promise<number>} Number of items marked read
+*/
+async function markAllRead(userId) {
+  const unread = await InboxItem.find({ userId, readAt: null }).select('_id notificationId');
+  let marked = 0;
+  const openedByNotification = new Map();
+
+  // Items of admin notifications are claimed one by one so each open is counted exactly once
+  const plainIds = [];
+  for (const item of unread) {
+    if (!item.notificationId) {
+      plainIds.push(item._id);
+      continue;
+    }
+    const claimed = await InboxItem.findOneAndUpdate(
+      { _id: item._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    if (!claimed) continue;
+    marked += 1;
+    const key = item.notificationId.toString();
+    openedByNotification.set(key, (openedByNotification.get(key) || 0) + 1);
+  }
+
+  if (plainIds.length > 0) {
+    const result = await InboxItem.updateMany(
+      { _id: { $in: plainIds }, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    marked += result.modifiedCount;
+  }
+
+  for (const [notificationId, count] of openedByNotification) {
+    await countOpened(notificationId, count);
+  }
+  return marked;
+}
+
+/**
+* Delete one inbox item
+* @returns {Promise<boolean>} false if it does not belong to the user
+*/
+async function removeItem(userId, itemId) {
+  const result = await InboxItem.deleteOne({ _id: itemId, userId });
+  return result.deletedCount > 0;
+}
+
+module.exports = { addToInbox, listInbox, markRead, markAllRead, removeItem };
@@ -1,30 +1,146 @@
 
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const { isPdf, extractPdfText, extractPdfImages } = require('./pdfExtractService');
+const { computeAddressMatchScore } = require('./geocodingService');
+
+// Tesseract configuration. English traineddata ships with the app (@tesseract.js-data/eng);
+// for other languages set OCR_LANG_PATH to a local directory holding <lang>.traineddata.gz.
+const OCR_LANGS = process.env.OCR_LANGS || 'eng';
+const OCR_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+// PDFs whose text layer is shorter than this are treated as scans and OCR'd
+const MIN_PDF_TEXT_LENGTH = 40;
+const MAX_PDF_PAGES = 5;
+
+// Thresholds (0-100) for accepting a license document
+const LICENSE_NUMBER_ACCEPT_SCORE = 90;
+const ADDRESS_ACCEPT_SCORE = 60;
+
+let workerPromise = null;
+let idleTimer = null;
+
 /**
- * Fetch a document from a URL and extract text.
- * Currently returns empty text to avoid using deprecated/vulnerable pdf parsing libs.
- * TODO: Integrate proper OCR service (Tesseract.js, Google Vision API, or AWS Textract)
- */
-async function extractTextFromUrl(url) {
+* Local directory with the traineddata for OCR_LANGS. Without one tesseract.js would download
+* it from its CDN, so OCR would not work offline.
+*/
+function resolveLangPath() {
+  if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+  const langs = OCR_LANGS.split('+');
+  // The bundled data packages each hold one language, so they only cover a single-language setup
+  if (langs.length === 1) {
+    try {
+      // LSTM_ONLY models, the same files tesseract.js fetches by default
+      return path.join(path.dirname(require.resolve(`@tesseract.js-data/${langs[0]}/package.json`)), '4.0.0_best_int');
+    } catch (_) { /* not installed */ }
+  }
+  throw new Error(`No local traineddata for OCR_LANGS="${OCR_LANGS}"; set OCR_LANG_PATH`);
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    const options = {
+      langPath: resolveLangPath(),
+      cachePath: process.env.OCR_CACHE_PATH || require('os').tmpdir()
+    };
+    workerPromise = createWorker(OCR_LANGS, OEM.LSTM_ONLY, options).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  // Release the worker (and its memory) when OCR has not been used for a while
+  if (idleTimer) clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    idleTimer = null;
+    try { if (pending) await (await pending).terminate(); } catch (_) { /* ignore */ }
+  }, OCR_IDLE_TIMEOUT_MS);
+  if (idleTimer.unref) idleTimer.unref();
+  return workerPromise;
+}
+
+function toBbox(bbox) {
+  return bbox ? { x0: bbox.x0, y0: bbox.y0, x1: bbox.x1, y1: bbox.y1 } : null;
+}
+
+/**
+* OCR a single image buffer and flatten the result into lines with confidence and bbox
+*/
+async function recognizeImage(image, page = 1) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        const text = (line.text || '').trim();
+        if (!text) continue;
+        lines.push({ text, confidence: Math.round(line.confidence || 0), bbox: toBbox(line.bbox), page });
+      }
+    }
+  }
+  return { text: data.text || '', confidence: Math.round(data.confidence || 0), lines };
+}
+
+/**
+* Extract text from a document buffer (image or PDF).
+* PDFs use their embedded text layer when present; scanned PDFs have their page images OCR'd.
+* @param {Buffer} buffer
+* @returns {Promise<{text: string, confidence: number, lines: Array<{text: string, confidence: number, bbox: object|null, page: number}>, source: string}>}
+*/
+async function extractDocument(buffer) {
+  if (isPdf(buffer)) {
+    const embedded = extractPdfText(buffer);
+    if (embedded.replace(/\s/g, '').length >= MIN_PDF_TEXT_LENGTH) {
+      const lines = embedded.split(/\r?\n/).map(l => l.trim()).filter(Boolean)
+        .map(text => ({ text, confidence: 100, bbox: null, page: null }));
+      return { text: embedded, confidence: 100, lines, source: 'pdf_text' };
+    }
+
+    const images = extractPdfImages(buffer, MAX_PDF_PAGES);
+    if (images.length === 0) {
+      return { text: embedded, confidence: 0, lines: [], source: 'pdf_text' };
+    }
+    const pages = [];
+    for (let i = 0; i < images.length; i++) {
+      pages.push(await recognizeImage(images[i], i + 1));
+    }
+    return {
+      text: pages.map(p => p.text).join('\n'),
+      confidence: Math.round(pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length),
+      lines: pages.flatMap(p => p.lines),
+      source: 'pdf_ocr'
+    };
+  }
+
+  const result = await recognizeImage(buffer, 1);
+  return { ...result, source: 'image_ocr' };
+}
+
+/**
+* Fetch a document from a URL and run it through extractDocument.
+* Returns an empty result (never throws) so callers can fall back to manual review.
+*/
+async function extractDocumentFromUrl(url) {
   try {
     const resp = await fetch(url);
     if (!resp.ok) throw new Error(`Failed to fetch document: ${resp.status}`);
-    
-    // TODO: Implement actual OCR extraction here
-    // For now, return empty string - this will be enhanced with proper OCR
-    // Options:
-    // 1. Tesseract.js for client-side OCR
-    // 2. Google Cloud Vision API
-    // 3. AWS Textract
-    // 4. Azure Computer Vision
-    
-    await resp.arrayBuffer();
-    return '';
+    const buffer = Buffer.from(await resp.arrayBuffer());
+    return await extractDocument(buffer);
   } catch (error) {
-    console.error('Error fetching document for OCR:', error);
-    return '';
+    console.error('Error extracting document text for OCR:', error);
+    return { text: '', confidence: 0, lines: [], source: 'none' };
   }
 }
 
+/**
+* Fetch a document from a URL and extract its text.
+*/
+async function extractTextFromUrl(url) {
+  const { text } = await extractDocumentFromUrl(url);
+  return text;
+}
+
 /**
  * Heuristically extract license number and address from raw text.
  * Enhanced to better extract ShopAct license details including location.
@@ -137,6 +253,123 @@ function extractLicenseDetails(rawText) {
   };
 }
 
-module.exports = { extractTextFromUrl, extractLicenseDetails };
+function normalizeForSearch(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+* Locate an extracted value in the OCR lines to report its confidence and bounding box.
+* Multi-line values (addresses) combine every line that contributed a part.
+* @returns {{value: string, confidence: number|null, bbox: object|null, page: number|null}|null}
+*/
+function locateField(value, lines) {
+  if (!value) return null;
+  const parts = value.split(/,\s*/).map(normalizeForSearch).filter(p => p.length >= 3);
+  const matched = (lines || []).filter((line) => {
+    const hay = normalizeForSearch(line.text);
+    return hay && parts.some(part => hay.includes(part) || part.includes(hay));
+  });
+  if (matched.length === 0) return { value, confidence: null, bbox: null, page: null };
+
+  const boxes = matched.map(l => l.bbox).filter(Boolean);
+  const sameRegion = boxes.length > 0 && matched.every(l => l.page === matched[0].page);
+  return {
+    value,
+    confidence: Math.round(matched.reduce((sum, l) => sum + (l.confidence || 0), 0) / matched.length),
+    bbox: sameRegion ? {
+      x0: Math.min(...boxes.map(b => b.x0)),
+      y0: Math.min(...boxes.map(b => b.y0)),
+      x1: Math.max(...boxes.map(b => b.x1)),
+      y1: Math.max(...boxes.map(b => b.y1))
+    } : null,
+    page: matched[0].page
+  };
+}
+
+// Characters tesseract commonly confuses in alphanumeric license numbers
+const CONFUSABLE = { O: '0', Q: '0', D: '0', I: '1', L: '1', S: '5', B: '8', Z: '2', G: '6' };
+
+function normalizeLicenseNumber(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/[OQDILSBZG]/g, c => CONFUSABLE[c]);
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+/**
+* Similarity (0-100) between the license number the owner entered and the OCR output.
+* The entered number found anywhere in the raw text counts as an exact match.
+*/
+function computeLicenseNumberScore(entered, extracted, rawText) {
+  const target = normalizeLicenseNumber(entered);
+  if (!target) return 0;
+  if (rawText && normalizeLicenseNumber(rawText).includes(target)) return 100;
+  const candidate = normalizeLicenseNumber(extracted);
+  if (!candidate) return 0;
+  const distance = levenshtein(target, candidate);
+  return Math.max(0, Math.round((1 - distance / Math.max(target.length, candidate.length)) * 100));
+}
+
+/**
+* Decide whether a license document matches what the owner entered.
+* @param {object} params
+* @param {string} params.licenseNumber Number entered by the owner
+* @param {string[]} params.addresses Addresses to compare against (form address, GPS address...)
+* @param {{extractedLicenseNumber: string, extractedAddress: string}} params.details extractLicenseDetails output
+* @param {string} params.rawText OCR text
+* @param {boolean} [params.locationMatch] Geocoded license address is close to the shop
+* @returns {{status: 'accepted'|'rejected'|'unreadable', licenseNumberScore: number, addressScore: number, reasons: string[]}}
+*/
+function scoreLicenseMatch({ licenseNumber, addresses = [], details = {}, rawText = '', locationMatch = false }) {
+  if (!rawText || rawText.trim().length === 0) {
+    return {
+      status: 'unreadable',
+      licenseNumberMatch: false,
+      addressMatch: false,
+      licenseNumberScore: 0,
+      addressScore: 0,
+      reasons: ['No text could be read from the document']
+    };
+  }
+
+  const licenseNumberScore = computeLicenseNumberScore(licenseNumber, details.extractedLicenseNumber, rawText);
+  const addressScore = Math.max(0, ...addresses.filter(Boolean).map(a => computeAddressMatchScore(a, details.extractedAddress || '')));
+
+  const licenseNumberMatch = licenseNumberScore >= LICENSE_NUMBER_ACCEPT_SCORE;
+  const addressMatch = addressScore >= ADDRESS_ACCEPT_SCORE || locationMatch;
+
+  const reasons = [];
+  if (!licenseNumberMatch) reasons.push(`License number does not match (${licenseNumberScore}% similar)`);
+  if (!addressMatch) reasons.push(`Address does not match (${addressScore}% similar)`);
+
+  return {
+    status: reasons.length === 0 ? 'accepted' : 'rejected',
+    licenseNumberMatch,
+    addressMatch,
+    licenseNumberScore,
+    addressScore,
+    reasons
+  };
+}
+
+module.exports = {
+  extractTextFromUrl,
+  extractDocument,
+  extractDocumentFromUrl,
+  extractLicenseDetails,
+  locateField,
+  scoreLicenseMatch
+};
 
 
@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const Offer = require('../models/offerModel');
+const OfferRedemption = require('../models/offerRedemptionModel');
+const Order = require('../models/orderModel');
+const Shop = require('../models/shopModel');
+const { isWithinHappyHours } = require('./pricingService');
+const config = require('../config/config');
+
+// Key that signs claim codes. Production needs its own secret; elsewhere a key is derived
+// from the JWT secret so login tokens and claim codes never share one
+let codeSecret = null;
+function getCodeSecret() {
+  if (codeSecret) return codeSecret;
+  if (process.env.OFFER_CODE_SECRET) {
+    codeSecret = process.env.OFFER_CODE_SECRET;
+  } else if (config.nodeEnv === 'production') {
+    throw new Error('OFFER_CODE_SECRET must be set in production');
+  } else {
+    codeSecret = crypto.createHmac('sha256', config.jwtSecret).update('shopradar:offer-claim-codes').digest();
+  }
+  return codeSecret;
+}
+// No 0/O or 1/I so codes can be read out and typed at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_RANDOM_LENGTH = 8;
+const CODE_SIGNATURE_LENGTH = 4;
+const QR_PREFIX = 'shopradar:redeem';
+
+function sign(value) {
+  return crypto.createHmac('sha256', getCodeSecret()).update(value).digest();
+}
+
+function toAlphabet(bytes, length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return out;
+}
+
+/**
+* Random part followed by a short HMAC of it, e.g. "K7PX2MQA-R4TZ"
+*/
+function generateCode() {
+  const random = toAlphabet(crypto.randomBytes(CODE_RANDOM_LENGTH), CODE_RANDOM_LENGTH);
+  return `${random}-${toAlphabet(sign(random), CODE_SIGNATURE_LENGTH)}`;
+}
+
+function isSignedCode(code) {
+  const [random, signature] = String(code || '').toUpperCase().split('-');
+  if (!random || !signature || random.length !== CODE_RANDOM_LENGTH) return false;
+  const expected = toAlphabet(sign(random), CODE_SIGNATURE_LENGTH);
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+* QR payload binds the code to its offer and user: "shopradar:redeem:<code>:<offerId>:<signature>"
+*/
+function buildQrPayload(redemption) {
+  const body = `${redemption.code}:${redemption.offerId}`;
+  const signature = sign(`${body}:${redemption.userId}`).toString('base64url').slice(0, 22);
+  return `${QR_PREFIX}:${body}:${signature}`;
+}
+
+function formatClaim(redemption) {
+  return {
+    id: redemption._id,
+    offerId: redemption.offerId,
+    code: redemption.code,
+    qrPayload: buildQrPayload(redemption),
+    status: redemption.status === 'claimed' && redemption.expiresAt <= new Date() ? 'expired' : redemption.status,
+    expiresAt: redemption.expiresAt,
+    redeemedAt: redemption.redeemedAt
+  };
+}
+
+/**
+* Why an offer cannot be used right now (null when it can)
+*/
+function offerUnavailableReason(offer, now = new Date()) {
+  if (!offer || offer.status !== 'active') return 'Offer is not active';
+  if (offer.startDate > now) return 'Offer has not started yet';
+  if (offer.endDate < now) return 'Offer has expired';
+  if (offer.maxUses > 0 && offer.currentUses >= offer.maxUses) return 'Offer has reached its usage limit';
+  return null;
+}
+
+/**
+* How many of the user's uses of an offer are taken: redeemed codes and collected
+* reservations, plus open reservations that hold a use
+*/
+async function countUserUses(offerId, userId) {
+  const [redeemed, reserved] = await Promise.all([
+    OfferRedemption.countDocuments({ offerId, userId, status: 'redeemed' }),
+    Order.countDocuments({ offerId, userId, offerUseHeld: true, status: { $in: ['pending', 'accepted'] } })
+  ]);
+  return redeemed + reserved;
+}
+
+/**
+* Why this customer cannot use the offer (null when they can). Happy hours are only
+* checked at the counter: a code may be claimed at any time.
+*/
+async function customerIneligibleReason(offer, userId, { atCounter = false, now = new Date() } = {}) {
+  const rules = offer.rules || {};
+  if (rules.firstTimeCustomerOnly) {
+    const returning = await OfferRedemption.exists({ shopId: offer.shopId, userId, status: 'redeemed' });
+    if (returning) return 'Offer is for first-time customers only';
+  }
+  if (atCounter && Array.isArray(rules.happyHours) && rules.happyHours.length > 0) {
+    const shop = await Shop.findById(offer.shopId).select('timezone');
+    if (!isWithinHappyHours(rules.happyHours, now, shop && shop.timezone)) return 'Offer is only valid during happy hours';
+  }
+  return null;
+}
+
+/**
+* Claim an offer for a shopper. Returns the user's open claim if there already is one.
+* @returns {Promise<{success: boolean, statusCode?: number, message?: string, claim?: object, created?: boolean}>}
+*/
+async function claimOffer(userId, offerId) {
+  const now = new Date();
+  const offer = await Offer.findById(offerId);
+  if (!offer) return { success: false, statusCode: 404, message: 'Offer not found' };
+
+  const unavailable = offerUnavailableReason(offer, now);
+  if (unavailable) return { success: false, statusCode: 409, message: unavailable };
+
+  const open = await OfferRedemption.findOne({ offerId, userId, status: 'claimed', expiresAt: { $gt: now } });
+  if (open) return { success: true, claim: formatClaim(open), created: false };
+
+  const ineligible = await customerIneligibleReason(offer, userId, { now });
+  if (ineligible) return { success: false, statusCode: 409, message: ineligible };
+
+  if (offer.maxUsesPerUser > 0) {
+    const used = await countUserUses(offerId, userId);
+    if (used >= offer.maxUsesPerUser) {
+      return { success: false, statusCode: 409, message: 'You have already used this offer' };
+    }
+  }
+
+  // Codes are random; retry on the (unlikely) collision with an existing one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const redemption = await OfferRedemption.create({
+        offerId,
+        shopId: offer.shopId,
+        userId,
+        code: generateCode(),
+        expiresAt: offer.endDate
+      });
+      return { success: true, claim: formatClaim(redemption), created: true };
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.code) throw error;
+    }
+  }
+  throw new Error('Could not generate a unique redemption code');
+}
+
+/**
+* Resolve a typed code or scanned QR payload to a code, checking its signature
+* @returns {{code?: string, offerId?: string, qrSignature?: string, error?: string}}
+*/
+function parseRedemptionInput({ code, qrPayload }) {
+  if (qrPayload) {
+    const parts = String(qrPayload).split(':');
+    if (parts.length !== 5 || `${parts[0]}:${parts[1]}` !== QR_PREFIX) return { error: 'Invalid QR code' };
+    const [, , qrCode, offerId, qrSignature] = parts;
+    if (!isSignedCode(qrCode)) return { error: 'Invalid QR code' };
+    return { code: qrCode.toUpperCase(), offerId, qrSignature };
+  }
+  if (!code) return { error: 'code or qrPayload is required' };
+  if (!isSignedCode(code)) return { error: 'Invalid redemption code' };
+  return { code: String(code).toUpperCase() };
+}
+
+/**
+* Find the shop's redemption for a code/QR payload without redeeming it
+* @returns {Promise<{success: boolean, statusCode?: number, message?: string, redemption?: object, offer?: object}>}
+*/
+async function findForShop(shopId, input) {
+  const parsed = parseRedemptionInput(input);
+  if (parsed.error) return { success: false, statusCode: 400, message: parsed.error };
+
+  const redemption = await OfferRedemption.findOne({ code: parsed.code, shopId })
+    .populate('userId', 'fullName email');
+  if (!redemption) return { success: false, statusCode: 404, message: 'Redemption code not found for this shop' };
+
+  if (parsed.qrSignature) {
+    const expected = buildQrPayload({ ...redemption.toObject(), userId: redemption.userId._id || redemption.userId });
+    if (!parsed.offerId || expected !== `${QR_PREFIX}:${parsed.code}:${parsed.offerId}:${parsed.qrSignature}`) {
+      return { success: false, statusCode: 400, message: 'Invalid QR code' };
+    }
+  }
+
+  const offer = await Offer.findById(redemption.offerId);
+  return { success: true, redemption, offer };
+}
+
+/**
+* Check a code for the shop owner: is it theirs and can it be redeemed now
+*/
+async function verifyRedemption(shopId, input) {
+  const found = await findForShop(shopId, input);
+  if (!found.success) return found;
+  const { redemption, offer } = found;
+
+  const now = new Date();
+  let reason = null;
+  if (redemption.status === 'redeemed') reason = 'Code has already been redeemed';
+  else if (redemption.status === 'expired' || redemption.expiresAt <= now) reason = 'Code has expired';
+  else reason = offerUnavailableReason(offer, now);
+
+  if (!reason && offer.maxUsesPerUser > 0) {
+    const used = await countUserUses(offer._id, redemption.userId._id || redemption.userId);
+    if (used >= offer.maxUsesPerUser) reason = 'Customer has already used this offer the maximum number of times';
+  }
+  if (!reason) {
+    reason = await customerIneligibleReason(offer, redemption.userId._id || redemption.userId, { atCounter: true, now });
+  }
+
+  return { success: true, redeemable: !reason, reason, redemption, offer };
+}
+
+/**
+* Redeem a code in-store. The redemption and the offer's use counter are each updated
+* atomically under their limits; if the offer is exhausted in between, the redemption is rolled back.
+* @returns {Promise<{success: boolean, statusCode?: number, message?: string, redemption?: object, offer?: object}>}
+*/
+async function redeem(shopId, input, redeemedBy) {
+  const found = await findForShop(shopId, input);
+  if (!found.success) return found;
+  const { redemption, offer } = found;
+  if (!offer) return { success: false, statusCode: 404, message: 'Offer no longer exists' };
+
+  const now = new Date();
+  if (redemption.status === 'redeemed') {
+    return { success: false, statusCode: 409, message: 'Code has already been redeemed', redemption };
+  }
+  if (redemption.status === 'expired' || redemption.expiresAt <= now) {
+    await OfferRedemption.updateOne({ _id: redemption._id, status: 'claimed' }, { $set: { status: 'expired', updatedAt: now } });
+    return { success: false, statusCode: 409, message: 'Code has expired' };
+  }
+
+  const userId = redemption.userId._id || redemption.userId;
+  const ineligible = await customerIneligibleReason(offer, userId, { atCounter: true, now });
+  if (ineligible) return { success: false, statusCode: 409, message: ineligible };
+
+  // 1. Mark the code redeemed as the user's next use; the unique (offer, user, useNumber)
+  //    index rejects a concurrent redemption that picked the same use number. Uses held
+  //    by the user's open reservations count toward their limit too.
+  const reserved = offer.maxUsesPerUser > 0
+    ? await Order.countDocuments({ offerId: offer._id, userId, offerUseHeld: true, status: { $in: ['pending', 'accepted'] } })
+    : 0;
+  let redeemed = null;
+  for (let attempt = 0; attempt < 3 && !redeemed; attempt++) {
+    const used = await OfferRedemption.countDocuments({ offerId: offer._id, userId, status: 'redeemed' });
+    if (offer.maxUsesPerUser > 0 && used + reserved >= offer.maxUsesPerUser) {
+      return { success: false, statusCode: 409, message: 'Customer has already used this offer the maximum number of times' };
+    }
+    try {
+      redeemed = await OfferRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: 'claimed', expiresAt: { $gt: now } },
+        { $set: { status: 'redeemed', useNumber: used + 1, redeemedAt: now, redeemedBy, updatedAt: now } },
+        { new: true }
+      );
+      if (!redeemed) return { success: false, statusCode: 409, message: 'Code has already been redeemed' };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  if (!redeemed) return { success: false, statusCode: 409, message: 'Customer is redeeming this offer elsewhere, please retry' };
+
+  // 2. Take one use from the offer, only while it is active, in its window and under maxUses
+  const updatedOffer = await Offer.findOneAndUpdate(
+    {
+      _id: offer._id,
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [{ maxUses: { $in: [0, null] } }, { $expr: { $lt: ['$currentUses', '$maxUses'] } }]
+    },
+    { $inc: { currentUses: 1 }, $set: { updatedAt: now } },
+    { new: true }
+  );
+
+  if (!updatedOffer) {
+    await OfferRedemption.updateOne(
+      { _id: redemption._id, status: 'redeemed' },
+      { $set: { status: 'claimed', updatedAt: new Date() }, $unset: { useNumber: 1, redeemedAt: 1, redeemedBy: 1 } }
+    );
+    const latest = await Offer.findById(offer._id);
+    return { success: false, statusCode: 409, message: offerUnavailableReason(latest, now) || 'Offer can no longer be redeemed' };
+  }
+
+  return { success: true, redemption: redeemed, offer: updatedOffer };
+}
+
+/**
+* Record a collected reservation's offer use as a redemption. The use itself was taken from
+* the offer when the order was placed, so only the record is written here.
+*/
+async function recordOrderRedemption(order, redeemedBy) {
+  const now = new Date();
+  // Retry on a code collision or a concurrent redemption taking the same use number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const used = await OfferRedemption.countDocuments({ offerId: order.offerId, userId: order.userId, status: 'redeemed' });
+    try {
+      return await OfferRedemption.create({
+        offerId: order.offerId,
+        shopId: order.shopId._id || order.shopId,
+        userId: order.userId,
+        orderId: order._id,
+        code: generateCode(),
+        status: 'redeemed',
+        expiresAt: now,
+        useNumber: used + 1,
+        redeemedAt: now,
+        redeemedBy
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error(`Could not record the offer redemption for order ${order._id}`);
+}
+
+/**
+* A shopper's claims, newest first
+*/
+async function listUserClaims(userId, { status, limit = 50 } = {}) {
+  const claims = await OfferRedemption.find({ userId, ...(status ? { status } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('offerId', 'title discountType discountValue endDate')
+    .populate('shopId', 'shopName address');
+  return claims.map(claim => ({
+    ...formatClaim({ ...claim.toObject(), offerId: claim.offerId?._id || claim.offerId }),
+    offer: claim.offerId && claim.offerId.title ? {
+      id: claim.offerId._id,
+      title: claim.offerId.title,
+      discountType: claim.offerId.discountType,
+      discountValue: claim.offerId.discountValue,
+      endDate: claim.offerId.endDate
+    } : null,
+    shop: claim.shopId && claim.shopId.shopName ? {
+      id: claim.shopId._id,
+      name: claim.shopId.shopName,
+      address: claim.shopId.address
+    } : null
+  }));
+}
+
+module.exports = { claimOffer, verifyRedemption, redeem, listUserClaims, countUserUses, recordOrderRedemption };
@@ -0,0 +1,307 @@
+// Opening hours evaluation for shops
+// Works on the structured weeklySchedule/scheduleExceptions fields and falls
+// back to parsing the legacy free-text openingHours string.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Fields a query must select for computeOpenStatus to see the schedule
+const SCHEDULE_FIELDS = 'openingHours weeklySchedule scheduleExceptions timezone isLive';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+* Parse "HH:mm" (24h) into minutes since midnight
+* @param {string} value
+* @returns {number|null}
+*/
+function parseTime(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const h = parseInt(m[1], 10);
+  const min = parseInt(m[2], 10);
+  if (h > 24 || min > 59 || (h === 24 && min !== 0)) return null;
+  return h * 60 + min;
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseDay(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const idx = DAY_NAMES.indexOf(String(value || '').trim().slice(0, 3).toLowerCase());
+  return idx === -1 ? null : idx;
+}
+
+function isDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function normalizeSlots(slots, label) {
+  if (!Array.isArray(slots)) throw new Error(`${label}: slots must be an array`);
+  return slots.map((slot) => {
+    const open = parseTime(slot && slot.open);
+    const close = parseTime(slot && slot.close);
+    if (open === null || close === null) {
+      throw new Error(`${label}: slot times must be in HH:mm format`);
+    }
+    if (open === close) throw new Error(`${label}: slot open and close cannot be equal`);
+    return { open: formatTime(open), close: formatTime(close) };
+  });
+}
+
+/**
+* Validate and normalize a weekly schedule from request input.
+* Accepts day as 0-6 (Sunday = 0) or a day name ("mon", "Monday").
+* @param {Array<{day: number|string, slots: Array<{open: string, close: string}>}>} input
+* @returns {Array<{day: number, slots: Array<{open: string, close: string}>}>}
+*/
+function normalizeWeeklySchedule(input) {
+  if (!Array.isArray(input)) throw new Error('weeklySchedule must be an array');
+  const seen = new Set();
+  return input.map((entry) => {
+    const day = parseDay(entry && entry.day);
+    if (day === null) throw new Error('weeklySchedule: invalid day');
+    if (seen.has(day)) throw new Error(`weeklySchedule: duplicate entry for ${DAY_NAMES[day]}`);
+    seen.add(day);
+    return { day, slots: normalizeSlots(entry.slots || [], `weeklySchedule (${DAY_NAMES[day]})`) };
+  });
+}
+
+/**
+* Validate and normalize holiday/closure exceptions from request input.
+* @param {Array<{date: string, endDate?: string, closed?: boolean, slots?: Array, note?: string}>} input
+*/
+function normalizeScheduleExceptions(input) {
+  if (!Array.isArray(input)) throw new Error('scheduleExceptions must be an array');
+  return input.map((entry) => {
+    if (!entry || !isDateKey(entry.date)) throw new Error('scheduleExceptions: date must be YYYY-MM-DD');
+    if (entry.endDate && (!isDateKey(entry.endDate) || entry.endDate < entry.date)) {
+      throw new Error('scheduleExceptions: endDate must be YYYY-MM-DD and not before date');
+    }
+    const closed = entry.closed !== false;
+    const slots = closed ? [] : normalizeSlots(entry.slots || [], `scheduleExceptions (${entry.date})`);
+    if (!closed && slots.length === 0) {
+      throw new Error(`scheduleExceptions (${entry.date}): provide slots or mark the day closed`);
+    }
+    return {
+      date: entry.date,
+      endDate: entry.endDate || undefined,
+      closed,
+      slots,
+      note: entry.note
+    };
+  });
+}
+
+function parseLegacyTime(value) {
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(String(value || '').trim());
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  const meridiem = m[3] && m[3].toLowerCase();
+  if (meridiem === 'pm' && h < 12) h += 12;
+  if (meridiem === 'am' && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return formatTime(h * 60 + min);
+}
+
+/**
+* Best-effort parse of the legacy free-text openingHours string,
+* e.g. "Mon-Sat: 9:00 AM - 9:00 PM, Sun: Closed".
+* @param {string} text
+* @returns {Array<{day: number, slots: Array}>|null} null when the text is not understood
+*/
+function parseLegacyOpeningHours(text) {
+  if (!text || typeof text !== 'string') return null;
+  const byDay = new Map();
+  const segments = text.split(/[,;\n]+/).map(s => s.trim()).filter(Boolean);
+  for (const segment of segments) {
+    const m = /^([a-z]{3,9})(?:\s*-\s*([a-z]{3,9}))?\s*:?\s*(.+)$/i.exec(segment);
+    if (!m) return null;
+    const from = parseDay(m[1]);
+    const to = m[2] ? parseDay(m[2]) : from;
+    if (from === null || to === null) return null;
+
+    let slot = null;
+    if (!/^closed$/i.test(m[3].trim())) {
+      const times = m[3].split(/\s*(?:-|–|to)\s*/i);
+      if (times.length !== 2) return null;
+      const open = parseLegacyTime(times[0]);
+      const close = parseLegacyTime(times[1]);
+      if (!open || !close || open === close) return null;
+      slot = { open, close };
+    }
+
+    for (let i = 0, d = from; i < 7; i++, d = (d + 1) % 7) {
+      if (!byDay.has(d)) byDay.set(d, []);
+      if (slot) byDay.get(d).push(slot);
+      if (d === to) break;
+    }
+  }
+  if (byDay.size === 0) return null;
+  return Array.from(byDay.entries()).map(([day, slots]) => ({ day, slots }));
+}
+
+/**
+* Wall-clock parts of `date` in the given time zone
+*/
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(date)) {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  }
+  // Offset between the zone's wall clock and UTC, in ms
+  const wallAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return {
+    ...parts,
+    offsetMs: wallAsUtc - (date.getTime() - date.getMilliseconds()),
+    minutes: parts.hour * 60 + parts.minute
+  };
+}
+
+function dateKeyFor(parts, dayOffset) {
+  const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + dayOffset));
+  return { key: d.toISOString().slice(0, 10), weekday: d.getUTCDay() };
+}
+
+function slotsForDate(schedule, exceptions, key, weekday) {
+  const exception = exceptions.find(e => e && e.date && key >= e.date && key <= (e.endDate || e.date));
+  if (exception) return exception.closed === false ? (exception.slots || []) : [];
+  const entry = schedule.find(e => e && e.day === weekday);
+  return entry ? (entry.slots || []) : [];
+}
+
+/**
+* Compute whether a shop is open at `now`, when it next opens and when it closes.
+* The owner's isLive toggle still acts as a master switch: a shop that is not
+* live is never reported open. Shops without any usable schedule fall back to isLive.
+* @param {object} shop Shop document or plain object
+* @param {Date} [now]
+* @returns {{isOpen: boolean, opensAt: Date|null, closesAt: Date|null, closesInMinutes: number|null, hasSchedule: boolean}}
+*/
+function computeOpenStatus(shop, now = new Date()) {
+  const timeZone = isValidTimeZone(shop && shop.timezone) ? shop.timezone : DEFAULT_TIMEZONE;
+  const isLive = !!(shop && shop.isLive);
+  let schedule = shop && Array.isArray(shop.weeklySchedule) && shop.weeklySchedule.length > 0
+    ? shop.weeklySchedule
+    : null;
+  if (!schedule) schedule = parseLegacyOpeningHours(shop && shop.openingHours);
+  const exceptions = (shop && Array.isArray(shop.scheduleExceptions)) ? shop.scheduleExceptions : [];
+
+  if (!schedule) {
+    return { isOpen: isLive, opensAt: null, closesAt: null, closesInMinutes: null, hasSchedule: false };
+  }
+
+  const local = getZonedParts(now, timeZone);
+  // Build absolute intervals (minutes relative to local midnight today) from yesterday
+  // (overnight slots) through one week ahead
+  const intervals = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const { key, weekday } = dateKeyFor(local, offset);
+    for (const slot of slotsForDate(schedule, exceptions, key, weekday)) {
+      const open = parseTime(slot.open);
+      let close = parseTime(slot.close);
+      if (open === null || close === null) continue;
+      if (close <= open) close += MINUTES_PER_DAY;
+      intervals.push([offset * MINUTES_PER_DAY + open, offset * MINUTES_PER_DAY + close]);
+    }
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  // Merge touching/overlapping slots so "closes in" spans back-to-back slots
+  const merged = [];
+  for (const iv of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && iv[0] <= last[1]) last[1] = Math.max(last[1], iv[1]);
+    else merged.push([iv[0], iv[1]]);
+  }
+
+  const nowMinutes = local.minutes;
+  const localMidnightUtc = Date.UTC(local.year, local.month - 1, local.day) - local.offsetMs;
+  const toDate = (minutes) => new Date(localMidnightUtc + minutes * 60 * 1000);
+
+  const current = merged.find(([start, end]) => start <= nowMinutes && nowMinutes < end);
+  if (current && isLive) {
+    return {
+      isOpen: true,
+      opensAt: null,
+      closesAt: toDate(current[1]),
+      closesInMinutes: current[1] - nowMinutes,
+      hasSchedule: true
+    };
+  }
+
+  const next = merged.find(([start]) => start > nowMinutes);
+  return {
+    isOpen: false,
+    opensAt: isLive && next ? toDate(next[0]) : null,
+    closesAt: null,
+    closesInMinutes: null,
+    hasSchedule: true
+  };
+}
+
+/**
+* Walk a shop query and keep the shops that are open at `now`. Open status depends on each
+* shop's schedule and time zone, so it cannot be part of the query; walking a cursor (rather
+* than filtering a capped candidate list) means open shops deep in the results are not lost.
+* @param {import('mongoose').Query|import('mongoose').Aggregate} query Filter, sort, select and
+*   populate already applied (the selection must include SCHEDULE_FIELDS)
+* @param {{now?: Date, skip?: number, limit?: number, countAll?: boolean}} [options]
+*   countAll keeps walking after the page is full so that total counts every open shop
+* @returns {Promise<{shops: object[], total: number}>}
+*/
+async function collectOpenShops(query, { now = new Date(), skip = 0, limit = Infinity, countAll = false } = {}) {
+  const shops = [];
+  let total = 0;
+  for await (const shop of query.cursor({ batchSize: 200 })) {
+    if (!computeOpenStatus(shop, now).isOpen) continue;
+    if (total >= skip && shops.length < limit) shops.push(shop);
+    total += 1;
+    if (!countAll && shops.length >= limit) break;
+  }
+  return { shops, total };
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseTime,
+  parseDay,
+  getZonedParts,
+  normalizeWeeklySchedule,
+  normalizeScheduleExceptions,
+  parseLegacyOpeningHours,
+  computeOpenStatus,
+  collectOpenShops
+};
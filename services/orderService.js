@@ -0,0 +1,447 @@
+// Click-and-collect reservations. Placing an order takes the reserved units out of the
+// product's stock (conditional $inc, so two shoppers can never hold the same unit); they go
+// back when the shop rejects, the shopper cancels or the pickup window ends unanswered or
+// uncollected. A discounted order holds one of its offer's uses the same way. A queued
+// order_expiry job fires at the end of each window, and overdue orders are also swept before
+// an order is placed or listed, so a late job never keeps stock held.
+
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const Product = require('../models/productModel');
+const Shop = require('../models/shopModel');
+const Offer = require('../models/offerModel');
+const OfferRedemption = require('../models/offerRedemptionModel');
+const { OFFER_PRICING_FIELDS, offersForVariant, priceCart } = require('./pricingService');
+const offerRedemptionService = require('./offerRedemptionService');
+const { resolveVariant, variantLabel } = require('./productVariantService');
+const restockAlertService = require('./restockAlertService');
+const fcmNotificationService = require('./fcmNotificationService');
+const jobQueueService = require('./jobQueueService');
+
+const MAX_ITEMS = 20;
+const MAX_QUANTITY = 50;
+const MAX_OPEN_ORDERS = 5; // Per shopper, so nobody can hoard a shop's stock
+const MIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_ADVANCE_MS = 3 * 24 * 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['pending', 'accepted'];
+// Statuses that hand the held stock back
+const RELEASING_STATUSES = ['rejected', 'cancelled', 'expired'];
+
+const CUSTOMER_MESSAGES = {
+  accepted: (order, shop) => ({ title: '✅ Reservation confirmed', body: `${shop} has your items ready for pickup` }),
+  rejected: (order, shop) => ({ title: '❌ Reservation declined', body: order.rejectionReason ? `${shop}: ${order.rejectionReason}` : `${shop} could not take your reservation` }),
+  completed: (order, shop) => ({ title: '🛍️ Order collected', body: `Thanks for shopping at ${shop}` }),
+  expired: (order, shop) => ({ title: '⌛ Reservation expired', body: `Your pickup window at ${shop} has ended and the items were released` })
+};
+
+const fail = (statusCode, message, extra = {}) => ({ success: false, statusCode, message, ...extra });
+
+function formatOrder(order) {
+  const shop = order.shopId && order.shopId.shopName ? order.shopId : null;
+  const customer = order.userId && order.userId.email ? order.userId : null;
+  return {
+    id: order._id,
+    status: order.status,
+    shop: shop ? { id: shop._id, name: shop.shopName, address: shop.address, phone: shop.phone } : { id: order.shopId },
+    ...(customer ? { customer: { id: customer._id, name: customer.fullName || customer.name, email: customer.email } } : {}),
+    items: order.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      name: item.name,
+      variant: item.variantLabel || null,
+      quantity: item.quantity,
+      price: item.price,
+      discount: item.discount,
+      total: item.total
+    })),
+    offerId: order.offerId || null,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    total: order.total,
+    pickupWindow: order.pickupWindow,
+    note: order.note,
+    rejectionReason: order.rejectionReason,
+    statusHistory: order.statusHistory,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+// Push and inbox entry; a failed send never fails the status change
+function notify(userId, notification, order) {
+  fcmNotificationService.sendToUser(userId, notification, {
+    type: 'order_status',
+    orderId: order._id.toString(),
+    shopId: (order.shopId._id || order.shopId).toString(),
+    status: order.status
+  }).catch(err => console.error('Order notification error:', err));
+}
+
+/**
+* Take quantity units of a product (or one of its variants) out of stock, only if they are there
+* @returns {Promise<boolean>}
+*/
+async function holdStock(shopId, line) {
+  const filter = { _id: line.productId, shopId, status: 'active' };
+  const update = { $inc: { stock: -line.quantity } };
+  if (line.variantId) {
+    filter.variants = { $elemMatch: { _id: line.variantId, isActive: { $ne: false }, stock: { $gte: line.quantity } } };
+    update.$inc['variants.$.stock'] = -line.quantity;
+  } else {
+    filter.stock = { $gte: line.quantity };
+  }
+  const result = await Product.updateOne(filter, update);
+  return result.modifiedCount === 1;
+}
+
+/**
+* Put held units back. A product (or variant) that was out of stock alerts its waiting shoppers.
+*/
+async function releaseStock(items) {
+  for (const line of items) {
+    const filter = { _id: line.productId };
+    const update = { $inc: { stock: line.quantity } };
+    if (line.variantId) {
+      filter['variants._id'] = line.variantId;
+      update.$inc['variants.$.stock'] = line.quantity;
+    }
+    // Deleted products (or variants) have nothing to return to
+    const product = await Product.findOneAndUpdate(filter, update, { new: true }).select('name shopId stock status variants');
+    if (product) {
+      // Stock as it was before these units came back
+      const before = { stock: product.stock - line.quantity, variants: new Map() };
+      const variant = line.variantId && product.variants.find(v => String(v._id) === String(line.variantId));
+      if (variant) before.variants.set(String(variant._id), variant.stock - line.quantity);
+      restockAlertService.notifyRestocked(product, before)
+        .catch(err => console.error('Back-in-stock alert error:', err));
+    }
+  }
+}
+
+/**
+* Take one use of an offer, only while it is active and under maxUses (0 means unlimited)
+* @returns {Promise<boolean>}
+*/
+async function holdOfferUse(offerId, now = new Date()) {
+  const result = await Offer.updateOne(
+    {
+      _id: offerId,
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [{ maxUses: { $in: [0, null] } }, { $expr: { $lt: ['$currentUses', '$maxUses'] } }]
+    },
+    { $inc: { currentUses: 1 }, $set: { updatedAt: now } }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function releaseOfferUse(offerId) {
+  await Offer.updateOne({ _id: offerId, currentUses: { $gt: 0 } }, { $inc: { currentUses: -1 }, $set: { updatedAt: new Date() } });
+}
+
+/**
+* Validate the requested pickup window
+* @returns {{value?: {start: Date, end: Date}, error?: string}}
+*/
+function normalizePickupWindow(input, now = new Date()) {
+  const window = input || {};
+  const start = window.start ? new Date(window.start) : now;
+  const end = new Date(window.end);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return { error: 'pickupWindow.end (and optional start) must be valid dates' };
+  if (end <= start) return { error: 'Pickup window must end after it starts' };
+  if (end.getTime() - now.getTime() < MIN_WINDOW_MS) return { error: 'Pickup window must end at least 15 minutes from now' };
+  if (end.getTime() - now.getTime() > MAX_ADVANCE_MS) return { error: 'Pickup window must end within 3 days' };
+  return { value: { start: start < now ? now : start, end } };
+}
+
+/**
+* Why the offer cannot be used for this order (null when it can)
+*/
+function offerUnavailableReason(offer, productIds, now) {
+  if (!offer || offer.status !== 'active' || offer.startDate > now || offer.endDate < now) return 'Offer is not active';
+  if (offer.maxUses > 0 && offer.currentUses >= offer.maxUses) return 'Offer has reached its usage limit';
+  if (!offer.productId || !productIds.includes(offer.productId.toString())) return 'Offer does not apply to the reserved products';
+  return null;
+}
+
+/**
+* Reserve products at one shop for pickup. Stock is held line by line; if any line cannot be
+* held, the lines already held are released and nothing is reserved.
+* @param {string} userId
+* @param {{shopId: string, items: Array<{productId: string, variantId?: string, quantity: number}>,
+*   offerId?: string, pickupWindow: {start?: string, end: string}, note?: string}} input
+* @returns {Promise<{success: boolean, statusCode?: number, message?: string, order?: object}>}
+*/
+async function createOrder(userId, { shopId, items, offerId, pickupWindow, note }) {
+  const now = new Date();
+  if (!mongoose.Types.ObjectId.isValid(shopId)) return fail(400, 'Invalid shop ID');
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    return fail(400, `items must contain between 1 and ${MAX_ITEMS} products`);
+  }
+  if (offerId && !mongoose.Types.ObjectId.isValid(offerId)) return fail(400, 'Invalid offer ID');
+
+  // One line per product/variant
+  const requested = new Map();
+  for (const item of items) {
+    const quantity = Number(item && item.quantity);
+    if (!item || !mongoose.Types.ObjectId.isValid(item.productId)) return fail(400, 'Invalid product ID in items');
+    if (!Number.isInteger(quantity) || quantity < 1) return fail(400, 'Each quantity must be a whole number of at least 1');
+    const key = `${item.productId}:${item.variantId || ''}`;
+    const line = requested.get(key) || { productId: String(item.productId), variantId: item.variantId || null, quantity: 0 };
+    line.quantity += quantity;
+    if (line.quantity > MAX_QUANTITY) return fail(400, `At most ${MAX_QUANTITY} of each item can be reserved`);
+    requested.set(key, line);
+  }
+
+  const window = normalizePickupWindow(pickupWindow, now);
+  if (window.error) return fail(400, window.error);
+
+  const shop = await Shop.findOne({ _id: shopId, verificationStatus: 'approved', isActive: true }).select('shopName ownerId timezone');
+  if (!shop) return fail(404, 'Shop not found');
+
+  // Release what overdue reservations still hold: the shopper's own count toward the open
+  // order limit, and the shop's are stock this order may need
+  await expireDueOrders({ $or: [{ userId }, { shopId: shop._id }] }, now);
+
+  const openOrders = await Order.countDocuments({ userId, status: { $in: OPEN_STATUSES } });
+  if (openOrders >= MAX_OPEN_ORDERS) {
+    return fail(409, `You already have ${MAX_OPEN_ORDERS} open reservations; collect or cancel one first`);
+  }
+
+  const lines = [...requested.values()];
+  const products = await Product.find({ _id: { $in: lines.map(l => l.productId) }, shopId: shop._id, status: 'active' })
+    .select('name price stock shopId variants');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const missing = lines.filter(l => !productMap.has(l.productId)).map(l => l.productId);
+  if (missing.length > 0) return fail(404, 'Some products are not available at this shop', { productIds: missing });
+
+  for (const line of lines) {
+    const product = productMap.get(line.productId);
+    const { variant, error } = resolveVariant(product, line.variantId);
+    if (error) return fail(400, error, { productId: line.productId });
+    line.product = product;
+    line.variant = variant;
+    const available = variant ? variant.stock : product.stock;
+    if (available < line.quantity) {
+      return fail(409, `Only ${available} of ${product.name}${variant ? ` (${variantLabel(variant)})` : ''} left`, { productId: line.productId });
+    }
+  }
+
+  let offer = null;
+  if (offerId) {
+    offer = await Offer.findOne({ _id: offerId, shopId: shop._id }).select(`${OFFER_PRICING_FIELDS} maxUsesPerUser`);
+    const reason = offerUnavailableReason(offer, lines.map(l => l.productId), now);
+    if (reason) return fail(409, reason);
+    if (offer.maxUsesPerUser > 0 && await offerRedemptionService.countUserUses(offer._id, userId) >= offer.maxUsesPerUser) {
+      return fail(409, 'You have already used this offer');
+    }
+  }
+
+  // Price through the offer engine; the chosen offer is the only one considered
+  const returning = await OfferRedemption.exists({ userId, shopId: shop._id, status: 'redeemed' }) ||
+    await Order.exists({ userId, shopId: shop._id, status: 'completed' });
+  const quote = priceCart(lines.map(line => ({
+    productId: line.productId,
+    variantId: line.variant ? line.variant._id.toString() : null,
+    shopId: shop._id.toString(),
+    price: line.variant ? line.variant.price : line.product.price,
+    quantity: line.quantity,
+    offers: offer && offer.productId.toString() === line.productId ? offersForVariant([offer], line.variant && line.variant._id) : []
+  })), { now, shops: { [shop._id.toString()]: { timezone: shop.timezone, isFirstTimeCustomer: !returning } } });
+
+  if (offer && !quote.lines.some(l => l.appliedOffers.length > 0)) {
+    const potential = quote.lines.flatMap(l => l.potentialOffers)[0];
+    return fail(409, potential ? `Offer cannot be applied: ${potential.reason}` : 'Offer does not apply to the reserved items');
+  }
+
+  // Hold the offer use, then stock; roll back what was held if a line has been sold out in the meantime
+  const offerUseHeld = Boolean(offer) && quote.discount > 0;
+  if (offerUseHeld && !(await holdOfferUse(offer._id, now))) return fail(409, 'Offer has reached its usage limit');
+  const rollBack = async (held) => {
+    await releaseStock(held);
+    if (offerUseHeld) await releaseOfferUse(offer._id);
+  };
+  const held = [];
+  for (const line of lines) {
+    const hold = { productId: line.productId, variantId: line.variant ? line.variant._id : null, quantity: line.quantity };
+    if (!(await holdStock(shop._id, hold))) {
+      await rollBack(held);
+      return fail(409, `${line.product.name} just sold out, please try again`, { productId: line.productId });
+    }
+    held.push(hold);
+  }
+
+  let order;
+  try {
+    order = await Order.create({
+      userId,
+      shopId: shop._id,
+      items: quote.lines.map((priced, index) => ({
+        productId: priced.productId,
+        variantId: priced.variantId || undefined,
+        name: lines[index].product.name,
+        variantLabel: lines[index].variant ? variantLabel(lines[index].variant) : undefined,
+        quantity: priced.quantity,
+        price: priced.price,
+        discount: priced.discount,
+        total: priced.total
+      })),
+      offerId: offer ? offer._id : undefined,
+      offerUseHeld: offerUseHeld || undefined,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      total: quote.total,
+      pickupWindow: window.value,
+      note: note ? String(note).trim().slice(0, 500) : undefined,
+      statusHistory: [{ status: 'pending', at: now, by: 'customer' }]
+    });
+  } catch (error) {
+    await rollBack(held);
+    throw error;
+  }
+
+  try {
+    await jobQueueService.enqueue('order_expiry', { orderId: order._id.toString() }, {
+      dedupeKey: `order_expiry:${order._id}`,
+      runAt: order.pickupWindow.end
+    });
+  } catch (error) {
+    // Any later order_expiry run sweeps every overdue order, this one included
+    console.error('Order expiry scheduling error:', error);
+  }
+
+  notify(shop.ownerId, {
+    title: '🛍️ New reservation',
+    body: `${order.items.length} item${order.items.length === 1 ? '' : 's'} to keep for pickup`
+  }, order);
+
+  return { success: true, order };
+}
+
+/**
+* Move an order between statuses atomically; releases stock and notifies as needed
+* @returns {Promise<object|null>} The updated order, or null when it was not in a from status
+*/
+async function transition(filter, from, to, { by, note, set = {} } = {}) {
+  const now = new Date();
+  const order = await Order.findOneAndUpdate(
+    { ...filter, status: { $in: from } },
+    {
+      $set: { status: to, updatedAt: now, ...set },
+      $push: { statusHistory: { status: to, at: now, by, ...(note ? { note } : {}) } }
+    },
+    { new: true }
+  ).populate('shopId', 'shopName address phone ownerId');
+  if (!order) return null;
+
+  if (RELEASING_STATUSES.includes(to)) {
+    await releaseStock(order.items);
+    if (order.offerUseHeld) await releaseOfferUse(order.offerId);
+  }
+
+  if (CUSTOMER_MESSAGES[to]) {
+    notify(order.userId, CUSTOMER_MESSAGES[to](order, order.shopId.shopName), order);
+  } else if (to === 'cancelled') {
+    notify(order.shopId.ownerId, { title: 'Reservation cancelled', body: 'A customer cancelled their reservation; the items are back in stock' }, order);
+  }
+  return order;
+}
+
+// Result for a transition that found nothing to move
+async function transitionFailure(filter, action) {
+  const order = await Order.findOne(filter).select('status');
+  if (!order) return fail(404, 'Order not found');
+  return fail(409, `Cannot ${action} an order that is ${order.status}`);
+}
+
+async function shopAction(shopId, orderId, from, to, action, options) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return fail(400, 'Invalid order ID');
+  const filter = { _id: orderId, shopId };
+  const order = await transition(filter, from, to, { by: 'shop', ...options });
+  return order ? { success: true, order } : transitionFailure(filter, action);
+}
+
+function acceptOrder(shopId, orderId) {
+  return shopAction(shopId, orderId, ['pending'], 'accepted', 'accept');
+}
+
+function rejectOrder(shopId, orderId, reason) {
+  const rejectionReason = reason ? String(reason).trim().slice(0, 500) : undefined;
+  return shopAction(shopId, orderId, OPEN_STATUSES, 'rejected', 'reject', {
+    note: rejectionReason,
+    set: rejectionReason ? { rejectionReason } : {}
+  });
+}
+
+/**
+* The customer collected the order: the held stock is sold, and the offer use it held (if any)
+* is recorded as a redemption
+*/
+async function completeOrder(shopId, orderId, completedBy) {
+  const result = await shopAction(shopId, orderId, OPEN_STATUSES, 'completed', 'complete');
+  if (result.success && result.order.offerUseHeld) {
+    try {
+      await offerRedemptionService.recordOrderRedemption(result.order, completedBy);
+    } catch (error) {
+      // The order is collected either way; the use stays counted on the offer
+      console.error('Order redemption record error:', error);
+    }
+  }
+  return result;
+}
+
+async function cancelOrder(userId, orderId) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return fail(400, 'Invalid order ID');
+  const filter = { _id: orderId, userId };
+  const order = await transition(filter, OPEN_STATUSES, 'cancelled', { by: 'customer' });
+  return order ? { success: true, order } : transitionFailure(filter, 'cancel');
+}
+
+/**
+* Expire every open order (matching filter, if given) whose pickup window has ended
+* @returns {Promise<{expired: number}>}
+*/
+async function expireDueOrders(filter = {}, now = new Date()) {
+  const due = await Order.find({ ...filter, status: { $in: OPEN_STATUSES }, 'pickupWindow.end': { $lte: now } }).select('_id');
+  let expired = 0;
+  for (const { _id } of due) {
+    const order = await transition({ _id, 'pickupWindow.end': { $lte: now } }, OPEN_STATUSES, 'expired', {
+      by: 'system',
+      note: 'Pickup window ended'
+    });
+    if (order) expired += 1;
+  }
+  return { expired };
+}
+
+/**
+* Orders newest first; a shop's list includes who placed each order
+* @param {{userId?: string, shopId?: string}} filter
+*/
+async function listOrders(filter, { status, page = 1, limit = 20 } = {}) {
+  // Overdue reservations show as expired, not as still open
+  await expireDueOrders(filter);
+  const query = { ...filter, ...(status ? { status } : {}) };
+  let find = Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate('shopId', 'shopName address phone');
+  if (filter.shopId) find = find.populate('userId', 'fullName name email');
+  const [orders, total] = await Promise.all([find, Order.countDocuments(query)]);
+  return { orders, total };
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  formatOrder,
+  createOrder,
+  acceptOrder,
+  rejectOrder,
+  completeOrder,
+  cancelOrder,
+  expireDueOrders,
+  listOrders
+};
@@ -0,0 +1,290 @@
+// Minimal PDF reader used by the OCR pipeline.
+// Pulls the embedded text layer from content streams and the page images of
+// scanned documents (JPEG and 8-bit Flate images) so they can be OCR'd.
+// This intentionally avoids third-party PDF parsers.
+
+const zlib = require('zlib');
+
+// Inflated size caps: a few KB of Flate data can expand to gigabytes (decompression bomb)
+const MAX_STREAM_BYTES = 16 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 64 * 1024 * 1024;
+
+function isPdf(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.slice(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+* Split a PDF into its stream objects: { dict, data } where data is the raw (still encoded) bytes
+*/
+function readStreams(buffer) {
+  const src = buffer.toString('latin1');
+  const streams = [];
+  const streamRe = /stream\r?\n/g;
+  let match;
+  while ((match = streamRe.exec(src)) !== null) {
+    // Skip the "stream" inside "endstream"
+    if (src.slice(match.index - 3, match.index) === 'end') continue;
+    const dictEnd = src.lastIndexOf('>>', match.index);
+    const objStart = src.lastIndexOf(' obj', match.index);
+    if (dictEnd === -1 || objStart === -1 || objStart > dictEnd) continue;
+    const dict = src.slice(objStart + 4, dictEnd + 2);
+
+    const dataStart = match.index + match[0].length;
+    let dataEnd = -1;
+    const lengthMatch = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    if (lengthMatch) {
+      const candidate = dataStart + parseInt(lengthMatch[1], 10);
+      if (src.slice(candidate, candidate + 12).trim().startsWith('endstream')) dataEnd = candidate;
+    }
+    if (dataEnd === -1) {
+      dataEnd = src.indexOf('endstream', dataStart);
+      if (dataEnd === -1) break;
+      // Drop the EOL before "endstream"
+      if (src[dataEnd - 1] === '\n') dataEnd--;
+      if (src[dataEnd - 1] === '\r') dataEnd--;
+    }
+    streams.push({ dict, data: buffer.slice(dataStart, dataEnd) });
+    streamRe.lastIndex = dataEnd;
+  }
+  return streams;
+}
+
+function getFilters(dict) {
+  const m = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict);
+  if (!m) return [];
+  return (m[1].match(/\/\w+/g) || []).map(f => f.slice(1));
+}
+
+function getNumber(dict, key) {
+  const m = new RegExp(`/${key}\\s+(\\d+)`).exec(dict);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+* Inflate a FlateDecode stream, or null when it is corrupt or would exceed maxBytes
+*/
+function inflate(data, maxBytes = MAX_STREAM_BYTES) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: maxBytes });
+  } catch (error) {
+    // Over the cap: give up on this stream rather than retrying
+    if (error instanceof RangeError || error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    try {
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: maxBytes });
+    } catch (_) {
+      return null;
+    }
+  }
+}
+
+// Decode a PDF literal string body (without the surrounding parentheses)
+function decodeLiteral(body) {
+  return body.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_, esc) => {
+    switch (esc[0]) {
+      case 'n': return '\n';
+      case 'r': return '\r';
+      case 't': return '\t';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case '(': return '(';
+      case ')': return ')';
+      case '\\': return '\\';
+      case '\r':
+      case '\n': return '';
+      default: return String.fromCharCode(parseInt(esc, 8));
+    }
+  });
+}
+
+// Decode a PDF hex string body (without the angle brackets). Two-byte strings whose high
+// bytes are all zero are read as UTF-16BE; other CID-keyed text needs the font's CMap and
+// comes out as Latin-1 noise, which the OCR fallback then replaces.
+function decodeHex(body) {
+  let hex = body.replace(/\s+/g, '');
+  if (hex.length % 2 === 1) hex += '0';
+  const bytes = Buffer.from(hex, 'hex');
+  if (bytes.length >= 2 && bytes.length % 2 === 0) {
+    let wide = true;
+    for (let i = 0; i < bytes.length; i += 2) {
+      if (bytes[i] !== 0) { wide = false; break; }
+    }
+    if (wide) return bytes.swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+}
+
+// Decode a string operand, literal "(...)" or hex "<...>"
+function decodeString(operand) {
+  return operand[0] === '<' ? decodeHex(operand.slice(1, -1)) : decodeLiteral(operand.slice(1, -1));
+}
+
+/**
+* Extract text from a single decoded content stream (Tj, TJ, ' and " operators)
+*/
+function textFromContentStream(content) {
+  const out = [];
+  let line = '';
+  const flush = () => {
+    if (line.trim()) out.push(line.replace(/\s+/g, ' ').trim());
+    line = '';
+  };
+  const tokenRe = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[(?:\((?:\\.|[^\\)])*\)|[^\]])*\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  const operands = [];
+  let token;
+  while ((token = tokenRe.exec(content)) !== null) {
+    const t = token[0];
+    if (t[0] === '(' || t[0] === '<' || t[0] === '[' || t[0] === '/' || /^-?\d*\.?\d+$/.test(t)) {
+      operands.push(t);
+      continue;
+    }
+    switch (t) {
+      case 'Tj':
+      case "'":
+      case '"': {
+        if (t !== 'Tj') flush();
+        const str = operands.reverse().find(o => o[0] === '(' || o[0] === '<');
+        if (str) line += decodeString(str);
+        break;
+      }
+      case 'TJ': {
+        const arr = operands.reverse().find(o => o[0] === '[');
+        if (arr) {
+          const parts = arr.match(/\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|-?\d*\.?\d+/g) || [];
+          for (const part of parts) {
+            if (part[0] === '(' || part[0] === '<') line += decodeString(part);
+            // Large negative kerning is used as a word gap
+            else if (parseFloat(part) < -200) line += ' ';
+          }
+        }
+        break;
+      }
+      case 'Td':
+      case 'TD': {
+        const ty = parseFloat(operands[operands.length - 1]);
+        if (ty !== 0 && !Number.isNaN(ty)) flush();
+        else line += ' ';
+        break;
+      }
+      case 'T*':
+      case 'Tm':
+      case 'ET':
+        flush();
+        break;
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+  flush();
+  return out.join('\n');
+}
+
+/**
+* Extract the embedded text layer of a PDF. Scanned PDFs usually have none.
+* @param {Buffer} buffer
+* @returns {string}
+*/
+function extractPdfText(buffer) {
+  const chunks = [];
+  for (const { dict, data } of readStreams(buffer)) {
+    if (/\/Subtype\s*\/Image/.test(dict) || /\/Type\s*\/(XRef|ObjStm|Metadata)/.test(dict)) continue;
+    const filters = getFilters(dict);
+    if (filters.some(f => f !== 'FlateDecode')) continue;
+    const decoded = filters.length ? inflate(data) : data;
+    if (!decoded) continue;
+    const content = decoded.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    const text = textFromContentStream(content);
+    if (text) chunks.push(text);
+  }
+  return chunks.join('\n');
+}
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Wrap raw 8-bit gray/RGB pixels as a PNG so tesseract can read them
+function rawPixelsToPng(pixels, width, height, channels) {
+  const rowLength = width * channels;
+  if (pixels.length < rowLength * height) return null;
+  const filtered = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    filtered[y * (rowLength + 1)] = 0;
+    pixels.copy(filtered, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = channels === 1 ? 0 : 2; // gray or truecolor
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(filtered)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+* Extract page images from a PDF as buffers tesseract can read (JPEG or PNG).
+* CCITT/JBIG2/JPX images and images with predictors are skipped.
+* @param {Buffer} buffer
+* @param {number} [maxImages] Stop after this many (each is decoded in memory)
+* @returns {Buffer[]}
+*/
+function extractPdfImages(buffer, maxImages = Infinity) {
+  const images = [];
+  for (const { dict, data } of readStreams(buffer)) {
+    if (images.length >= maxImages) break;
+    if (!/\/Subtype\s*\/Image/.test(dict)) continue;
+    const width = getNumber(dict, 'Width');
+    const height = getNumber(dict, 'Height');
+    // Ignore icons, logos and masks
+    if (!width || !height || width < 200 || height < 200) continue;
+    if (/\/ImageMask\s+true/.test(dict)) continue;
+
+    const filters = getFilters(dict);
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+      images.push(data);
+      continue;
+    }
+    if (filters.length === 1 && filters[0] === 'FlateDecode' && !/\/Predictor/.test(dict)) {
+      if (getNumber(dict, 'BitsPerComponent') !== 8) continue;
+      let channels = null;
+      if (/\/ColorSpace\s*\/DeviceGray/.test(dict)) channels = 1;
+      else if (/\/ColorSpace\s*\/DeviceRGB/.test(dict)) channels = 3;
+      if (!channels) continue;
+      // The pixels are width x height x channels bytes; anything much bigger is not this image
+      const size = width * height * channels;
+      if (size > MAX_IMAGE_BYTES) continue;
+      const pixels = inflate(data, size + 4096);
+      const png = pixels && rawPixelsToPng(pixels, width, height, channels);
+      if (png) images.push(png);
+    }
+  }
+  return images;
+}
+
+module.exports = { isPdf, extractPdfText, extractPdfImages };
@@ -0,0 +1,91 @@
+const PriceHistory = require('../models/priceHistoryModel');
+const UserBehavior = require('../models/userBehaviorModel');
+const fcmNotificationService = require('./fcmNotificationService');
+const favoriteService = require('./favoriteService');
+
+// Minimum drop in effective price (percent) before interested users are alerted
+const PRICE_DROP_THRESHOLD_PERCENT = parseFloat(process.env.PRICE_DROP_THRESHOLD_PERCENT) || 5;
+// Users who viewed the product within this window are considered interested (savers always are)
+const INTEREST_WINDOW_DAYS = 60;
+// Do not re-alert for the same product within this window unless the price drops further
+const ALERT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const MAX_RECIPIENTS = 1000;
+
+/**
+* Users who currently have the product saved, then users who viewed it recently
+* @param {string} productId
+* @returns {Promise<string[]>}
+*/
+async function getInterestedUserIds(productId) {
+  const since = new Date(Date.now() - INTEREST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [favoriteUserIds, viewerIds] = await Promise.all([
+    favoriteService.getUserIdsFavoritingProduct(productId),
+    UserBehavior.distinct('userId', {
+      targetId: productId,
+      targetType: 'product',
+      behaviorType: 'view_product',
+      createdAt: { $gte: since }
+    })
+  ]);
+  const userIds = new Set([...favoriteUserIds, ...viewerIds.map(id => id.toString())]);
+  return [...userIds].slice(0, MAX_RECIPIENTS);
+}
+
+/**
+* Send a priceDrops push to interested users when the effective price falls past the threshold
+* @param {object} product Product document (name, _id, shopId)
+* @param {object} previous Previous PriceHistory entry
+* @param {object} entry New PriceHistory entry
+* @returns {Promise<{sent: boolean, recipients?: number, reason?: string}>}
+*/
+async function notifyPriceDrop(product, previous, entry) {
+  if (!previous || previous.effectivePrice <= 0) return { sent: false, reason: 'no_baseline' };
+
+  const dropPercent = ((previous.effectivePrice - entry.effectivePrice) / previous.effectivePrice) * 100;
+  if (dropPercent < PRICE_DROP_THRESHOLD_PERCENT) {
+    return { sent: false, reason: 'below_threshold' };
+  }
+
+  const recentAlert = await PriceHistory.findOne({
+    productId: entry.productId,
+    'dropAlert.sent': true,
+    'dropAlert.sentAt': { $gte: new Date(Date.now() - ALERT_COOLDOWN_MS) },
+    effectivePrice: { $lte: entry.effectivePrice }
+  }).select('_id');
+  if (recentAlert) return { sent: false, reason: 'cooldown' };
+
+  const userIds = await getInterestedUserIds(entry.productId);
+  if (userIds.length === 0) return { sent: false, reason: 'no_interested_users' };
+
+  const productName = product.name || 'A product you viewed';
+  const roundedDrop = Math.round(dropPercent);
+  const notification = {
+    title: '📉 Price Drop!',
+    body: `${productName} is now ₹${entry.effectivePrice} (${roundedDrop}% lower)`
+  };
+  const data = {
+    type: 'price_drop',
+    productId: entry.productId.toString(),
+    shopId: entry.shopId.toString(),
+    oldPrice: previous.effectivePrice.toString(),
+    newPrice: entry.effectivePrice.toString(),
+    dropPercent: roundedDrop.toString()
+  };
+
+  let recipients = 0;
+  for (const userId of userIds) {
+    // Only devices that opted in to price drop alerts
+    const result = await fcmNotificationService.sendToUser(userId, notification, data, { 'preferences.priceDrops': true });
+    if (result && result.success) recipients += 1;
+  }
+
+  await PriceHistory.updateOne(
+    { _id: entry._id },
+    { $set: { dropAlert: { sent: recipients > 0, dropPercent: roundedDrop, recipients, sentAt: new Date() } } }
+  );
+
+  console.log(`📉 Price drop alert for "${productName}" (${roundedDrop}%) sent to ${recipients}/${userIds.length} users`);
+  return { sent: recipients > 0, recipients };
+}
+
+module.exports = { PRICE_DROP_THRESHOLD_PERCENT, getInterestedUserIds, notifyPriceDrop };
@@ -0,0 +1,147 @@
+const PriceHistory = require('../models/priceHistoryModel');
+const Product = require('../models/productModel');
+const Offer = require('../models/offerModel');
+const { OFFER_PRICING_FIELDS, computeProductPrice } = require('./pricingService');
+const priceDropAlertService = require('./priceDropAlertService');
+const jobQueueService = require('./jobQueueService');
+
+// Offers start and end on their own schedule, with no request to record the price change;
+// the offer_price_sweep job catches up on them this often
+const OFFER_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+* Active, in-window offers for a product
+*/
+async function getActiveProductOffers(productId, now = new Date()) {
+  return Offer.find({
+    productId,
+    status: 'active',
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  }).select(OFFER_PRICING_FIELDS);
+}
+
+/**
+* Record the current (effective) price of a product if it differs from the last entry.
+* Called after every price change and offer activation/deactivation (scheduled starts and
+* ends through the offer_price_sweep job). Never throws:
+* price history must not break the request that triggered it.
+* @param {object|string} productOrId Product document or id
+* @param {{reason: string, changedBy?: string}} options
+* @returns {Promise<object|null>} The new PriceHistory entry, or null when nothing changed
+*/
+async function recordProductPrice(productOrId, { reason, changedBy } = {}) {
+  try {
+    const product = (productOrId && productOrId._id)
+      ? productOrId
+      : await Product.findById(productOrId).select('name price shopId variants');
+    if (!product || typeof product.price !== 'number') return null;
+
+    const offers = await getActiveProductOffers(product._id);
+    // History tracks the standing price, not happy-hour dips
+    // Products with variants are tracked at their "from" price (cheapest variant)
+    const { price, effectivePrice, offer } = computeProductPrice(product, offers, { excludeTimeLimited: true });
+
+    const previous = await PriceHistory.findOne({ productId: product._id }).sort({ createdAt: -1 });
+    if (previous && previous.price === price && previous.effectivePrice === effectivePrice) {
+      return null;
+    }
+
+    const entry = await PriceHistory.create({
+      productId: product._id,
+      shopId: product.shopId,
+      price,
+      effectivePrice,
+      offerId: offer ? offer._id : undefined,
+      discountType: offer ? offer.discountType : undefined,
+      discountValue: offer ? offer.discountValue : undefined,
+      reason: previous ? reason : 'initial',
+      changedBy
+    });
+
+    if (previous && effectivePrice < previous.effectivePrice) {
+      // Alerts fan out to many devices; do not hold up the caller
+      priceDropAlertService.notifyPriceDrop(product, previous, entry)
+        .catch(err => console.error('Price drop alert error:', err));
+    }
+
+    return entry;
+  } catch (error) {
+    console.error('Error recording price history:', error);
+    return null;
+  }
+}
+
+/**
+* Record price history for the product an offer applies to (no-op for custom offers)
+*/
+async function recordOfferPriceChange(offer, { reason, changedBy } = {}) {
+  if (!offer || offer.isCustomOffer || !offer.productId) return null;
+  const productId = offer.productId._id || offer.productId;
+  return recordProductPrice(productId, { reason, changedBy });
+}
+
+/**
+* Record price history for products whose offers started or ended in (since, until]
+* @returns {Promise<{since: Date, until: Date, offers: number, products: number, recorded: number}>}
+*/
+async function recordScheduledOfferChanges({ since, until = new Date(), onProgress } = {}) {
+  const window = { $gt: since, $lte: until };
+  const offers = await Offer.find({
+    status: 'active',
+    isCustomOffer: { $ne: true },
+    productId: { $ne: null },
+    $or: [{ startDate: window }, { endDate: window }]
+  }).select('productId startDate endDate').lean();
+
+  // One entry per product, however many of its offers changed
+  const reasons = new Map();
+  for (const offer of offers) {
+    const started = offer.startDate > since && offer.startDate <= until;
+    reasons.set(offer.productId.toString(), started ? 'offer_activated' : 'offer_deactivated');
+  }
+
+  let recorded = 0;
+  let current = 0;
+  for (const [productId, reason] of reasons) {
+    if (await recordProductPrice(productId, { reason })) recorded += 1;
+    current += 1;
+    if (onProgress && current % 50 === 0) await onProgress({ current, total: reasons.size });
+  }
+  return { since, until, offers: offers.length, products: reasons.size, recorded };
+}
+
+/**
+* Queue the next offer_price_sweep, at the next interval boundary. Keyed by its run time,
+* so the sweep queueing its successor and the workers making sure one is queued agree.
+*/
+async function scheduleOfferPriceSweep(now = new Date()) {
+  const runAt = new Date(Math.ceil((now.getTime() + 1) / OFFER_SWEEP_INTERVAL_MS) * OFFER_SWEEP_INTERVAL_MS);
+  return jobQueueService.enqueue('offer_price_sweep', {}, { dedupeKey: `offer_price_sweep:${runAt.getTime()}`, runAt });
+}
+
+/**
+* Price timeline for a product, oldest first
+* @param {string} productId
+* @param {{since?: Date, limit?: number}} options
+*/
+async function getPriceTimeline(productId, { since, limit = 200 } = {}) {
+  const filter = { productId };
+  if (since) filter.createdAt = { $gte: since };
+  const entries = await PriceHistory.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('offerId', 'title')
+    .lean();
+  return entries.reverse();
+}
+
+module.exports = {
+  getActiveProductOffers,
+  recordProductPrice,
+  recordOfferPriceChange,
+  recordScheduledOfferChanges,
+  scheduleOfferPriceSweep,
+  OFFER_SWEEP_INTERVAL_MS,
+  getPriceTimeline
+};
@@ -0,0 +1,528 @@
+// Effective price calculation for products with offers.
+// This is the only place offer rules are evaluated: search, ranking and product endpoints
+// all price through priceProduct / priceCart / computeEffectivePrice.
+//
+// Offer types (Offer.discountType):
+//   Percentage    discountValue % off the line
+//   Fixed Amount  discountValue off each unit
+//   Buy X Get Y   for every rules.buyQuantity + rules.getQuantity units, getQuantity units
+//                 are rules.getDiscountPercent % off (100 = free)
+//   Bundle        discountValue % off this product when bought together with every
+//                 product in rules.bundleProductIds
+//   Tiered        rules.tiers [{minQuantity, discountType, discountValue}]; the highest
+//                 tier reached applies
+// Conditions (any type): rules.minQuantity, rules.minPurchaseAmount (cart subtotal at the
+// shop), rules.firstTimeCustomerOnly, rules.happyHours (shop-local time windows) and
+// rules.maxDiscountAmount (cap).
+//
+// Stacking: an offer with stacking.stackable combines with other stackable offers, applied
+// one after another (highest stacking.priority first) to the remaining amount. Non-stackable
+// offers never combine. The customer gets whichever is cheaper: the best single offer or
+// the stack.
+//
+// Variants: an offer with a variantId applies only to that variant of its product; offers
+// without one apply to every variant. Listings price through computeProductPrice, which
+// quotes a product with variants at its cheapest active variant.
+
+const Product = require('../models/productModel');
+const { DEFAULT_TIMEZONE, parseTime, parseDay, getZonedParts } = require('./openingHoursService');
+
+const OFFER_TYPES = ['Percentage', 'Fixed Amount', 'Buy X Get Y', 'Bundle', 'Tiered'];
+// Offer fields the engine reads; select these when loading offers for pricing
+const OFFER_PRICING_FIELDS = 'shopId productId variantId title discountType discountValue rules stacking startDate endDate status maxUses currentUses';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function isPercentage(type) {
+  return String(type).toLowerCase() === 'percentage';
+}
+
+/**
+* Whether the offer is live at `now` (status, validity window, total uses)
+*/
+function isOfferActive(offer, now = new Date()) {
+  if (!offer) return false;
+  if (offer.status && offer.status !== 'active') return false;
+  if (offer.startDate && new Date(offer.startDate) > now) return false;
+  if (offer.endDate && new Date(offer.endDate) < now) return false;
+  if (offer.maxUses > 0 && offer.currentUses >= offer.maxUses) return false;
+  return true;
+}
+
+/**
+* Whether `now` falls in one of the offer's happy-hour windows (always true without windows)
+*/
+function isWithinHappyHours(happyHours, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  if (!Array.isArray(happyHours) || happyHours.length === 0) return true;
+  const parts = getZonedParts(now, timeZone || DEFAULT_TIMEZONE);
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return happyHours.some(window => {
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (start === null || end === null) return false;
+    const days = Array.isArray(window.days) ? window.days : [];
+    if (start <= end) {
+      return (days.length === 0 || days.includes(weekday)) && parts.minutes >= start && parts.minutes < end;
+    }
+    // Overnight window: the late part belongs to the listed day, the early part to the next
+    const yesterday = (weekday + 6) % 7;
+    return (parts.minutes >= start && (days.length === 0 || days.includes(weekday))) ||
+      (parts.minutes < end && (days.length === 0 || days.includes(yesterday)));
+  });
+}
+
+function activeTier(tiers, quantity) {
+  let best = null;
+  for (const tier of tiers || []) {
+    if (quantity >= (tier.minQuantity || 0) && (!best || tier.minQuantity > best.minQuantity)) best = tier;
+  }
+  return best;
+}
+
+/**
+* Why an active offer does not apply to this line (null when it does)
+* @returns {string|null}
+*/
+function ineligibilityReason(offer, line, context) {
+  const rules = offer.rules || {};
+  const now = context.now || new Date();
+
+  if (rules.minQuantity > 0 && line.quantity < rules.minQuantity) {
+    return `Buy at least ${rules.minQuantity}`;
+  }
+  const cartSubtotal = context.cartSubtotal !== undefined ? context.cartSubtotal : line.subtotal;
+  if (rules.minPurchaseAmount > 0 && cartSubtotal < rules.minPurchaseAmount) {
+    return `Spend at least ₹${rules.minPurchaseAmount}`;
+  }
+  if (rules.firstTimeCustomerOnly && context.isFirstTimeCustomer !== true) {
+    return 'First-time customers only';
+  }
+  // excludeTimeLimited prices the standing (non happy-hour) price, e.g. for price history
+  if (Array.isArray(rules.happyHours) && rules.happyHours.length > 0 &&
+      (context.excludeTimeLimited || !isWithinHappyHours(rules.happyHours, now, context.timezone))) {
+    return 'Happy hours only';
+  }
+
+  switch (offer.discountType) {
+    case 'Buy X Get Y': {
+      const groupSize = (rules.buyQuantity || 0) + (rules.getQuantity || 0);
+      if (!rules.buyQuantity || !rules.getQuantity) return 'Offer is not configured';
+      if (line.quantity < groupSize) return `Buy ${rules.buyQuantity} get ${rules.getQuantity}`;
+      return null;
+    }
+    case 'Bundle': {
+      const bundle = (rules.bundleProductIds || []).map(String);
+      if (bundle.length === 0) return 'Offer is not configured';
+      const inCart = new Set((context.cartProductIds || []).map(String));
+      if (!bundle.every(id => inCart.has(id))) return 'Buy together with the bundled products';
+      return null;
+    }
+    case 'Tiered': {
+      const tiers = rules.tiers || [];
+      if (tiers.length === 0) return 'Offer is not configured';
+      if (activeTier(tiers, line.quantity)) return null;
+      return `Buy at least ${Math.min(...tiers.map(t => t.minQuantity || 0))}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+* Discount one offer gives on a line, applied to `remaining` (the line amount still to pay)
+*/
+function applyOfferDiscount(offer, line, remaining) {
+  const rules = offer.rules || {};
+  const value = Number(offer.discountValue) || 0;
+  let discount = 0;
+
+  switch (offer.discountType) {
+    case 'Buy X Get Y': {
+      const groupSize = rules.buyQuantity + rules.getQuantity;
+      const discountedUnits = Math.floor(line.quantity / groupSize) * rules.getQuantity;
+      const percent = rules.getDiscountPercent !== undefined && rules.getDiscountPercent !== null ? rules.getDiscountPercent : 100;
+      discount = discountedUnits * line.unitPrice * Math.min(percent, 100) / 100;
+      break;
+    }
+    case 'Tiered': {
+      const tier = activeTier(rules.tiers, line.quantity);
+      if (!tier) break;
+      discount = isPercentage(tier.discountType)
+        ? remaining * Math.min(Number(tier.discountValue) || 0, 100) / 100
+        : (Number(tier.discountValue) || 0) * line.quantity;
+      break;
+    }
+    case 'Bundle':
+      discount = remaining * Math.min(value, 100) / 100;
+      break;
+    default:
+      discount = isPercentage(offer.discountType)
+        ? remaining * Math.min(value, 100) / 100
+        : value * line.quantity;
+  }
+
+  if (rules.maxDiscountAmount > 0) discount = Math.min(discount, rules.maxDiscountAmount);
+  return Math.max(0, Math.min(discount, remaining));
+}
+
+/**
+* Final price of a product line after the applicable offers and stacking rules
+* @param {object} input
+* @param {number} input.price Listed unit price
+* @param {number} [input.quantity=1]
+* @param {string} [input.productId] Needed for bundle offers
+* @param {Array<object>} [input.offers] Candidate offers for the product (select OFFER_PRICING_FIELDS)
+* @param {object} [input.context] { now, timezone, isFirstTimeCustomer, cartSubtotal, cartProductIds, excludeTimeLimited }
+* @returns {{price: number, quantity: number, subtotal: number, discount: number, total: number,
+*   effectivePrice: number, discountPercent: number, offer: object|null,
+*   appliedOffers: Array<object>, potentialOffers: Array<object>}}
+*/
+function priceProduct({ price, quantity = 1, productId, offers = [], context = {} }) {
+  const unitPrice = Math.max(0, Number(price) || 0);
+  const qty = Math.max(1, parseInt(quantity) || 1);
+  const subtotal = round2(unitPrice * qty);
+  const now = context.now || new Date();
+  const line = { unitPrice, quantity: qty, subtotal };
+  const ctx = {
+    ...context,
+    now,
+    cartProductIds: [...(context.cartProductIds || []), ...(productId ? [productId] : [])]
+  };
+
+  const eligible = [];
+  const potentialOffers = [];
+  for (const offer of offers || []) {
+    if (!isOfferActive(offer, now)) continue;
+    const reason = ineligibilityReason(offer, line, ctx);
+    if (reason) {
+      potentialOffers.push({ offerId: offer._id, title: offer.title, discountType: offer.discountType, reason });
+      continue;
+    }
+    const discount = applyOfferDiscount(offer, line, subtotal);
+    if (discount > 0) eligible.push({ offer, discount });
+  }
+
+  // Best single offer
+  let best = null;
+  for (const entry of eligible) {
+    if (!best || entry.discount > best.discount) best = entry;
+  }
+
+  // Stack of stackable offers, highest priority first, each on what is left to pay
+  const stackable = eligible
+    .filter(e => e.offer.stacking && e.offer.stacking.stackable)
+    .sort((a, b) => ((b.offer.stacking.priority || 0) - (a.offer.stacking.priority || 0)) || (b.discount - a.discount));
+  const stacked = [];
+  let remaining = subtotal;
+  for (const entry of stackable) {
+    const discount = applyOfferDiscount(entry.offer, line, remaining);
+    if (discount <= 0) continue;
+    stacked.push({ offer: entry.offer, discount });
+    remaining -= discount;
+  }
+  const stackedTotal = subtotal - remaining;
+
+  const applied = (stacked.length > 1 && stackedTotal > (best ? best.discount : 0))
+    ? stacked
+    : (best ? [best] : []);
+  const discount = round2(Math.min(applied.reduce((sum, a) => sum + a.discount, 0), subtotal));
+  const total = round2(subtotal - discount);
+
+  return {
+    price: unitPrice,
+    quantity: qty,
+    subtotal,
+    discount,
+    total,
+    effectivePrice: round2(total / qty),
+    discountPercent: subtotal > 0 ? round2((discount / subtotal) * 100) : 0,
+    offer: applied.length ? applied[0].offer : null,
+    appliedOffers: applied.map(a => ({
+      offerId: a.offer._id,
+      title: a.offer.title,
+      discountType: a.offer.discountType,
+      discount: round2(a.discount)
+    })),
+    potentialOffers
+  };
+}
+
+/**
+* Price of a single unit after the best applicable offers (no cart context)
+* @param {number} price Listed product price
+* @param {Array<object>} offers Active offers for the product
+* @param {object} [context] See priceProduct
+* @returns {{price: number, effectivePrice: number, discount: number, discountPercent: number, offer: object|null, appliedOffers: Array<object>}}
+*/
+function computeEffectivePrice(price, offers = [], context = {}) {
+  const result = priceProduct({ price, quantity: 1, offers, context });
+  return {
+    price: result.price,
+    effectivePrice: result.effectivePrice,
+    discount: result.discount,
+    discountPercent: result.discountPercent,
+    offer: result.offer,
+    appliedOffers: result.appliedOffers
+  };
+}
+
+/**
+* Offers that apply to one variant: product-wide offers plus those targeting the variant.
+* Without a variantId only product-wide offers apply.
+* @param {Array<object>} offers Offers of the variant's product
+* @param {string|object} [variantId]
+* @returns {Array<object>}
+*/
+function offersForVariant(offers = [], variantId) {
+  return (offers || []).filter(offer => !offer.variantId || (!!variantId && String(offer.variantId) === String(variantId)));
+}
+
+/**
+* Unit price of a listing after offers. A product with variants is quoted at its cheapest
+* active variant (in-stock variants first), each variant priced with its own offers.
+* @param {{price: number, variants?: Array<object>}} product
+* @param {Array<object>} offers Active offers for the product
+* @param {object} [context] See priceProduct
+* @returns {object} computeEffectivePrice's result plus variantId (null without variants)
+*/
+function computeProductPrice(product, offers = [], context = {}) {
+  const active = (product.variants || []).filter(variant => variant.isActive !== false);
+  if (active.length === 0) {
+    return { ...computeEffectivePrice(product.price, offersForVariant(offers), context), variantId: null };
+  }
+
+  const inStock = active.filter(variant => variant.stock > 0);
+  let best = null;
+  for (const variant of inStock.length ? inStock : active) {
+    const pricing = computeEffectivePrice(variant.price, offersForVariant(offers, variant._id), context);
+    if (!best || pricing.effectivePrice < best.effectivePrice) best = { ...pricing, variantId: variant._id };
+  }
+  return best;
+}
+
+/**
+* Price a cart. Lines are grouped per shop so minimum-purchase and bundle rules see the
+* rest of the customer's basket at that shop.
+* @param {Array<{productId: string, variantId?: string, shopId: string, price: number, quantity: number, offers: Array<object>}>} lines
+*   For a variant line, price is the variant's and offers already filtered with offersForVariant
+* @param {object} [context] Shared context ({ now }) plus per-shop overrides in context.shops[shopId]
+*   ({ timezone, isFirstTimeCustomer })
+* @returns {{lines: Array<object>, subtotal: number, discount: number, total: number}}
+*/
+function priceCart(lines = [], context = {}) {
+  const byShop = new Map();
+  for (const line of lines) {
+    const key = String(line.shopId);
+    if (!byShop.has(key)) byShop.set(key, []);
+    byShop.get(key).push(line);
+  }
+
+  const priced = [];
+  for (const [shopId, shopLines] of byShop) {
+    const cartSubtotal = round2(shopLines.reduce((sum, l) => sum + (Number(l.price) || 0) * Math.max(1, parseInt(l.quantity) || 1), 0));
+    const cartProductIds = shopLines.map(l => String(l.productId));
+    const shopContext = { ...context, ...((context.shops || {})[shopId] || {}), cartSubtotal, cartProductIds };
+    delete shopContext.shops;
+    for (const line of shopLines) {
+      priced.push({
+        productId: line.productId,
+        variantId: line.variantId || null,
+        shopId: line.shopId,
+        ...priceProduct({ price: line.price, quantity: line.quantity, productId: line.productId, offers: line.offers, context: shopContext })
+      });
+    }
+  }
+
+  const subtotal = round2(priced.reduce((sum, l) => sum + l.subtotal, 0));
+  const discount = round2(priced.reduce((sum, l) => sum + l.discount, 0));
+  return { lines: priced, subtotal, discount, total: round2(subtotal - discount) };
+}
+
+/**
+* Largest discount (percent) an offer can give on a product, for ranking and badges.
+* Not a price: conditions such as quantity or happy hours are assumed to be met.
+* @param {object} offer
+* @param {number} [price] Product price; needed to express fixed amounts as a percent
+* @returns {number}
+*/
+function headlineDiscountPercent(offer, price) {
+  const rules = offer.rules || {};
+  const value = Number(offer.discountValue) || 0;
+  const base = Number(price) || 0;
+  const fixedAsPercent = (amount) => (base > 0 ? Math.min(100, (amount / base) * 100) : 0);
+
+  switch (offer.discountType) {
+    case 'Buy X Get Y': {
+      const groupSize = (rules.buyQuantity || 0) + (rules.getQuantity || 0);
+      if (!groupSize) return 0;
+      const percent = rules.getDiscountPercent !== undefined && rules.getDiscountPercent !== null ? rules.getDiscountPercent : 100;
+      return round2((rules.getQuantity / groupSize) * percent);
+    }
+    case 'Tiered':
+      return round2(Math.max(0, ...(rules.tiers || []).map(t => (
+        isPercentage(t.discountType) ? Math.min(Number(t.discountValue) || 0, 100) : fixedAsPercent(Number(t.discountValue) || 0)
+      ))));
+    case 'Bundle':
+      return Math.min(value, 100);
+    default:
+      return round2(isPercentage(offer.discountType) ? Math.min(value, 100) : fixedAsPercent(value));
+  }
+}
+
+/**
+* headlineDiscountPercent for an offer whose productId is populated with price (and variants):
+* a variant offer is measured against its variant's price
+* @param {object} offer
+* @returns {number}
+*/
+function offerHeadlinePercent(offer) {
+  const product = offer.productId && offer.productId.price !== undefined ? offer.productId : null;
+  let price = product ? product.price : undefined;
+  if (product && offer.variantId) {
+    const variant = (product.variants || []).find(v => String(v._id) === String(offer.variantId));
+    if (variant) price = variant.price;
+  }
+  return headlineDiscountPercent(offer, price);
+}
+
+/**
+* Short customer-facing label, e.g. "20% OFF", "₹50 OFF", "Buy 2 Get 1 Free"
+*/
+function offerLabel(offer) {
+  const rules = offer.rules || {};
+  const value = Number(offer.discountValue) || 0;
+  switch (offer.discountType) {
+    case 'Buy X Get Y': {
+      const percent = rules.getDiscountPercent !== undefined && rules.getDiscountPercent !== null ? rules.getDiscountPercent : 100;
+      return `Buy ${rules.buyQuantity} Get ${rules.getQuantity} ${percent >= 100 ? 'Free' : `${percent}% OFF`}`;
+    }
+    case 'Bundle':
+      return `Bundle ${value}% OFF`;
+    case 'Tiered': {
+      const top = (rules.tiers || []).slice().sort((a, b) => b.minQuantity - a.minQuantity)[0];
+      if (!top) return 'Bulk discount';
+      return `Up to ${isPercentage(top.discountType) ? `${top.discountValue}%` : `₹${top.discountValue}`} OFF`;
+    }
+    default:
+      return isPercentage(offer.discountType) ? `${value}% OFF` : `₹${value} OFF`;
+  }
+}
+
+function toNumber(value, label, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return { value: undefined };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    return { error: `${label} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max === Infinity ? 'any' : max}` };
+  }
+  return { value: n };
+}
+
+/**
+* Validate offer rules and stacking from a request body for the given discount type
+* @returns {{rules?: object, stacking?: object, error?: string}}
+*/
+function normalizeOfferRules(discountType, rulesInput = {}, stackingInput = {}) {
+  if (!OFFER_TYPES.includes(discountType)) {
+    return { error: `discountType must be one of: ${OFFER_TYPES.join(', ')}` };
+  }
+  const input = rulesInput || {};
+  const rules = {};
+
+  for (const [key, opts] of [
+    ['minQuantity', { min: 0, integer: true }],
+    ['minPurchaseAmount', { min: 0 }],
+    ['maxDiscountAmount', { min: 0 }],
+    ['buyQuantity', { min: 1, integer: true }],
+    ['getQuantity', { min: 1, integer: true }],
+    ['getDiscountPercent', { min: 1, max: 100 }]
+  ]) {
+    const parsed = toNumber(input[key], `rules.${key}`, opts);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.value !== undefined) rules[key] = parsed.value;
+  }
+  rules.firstTimeCustomerOnly = input.firstTimeCustomerOnly === true || input.firstTimeCustomerOnly === 'true';
+
+  if (input.happyHours !== undefined) {
+    if (!Array.isArray(input.happyHours)) return { error: 'rules.happyHours must be an array' };
+    rules.happyHours = [];
+    for (const window of input.happyHours) {
+      if (!window || parseTime(window.start) === null || parseTime(window.end) === null || window.start === window.end) {
+        return { error: 'Each happy hour needs start and end times as HH:mm' };
+      }
+      const days = (window.days || []).map(parseDay);
+      if (days.some(d => d === null)) return { error: 'Happy hour days must be 0-6 or day names' };
+      rules.happyHours.push({ days, start: window.start, end: window.end });
+    }
+  }
+
+  if (discountType === 'Buy X Get Y' && (!rules.buyQuantity || !rules.getQuantity)) {
+    return { error: 'Buy X Get Y offers need rules.buyQuantity and rules.getQuantity' };
+  }
+  if (discountType === 'Bundle') {
+    const ids = Array.isArray(input.bundleProductIds) ? input.bundleProductIds.map(String) : [];
+    if (ids.length === 0 || ids.some(id => !/^[a-f0-9]{24}$/i.test(id))) {
+      return { error: 'Bundle offers need rules.bundleProductIds (product IDs)' };
+    }
+    rules.bundleProductIds = [...new Set(ids)];
+  }
+  if (discountType === 'Tiered') {
+    if (!Array.isArray(input.tiers) || input.tiers.length === 0) {
+      return { error: 'Tiered offers need rules.tiers' };
+    }
+    rules.tiers = [];
+    for (const tier of input.tiers) {
+      const minQuantity = toNumber(tier && tier.minQuantity, 'Tier minQuantity', { min: 1, integer: true });
+      const value = toNumber(tier && tier.discountValue, 'Tier discountValue', { min: 0 });
+      if (minQuantity.error || value.error || minQuantity.value === undefined || value.value === undefined) {
+        return { error: minQuantity.error || value.error || 'Each tier needs minQuantity and discountValue' };
+      }
+      if (!['Percentage', 'Fixed Amount'].includes(tier.discountType)) {
+        return { error: 'Tier discountType must be "Percentage" or "Fixed Amount"' };
+      }
+      rules.tiers.push({ minQuantity: minQuantity.value, discountType: tier.discountType, discountValue: value.value });
+    }
+    rules.tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+  }
+
+  const stackingSource = stackingInput || {};
+  const priority = toNumber(stackingSource.priority, 'stacking.priority', { min: -100, max: 100, integer: true });
+  if (priority.error) return { error: priority.error };
+  const stacking = {
+    stackable: stackingSource.stackable === true || stackingSource.stackable === 'true',
+    priority: priority.value || 0
+  };
+
+  return { rules, stacking };
+}
+
+/**
+* normalizeOfferRules plus checks that need the database (bundled products belong to the shop)
+* @returns {Promise<{rules?: object, stacking?: object, error?: string}>}
+*/
+async function validateOfferRules(shopId, discountType, rulesInput, stackingInput) {
+  const normalized = normalizeOfferRules(discountType, rulesInput, stackingInput);
+  if (normalized.error) return normalized;
+  const bundleIds = normalized.rules.bundleProductIds || [];
+  if (bundleIds.length > 0) {
+    const owned = await Product.countDocuments({ _id: { $in: bundleIds }, shopId });
+    if (owned !== bundleIds.length) return { error: 'Bundled products must belong to this shop' };
+  }
+  return normalized;
+}
+
+module.exports = {
+  OFFER_TYPES,
+  OFFER_PRICING_FIELDS,
+  isOfferActive,
+  isWithinHappyHours,
+  priceProduct,
+  priceCart,
+  computeEffectivePrice,
+  offersForVariant,
+  computeProductPrice,
+  headlineDiscountPercent,
+  offerHeadlinePercent,
+  offerLabel,
+  normalizeOfferRules,
+  validateOfferRules
+};
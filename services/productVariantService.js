@@ -0,0 +1,240 @@
+// Product variants: option axes (Size, Colour, Pack) and one entry per sellable combination,
+// each with its own SKU, price, stock and images. See models/productModel.js.
+
+const mongoose = require('mongoose');
+const { normalizeGtin } = require('./catalogueService');
+
+const MAX_OPTIONS = 3;
+const MAX_OPTION_VALUES = 30;
+const MAX_VARIANTS = 100;
+
+const text = (value) => (typeof value === 'string' || typeof value === 'number') ? String(value).trim() : '';
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+* Variant options as [{name, value}]; accepts that form or a plain map ({ Size: 'M' })
+*/
+function optionPairs(options) {
+  if (Array.isArray(options)) {
+    return options.map(option => ({ name: text(option && option.name), value: text(option && option.value) }));
+  }
+  if (options && typeof options === 'object') {
+    return Object.entries(options).map(([name, value]) => ({ name: text(name), value: text(value) }));
+  }
+  return [];
+}
+
+/**
+* "Size: M / Colour: Red"
+*/
+function variantLabel(variant) {
+  return (variant.options || []).map(option => `${option.name}: ${option.value}`).join(' / ');
+}
+
+function normalizeImages(images) {
+  if (images === undefined || images === null) return [];
+  const list = Array.isArray(images) ? images : [images];
+  if (list.some(image => !image || typeof image !== 'object' || !text(image.url))) return null;
+  return list.map(image => ({
+    url: text(image.url),
+    publicId: image.publicId ? text(image.publicId) : undefined,
+    mimeType: image.mimeType ? text(image.mimeType) : undefined
+  }));
+}
+
+/**
+* Validate option axes and variants sent by a shop owner
+* @param {{options?: Array, variants?: Array}} input
+* @param {Array<object>} [existingVariants] The product's current variants. A variant sent back
+*   with its id keeps it (and the offers targeting it, and its stock when none is sent); new
+*   variants get a new id.
+* @returns {{value?: {options: Array, variants: Array}, error?: string}}
+*/
+function normalizeVariantInput({ options, variants }, existingVariants = []) {
+  const optionList = options === undefined || options === null ? [] : options;
+  const variantList = variants === undefined || variants === null ? [] : variants;
+  if (!Array.isArray(optionList)) return { error: 'options must be an array' };
+  if (!Array.isArray(variantList)) return { error: 'variants must be an array' };
+  if (optionList.length > MAX_OPTIONS) return { error: `A product can have at most ${MAX_OPTIONS} options` };
+  if (variantList.length > MAX_VARIANTS) return { error: `A product can have at most ${MAX_VARIANTS} variants` };
+  if (optionList.length > 0 && variantList.length === 0) return { error: 'Add at least one variant for the options' };
+  if (variantList.length > 0 && optionList.length === 0) return { error: 'Variants need at least one option, e.g. Size' };
+
+  const axes = [];
+  for (const option of optionList) {
+    const name = text(option && option.name);
+    if (!name || name.length > 30) return { error: 'Every option needs a name of up to 30 characters' };
+    if (axes.some(axis => sameText(axis.name, name))) return { error: `Option "${name}" is listed twice` };
+    const values = [];
+    for (const raw of Array.isArray(option.values) ? option.values : []) {
+      const value = text(raw);
+      if (!value || value.length > 50) return { error: `Values of option "${name}" must be 1-50 characters` };
+      if (!values.some(existing => sameText(existing, value))) values.push(value);
+    }
+    if (values.length === 0) return { error: `Option "${name}" needs at least one value` };
+    if (values.length > MAX_OPTION_VALUES) return { error: `Option "${name}" can have at most ${MAX_OPTION_VALUES} values` };
+    axes.push({ name, values });
+  }
+
+  const existingIds = new Set(existingVariants.map(variant => String(variant._id)));
+  const seenIds = new Set();
+  const seenSkus = new Set();
+  const seenGtins = new Set();
+  const seenCombinations = new Set();
+  const normalized = [];
+
+  for (const [index, variant] of variantList.entries()) {
+    const position = `Variant ${index + 1}`;
+    if (!variant || typeof variant !== 'object') return { error: `${position} is invalid` };
+
+    const entry = {};
+    const id = variant.id || variant._id;
+    if (id) {
+      if (!mongoose.Types.ObjectId.isValid(id) || !existingIds.has(String(id))) {
+        return { error: `${position} refers to a variant that is not on this product` };
+      }
+      if (seenIds.has(String(id))) return { error: `${position} is listed twice` };
+      seenIds.add(String(id));
+      entry._id = id;
+    }
+
+    // One value per axis, in axis order, spelled as on the axis
+    const pairs = optionPairs(variant.options);
+    entry.options = [];
+    for (const axis of axes) {
+      const pair = pairs.find(p => sameText(p.name, axis.name));
+      const value = pair && axis.values.find(v => sameText(v, pair.value));
+      if (!value) return { error: `${position} needs one of ${axis.values.join(', ')} for "${axis.name}"` };
+      entry.options.push({ name: axis.name, value });
+    }
+    if (pairs.length !== axes.length) return { error: `${position} has options that are not on the product` };
+    const combination = entry.options.map(option => option.value.toLowerCase()).join('\u0000');
+    if (seenCombinations.has(combination)) return { error: `${position} repeats ${variantLabel(entry)}` };
+    seenCombinations.add(combination);
+
+    const price = Number(variant.price);
+    if (variant.price === undefined || variant.price === null || variant.price === '' || !Number.isFinite(price) || price < 0) {
+      return { error: `${position} needs a price of 0 or more` };
+    }
+    entry.price = price;
+
+    // An existing variant sent without stock keeps its count (orders may have moved it since the client loaded it)
+    const existing = entry._id ? existingVariants.find(current => String(current._id) === String(entry._id)) : null;
+    const stock = Number(variant.stock === undefined || variant.stock === null || variant.stock === ''
+      ? (existing ? existing.stock : 0)
+      : variant.stock);
+    if (!Number.isInteger(stock) || stock < 0) return { error: `${position} stock must be a whole number of 0 or more` };
+    entry.stock = stock;
+
+    const sku = text(variant.sku);
+    if (sku) {
+      if (sku.length > 64) return { error: `${position} SKU must be at most 64 characters` };
+      if (seenSkus.has(sku)) return { error: `SKU "${sku}" is used by more than one variant` };
+      seenSkus.add(sku);
+      entry.sku = sku;
+    }
+
+    if (variant.gtin !== undefined && variant.gtin !== null && variant.gtin !== '') {
+      const gtin = normalizeGtin(variant.gtin);
+      if (!gtin) return { error: `${position} barcode is not a valid EAN/UPC/GTIN` };
+      if (seenGtins.has(gtin)) return { error: `${position} repeats the barcode of another variant` };
+      seenGtins.add(gtin);
+      entry.gtin = gtin;
+    }
+
+    const images = normalizeImages(variant.images !== undefined ? variant.images : variant.image);
+    if (!images) return { error: `${position} images must have a url` };
+    entry.images = images;
+    entry.isActive = variant.isActive === undefined ? true : !!variant.isActive;
+    normalized.push(entry);
+  }
+
+  return { value: { options: axes, variants: normalized } };
+}
+
+/**
+* A product's current variants in the shape normalizeVariantInput accepts
+*/
+function variantInput(product) {
+  return {
+    options: (product.options || []).map(option => ({ name: option.name, values: [...option.values] })),
+    variants: (product.variants || []).map(variant => ({
+      id: variant._id,
+      sku: variant.sku,
+      gtin: variant.gtin,
+      options: (variant.options || []).map(option => ({ name: option.name, value: option.value })),
+      price: variant.price,
+      stock: variant.stock,
+      images: (variant.images || []).map(image => ({ url: image.url, publicId: image.publicId, mimeType: image.mimeType })),
+      isActive: variant.isActive
+    }))
+  };
+}
+
+/**
+* Variants as returned to clients
+*/
+function formatVariants(product) {
+  return (product.variants || []).map(variant => ({
+    id: variant._id,
+    sku: variant.sku,
+    gtin: variant.gtin,
+    label: variantLabel(variant),
+    options: (variant.options || []).map(option => ({ name: option.name, value: option.value })),
+    price: variant.price,
+    stock: variant.stock,
+    inStock: variant.isActive !== false && variant.stock > 0,
+    images: variant.images || [],
+    isActive: variant.isActive !== false
+  }));
+}
+
+/**
+* Compact variant facts for search results; null for products without variants
+* @returns {{count: number, inStockCount: number, priceRange: {min: number, max: number}, options: Array}|null}
+*/
+function variantSummary(product) {
+  const active = (product.variants || []).filter(variant => variant.isActive !== false);
+  if (active.length === 0) return null;
+  const prices = active.map(variant => variant.price);
+  return {
+    count: active.length,
+    inStockCount: active.filter(variant => variant.stock > 0).length,
+    priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+    options: (product.options || []).map(option => ({ name: option.name, values: option.values }))
+  };
+}
+
+/**
+* @returns {object|null} The product's variant with that id
+*/
+function findVariant(product, variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) return null;
+  return (product.variants || []).find(variant => String(variant._id) === String(variantId)) || null;
+}
+
+/**
+* The variant a shopper picked, or an error when the product needs one
+* @returns {{variant: object|null, error?: string}}
+*/
+function resolveVariant(product, variantId) {
+  if (!product.variants || product.variants.length === 0) {
+    return variantId ? { variant: null, error: `${product.name} has no variants` } : { variant: null };
+  }
+  if (!variantId) return { variant: null, error: `Choose a variant of ${product.name}` };
+  const variant = findVariant(product, variantId);
+  if (!variant || variant.isActive === false) return { variant: null, error: `That variant of ${product.name} is not available` };
+  return { variant };
+}
+
+module.exports = {
+  MAX_OPTIONS,
+  MAX_VARIANTS,
+  variantLabel,
+  normalizeVariantInput,
+  variantInput,
+  formatVariants,
+  variantSummary,
+  findVariant,
+  resolveVariant
+};
@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const Shop = require('../models/shopModel');
+const Offer = require('../models/offerModel');
+const Product = require('../models/productModel');
+const UserBehavior = require('../models/userBehaviorModel');
+const UserProfile = require('../models/userProfileModel');
+const RankingModelVersion = require('../models/rankingModelVersionModel');
+const ExperimentExposure = require('../models/experimentExposureModel');
+const RankingImpression = require('../models/rankingImpressionModel');
+const rankingService = require('./rankingService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const DATASET_FORMAT = 'shopradar-ranking-eval';
+const DATASET_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collections restored before a replay; everything the rankers read from MongoDB
+const DATASET_MODELS = {
+  shops: Shop,
+  offers: Offer,
+  products: Product,
+  userprofiles: UserProfile,
+  userbehaviors: UserBehavior,
+  rankingimpressions: RankingImpression,
+  rankingmodelversions: RankingModelVersion
+};
+
+// Weight sets replayed when none are given; `current` is whatever rankingService ships with
+const DEFAULT_WEIGHT_SETS = {
+  current: { ...rankingService.featureWeights },
+  distance_first: { rating: 0.15, distance: 0.40, price: 0.10, popularity: 0.10, recency: 0.10, category: 0.10, status: 0.05 },
+  quality_first: { rating: 0.40, distance: 0.10, price: 0.10, popularity: 0.20, recency: 0.05, category: 0.10, status: 0.05 }
+};
+
+const RANKERS = {
+  rankShops: { itemType: 'shop', usesWeights: true },
+  rankOffers: { itemType: 'offer', usesWeights: true },
+  rankShopsSimple: { itemType: 'shop', usesWeights: false }
+};
+
+// ===== METRICS =====
+
+// Graded relevance of the item at each rank (0 when the user never engaged with it)
+const gainsAt = (rankedIds, gains, k) => rankedIds.slice(0, k).map(id => gains[String(id)] || 0);
+
+const dcg = (values) => values.reduce((sum, gain, index) => sum + (Math.pow(2, gain) - 1) / Math.log2(index + 2), 0);
+
+function ndcgAtK(rankedIds, gains, k) {
+  const ideal = dcg(Object.values(gains).sort((a, b) => b - a).slice(0, k));
+  return ideal > 0 ? dcg(gainsAt(rankedIds, gains, k)) / ideal : 0;
+}
+
+// Reciprocal rank of the first relevant item within the top k
+function reciprocalRankAtK(rankedIds, gains, k) {
+  const index = gainsAt(rankedIds, gains, k).findIndex(gain => gain > 0);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function precisionAtK(rankedIds, gains, k) {
+  return gainsAt(rankedIds, gains, k).filter(gain => gain > 0).length / k;
+}
+
+function recallAtK(rankedIds, gains, k) {
+  const relevant = Object.values(gains).filter(gain => gain > 0).length;
+  return relevant > 0 ? gainsAt(rankedIds, gains, k).filter(gain => gain > 0).length / relevant : 0;
+}
+
+/**
+ * Average the per-query metrics of one ranker; coverage is the share of the
+ * eligible catalog that shows up in at least one top-k list
+ */
+function summarizeRuns(runs, k, catalogSize) {
+  const scored = runs.filter(run => !run.error);
+  const mean = (fn) => scored.length ? scored.reduce((sum, run) => sum + fn(run), 0) / scored.length : 0;
+  const shown = new Set();
+  for (const run of scored) run.rankedIds.slice(0, k).forEach(id => shown.add(String(id)));
+
+  return {
+    queries: scored.length,
+    failed: runs.length - scored.length,
+    ndcg: mean(run => ndcgAtK(run.rankedIds, run.gains, k)),
+    mrr: mean(run => reciprocalRankAtK(run.rankedIds, run.gains, k)),
+    precision: mean(run => precisionAtK(run.rankedIds, run.gains, k)),
+    recall: mean(run => recallAtK(run.rankedIds, run.gains, k)),
+    coverage: catalogSize > 0 ? shown.size / catalogSize : 0
+  };
+}
+
+// ===== SNAPSHOT =====
+
+const toLocation = (point) => {
+  const coordinates = point && point.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  return { latitude: coordinates[1], longitude: coordinates[0] };
+};
+
+/**
+ * Build evaluation queries from held-out behavior: one per (user, item type) with the
+ * items the user went on to engage with, graded by rankingService.calculateRelevanceScore
+ */
+function buildQueries({ history, holdout, exposures, products, profiles }) {
+  const productShop = new Map(products.map(product => [String(product._id), String(product.shopId)]));
+  const profileLocation = new Map(profiles.map(profile => [
+    String(profile.userId),
+    toLocation(profile.preferences?.preferredLocations?.[0]?.location)
+  ]));
+
+  const queries = new Map();
+  const addGain = (userId, itemType, itemId, behavior) => {
+    const key = `${userId}:${itemType}`;
+    if (!queries.has(key)) {
+      queries.set(key, { userId: behavior.userId, itemType, at: behavior.createdAt, gains: {}, location: null, logged: null });
+    }
+    const query = queries.get(key);
+    const gain = rankingService.calculateRelevanceScore(behavior.behaviorType);
+    query.gains[itemId] = Math.max(query.gains[itemId] || 0, gain);
+    if (behavior.createdAt < query.at) query.at = behavior.createdAt;
+  };
+
+  for (const behavior of holdout) {
+    if (!behavior.targetId) continue;
+    const userId = String(behavior.userId);
+    const targetId = String(behavior.targetId);
+    if (behavior.targetType === 'shop' || behavior.targetType === 'offer') {
+      addGain(userId, behavior.targetType, targetId, behavior);
+    } else if (behavior.targetType === 'product' && productShop.has(targetId)) {
+      // Product engagement counts towards the shop that sells it
+      addGain(userId, 'shop', productShop.get(targetId), behavior);
+    }
+  }
+
+  // Where the user was: last located behavior before the query, else their preferred location
+  const locatedByUser = new Map();
+  for (const behavior of [...history, ...holdout].sort((a, b) => a.createdAt - b.createdAt)) {
+    if (!toLocation(behavior.metadata?.location)) continue;
+    const userId = String(behavior.userId);
+    if (!locatedByUser.has(userId)) locatedByUser.set(userId, []);
+    locatedByUser.get(userId).push(behavior);
+  }
+  for (const query of queries.values()) {
+    const userId = String(query.userId);
+    const last = (locatedByUser.get(userId) || []).filter(behavior => behavior.createdAt <= query.at).pop();
+    query.location = last ? toLocation(last.metadata.location) : (profileLocation.get(userId) || null);
+
+    // The ranking the user was actually shown first in the holdout, if one was logged
+    const shown = exposures.find(exposure =>
+      String(exposure.userId) === userId && exposure.itemType === query.itemType &&
+      exposure.createdAt.getTime() >= query.at.getTime() - DAY_MS
+    );
+    if (shown) query.logged = shown.itemIds.map(String);
+  }
+
+  return [...queries.values()];
+}
+
+/**
+ * Snapshot the data the rankers read, plus held-out behavior turned into queries.
+ * Behavior after `splitAt` is never stored as-is, so replays cannot see the answers.
+ * @param {{days?: number, holdoutDays?: number, maxBehaviors?: number}} options
+ * @returns {Promise<object>} Dataset ready for writeDataset
+ */
+async function createSnapshot({ days = 30, holdoutDays = 7, maxBehaviors = 100000 } = {}) {
+  const snapshotAt = new Date();
+  const splitAt = new Date(snapshotAt.getTime() - holdoutDays * DAY_MS);
+  const from = new Date(splitAt.getTime() - days * DAY_MS);
+
+  // Catalog as it existed at the split; shops and offers created later could not have been ranked
+  const existedAtSplit = { createdAt: { $lte: splitAt } };
+  const [shops, offers, products, profiles, activeModel] = await Promise.all([
+    Shop.find(existedAtSplit).select('-licenseFile -licenseDocument -licenseOcr -photoProof').lean(),
+    Offer.find(existedAtSplit).lean(),
+    Product.find(existedAtSplit).select('-images -reportReasons').lean(),
+    UserProfile.find({}).lean(),
+    RankingModelVersion.findOne({ isActive: true }).lean()
+  ]);
+
+  // Request metadata is not needed for ranking and identifies users
+  const behaviors = await UserBehavior.find({ createdAt: { $gte: from, $lte: snapshotAt } })
+    .select('-metadata.ipAddress -metadata.userAgent')
+    .sort({ createdAt: -1 })
+    .limit(maxBehaviors)
+    .lean();
+  const history = behaviors.filter(behavior => behavior.createdAt < splitAt);
+  const holdout = behaviors.filter(behavior => behavior.createdAt >= splitAt);
+
+  // Impressions before the split feed CTR features; ranking lists after it are what users were shown
+  const impressions = await RankingImpression.find({ createdAt: { $gte: from, $lte: snapshotAt } })
+    .sort({ createdAt: 1 })
+    .lean();
+  const historyImpressions = impressions.filter(impression => impression.createdAt < splitAt);
+  const shownLists = impressions
+    .filter(impression => impression.createdAt >= splitAt && impression.surface.startsWith('ranking_'))
+    .map(impression => ({
+      userId: impression.userId,
+      itemType: impression.itemType,
+      itemIds: impression.items.map(item => item.itemId),
+      createdAt: impression.createdAt
+    }));
+
+  // Experiment exposures cover ranking lists served before impressions were logged
+  const exposures = await ExperimentExposure.find({ createdAt: { $gte: splitAt, $lte: snapshotAt } })
+    .select('userId itemType itemIds createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const queries = buildQueries({ history, holdout, exposures: [...shownLists, ...exposures], products, profiles });
+
+  return {
+    format: DATASET_FORMAT,
+    version: DATASET_VERSION,
+    snapshotAt,
+    splitAt,
+    from,
+    counts: {
+      shops: shops.length,
+      offers: offers.length,
+      products: products.length,
+      userprofiles: profiles.length,
+      historyBehaviors: history.length,
+      holdoutBehaviors: holdout.length,
+      impressions: impressions.length,
+      exposures: exposures.length,
+      queries: queries.length
+    },
+    collections: {
+      shops,
+      offers,
+      products,
+      userprofiles: profiles,
+      userbehaviors: history,
+      rankingimpressions: historyImpressions,
+      rankingmodelversions: activeModel ? [activeModel] : []
+    },
+    queries
+  };
+}
+
+const writeDataset = (dataset) => EJSON.stringify(dataset, { relaxed: true });
+
+function readDataset(text) {
+  const dataset = EJSON.parse(text, { relaxed: true });
+  if (dataset.format !== DATASET_FORMAT || dataset.version !== DATASET_VERSION) {
+    throw new Error(`Not a ranking evaluation dataset (expected ${DATASET_FORMAT} v${DATASET_VERSION})`);
+  }
+  return dataset;
+}
+
+// ===== REPLAY =====
+
+/**
+ * Only loopback MongoDB instances may be replayed into, because restoring wipes collections
+ */
+function isLocalMongoUri(uri) {
+  const match = /^mongodb:\/\/(?:[^@/]*@)?([^/?]+)/.exec(uri || '');
+  if (!match) return false;
+  return match[1].split(',').every(host => {
+    const name = host.startsWith('[') ? host.slice(1, host.indexOf(']')) : host.split(':')[0];
+    return ['localhost', '127.0.0.1', '::1'].includes(name);
+  });
+}
+
+// Move every date forward by `offsetMs` so offers, recency and popularity windows see the split as "now"
+function shiftDates(value, offsetMs) {
+  if (value instanceof Date) return new Date(value.getTime() + offsetMs);
+  if (Array.isArray(value)) return value.map(item => shiftDates(item, offsetMs));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const shifted = {};
+    for (const [key, item] of Object.entries(value)) shifted[key] = shiftDates(item, offsetMs);
+    return shifted;
+  }
+  return value;
+}
+
+/**
+ * Replace the dataset collections in the connected (local) database
+ * @returns {Promise<number>} Offset applied to every date, in ms
+ */
+async function restoreSnapshot(dataset) {
+  const offsetMs = Date.now() - new Date(dataset.splitAt).getTime();
+
+  for (const [name, Model] of Object.entries(DATASET_MODELS)) {
+    const docs = shiftDates(dataset.collections[name] || [], offsetMs);
+    await Model.deleteMany({});
+    await Model.init();
+    for (let i = 0; i < docs.length; i += 1000) {
+      await Model.collection.insertMany(docs.slice(i, i + 1000), { ordered: false });
+    }
+  }
+
+  return offsetMs;
+}
+
+const withWeights = async (weights, fn) => {
+  const previous = rankingService.featureWeights;
+  rankingService.featureWeights = { ...previous, ...weights };
+  try {
+    return await fn();
+  } finally {
+    rankingService.featureWeights = previous;
+  }
+};
+
+/**
+ * Restore a dataset and replay its queries against each ranker and weight set
+ * @param {object} dataset - From readDataset
+ * @param {{k?: number, weightSets?: object, rankers?: string[], maxQueries?: number, onProgress?: Function}} options
+ * @returns {Promise<{k: number, queries: number, rows: object[]}>}
+ */
+async function replay(dataset, { k = 10, weightSets = DEFAULT_WEIGHT_SETS, rankers = Object.keys(RANKERS), maxQueries = 200, onProgress } = {}) {
+  await restoreSnapshot(dataset);
+  await rankingService.loadActiveModels(true);
+
+  const catalogSize = {
+    shop: (await rankingService.getCandidateShops(null, {})).length,
+    offer: (await rankingService.getCandidateOffers(null, {})).length
+  };
+  const queries = dataset.queries.slice(0, maxQueries);
+  const rows = [];
+
+  // What users were actually shown, when the dataset has impressions for the query
+  for (const itemType of ['shop', 'offer']) {
+    const logged = queries.filter(query => query.itemType === itemType && query.logged);
+    if (logged.length === 0) continue;
+    rows.push({
+      ranker: `logged (${itemType})`,
+      weights: '-',
+      ...summarizeRuns(logged.map(query => ({ rankedIds: query.logged, gains: query.gains })), k, catalogSize[itemType])
+    });
+  }
+
+  // Replayed rankings are not live traffic
+  const trackRankingPerformance = rankingService.trackRankingPerformance;
+  rankingService.trackRankingPerformance = async () => {};
+  try {
+    for (const rankerName of rankers) {
+      const ranker = RANKERS[rankerName];
+      if (!ranker) throw new Error(`Unknown ranker: ${rankerName}`);
+      const rankerQueries = queries.filter(query => query.itemType === ranker.itemType);
+      const sets = ranker.usesWeights ? Object.entries(weightSets) : [['fixed', {}]];
+
+      for (const [setName, weights] of sets) {
+        const runs = await withWeights(weights, async () => {
+          const results = [];
+          for (const query of rankerQueries) {
+            try {
+              const ranked = await rankingService[rankerName](query.userId, query.location, {}, k);
+              results.push({ rankedIds: ranked.map(item => String(item._id)), gains: query.gains });
+            } catch (error) {
+              results.push({ error: error.message });
+            }
+          }
+          return results;
+        });
+        rows.push({ ranker: rankerName, weights: setName, ...summarizeRuns(runs, k, catalogSize[ranker.itemType]) });
+        if (onProgress) onProgress(rows[rows.length - 1]);
+      }
+    }
+  } finally {
+    rankingService.trackRankingPerformance = trackRankingPerformance;
+  }
+
+  return { k, queries: queries.length, rows };
+}
+
+module.exports = {
+  DEFAULT_WEIGHT_SETS,
+  RANKERS,
+  ndcgAtK,
+  reciprocalRankAtK,
+  precisionAtK,
+  recallAtK,
+  summarizeRuns,
+  createSnapshot,
+  writeDataset,
+  readDataset,
+  isLocalMongoUri,
+  restoreSnapshot,
+  replay
+};
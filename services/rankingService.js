@@ -4,17 +4,26 @@ const Product = require('../models/productModel');
 const UserBehavior = require('../models/userBehaviorModel');
 const UserProfile = require('../models/userProfileModel');
 const User = require('../models/userModel');
+const RankingModelVersion = require('../models/rankingModelVersionModel');
 const { Matrix } = require('ml-matrix');
 const { kmeans } = require('ml-kmeans');
 const natural = require('natural');
 const Sentiment = require('sentiment');
+const { computeOpenStatus, collectOpenShops } = require('./openingHoursService');
+const { offerHeadlinePercent } = require('./pricingService');
+const impressionService = require('./impressionService');
 
 class RankingService {
   constructor() {
     this.sentiment = new Sentiment();
     this.tfidf = new natural.TfIdf();
-    this.clusteringModels = new Map(); // Store clustering models
-    this.rankingModels = new Map(); // Store ranking models
+    // In-memory copy of the active persisted version (see loadActiveModels)
+    this.clusteringModels = new Map();
+    this.rankingModels = new Map();
+    this.loadedVersion = null;
+    this.lastVersionCheck = 0;
+    this.versionCheckInterval = 5 * 60 * 1000; // re-check the active version every 5 minutes
+    this.training = null; // in-flight retraining on this instance
     this.featureWeights = {
       // Base feature weights
       rating: 0.25,
@@ -25,7 +34,7 @@ class RankingService {
       category: 0.10,
       status: 0.05
     };
-    this.modelUpdateInterval = 24 * 60 * 60 * 1000; // 24 hours
+    this.modelUpdateInterval = 24 * 60 * 60 * 1000; // retrain at least daily (admin API / cron)
     this.lastModelUpdate = new Date(0);
   }
 
@@ -67,6 +76,7 @@ class RankingService {
       const rankedShops = candidates
         .map((shop, index) => ({
           ...shop.toObject(),
+          openStatus: shop.$locals.openStatus,
           rankingScore: finalScores[index],
           features: features[index],
           ruleBasedScore: ruleBasedScores[index],
@@ -143,7 +153,7 @@ class RankingService {
 
   /**
    * Simple rule-aligned ranking to mirror frontend visitPriorityScore
-   * Factors: distance, rating, offers, open status (isLive), review count
+   * Factors: distance, rating, offers, open status (schedule + isLive), review count
    */
   async rankShopsSimple(userId, userLocation, filters = {}, limit = 20) {
     try {
@@ -167,12 +177,10 @@ class RankingService {
             status: 'active',
             startDate: { $lte: now },
             endDate: { $gte: now }
-          }).select('discountType discountValue');
+          }).select('productId variantId discountType discountValue rules').populate('productId', 'price variants');
           if (offers && offers.length > 0) {
             for (const off of offers) {
-              if (String(off.discountType).toLowerCase() === 'percentage') {
-                bestDiscount = Math.max(bestDiscount, Number(off.discountValue || 0));
-              }
+              bestDiscount = Math.max(bestDiscount, offerHeadlinePercent(off));
             }
             // Multiply by 1000 so higher discounts always rank first
             score += bestDiscount * 1000.0;
@@ -192,8 +200,9 @@ class RankingService {
         const rating = Number(shop.rating || 0);
         score += (Math.max(0, Math.min(rating, 5)) / 5.0) * 5.0;
 
-        // Open/Live status factor
-        if (shop.isLive === true) {
+        // Open status factor (schedule-aware, see getCandidateShops)
+        const isOpen = shop.$locals.openStatus ? shop.$locals.openStatus.isOpen : shop.isLive === true;
+        if (isOpen) {
           score += 2.0;
         }
 
@@ -208,7 +217,7 @@ class RankingService {
         if (rating >= 4.0) reasons.push('Highly rated');
         else if (rating >= 3.0) reasons.push('Good rating');
         if (bestDiscount > 0) reasons.push('Has offers');
-        if (shop.isLive === true) reasons.push('Open now');
+        if (isOpen) reasons.push('Open now');
         if (reviewCount > 10) reasons.push('Popular');
 
         return { shop, score, reasons: reasons.length ? reasons.join(' • ') : 'Available' };
@@ -219,6 +228,7 @@ class RankingService {
         .slice(0, limit)
         .map(({ shop, score, reasons }) => ({
           ...shop.toObject(),
+          openStatus: shop.$locals.openStatus,
           rankingScore: score,
           rankingReason: reasons,
           algorithm: 'visit_priority_score'
@@ -251,9 +261,17 @@ class RankingService {
       query.rating = { $gte: filters.minRating };
     }
 
-    const shops = await Shop.find(query)
-      .populate('ownerId', 'name email')
-      .limit(100); // Get more candidates for better ranking
+    const now = new Date();
+    const candidates = Shop.find(query).populate('ownerId', 'name email');
+    // Get more candidates for better ranking; with openNow, the first 100 that are open
+    const shops = filters.openNow
+      ? (await collectOpenShops(candidates, { now, limit: 100 })).shops
+      : await candidates.limit(100);
+
+    // Compute open status from the shop schedule; kept on $locals so it is not persisted
+    for (const shop of shops) {
+      shop.$locals.openStatus = computeOpenStatus(shop, now);
+    }
 
     // Filter by distance if location provided
     if (userLocation && filters.maxDistance) {
@@ -285,16 +303,25 @@ class RankingService {
       query.category = filters.category;
     }
 
-    // Add discount filter if specified
+    const candidates = Offer.find(query)
+      .populate('shopId', 'shopName rating location verificationStatus isActive isLive')
+      .populate('productId', 'name category price variants');
+
+    // Get more candidates for better ranking. The discount filter compares the headline
+    // percent (fixed amounts against the product price, BOGO/tiered by their rules), which
+    // the query cannot express, so walk the offers until 100 qualify
+    let offers;
     if (filters.minDiscount) {
-      query.discountValue = { $gte: filters.minDiscount };
+      offers = [];
+      for await (const offer of candidates.cursor({ batchSize: 200 })) {
+        if (offerHeadlinePercent(offer) < filters.minDiscount) continue;
+        offers.push(offer);
+        if (offers.length >= 100) break;
+      }
+    } else {
+      offers = await candidates.limit(100);
     }
 
-    const offers = await Offer.find(query)
-      .populate('shopId', 'shopName rating location verificationStatus isActive isLive')
-      .populate('productId', 'name category price')
-      .limit(100); // Get more candidates for better ranking
-
     // Filter by shop location and status
     const validOffers = offers.filter(offer => {
       const shop = offer.shopId;
@@ -329,7 +356,8 @@ class RankingService {
         // Basic shop features
         rating: shop.rating || 0,
         reviewCount: shop.reviewCount || 0,
-        isLive: shop.isLive ? 1 : 0,
+        // Schedule-aware open status when available (see getCandidateShops)
+        isLive: (shop.$locals.openStatus ? shop.$locals.openStatus.isOpen : shop.isLive) ? 1 : 0,
         isActive: shop.isActive ? 1 : 0,
         
         // Location features
@@ -381,7 +409,8 @@ class RankingService {
       
       const feature = {
         // Basic offer features
-        discountValue: offer.discountValue || 0,
+        // Discount as a percent of the price, comparable across offer types
+        discountValue: offerHeadlinePercent(offer),
         discountType: offer.discountType === 'Percentage' ? 1 : 0,
         daysRemaining: Math.max(0, Math.floor((offer.endDate - Date.now()) / (1000 * 60 * 60 * 24))),
         usageRate: offer.maxUses > 0 ? offer.currentUses / offer.maxUses : 0,
@@ -478,8 +507,7 @@ class RankingService {
    */
   async applyClusteringReranking(features, userId) {
     try {
-      // Check if we need to update clustering models
-      await this.updateClusteringModelsIfNeeded();
+      await this.loadActiveModels();
 
       // Get user cluster
       const userCluster = await this.getUserCluster(userId);
@@ -508,54 +536,61 @@ class RankingService {
 
   /**
    * Train clustering models for different user segments
+   * @returns {Promise<{models: Map, from: Date, behaviors: number, metrics: object}|null>} null when there is too little data
    */
   async trainClusteringModels() {
-    try {
-      console.log('Training clustering models...');
-      
-      // Get user behavior data for clustering
-      const userBehaviors = await UserBehavior.find({
-        createdAt: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) }
-      }).limit(10000);
+    console.log('Training clustering models...');
 
-      if (userBehaviors.length < 100) {
-        console.log('Insufficient data for clustering training');
-        return;
-      }
+    // Get user behavior data for clustering
+    const from = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const userBehaviors = await UserBehavior.find({
+      createdAt: { $gte: from }
+    }).limit(10000);
 
-      // Extract user features for clustering
-      const userFeatures = await this.extractUserFeaturesForClustering(userBehaviors);
-      
-      // Perform k-means clustering
-      const k = 5; // Number of clusters
-      const { centroids, clusters } = kmeans(userFeatures, k, {
-        initialization: 'kmeans++',
-        maxIterations: 100
-      });
+    if (userBehaviors.length < 100) {
+      console.log('Insufficient data for clustering training');
+      return null;
+    }
 
-      // Store clustering models
-      for (let i = 0; i < k; i++) {
-        const clusterFeatures = userFeatures.filter((_, index) => clusters[index] === i);
-        const clusterModel = {
-          centroid: centroids[i],
-          features: clusterFeatures,
-          size: clusterFeatures.length,
-          trainedAt: new Date()
-        };
-        
-        this.clusteringModels.set(`cluster_${i}`, clusterModel);
-      }
+    // Extract user features for clustering
+    const userFeatures = await this.extractUserFeaturesForClustering(userBehaviors);
 
-      console.log(`Trained ${k} clustering models`);
-    } catch (error) {
-      console.error('Error training clustering models:', error);
+    // Perform k-means clustering
+    const k = Math.min(5, userFeatures.length); // Number of clusters
+    const { centroids, clusters } = kmeans(userFeatures, k, {
+      initialization: 'kmeans++',
+      maxIterations: 100
+    });
+
+    const models = new Map();
+    let squaredDistances = 0;
+    for (let i = 0; i < k; i++) {
+      const centroid = Array.from(centroids[i].centroid || centroids[i]);
+      const clusterFeatures = userFeatures.filter((_, index) => clusters[index] === i);
+      for (const vector of clusterFeatures) {
+        squaredDistances += Math.pow(this.calculateEuclideanDistance(vector, centroid), 2);
+      }
+      models.set(`cluster_${i}`, { centroid, size: clusterFeatures.length });
     }
+
+    console.log(`Trained ${k} clustering models`);
+    return {
+      models,
+      from,
+      behaviors: userBehaviors.length,
+      metrics: {
+        clusterCount: k,
+        usersClustered: userFeatures.length,
+        clusterInertia: userFeatures.length ? squaredDistances / userFeatures.length : 0
+      }
+    };
   }
 
   /**
    * Get user cluster assignment
+   * @param {Map} [clusteringModels] Models to assign against (defaults to the loaded version)
    */
-  async getUserCluster(userId) {
+  async getUserCluster(userId, clusteringModels = this.clusteringModels) {
     try {
       const userProfile = await UserProfile.findOne({ userId });
       if (!userProfile || !userProfile.mlFeatures?.userEmbedding) {
@@ -566,7 +601,7 @@ class RankingService {
       let bestCluster = 0;
       let minDistance = Infinity;
 
-      for (const [clusterKey, model] of this.clusteringModels) {
+      for (const [clusterKey, model] of clusteringModels) {
         const clusterId = parseInt(clusterKey.split('_')[1]);
         const distance = this.calculateEuclideanDistance(
           userProfile.mlFeatures.userEmbedding,
@@ -618,8 +653,7 @@ class RankingService {
    */
   async applyLearnToRank(features, userId) {
     try {
-      // Check if we need to update ranking models
-      await this.updateRankingModelsIfNeeded();
+      await this.loadActiveModels();
 
       // Get user-specific ranking model
       const userCluster = await this.getUserCluster(userId);
@@ -643,59 +677,79 @@ class RankingService {
 
   /**
    * Train learn-to-rank models using gradient boosting approach
+   * @param {Map} clusteringModels User segments the models are trained for
+   * @param {Function} [onProgress] Called with {current, total, message} while examples are prepared
+   * @returns {Promise<{models: Map, from: Date, examples: number, metrics: object}>}
    */
-  async trainRankingModels() {
-    try {
-      console.log('Training learn-to-rank models...');
-      
-      // Get training data from user interactions
-      const trainingData = await this.prepareRankingTrainingData();
-      
-      if (trainingData.length < 100) {
-        console.log('Insufficient training data for learn-to-rank');
-        return;
-      }
+  async trainRankingModels(clusteringModels, onProgress) {
+    console.log('Training learn-to-rank models...');
 
-      // Train models for each user cluster
-      for (const [clusterKey, clusteringModel] of this.clusteringModels) {
-        const clusterId = parseInt(clusterKey.split('_')[1]);
-        
-        // Filter training data for this cluster
-        const clusterTrainingData = trainingData.filter(data => 
-          data.userCluster === clusterId
-        );
+    // Get training data from user interactions
+    const from = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+    const trainingData = await this.prepareRankingTrainingData(clusteringModels, from, onProgress);
+    const models = new Map();
 
-        if (clusterTrainingData.length < 50) {
-          continue; // Skip if insufficient data
-        }
+    if (trainingData.length < 100) {
+      console.log('Insufficient training data for learn-to-rank');
+      return { models, from, examples: trainingData.length, metrics: { rankingModelCount: 0, rankingMse: null } };
+    }
 
-        // Train gradient boosting model for this cluster
-        const rankingModel = await this.trainGradientBoostingModel(clusterTrainingData);
-        
-        this.rankingModels.set(`ranking_${clusterId}`, rankingModel);
+    // Train models for each user cluster
+    let squaredError = 0;
+    let evaluated = 0;
+    for (const clusterKey of clusteringModels.keys()) {
+      const clusterId = parseInt(clusterKey.split('_')[1]);
+
+      // Filter training data for this cluster
+      const clusterTrainingData = trainingData.filter(data =>
+        data.userCluster === clusterId
+      );
+
+      if (clusterTrainingData.length < 50) {
+        continue; // Skip if insufficient data
       }
 
-      console.log(`Trained ${this.rankingModels.size} ranking models`);
-    } catch (error) {
-      console.error('Error training ranking models:', error);
+      // Train gradient boosting model for this cluster
+      const rankingModel = await this.trainGradientBoostingModel(clusterTrainingData);
+      rankingModel.trainingExamples = clusterTrainingData.length;
+
+      const predictions = this.applyLearnedRanking(clusterTrainingData.map(d => d.features), rankingModel);
+      predictions.forEach((prediction, i) => {
+        squaredError += Math.pow(prediction - clusterTrainingData[i].relevanceScore, 2);
+      });
+      evaluated += predictions.length;
+
+      models.set(`ranking_${clusterId}`, rankingModel);
     }
+
+    console.log(`Trained ${models.size} ranking models`);
+    return {
+      models,
+      from,
+      examples: trainingData.length,
+      metrics: { rankingModelCount: models.size, rankingMse: evaluated ? squaredError / evaluated : null }
+    };
   }
 
   /**
    * Prepare training data for learn-to-rank
    */
-  async prepareRankingTrainingData() {
+  async prepareRankingTrainingData(clusteringModels = this.clusteringModels, from = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000), onProgress) {
     const trainingData = [];
     
     // Get user interactions with relevance scores
     const interactions = await UserBehavior.find({
       behaviorType: { $in: ['view_product', 'view_shop', 'click_offer', 'add_to_favorites', 'purchase_product'] },
-      createdAt: { $gte: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000) }
+      createdAt: { $gte: from }
     }).limit(5000);
 
-    for (const interaction of interactions) {
+    for (const [index, interaction] of interactions.entries()) {
+      if (onProgress && index > 0 && index % 250 === 0) {
+        await onProgress({ current: index, total: interactions.length, message: 'Preparing learn-to-rank examples' });
+      }
+
       // Get user cluster
-      const userCluster = await this.getUserCluster(interaction.userId);
+      const userCluster = await this.getUserCluster(interaction.userId, clusteringModels);
       
       // Extract features for the interacted item
       let features;
@@ -818,41 +872,181 @@ class RankingService {
     return finalScores;
   }
 
-  // ===== CONTINUOUS MODEL UPDATES =====
+  // ===== PERSISTED MODEL VERSIONS =====
 
   /**
-   * Update clustering models if needed
+   * Make sure this instance serves the active model version. Loads it lazily from MongoDB
+   * and re-checks at most every versionCheckInterval; never trains on the request path.
    */
-  async updateClusteringModelsIfNeeded() {
-    const now = new Date();
-    if (now - this.lastModelUpdate > this.modelUpdateInterval) {
-      await this.trainClusteringModels();
-      this.lastModelUpdate = now;
+  async loadActiveModels(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastVersionCheck < this.versionCheckInterval) return;
+    this.lastVersionCheck = now;
+
+    try {
+      const active = await RankingModelVersion.findOne({ isActive: true }).sort({ version: -1 }).select('version');
+      if (!active) {
+        this.useModelVersion(null);
+        return;
+      }
+      if (this.loadedVersion && this.loadedVersion.version === active.version) return;
+
+      const version = await RankingModelVersion.findById(active._id);
+      if (version) this.useModelVersion(version);
+    } catch (error) {
+      // Keep serving whatever is loaded (or the rule-based fallback)
+      console.error('Error loading ranking models:', error);
     }
   }
 
   /**
-   * Update ranking models if needed
+   * Replace the in-memory models with a persisted version (null clears them)
    */
-  async updateRankingModelsIfNeeded() {
-    const now = new Date();
-    if (now - this.lastModelUpdate > this.modelUpdateInterval) {
-      await this.trainRankingModels();
-      this.lastModelUpdate = now;
+  useModelVersion(version) {
+    const clusteringModels = new Map();
+    const rankingModels = new Map();
+    for (const model of (version && version.clusteringModels) || []) {
+      clusteringModels.set(`cluster_${model.clusterId}`, { centroid: model.centroid, size: model.size });
+    }
+    for (const model of (version && version.rankingModels) || []) {
+      rankingModels.set(`ranking_${model.clusterId}`, {
+        trees: model.trees,
+        learningRate: model.learningRate,
+        maxDepth: model.maxDepth
+      });
     }
+
+    this.clusteringModels = clusteringModels;
+    this.rankingModels = rankingModels;
+    this.loadedVersion = version ? { version: version.version, id: version._id } : null;
+    this.lastModelUpdate = version ? (version.activatedAt || version.createdAt) : new Date(0);
+    if (version) console.log(`Loaded ranking model version ${version.version}`);
   }
 
   /**
-   * Trigger immediate model retraining
+   * Train a new model version, persist it and make it active.
+   * Concurrent calls on the same instance share one training run.
+   * @param {{trigger?: string, trainedBy?: string, notes?: string, onProgress?: Function}} options
+   * @returns {Promise<object|null>} The new RankingModelVersion, or null when there was too little data
    */
-  async retrainModels() {
+  async retrainModels(options = {}) {
+    if (!this.training) {
+      this.training = this.trainModelVersion(options).finally(() => { this.training = null; });
+    }
+    return this.training;
+  }
+
+  async trainModelVersion({ trigger = 'manual', trainedBy, notes, onProgress } = {}) {
     console.log('Starting immediate model retraining...');
-    await Promise.all([
-      this.trainClusteringModels(),
-      this.trainRankingModels()
+    if (onProgress) await onProgress({ message: 'Training user clusters' });
+    const clustering = await this.trainClusteringModels();
+    if (!clustering) return null;
+
+    // Ranking models are trained per segment of the clustering just trained
+    const ranking = await this.trainRankingModels(clustering.models, onProgress);
+    if (onProgress) await onProgress({ message: 'Saving model version' });
+
+    const doc = {
+      clusteringModels: [...clustering.models].map(([key, model]) => ({
+        clusterId: parseInt(key.split('_')[1]),
+        centroid: model.centroid,
+        size: model.size
+      })),
+      rankingModels: [...ranking.models].map(([key, model]) => ({
+        clusterId: parseInt(key.split('_')[1]),
+        learningRate: model.learningRate,
+        maxDepth: model.maxDepth,
+        trees: model.trees,
+        trainingExamples: model.trainingExamples
+      })),
+      trainingWindow: {
+        clusteringFrom: clustering.from,
+        rankingFrom: ranking.from,
+        to: new Date(),
+        behaviors: clustering.behaviors,
+        rankingExamples: ranking.examples
+      },
+      metrics: { ...clustering.metrics, ...ranking.metrics },
+      trigger,
+      trainedBy,
+      notes
+    };
+
+    // Another instance may take the same number; the unique index makes us retry with the next one
+    let version = null;
+    for (let attempt = 0; attempt < 5 && !version; attempt++) {
+      const latest = await RankingModelVersion.findOne().sort({ version: -1 }).select('version');
+      try {
+        version = await RankingModelVersion.create({ ...doc, version: latest ? latest.version + 1 : 1 });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!version) throw new Error('Could not allocate a ranking model version number');
+
+    const activated = await this.activateModelVersion(version.version, trainedBy);
+    console.log(`Model retraining completed (version ${version.version})`);
+    return activated;
+  }
+
+  /**
+   * Make a version the active one (also used to roll back) and load it on this instance
+   * @returns {Promise<object|null>} The activated version, or null when it does not exist
+   */
+  async activateModelVersion(versionNumber, activatedBy) {
+    const now = new Date();
+    const version = await RankingModelVersion.findOneAndUpdate(
+      { version: versionNumber },
+      { $set: { isActive: true, activatedAt: now, activatedBy } },
+      { new: true }
+    );
+    if (!version) return null;
+
+    await RankingModelVersion.updateMany(
+      { _id: { $ne: version._id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+    this.useModelVersion(version);
+    this.lastVersionCheck = Date.now();
+    return version;
+  }
+
+  /**
+   * Model versions, newest first (without the model payloads)
+   */
+  async listModelVersions({ page = 1, limit = 20 } = {}) {
+    const [versions, total] = await Promise.all([
+      RankingModelVersion.find()
+        .select('-clusteringModels -rankingModels')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('trainedBy activatedBy', 'name email'),
+      RankingModelVersion.countDocuments()
     ]);
-    this.lastModelUpdate = new Date();
-    console.log('Model retraining completed');
+    return { versions, total };
+  }
+
+  /**
+   * Side-by-side metrics of two versions, with `to - from` deltas
+   * @returns {Promise<object|null>} null when either version does not exist
+   */
+  async compareModelVersions(fromVersion, toVersion) {
+    const versions = await RankingModelVersion.find({ version: { $in: [fromVersion, toVersion] } })
+      .select('-clusteringModels -rankingModels');
+    const from = versions.find(v => v.version === fromVersion);
+    const to = versions.find(v => v.version === toVersion);
+    if (!from || !to) return null;
+
+    const deltas = {};
+    const fromMetrics = from.metrics ? from.metrics.toObject() : {};
+    const toMetrics = to.metrics ? to.metrics.toObject() : {};
+    for (const key of new Set([...Object.keys(fromMetrics), ...Object.keys(toMetrics)])) {
+      if (typeof fromMetrics[key] === 'number' && typeof toMetrics[key] === 'number') {
+        deltas[key] = toMetrics[key] - fromMetrics[key];
+      }
+    }
+    return { from, to, deltas };
   }
 
   // ===== UTILITY METHODS =====
@@ -950,8 +1144,13 @@ class RankingService {
 
   /**
    * Calculate click-through rate
+   * Position-debiased CTR from logged impressions; items never shown in a logged list
+   * fall back to clicks per view from behavior
    */
   async calculateClickThroughRate(targetId, targetType) {
+    const logged = await impressionService.getItemCTR(targetId, targetType);
+    if (logged.impressions > 0) return logged.debiasedCtr;
+
     const views = await UserBehavior.countDocuments({
       targetId,
       targetType,
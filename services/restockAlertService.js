@@ -0,0 +1,138 @@
+const StockSubscription = require('../models/stockSubscriptionModel');
+const fcmNotificationService = require('./fcmNotificationService');
+const { variantLabel } = require('./productVariantService');
+
+/**
+* Subscribe a user to a back-in-stock alert for a product or one of its variants (idempotent)
+* @returns {Promise<object>} The subscription
+*/
+async function subscribe(userId, product, variantId = null) {
+  return StockSubscription.findOneAndUpdate(
+    { userId, productId: product._id, variantId },
+    {
+      $set: { status: 'waiting', shopId: product.shopId, updatedAt: new Date() },
+      $unset: { notifiedAt: 1 },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+async function unsubscribe(userId, productId, variantId = null) {
+  return StockSubscription.findOneAndUpdate(
+    { userId, productId, variantId, status: 'waiting' },
+    { $set: { status: 'cancelled', updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+async function isSubscribed(userId, productId, variantId = null) {
+  const sub = await StockSubscription.findOne({ userId, productId, variantId, status: 'waiting' }).select('_id');
+  return !!sub;
+}
+
+/**
+* Product and variant stock before a change, for notifyRestocked
+* @returns {{stock: number, variants: Map<string, number>}}
+*/
+function stockSnapshot(product) {
+  return {
+    stock: Number(product.stock) || 0,
+    variants: new Map((product.variants || []).map(variant => [String(variant._id), Number(variant.stock) || 0]))
+  };
+}
+
+/**
+* Alert shoppers waiting on a product that went from out of stock to in stock, and those
+* waiting on one of its variants that did. Variants missing from the snapshot are left alone.
+* @param {object} product Product after the change (name, _id, shopId, stock, status, variants)
+* @param {{stock: number, variants: Map<string, number>}} before stockSnapshot() from before the change
+* @returns {Promise<{notified: number, waiting: number}>}
+*/
+async function notifyRestocked(product, before) {
+  if (product.status && product.status !== 'active') return { notified: 0, waiting: 0 };
+  const wholeProduct = before.stock <= 0 && product.stock > 0;
+  const variants = (product.variants || []).filter(variant =>
+    before.variants.has(String(variant._id)) &&
+    before.variants.get(String(variant._id)) <= 0 &&
+    variant.stock > 0 &&
+    variant.isActive !== false
+  );
+  if (!wholeProduct && variants.length === 0) return { notified: 0, waiting: 0 };
+  return notifyRestock(product, { wholeProduct, variants });
+}
+
+/**
+* Push a restocks notification to everyone waiting on a product (wholeProduct) and/or on
+* the given variants of it.
+* Each subscription is claimed atomically (waiting -> notified) so a user is
+* notified once even if several restocks race each other.
+* @param {object} product Product document (name, _id, shopId, stock)
+* @param {{wholeProduct?: boolean, variants?: Array<object>}} restocked
+* @returns {Promise<{notified: number, waiting: number}>}
+*/
+async function notifyRestock(product, { wholeProduct = true, variants = [] } = {}) {
+  const targets = [
+    ...(wholeProduct ? [{ variantId: null }] : []),
+    ...(variants.length > 0 ? [{ variantId: { $in: variants.map(variant => variant._id) } }] : [])
+  ];
+  if (targets.length === 0) return { notified: 0, waiting: 0 };
+  const waiting = await StockSubscription.find({ productId: product._id, status: 'waiting', $or: targets })
+    .select('_id userId variantId');
+  if (waiting.length === 0) return { notified: 0, waiting: 0 };
+
+  const variantsById = new Map(variants.map(variant => [String(variant._id), variant]));
+
+  // Subscriptions are unique per user, product and variant, so claiming one notifies that user exactly once
+  let notified = 0;
+  for (const sub of waiting) {
+    const claimed = await StockSubscription.findOneAndUpdate(
+      { _id: sub._id, status: 'waiting' },
+      { $set: { status: 'notified', notifiedAt: new Date(), updatedAt: new Date() } }
+    );
+    if (!claimed) continue;
+    notified += 1;
+
+    const variant = sub.variantId ? variantsById.get(String(sub.variantId)) : null;
+    const name = product.name || 'An item you wanted';
+    const notification = {
+      title: '✅ Back in Stock!',
+      body: `${variant ? `${name} (${variantLabel(variant)})` : name} is available again`
+    };
+    const data = {
+      type: 'back_in_stock',
+      productId: product._id.toString(),
+      shopId: product.shopId.toString(),
+      ...(variant ? { variantId: variant._id.toString() } : {}),
+      stock: String(variant ? variant.stock : product.stock)
+    };
+    // Only devices that opted in to restock alerts
+    await fcmNotificationService.sendToUser(sub.userId, notification, data, { 'preferences.restocks': true });
+  }
+
+  console.log(`📦 Back-in-stock alert for "${product.name}" sent to ${notified} users`);
+  return { notified, waiting: waiting.length };
+}
+
+/**
+* Number of users waiting on each product of a shop
+* @returns {Promise<Array<{productId: string, waiting: number}>>}
+*/
+async function getWaitingCountsForShop(shopId) {
+  const rows = await StockSubscription.aggregate([
+    { $match: { shopId, status: 'waiting' } },
+    { $group: { _id: '$productId', waiting: { $sum: 1 } } },
+    { $sort: { waiting: -1 } }
+  ]);
+  return rows.map(r => ({ productId: r._id, waiting: r.waiting }));
+}
+
+module.exports = {
+  subscribe,
+  unsubscribe,
+  isSubscribed,
+  stockSnapshot,
+  notifyRestocked,
+  notifyRestock,
+  getWaitingCountsForShop
+};
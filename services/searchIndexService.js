@@ -0,0 +1,495 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Shop = require('../models/shopModel');
+const { parseSearchQuery } = require('./searchService');
+const searchRuleService = require('./searchRuleService');
+const { normalizeGtin, barcodeFilter } = require('./catalogueService');
+const { collectOpenShops } = require('./openingHoursService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Share of the query's trigrams a document must contain to match without an exact word
+const FUZZY_THRESHOLD = 0.4;
+
+const PRICE_BUCKETS = [0, 100, 500, 1000, 5000, 10000];
+const DISTANCE_BANDS = [0, 1, 3, 5, 10];
+const FACET_LIMIT = 20;
+
+// Every sort is one field plus _id as a tie-breaker, so a cursor always holds two values
+const PRODUCT_SORTS = {
+  relevance: { score: -1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  new: { createdAt: -1, _id: 1 },
+  distance: { distanceSort: 1, _id: 1 }
+};
+const SHOP_SORTS = {
+  relevance: { score: -1, _id: 1 },
+  rating: { rating: -1, _id: 1 },
+  name: { shopName: 1, _id: 1 },
+  distance: { distanceSort: 1, _id: 1 }
+};
+
+const SHOP_FIELDS = {
+  shopName: 1,
+  address: 1,
+  phone: 1,
+  location: 1,
+  rating: 1,
+  reviewCount: 1,
+  category: 1,
+  isLive: 1,
+  isActive: 1,
+  verificationStatus: 1,
+  timezone: 1,
+  openingHours: 1,
+  weeklySchedule: 1,
+  scheduleExceptions: 1
+};
+
+// ===== CURSORS =====
+
+// Opaque page token: the sort-key values of the last returned document
+function encodeCursor(values) {
+  return Buffer.from(EJSON.stringify(values, { relaxed: false })).toString('base64url');
+}
+
+/**
+* @returns {Array|null} null when the token is malformed
+*/
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const values = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'), { relaxed: false });
+    return Array.isArray(values) && values.length === 2 ? values : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Documents strictly after `values` in `sort` order
+function afterCursor(sort, values) {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[fields[j]] = values[j];
+      clause[field] = { [sort[field] > 0 ? '$gt' : '$lt']: values[i] };
+      return clause;
+    })
+  };
+}
+
+// ===== SCORING EXPRESSIONS =====
+
+const intersectionSize = (path, values) => ({
+  $size: { $setIntersection: [{ $ifNull: [path, []] }, values] }
+});
+
+/**
+* Text score from the stored index: exact words (incl. synonyms) score highest, then the
+* share of matching trigrams (typos), then a prefix match on the last word (autocomplete)
+*/
+function textScoreStages(parsed, { prefix }) {
+  const last = parsed.words[parsed.words.length - 1];
+  return [
+    { $addFields: {
+      termMatches: intersectionSize('$searchIndex.terms', parsed.terms),
+      gramRatio: parsed.grams.length
+        ? { $divide: [intersectionSize('$searchIndex.grams', parsed.grams), parsed.grams.length] }
+        : 0,
+      prefixMatch: prefix && last ? { $cond: [{ $in: [last, { $ifNull: ['$searchIndex.prefixes', []] }] }, 1, 0] } : 0
+    } },
+    { $match: prefix
+      ? { prefixMatch: 1 }
+      : { $or: [{ termMatches: { $gt: 0 } }, { gramRatio: { $gte: FUZZY_THRESHOLD } }] } },
+    { $addFields: {
+      textScore: { $add: [
+        { $multiply: ['$termMatches', 3] },
+        { $multiply: ['$gramRatio', 3, parsed.words.length] },
+        { $multiply: ['$prefixMatch', 2] }
+      ] }
+    } }
+  ];
+}
+
+// Index-backed candidate filter for a parsed query
+function candidateFilter(parsed, { prefix }) {
+  if (prefix) return { 'searchIndex.prefixes': parsed.words[parsed.words.length - 1] };
+  return {
+    $or: [
+      { 'searchIndex.terms': { $in: parsed.terms } },
+      { 'searchIndex.grams': { $in: parsed.grams } }
+    ]
+  };
+}
+
+// Great-circle distance in km from the user to a GeoJSON point, null when it has no coordinates
+function distanceKmExpression(userLocation, coordinatesPath) {
+  const lon = { $arrayElemAt: [coordinatesPath, 0] };
+  const lat = { $arrayElemAt: [coordinatesPath, 1] };
+  const halfDelta = (a, b) => ({ $divide: [{ $degreesToRadians: { $subtract: [a, b] } }, 2] });
+  const h = { $add: [
+    { $pow: [{ $sin: halfDelta(lat, userLocation.latitude) }, 2] },
+    { $multiply: [
+      Math.cos(userLocation.latitude * Math.PI / 180),
+      { $cos: { $degreesToRadians: lat } },
+      { $pow: [{ $sin: halfDelta(lon, userLocation.longitude) }, 2] }
+    ] }
+  ] };
+  return {
+    $cond: [
+      { $eq: [{ $size: { $ifNull: [coordinatesPath, []] } }, 2] },
+      { $multiply: [2 * 6371, { $asin: { $sqrt: { $min: [h, 1] } } }] },
+      null
+    ]
+  };
+}
+
+// Same bands as computeProductRelevance
+function distanceBoostExpression() {
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$distanceKm', null] }, then: 0 },
+        { case: { $lte: ['$distanceKm', 1] }, then: 4 },
+        { case: { $lte: ['$distanceKm', 3] }, then: 2.5 },
+        { case: { $lte: ['$distanceKm', 5] }, then: 1.5 },
+        { case: { $lte: ['$distanceKm', 10] }, then: 0.5 }
+      ],
+      default: 0
+    }
+  };
+}
+
+function distanceStages(userLocation, coordinatesPath, maxDistance) {
+  const stages = [{ $addFields: {
+    distanceKm: userLocation ? distanceKmExpression(userLocation, coordinatesPath) : null
+  } }];
+  stages.push({ $addFields: { distanceSort: { $ifNull: ['$distanceKm', Number.MAX_VALUE] } } });
+  if (userLocation && maxDistance) stages.push({ $match: { distanceKm: { $ne: null, $lte: maxDistance } } });
+  return stages;
+}
+
+function distanceBandFacet() {
+  return [
+    { $match: { distanceKm: { $ne: null } } },
+    { $bucket: { groupBy: '$distanceKm', boundaries: DISTANCE_BANDS, default: 'far', output: { count: { $sum: 1 } } } }
+  ];
+}
+
+// "0-100", ..., "10000+" labels for $bucket output
+function bucketLabels(buckets, boundaries, defaultKey, unit = '') {
+  return buckets.map(bucket => {
+    const index = boundaries.indexOf(bucket._id);
+    const label = bucket._id === defaultKey
+      ? `${boundaries[boundaries.length - 1]}${unit}+`
+      : `${bucket._id}-${boundaries[index + 1]}${unit}`;
+    return {
+      label,
+      min: bucket._id === defaultKey ? boundaries[boundaries.length - 1] : bucket._id,
+      max: bucket._id === defaultKey ? null : boundaries[index + 1],
+      count: bucket.count
+    };
+  });
+}
+
+const countFacet = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $sortByCount: `$${field}` },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+* Run the filtered, scored pipeline and split it into one page, the total and the facets.
+* The page is taken by cursor (sort-key values of the previous page's last document) or by skip.
+*/
+async function runSearch(Model, pipeline, { sort, cursor, skip, limit, facets }) {
+  const page = [{ $sort: sort }];
+  if (cursor) page.push({ $match: afterCursor(sort, cursor) });
+  else if (skip) page.push({ $skip: skip });
+  page.push({ $limit: limit + 1 });
+
+  const [result] = await Model.aggregate([
+    ...pipeline,
+    { $facet: { results: page, total: [{ $count: 'count' }], ...facets } }
+  ]).allowDiskUse(true);
+
+  const results = result.results.slice(0, limit);
+  const last = results[results.length - 1];
+  const nextCursor = result.results.length > limit && last
+    ? encodeCursor(Object.keys(sort).map(field => last[field]))
+    : null;
+
+  const facetCounts = {};
+  for (const key of Object.keys(facets)) facetCounts[key] = result[key];
+
+  return {
+    results,
+    total: result.total.length ? result.total[0].count : 0,
+    nextCursor,
+    facets: facetCounts
+  };
+}
+
+// ===== PRODUCTS =====
+
+/**
+* Search active products of visible shops
+* @param {object} options
+* @param {string} [options.q] - Free text; typos are tolerated, synonyms expanded. Digits are
+*   matched as text (model numbers, pack sizes), never as a barcode.
+* @param {string} [options.barcode] - EAN/UPC/GTIN: that exact item at every shop, nearest
+*   (or cheapest) first; q is ignored
+* @param {boolean} [options.prefix] - Treat the last word as a prefix (autocomplete)
+* @param {string} [options.category]
+* @param {string} [options.brand]
+* @param {number} [options.minPrice]
+* @param {number} [options.maxPrice]
+* @param {boolean} [options.inStock]
+* @param {{latitude: number, longitude: number}} [options.userLocation]
+* @param {number} [options.maxDistance] - km, requires userLocation
+* @param {string} [options.sort] - relevance|price_asc|price_desc|new|distance
+* @param {Array} [options.cursor] - decodeCursor() of the previous page's nextCursor
+* @param {number} [options.skip] - Offset paging when no cursor is given
+* @param {number} [options.limit]
+* @returns {Promise<{results: object[], total: number, nextCursor: string|null, facets: object, query: object|null,
+*   redirect: object|null, barcode: string|null}>}
+*/
+async function searchProducts({
+  q,
+  barcode,
+  prefix = false,
+  category,
+  brand,
+  minPrice,
+  maxPrice,
+  inStock,
+  userLocation,
+  maxDistance,
+  sort,
+  cursor,
+  skip = 0,
+  limit = 20
+} = {}) {
+  const gtin = normalizeGtin(barcode);
+  const parsed = q && !gtin ? parseSearchQuery(q, await searchRuleService.getRules()) : null;
+  let hasText = Boolean(parsed && parsed.words.length);
+
+  const match = gtin ? barcodeFilter(gtin) : { status: 'active' };
+  if (category) {
+    match.category = category;
+  } else if (parsed && parsed.redirect) {
+    // The whole query is a category redirect rule: browse the category instead of matching text
+    match.category = new RegExp(`^${parsed.redirect.category.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    hasText = false;
+  }
+  if (brand) match.brand = brand;
+  if (minPrice != null || maxPrice != null) {
+    match.price = {};
+    if (minPrice != null) match.price.$gte = Number(minPrice);
+    if (maxPrice != null) match.price.$lte = Number(maxPrice);
+  }
+  if (inStock) match.stock = { $gt: 0 };
+  if (hasText) Object.assign(match, candidateFilter(parsed, { prefix }));
+
+  const pipeline = [{ $match: match }];
+  if (hasText) pipeline.push(...textScoreStages(parsed, { prefix }));
+  pipeline.push(
+    { $lookup: {
+      from: Shop.collection.collectionName,
+      localField: 'shopId',
+      foreignField: '_id',
+      pipeline: [{ $project: SHOP_FIELDS }],
+      as: 'shop'
+    } },
+    { $unwind: '$shop' },
+    { $match: { 'shop.verificationStatus': 'approved', 'shop.isActive': true, 'shop.isLive': true } },
+    ...distanceStages(userLocation, '$shop.location.coordinates', maxDistance),
+    { $addFields: {
+      // Relevance blends the text match with the same shop signals as computeProductRelevance
+      score: { $add: [
+        hasText ? '$textScore' : 0,
+        { $multiply: [{ $min: [{ $ifNull: ['$shop.rating', 0] }, 5] }, 1.2] },
+        distanceBoostExpression(),
+        { $switch: {
+          branches: [
+            { case: { $gte: ['$createdAt', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)] }, then: 2 },
+            { case: { $gte: ['$createdAt', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)] }, then: 1 }
+          ],
+          default: 0
+        } }
+      ] }
+    } },
+    { $project: { searchIndex: 0, reportReasons: 0 } }
+  );
+
+  let sortKey = PRODUCT_SORTS[sort] ? sort : (hasText ? 'relevance' : 'new');
+  // Every result of a barcode search is the same item; what differs is where and for how much
+  if (gtin && !PRODUCT_SORTS[sort]) sortKey = userLocation ? 'distance' : 'price_asc';
+  if (sortKey === 'distance' && !userLocation) sortKey = 'relevance';
+
+  const facets = {
+    categories: countFacet('category'),
+    brands: countFacet('brand'),
+    priceRanges: [
+      { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } }
+    ]
+  };
+  if (userLocation) facets.distanceBands = distanceBandFacet();
+
+  const page = await runSearch(Product, pipeline, { sort: PRODUCT_SORTS[sortKey], cursor, skip, limit, facets });
+  page.facets.priceRanges = bucketLabels(page.facets.priceRanges, PRICE_BUCKETS, 'above');
+  if (page.facets.distanceBands) page.facets.distanceBands = bucketLabels(page.facets.distanceBands, DISTANCE_BANDS, 'far', 'km');
+  page.query = parsed;
+  page.redirect = parsed && parsed.redirect && !category ? parsed.redirect : null;
+  page.barcode = gtin;
+  return page;
+}
+
+// ===== SHOPS =====
+
+/**
+* openNow page: open status depends on each shop's schedule and time zone, so the sorted
+* candidates are walked until the page has `limit` open shops. Counting every open shop would
+* mean walking them all, so total is null; facets count the live candidates.
+*/
+async function runOpenShopSearch(pipeline, { sort, cursor, skip, limit, facets, now = new Date() }) {
+  const stages = [...pipeline, { $sort: sort }];
+  if (cursor) stages.push({ $match: afterCursor(sort, cursor) });
+
+  const [{ shops }, [facetResult]] = await Promise.all([
+    collectOpenShops(Shop.aggregate(stages).allowDiskUse(true), { now, skip: cursor ? 0 : skip, limit: limit + 1 }),
+    Shop.aggregate([...pipeline, { $facet: facets }]).allowDiskUse(true)
+  ]);
+
+  const results = shops.slice(0, limit);
+  const last = results[results.length - 1];
+  return {
+    results,
+    total: null,
+    nextCursor: shops.length > limit && last ? encodeCursor(Object.keys(sort).map(field => last[field])) : null,
+    facets: facetResult
+  };
+}
+
+/**
+* Search approved, active shops
+* @param {object} options - q, prefix, category, openNow (shops open now by their schedule),
+*   userLocation, maxDistance, sort (relevance|rating|name|distance), cursor, skip, limit, now
+* @returns {Promise<{results: object[], total: number|null, nextCursor: string|null, facets: object, query: object|null}>}
+*   total is null with openNow (see runOpenShopSearch)
+*/
+async function searchShops({
+  q,
+  prefix = false,
+  category,
+  openNow,
+  userLocation,
+  maxDistance,
+  sort,
+  cursor,
+  skip = 0,
+  limit = 20,
+  now = new Date()
+} = {}) {
+  const parsed = q ? parseSearchQuery(q, await searchRuleService.getRules()) : null;
+  const hasText = Boolean(parsed && parsed.words.length);
+
+  const match = { verificationStatus: 'approved', isActive: true };
+  if (openNow) match.isLive = true;
+  if (category) match.category = category;
+  if (hasText) Object.assign(match, candidateFilter(parsed, { prefix }));
+
+  const pipeline = [{ $match: match }];
+  if (hasText) pipeline.push(...textScoreStages(parsed, { prefix }));
+  pipeline.push(
+    ...distanceStages(userLocation, '$location.coordinates', maxDistance),
+    { $addFields: {
+      score: { $add: [
+        hasText ? '$textScore' : 0,
+        { $multiply: [{ $min: [{ $ifNull: ['$rating', 0] }, 5] }, 1.2] },
+        distanceBoostExpression()
+      ] }
+    } },
+    { $project: { ...SHOP_FIELDS, state: 1, createdAt: 1, score: 1, distanceKm: 1, distanceSort: 1 } }
+  );
+
+  let sortKey = SHOP_SORTS[sort] ? sort : 'relevance';
+  if (sortKey === 'distance' && !userLocation) sortKey = 'relevance';
+
+  const facets = { categories: countFacet('category') };
+  if (userLocation) facets.distanceBands = distanceBandFacet();
+
+  const page = openNow
+    ? await runOpenShopSearch(pipeline, { sort: SHOP_SORTS[sortKey], cursor, skip, limit, facets, now })
+    : await runSearch(Shop, pipeline, { sort: SHOP_SORTS[sortKey], cursor, skip, limit, facets });
+  if (page.facets.distanceBands) page.facets.distanceBands = bucketLabels(page.facets.distanceBands, DISTANCE_BANDS, 'far', 'km');
+  page.query = parsed;
+  return page;
+}
+
+// ===== AUTOCOMPLETE =====
+
+/**
+* Suggestions while typing: matching products and shops plus the categories and brands they fall in
+*/
+async function autocomplete(q, { userLocation, limit = 5 } = {}) {
+  const [products, shops] = await Promise.all([
+    searchProducts({ q, prefix: true, userLocation, limit }),
+    searchShops({ q, prefix: true, userLocation, limit })
+  ]);
+
+  return {
+    products: products.results.map(p => ({
+      id: p._id,
+      name: p.name,
+      brand: p.brand,
+      category: p.category,
+      shopName: p.shop.shopName
+    })),
+    shops: shops.results.map(s => ({ id: s._id, shopName: s.shopName, address: s.address, distanceKm: s.distanceKm })),
+    categories: products.facets.categories.slice(0, limit),
+    brands: products.facets.brands.slice(0, limit)
+  };
+}
+
+// ===== MAINTENANCE =====
+
+/**
+* Recompute stored index terms (after changing the tokenizer, or for documents saved before it existed)
+* @param {{all?: boolean, onProgress?: Function}} options - all: rebuild every document, not only unindexed ones
+*/
+async function rebuildIndex({ all = false, onProgress } = {}) {
+  const summary = {};
+  for (const Model of [Product, Shop]) {
+    const filter = all ? {} : { searchIndex: { $exists: false } };
+    const cursor = Model.find(filter).select(Model.SEARCH_FIELDS.join(' ')).lean().cursor();
+    let batch = [];
+    let indexed = 0;
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Model.bulkWrite(batch, { ordered: false });
+      indexed += batch.length;
+      batch = [];
+      if (onProgress) await onProgress({ model: Model.modelName, indexed });
+    };
+
+    for await (const doc of cursor) {
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { searchIndex: Model.buildSearchIndex(doc) } } } });
+      if (batch.length >= 500) await flush();
+    }
+    await flush();
+    summary[Model.modelName] = indexed;
+  }
+  return summary;
+}
+
+module.exports = {
+  decodeCursor,
+  searchProducts,
+  searchShops,
+  autocomplete,
+  rebuildIndex
+};
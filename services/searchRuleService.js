@@ -0,0 +1,113 @@
+const SearchRule = require('../models/searchRuleModel');
+const { DEFAULT_RULES, normalizeToken, compileRules, rewriteQuery, expandQueryTerms } = require('./searchService');
+
+const RULE_TYPES = ['synonym', 'stopword', 'spelling', 'redirect'];
+const LANGUAGES = ['en', 'hi', 'mr'];
+const CACHE_MS = 60 * 1000;
+
+// Compiled active rules, reloaded at most once a minute (and right after admin edits on this instance)
+let cache = null;
+
+// Rules are matched on type, language and term, the same fields as the unique index
+const ruleKey = (rule) => `${rule.type}:${rule.language || 'en'}:${normalizeToken(rule.term)}`;
+
+/**
+* Active rules compiled for query rewriting: the built-in defaults with the database rules
+* laid over them. A database rule replaces the default with the same key, and an inactive
+* one switches that default off. If loading fails the last good rules are kept.
+*/
+async function getRules() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache.rules;
+
+  try {
+    const stored = await SearchRule.find()
+      .select('type language term synonyms bidirectional correction category isActive')
+      .lean();
+    const merged = new Map(DEFAULT_RULES.map(rule => [ruleKey(rule), rule]));
+    for (const rule of stored) merged.set(ruleKey(rule), rule);
+    const active = [...merged.values()].filter(rule => rule.isActive !== false);
+    cache = { rules: compileRules(active), loadedAt: Date.now() };
+  } catch (error) {
+    console.error('Search rules load error:', error);
+    cache = { rules: cache ? cache.rules : compileRules(DEFAULT_RULES), loadedAt: Date.now() };
+  }
+  return cache.rules;
+}
+
+function clearCache() {
+  cache = null;
+}
+
+const normalizeList = (list) => [...new Set((Array.isArray(list) ? list : String(list || '').split(','))
+  .map(normalizeToken)
+  .filter(Boolean))];
+
+/**
+* Validate and normalize admin input for a rule
+* @param {object} input
+* @param {{partial?: boolean, type?: string}} options - partial for updates; type of the existing rule
+* @returns {{value?: object, error?: string}}
+*/
+function normalizeRuleInput(input, { partial = false, type } = {}) {
+  const value = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('type')) {
+    if (!RULE_TYPES.includes(input.type)) return { error: `type must be one of: ${RULE_TYPES.join(', ')}` };
+    value.type = input.type;
+  }
+  const ruleType = value.type || type;
+
+  if (!partial || has('language')) {
+    const language = input.language === undefined ? 'en' : input.language;
+    if (!LANGUAGES.includes(language)) return { error: `language must be one of: ${LANGUAGES.join(', ')}` };
+    value.language = language;
+  }
+  if (!partial || has('term')) {
+    const term = normalizeToken(input.term);
+    if (!term) return { error: 'term is required' };
+    // Queries are rewritten word by word; only redirects match a whole phrase
+    if (ruleType !== 'redirect' && term.includes(' ')) {
+      return { error: `A ${ruleType} term must be a single word` };
+    }
+    value.term = term;
+  }
+
+  if (ruleType === 'synonym' && (!partial || has('synonyms'))) {
+    value.synonyms = normalizeList(input.synonyms).filter(s => s !== (value.term || normalizeToken(input.term)));
+    if (value.synonyms.length === 0) return { error: 'synonyms must list at least one other word' };
+  }
+  if (ruleType === 'synonym' && has('bidirectional')) value.bidirectional = !!input.bidirectional;
+  if (ruleType === 'spelling' && (!partial || has('correction'))) {
+    value.correction = normalizeToken(input.correction);
+    if (!value.correction) return { error: 'correction is required' };
+  }
+  if (ruleType === 'redirect' && (!partial || has('category'))) {
+    value.category = typeof input.category === 'string' ? input.category.trim() : '';
+    if (!value.category) return { error: 'category is required' };
+  }
+
+  if (has('isActive')) value.isActive = !!input.isActive;
+  if (has('notes')) value.notes = String(input.notes || '').trim();
+  return { value };
+}
+
+/**
+* How the live rules rewrite a query, as search would see it
+*/
+async function testQuery(query) {
+  const rules = await getRules();
+  return {
+    ...rewriteQuery(query, rules),
+    expandedTerms: expandQueryTerms(query, rules)
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  LANGUAGES,
+  getRules,
+  clearCache,
+  normalizeRuleInput,
+  testQuery
+};
@@ -1,6 +1,8 @@
-// Lightweight search helpers: synonym expansion and relevance scoring
+// Lightweight search helpers: synonym expansion, relevance scoring and search index terms
 
-// Basic synonym map. Extend as needed.
+// Built-in synonym map. An admin-managed rule (SearchRule) with the same type, language and term
+// replaces the built-in one, or switches it off while inactive;
+// scripts/seedSearchRules.js copies them into the database so they can be edited.
 const SYNONYMS = {
   shoes: ['sneaker', 'sneakers', 'trainers', 'footwear'],
   sneaker: ['shoes', 'sneakers', 'trainers', 'footwear'],
@@ -12,26 +14,143 @@ const SYNONYMS = {
   grocery: ['groceries', 'provisions', 'supermarket', 'food'],
 };
 
+// Everyday Hindi and Marathi words (transliterated and Devanagari) for common items.
+// Each set is equivalent in both directions.
+const TRANSLITERATION_SETS = {
+  hi: [
+    ['doodh', 'dudh', 'दूध', 'milk'],
+    ['chawal', 'चावल', 'rice'],
+    ['aata', 'atta', 'आटा', 'flour'],
+    ['sabzi', 'sabji', 'सब्ज़ी', 'सब्जी', 'vegetables'],
+    ['kapde', 'kapda', 'कपड़े', 'clothes'],
+    ['joota', 'joote', 'जूता', 'shoes'],
+    ['chai', 'चाय', 'tea'],
+    ['cheeni', 'chini', 'चीनी', 'sugar'],
+    ['tel', 'तेल', 'oil'],
+    ['dawai', 'dawa', 'दवाई', 'medicine']
+  ],
+  mr: [
+    ['dudh', 'दूध', 'milk'],
+    ['tandul', 'तांदूळ', 'rice'],
+    ['peeth', 'pith', 'पीठ', 'flour'],
+    ['bhaji', 'भाजी', 'vegetables'],
+    ['kapde', 'कपडे', 'clothes'],
+    ['chappal', 'चप्पल', 'footwear', 'sandals'],
+    ['sakhar', 'साखर', 'sugar'],
+    ['tel', 'तेल', 'oil'],
+    ['aushadh', 'औषध', 'medicine']
+  ]
+};
+
+const DEFAULT_RULES = [
+  ...Object.entries(SYNONYMS).map(([term, synonyms]) => ({ type: 'synonym', language: 'en', term, synonyms, bidirectional: false })),
+  ...Object.entries(TRANSLITERATION_SETS).flatMap(([language, sets]) => sets.map(([term, ...synonyms]) => ({
+    type: 'synonym', language, term, synonyms, bidirectional: true
+  })))
+];
+
+// Same words as the search index sees them (see indexWords), space separated:
+// "L'Oréal" -> "l oreal", "women's" -> "women s"
 function normalizeToken(token) {
-  return String(token || '')
-    .toLowerCase()
-    .trim()
-    .replace(/[^a-z0-9\s-]/g, '');
+  return indexWords(token).join(' ');
 }
 
-// Expand user query into tokens + synonyms (unique)
-function expandQueryTerms(query) {
-  if (!query || typeof query !== 'string') return [];
-  const baseTokens = normalizeToken(query).split(/\s+/).filter(Boolean);
-  const expanded = new Set();
-  for (const t of baseTokens) {
-    expanded.add(t);
-    const syns = SYNONYMS[t];
-    if (Array.isArray(syns)) {
-      for (const s of syns) expanded.add(normalizeToken(s));
+/**
+* Index rule documents for query rewriting
+* @param {Array<{_id?, type: string, term: string, language?: string, synonyms?: string[], bidirectional?: boolean, correction?: string, category?: string}>} rules
+*/
+function compileRules(rules) {
+  const compiled = {
+    synonyms: new Map(), // term -> [{ terms, rule }]
+    stopwords: new Map(), // term -> rule
+    spellings: new Map(), // misspelling -> rule
+    redirects: new Map() // whole query -> rule
+  };
+  const addSynonyms = (term, terms, rule) => {
+    if (!compiled.synonyms.has(term)) compiled.synonyms.set(term, []);
+    compiled.synonyms.get(term).push({ terms, rule });
+  };
+
+  for (const rule of rules) {
+    const term = normalizeToken(rule.term);
+    if (!term) continue;
+    if (rule.type === 'synonym') {
+      const synonyms = (rule.synonyms || []).map(normalizeToken).filter(Boolean);
+      addSynonyms(term, synonyms, rule);
+      if (rule.bidirectional) {
+        const group = [term, ...synonyms];
+        for (const member of synonyms) addSynonyms(member, group.filter(other => other !== member), rule);
+      }
+    } else if (rule.type === 'stopword') {
+      compiled.stopwords.set(term, rule);
+    } else if (rule.type === 'spelling') {
+      compiled.spellings.set(term, rule);
+    } else if (rule.type === 'redirect') {
+      compiled.redirects.set(term, rule);
+    }
+  }
+  return compiled;
+}
+
+const DEFAULT_COMPILED_RULES = compileRules(DEFAULT_RULES);
+
+const ruleRef = (rule) => ({ id: rule._id, type: rule.type, term: rule.term, language: rule.language });
+
+/**
+* Rewrite a query with the rules: category redirect on the whole query, spelling corrections,
+* stop-word removal, then synonym expansion
+* @returns {{original: string, normalized: string, words: string[], terms: string[], redirect: object|null,
+*   corrections: object[], removedStopwords: string[], expansions: object[]}}
+*/
+function rewriteQuery(query, rules = DEFAULT_COMPILED_RULES) {
+  const normalized = normalizeToken(typeof query === 'string' ? query : '');
+  const result = {
+    original: query,
+    normalized,
+    words: [],
+    terms: [],
+    redirect: null,
+    corrections: [],
+    removedStopwords: [],
+    expansions: []
+  };
+  if (!normalized) return result;
+
+  const redirect = rules.redirects.get(normalized);
+  if (redirect) result.redirect = { category: redirect.category, rule: ruleRef(redirect) };
+
+  const corrected = [];
+  for (const word of normalized.split(' ')) {
+    const spelling = rules.spellings.get(word);
+    if (spelling && normalizeToken(spelling.correction)) {
+      const replacement = normalizeToken(spelling.correction);
+      result.corrections.push({ from: word, to: replacement, rule: ruleRef(spelling) });
+      corrected.push(...replacement.split(' '));
+    } else {
+      corrected.push(word);
+    }
+  }
+
+  // A query made only of stop-words is searched as typed
+  const kept = corrected.filter(word => !rules.stopwords.has(word));
+  result.words = kept.length ? kept : corrected;
+  result.removedStopwords = kept.length ? corrected.filter(word => rules.stopwords.has(word)) : [];
+
+  const expanded = new Set(result.words);
+  for (const word of result.words) {
+    for (const { terms, rule } of rules.synonyms.get(word) || []) {
+      for (const term of terms) expanded.add(term);
+      result.expansions.push({ term: word, synonyms: terms, rule: ruleRef(rule) });
     }
   }
-  return Array.from(expanded);
+  result.terms = Array.from(expanded);
+  return result;
+}
+
+// Expand user query into tokens + synonyms (unique)
+function expandQueryTerms(query, rules = DEFAULT_COMPILED_RULES) {
+  if (!query || typeof query !== 'string') return [];
+  return rewriteQuery(query, rules).terms;
 }
 
 // Compute a naive relevance score combining text match count, rating, distance, and offer/price signals
@@ -85,7 +204,84 @@ function computeProductRelevance({
   return score;
 }
 
+// ===== SEARCH INDEX TERMS =====
+// Stored on products and shops (searchIndex) and matched by searchIndexService:
+// whole words, trigrams for typo tolerance and word prefixes for autocomplete
+
+const GRAM_SIZE = 3;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+const MAX_INDEX_TERMS = 200;
+
+// Lowercase words with accents and punctuation stripped; Devanagari letters are kept
+function indexWords(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0900-\u097f]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Padded character trigrams: "tea" -> [" te", "tea", "ea "]
+function wordGrams(word) {
+  const padded = ` ${word} `;
+  const grams = [];
+  for (let i = 0; i + GRAM_SIZE <= padded.length; i++) grams.push(padded.slice(i, i + GRAM_SIZE));
+  return grams;
+}
+
+function wordPrefixes(word) {
+  if (word.length < MIN_PREFIX_LENGTH) return [word];
+  const prefixes = [];
+  for (let n = MIN_PREFIX_LENGTH; n <= Math.min(word.length, MAX_PREFIX_LENGTH); n++) prefixes.push(word.slice(0, n));
+  return prefixes;
+}
+
+/**
+* Index terms for a document. Primary fields (names, brand, category) are fuzzy- and
+* prefix-matchable; secondary fields (descriptions) only match on whole words.
+* @param {{primary: string[], secondary?: string[]}} fields
+* @returns {{terms: string[], grams: string[], prefixes: string[]}}
+*/
+function buildSearchIndex({ primary, secondary = [] }) {
+  const primaryWords = [...new Set(primary.flatMap(indexWords))];
+  const terms = new Set(primaryWords);
+  for (const word of secondary.flatMap(indexWords)) {
+    if (terms.size >= MAX_INDEX_TERMS) break;
+    terms.add(word);
+  }
+  return {
+    terms: [...terms],
+    grams: [...new Set(primaryWords.flatMap(wordGrams))],
+    prefixes: [...new Set(primaryWords.flatMap(wordPrefixes))]
+  };
+}
+
+/**
+* Query side of the index: the rewritten words, their synonyms and trigrams
+* @returns {{words: string[], terms: string[], grams: string[], redirect: object|null}}
+*/
+function parseSearchQuery(query, rules = DEFAULT_COMPILED_RULES) {
+  const rewrite = rewriteQuery(query, rules);
+  const words = [...new Set(rewrite.words.flatMap(indexWords))];
+  return {
+    words,
+    terms: [...new Set(rewrite.terms.flatMap(indexWords))],
+    grams: [...new Set(words.flatMap(wordGrams))],
+    redirect: rewrite.redirect
+  };
+}
+
 module.exports = {
+  DEFAULT_RULES,
+  normalizeToken,
+  compileRules,
+  rewriteQuery,
   expandQueryTerms,
   computeProductRelevance,
+  indexWords,
+  buildSearchIndex,
+  parseSearchQuery,
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const Review = require('../models/reviewModel');
+const Shop = require('../models/shopModel');
+
+/**
+* Recalculate every shop's rating and review count from its active reviews.
+* Used by the shop_rating_recalculation job and scripts/recalculateAllShopRatings.js.
+* @param {{onProgress?: Function}} options onProgress({current, total, message}) is called every 100 shops
+* @returns {Promise<{total: number, updated: number, errors: number}>}
+*/
+async function recalculateAllShopRatings({ onProgress } = {}) {
+  // One aggregation for all shops instead of one per shop
+  const stats = await Review.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$shopId', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+  const statsByShop = new Map(stats.map(s => [String(s._id), s]));
+
+  const total = await Shop.countDocuments({});
+  let processed = 0;
+  let updated = 0;
+  let errors = 0;
+
+  for await (const shop of Shop.find({}).select('_id shopName rating reviewCount').cursor()) {
+    try {
+      const shopStats = statsByShop.get(String(shop._id));
+      const averageRating = shopStats && shopStats.averageRating ? shopStats.averageRating : 0;
+      const reviewCount = shopStats ? shopStats.reviewCount : 0;
+      const finalRating = averageRating > 0 ? Math.round(averageRating * 10) / 10 : 0;
+
+      if (shop.rating !== finalRating || shop.reviewCount !== reviewCount) {
+        await Shop.updateOne({ _id: shop._id }, { $set: { rating: finalRating, reviewCount } });
+        console.log(`✓ Updated ${shop.shopName || shop._id}: rating=${finalRating}, reviews=${reviewCount}`);
+        updated++;
+      }
+    } catch (error) {
+      console.error(`✗ Error updating shop ${shop._id}:`, error.message);
+      errors++;
+    }
+
+    processed++;
+    if (onProgress && processed % 100 === 0) {
+      await onProgress({ current: processed, total, message: `Processed ${processed} of ${total} shops` });
+    }
+  }
+
+  return { total: processed, updated, errors };
+}
+
+module.exports = { recalculateAllShopRatings };
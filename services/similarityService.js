@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const natural = require('natural');
+const Product = require('../models/productModel');
+const Shop = require('../models/shopModel');
+const UserBehavior = require('../models/userBehaviorModel');
+const SimilarItem = require('../models/similarItemModel');
+const jobQueueService = require('./jobQueueService');
+
+const SHOP_VISIBLE = { verificationStatus: 'approved', isActive: true };
+const SHOP_FIELDS = 'shopName category rating reviewCount location address verificationStatus isActive isLive';
+
+/**
+ * Item-to-item relatedness for "similar products" and "similar shops".
+ * Lists are precomputed into SimilarItem (refreshed through the job queue when products change,
+ * and fully by scripts/refreshSimilarItems.js) and combine TF-IDF text similarity, price band,
+ * co-views from UserBehavior and distance between shops.
+ */
+class SimilarityService {
+  constructor() {
+    this.neighborCount = 20;
+    this.candidateLimit = 300;
+    this.coViewDays = 90;
+    this.weights = {
+      product: { text: 0.4, coView: 0.3, price: 0.15, distance: 0.15 },
+      shop: { text: 0.35, coView: 0.3, price: 0.1, distance: 0.25 }
+    };
+    this.viewBehaviors = {
+      product: ['view_product'],
+      shop: ['view_shop', 'visit_shop']
+    };
+  }
+
+  // ===== SCORING COMPONENTS =====
+
+  /**
+   * Cosine similarity of each candidate's TF-IDF vector with the source document's.
+   * IDF comes from the source and candidate documents together.
+   */
+  textSimilarities(sourceText, candidateTexts) {
+    const tfidf = new natural.TfIdf();
+    tfidf.addDocument(sourceText);
+    candidateTexts.forEach(text => tfidf.addDocument(text));
+
+    const vector = (index) => new Map(tfidf.listTerms(index).map(term => [term.term, term.tfidf]));
+    const norm = (v) => Math.sqrt([...v.values()].reduce((sum, x) => sum + x * x, 0));
+    const source = vector(0);
+    const sourceNorm = norm(source);
+
+    return candidateTexts.map((_, i) => {
+      const candidate = vector(i + 1);
+      const denominator = sourceNorm * norm(candidate);
+      if (denominator === 0) return 0;
+      let dot = 0;
+      for (const [term, weight] of candidate) dot += weight * (source.get(term) || 0);
+      return dot / denominator;
+    });
+  }
+
+  // 1 for the same price, 0 at 3x apart or more
+  priceSimilarity(a, b) {
+    if (!(a > 0) || !(b > 0)) return 0.5;
+    return Math.max(0, 1 - Math.abs(Math.log(a / b)) / Math.log(3));
+  }
+
+  // 1 next door, 0.5 at 5 km
+  distanceSimilarity(distanceKm) {
+    return typeof distanceKm === 'number' ? 1 / (1 + distanceKm / 5) : 0.5;
+  }
+
+  distanceKm(pointA, pointB) {
+    const a = pointA && pointA.coordinates;
+    const b = pointB && pointB.coordinates;
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== 2 || b.length !== 2) return undefined;
+    const toRad = (d) => d * Math.PI / 180;
+    const dLat = toRad(b[1] - a[1]);
+    const dLon = toRad(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Co-view similarity: users who viewed both items / sqrt(viewers of each), over recent behavior
+   * @returns {Promise<Map<string, number>>} Candidate ID -> score for the most co-viewed items
+   */
+  async coViewScores(itemId, itemType) {
+    const since = new Date(Date.now() - this.coViewDays * 24 * 60 * 60 * 1000);
+    const match = { targetType: itemType, behaviorType: { $in: this.viewBehaviors[itemType] }, createdAt: { $gte: since } };
+
+    const viewers = await UserBehavior.distinct('userId', { ...match, targetId: itemId });
+    if (viewers.length === 0) return new Map();
+
+    const coViewed = await UserBehavior.aggregate([
+      { $match: { ...match, userId: { $in: viewers }, targetId: { $ne: itemId } } },
+      { $group: { _id: '$targetId', users: { $addToSet: '$userId' } } },
+      { $project: { shared: { $size: '$users' } } },
+      { $sort: { shared: -1 } },
+      { $limit: this.candidateLimit }
+    ]);
+    if (coViewed.length === 0) return new Map();
+
+    const totals = await UserBehavior.aggregate([
+      { $match: { ...match, targetId: { $in: coViewed.map(row => row._id) } } },
+      { $group: { _id: '$targetId', users: { $addToSet: '$userId' } } },
+      { $project: { total: { $size: '$users' } } }
+    ]);
+    const totalById = new Map(totals.map(row => [String(row._id), row.total]));
+
+    return new Map(coViewed.map(row => [
+      String(row._id),
+      row.shared / Math.sqrt(viewers.length * (totalById.get(String(row._id)) || row.shared))
+    ]));
+  }
+
+  /**
+   * Weighted neighbors; items related only by price or distance are not "similar"
+   */
+  rankNeighbors(itemType, source, candidates, coViews) {
+    const weights = this.weights[itemType];
+    const texts = this.textSimilarities(source.text, candidates.map(candidate => candidate.text));
+
+    return candidates
+      .map((candidate, index) => {
+        const distanceKm = this.distanceKm(source.location, candidate.location);
+        const components = {
+          text: texts[index],
+          price: this.priceSimilarity(source.price, candidate.price),
+          coView: coViews.get(String(candidate.id)) || 0,
+          distance: this.distanceSimilarity(distanceKm)
+        };
+        const score = Object.entries(weights).reduce((sum, [key, weight]) => sum + components[key] * weight, 0);
+        return { itemId: candidate.id, score, ...components, distanceKm };
+      })
+      .filter(neighbor => neighbor.text > 0 || neighbor.coView > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.neighborCount);
+  }
+
+  // ===== COMPUTATION =====
+
+  productText(product) {
+    return [product.category, product.brand, product.itemName, product.name].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Neighbors of an active product among active products at visible shops
+   * @returns {Promise<Array|null>} null when the product is missing or not listed
+   */
+  async computeProductNeighbors(productId) {
+    const product = await Product.findOne({ _id: productId, status: 'active' }).populate('shopId', 'location');
+    if (!product) return null;
+
+    const coViews = await this.coViewScores(product._id, 'product');
+    const related = [{ category: product.category }];
+    if (product.brand) related.push({ brand: product.brand });
+    if (coViews.size > 0) related.push({ _id: { $in: [...coViews.keys()].map(id => new mongoose.Types.ObjectId(id)) } });
+
+    const candidates = await Product.find({ _id: { $ne: product._id }, status: 'active', $or: related })
+      .select('category brand itemName name price shopId')
+      .populate({ path: 'shopId', select: 'location verificationStatus isActive' })
+      .limit(this.candidateLimit * 2);
+
+    const visible = candidates.filter(candidate =>
+      candidate.shopId && candidate.shopId.verificationStatus === 'approved' && candidate.shopId.isActive
+    );
+
+    return this.rankNeighbors('product',
+      { text: this.productText(product), price: product.price, location: product.shopId && product.shopId.location },
+      visible.map(candidate => ({
+        id: candidate._id,
+        text: this.productText(candidate),
+        price: candidate.price,
+        location: candidate.shopId.location
+      })),
+      coViews
+    );
+  }
+
+  /**
+   * Catalog summary per shop: text from shop and product categories/brands/item names, median price
+   */
+  async shopCatalogs(shopIds) {
+    const rows = await Product.aggregate([
+      { $match: { shopId: { $in: shopIds }, status: 'active' } },
+      { $group: {
+        _id: '$shopId',
+        categories: { $addToSet: '$category' },
+        brands: { $addToSet: '$brand' },
+        itemNames: { $addToSet: '$itemName' },
+        prices: { $push: '$price' }
+      } }
+    ]);
+
+    return new Map(rows.map(row => {
+      const prices = row.prices.filter(price => price > 0).sort((a, b) => a - b);
+      return [String(row._id), {
+        text: [...row.categories, ...row.brands, ...row.itemNames].filter(Boolean).join(' '),
+        medianPrice: prices.length ? prices[Math.floor(prices.length / 2)] : undefined
+      }];
+    }));
+  }
+
+  /**
+   * Neighbors of a visible shop among visible shops (nearest first, plus co-viewed and same-category shops)
+   * @returns {Promise<Array|null>} null when the shop is missing or not visible
+   */
+  async computeShopNeighbors(shopId) {
+    const shop = await Shop.findOne({ _id: shopId, ...SHOP_VISIBLE }).select('category location');
+    if (!shop) return null;
+
+    const coViews = await this.coViewScores(shop._id, 'shop');
+    const candidateFilter = { _id: { $ne: shop._id }, ...SHOP_VISIBLE };
+    const pools = [
+      Shop.find({ ...candidateFilter, category: shop.category }).select('category location').limit(this.candidateLimit)
+    ];
+    if (shop.location && shop.location.coordinates) {
+      pools.push(Shop.find({ ...candidateFilter, location: { $near: { $geometry: shop.location } } })
+        .select('category location').limit(this.candidateLimit));
+    }
+    if (coViews.size > 0) {
+      pools.push(Shop.find({ ...candidateFilter, _id: { $in: [...coViews.keys()].map(id => new mongoose.Types.ObjectId(id)) } })
+        .select('category location'));
+    }
+    const candidates = new Map();
+    for (const pool of await Promise.all(pools)) {
+      for (const candidate of pool) candidates.set(String(candidate._id), candidate);
+    }
+
+    const catalogs = await this.shopCatalogs([shop._id, ...[...candidates.values()].map(candidate => candidate._id)]);
+    const describe = (s) => {
+      const catalog = catalogs.get(String(s._id)) || {};
+      return { id: s._id, text: [s.category, catalog.text].filter(Boolean).join(' '), price: catalog.medianPrice, location: s.location };
+    };
+
+    return this.rankNeighbors('shop', describe(shop), [...candidates.values()].map(describe), coViews);
+  }
+
+  // ===== PRECOMPUTED LISTS =====
+
+  /**
+   * Recompute and store an item's list. With `propagate`, the item is also merged into the
+   * stored lists of its new neighbors so they see it without a full refresh.
+   * @returns {Promise<object|null>} The stored SimilarItem, or null when the item is no longer listed
+   */
+  async refreshItem(itemType, itemId, { propagate = true } = {}) {
+    const neighbors = itemType === 'shop'
+      ? await this.computeShopNeighbors(itemId)
+      : await this.computeProductNeighbors(itemId);
+
+    if (!neighbors) {
+      await this.removeItem(itemType, itemId);
+      return null;
+    }
+
+    const stored = await SimilarItem.findOneAndUpdate(
+      { itemType, itemId },
+      { $set: { neighbors, computedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    if (propagate) {
+      const id = new mongoose.Types.ObjectId(String(itemId));
+      for (const neighbor of neighbors) {
+        await SimilarItem.updateOne({ itemType, itemId: neighbor.itemId }, { $pull: { neighbors: { itemId: id } } });
+        await SimilarItem.updateOne({ itemType, itemId: neighbor.itemId }, {
+          $push: { neighbors: { $each: [{ ...neighbor, itemId: id }], $sort: { score: -1 }, $slice: this.neighborCount } }
+        });
+      }
+    }
+
+    return stored;
+  }
+
+  // Drop an item's list and take it out of every other list
+  async removeItem(itemType, itemId) {
+    const id = new mongoose.Types.ObjectId(String(itemId));
+    await SimilarItem.deleteOne({ itemType, itemId: id });
+    await SimilarItem.updateMany({ itemType, 'neighbors.itemId': id }, { $pull: { neighbors: { itemId: id } } });
+  }
+
+  /**
+   * Recompute every list (nightly); lists of items no longer listed are dropped.
+   * Items are walked in id order and progress reports carry a checkpoint: given back as
+   * options.checkpoint, the refresh continues after the last reported item. When
+   * shouldYield() turns true between items it reports one and stops.
+   * @returns {Promise<{products: number, shops: number, removed: number}|null>} null when it stopped at a checkpoint
+   */
+  async refreshAll({ onProgress, checkpoint, shouldYield } = {}) {
+    const startedAt = checkpoint ? new Date(checkpoint.startedAt) : new Date();
+    const byId = (a, b) => (String(a) < String(b) ? -1 : 1);
+    const productIds = (await Product.find({ status: 'active' }).distinct('_id')).sort(byId);
+    const shopIds = (await Shop.find(SHOP_VISIBLE).distinct('_id')).sort(byId);
+    const total = productIds.length + shopIds.length;
+    const lists = [['product', productIds], ['shop', shopIds]];
+    const resumeList = checkpoint ? lists.findIndex(([itemType]) => itemType === checkpoint.itemType) : -1;
+    let done = 0;
+
+    for (const [listIndex, [itemType, ids]] of lists.entries()) {
+      for (const id of ids) {
+        // Already refreshed before the checkpoint
+        if (listIndex < resumeList || (listIndex === resumeList && String(id) <= checkpoint.lastId)) {
+          done++;
+          continue;
+        }
+        try {
+          await this.refreshItem(itemType, id, { propagate: false });
+        } catch (error) {
+          console.error(`Similar ${itemType} refresh failed for ${id}:`, error);
+        }
+        done++;
+        const paused = Boolean(onProgress && shouldYield) && done < total && shouldYield();
+        if (onProgress && (done % 50 === 0 || done === total || paused)) {
+          await onProgress({
+            current: done,
+            total,
+            message: `Refreshed ${done}/${total} similar-item lists`,
+            checkpoint: { startedAt, itemType, lastId: String(id) }
+          });
+        }
+        if (paused) return null;
+      }
+    }
+
+    const { deletedCount } = await SimilarItem.deleteMany({ computedAt: { $lt: startedAt } });
+    return { products: productIds.length, shops: shopIds.length, removed: deletedCount };
+  }
+
+  /**
+   * Queue a background refresh after a product (and therefore its shop's catalog) changed
+   */
+  queueProductRefresh(product) {
+    const shopId = product.shopId && product.shopId._id ? product.shopId._id : product.shopId;
+    const jobs = [['product', product._id], ['shop', shopId]].filter(([, id]) => id);
+    return Promise.all(jobs.map(([itemType, itemId]) =>
+      jobQueueService.enqueue('similarity_refresh', { itemType, itemId: String(itemId) }, {
+        dedupeKey: `similarity_refresh:${itemType}:${itemId}`
+      })
+    )).catch(err => console.error('Similarity refresh queue error:', err));
+  }
+
+  // ===== SERVING =====
+
+  /**
+   * Stored list for an item, computed on first request when missing
+   */
+  async getNeighbors(itemType, itemId) {
+    const stored = await SimilarItem.findOne({ itemType, itemId }).lean();
+    if (stored) return stored.neighbors;
+    const refreshed = await this.refreshItem(itemType, itemId, { propagate: false });
+    return refreshed ? refreshed.neighbors : null;
+  }
+
+  // With a user location, distance to the user replaces distance to the source shop
+  rescoreForUser(itemType, neighbor, location, userLocation) {
+    if (!userLocation) return { score: neighbor.score, distanceKm: neighbor.distanceKm };
+    const distanceKm = this.distanceKm({ coordinates: [userLocation.longitude, userLocation.latitude] }, location);
+    const weight = this.weights[itemType].distance;
+    return {
+      score: neighbor.score - weight * (neighbor.distance || 0) + weight * this.distanceSimilarity(distanceKm),
+      distanceKm
+    };
+  }
+
+  /**
+   * Similar products that are still listed at visible shops
+   * @returns {Promise<Array|null>} null when the product is not listed
+   */
+  async getSimilarProducts(productId, { limit = 10, userLocation } = {}) {
+    const neighbors = await this.getNeighbors('product', productId);
+    if (!neighbors) return null;
+
+    const products = await Product.find({ _id: { $in: neighbors.map(n => n.itemId) }, status: 'active' })
+      .select('name brand itemName category price images stock shopId')
+      .populate('shopId', SHOP_FIELDS);
+    const byId = new Map(products
+      .filter(p => p.shopId && p.shopId.verificationStatus === 'approved' && p.shopId.isActive)
+      .map(p => [String(p._id), p]));
+
+    return neighbors
+      .filter(neighbor => byId.has(String(neighbor.itemId)))
+      .map(neighbor => {
+        const product = byId.get(String(neighbor.itemId));
+        const { score, distanceKm } = this.rescoreForUser('product', neighbor, product.shopId.location, userLocation);
+        return {
+          productId: product._id,
+          name: product.name,
+          brand: product.brand,
+          itemName: product.itemName,
+          category: product.category,
+          price: product.price,
+          stock: product.stock,
+          image: product.images && product.images[0] ? product.images[0].url : null,
+          shop: {
+            id: product.shopId._id,
+            shopName: product.shopId.shopName,
+            rating: product.shopId.rating,
+            isLive: product.shopId.isLive
+          },
+          distanceKm,
+          score,
+          similarity: { text: neighbor.text, price: neighbor.price, coView: neighbor.coView }
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Similar shops that are still visible
+   * @returns {Promise<Array|null>} null when the shop is not visible
+   */
+  async getSimilarShops(shopId, { limit = 10, userLocation } = {}) {
+    const neighbors = await this.getNeighbors('shop', shopId);
+    if (!neighbors) return null;
+
+    const shops = await Shop.find({ _id: { $in: neighbors.map(n => n.itemId) }, ...SHOP_VISIBLE }).select(SHOP_FIELDS);
+    const byId = new Map(shops.map(s => [String(s._id), s]));
+
+    return neighbors
+      .filter(neighbor => byId.has(String(neighbor.itemId)))
+      .map(neighbor => {
+        const shop = byId.get(String(neighbor.itemId));
+        const { score, distanceKm } = this.rescoreForUser('shop', neighbor, shop.location, userLocation);
+        return {
+          shopId: shop._id,
+          shopName: shop.shopName,
+          category: shop.category,
+          rating: shop.rating,
+          reviewCount: shop.reviewCount,
+          address: shop.address,
+          isLive: shop.isLive,
+          distanceKm,
+          score,
+          similarity: { text: neighbor.text, price: neighbor.price, coView: neighbor.coView }
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new SimilarityService();
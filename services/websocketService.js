@@ -1,6 +1,7 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/adminModel');
+const User = require('../models/userModel');
 const config = require('../config/config');
 
 class WebSocketService {
@@ -8,6 +9,8 @@ class WebSocketService {
     this.io = null;
     this.connectedAdmins = new Map(); // Map of adminId to socketId
     this.public = null; // Public namespace (no auth)
+    this.chat = null; // Shopper/shop messaging namespace (user auth)
+    this.connectedUsers = new Map(); // Map of userId to Set of socketIds (one per device)
   }
 
   initialize(server) {
@@ -29,6 +32,11 @@ class WebSocketService {
       });
     });
 
+    // Messaging namespace for shoppers and shop owners; requires a user token
+    this.chat = this.io.of('/chat');
+    this.chat.use(this.authenticateUser.bind(this));
+    this.chat.on('connection', this.handleChatConnection.bind(this));
+
     // Default namespace reserved for admin dashboard; requires admin auth
     this.io.use(this.authenticateAdmin.bind(this));
     this.io.on('connection', this.handleConnection.bind(this));
@@ -71,6 +79,117 @@ class WebSocketService {
     }
   }
 
+  async authenticateUser(socket, next) {
+    try {
+      const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+      if (!token) {
+        return next(new Error('Authentication error: No token provided'));
+      }
+
+      const decoded = jwt.verify(token, config.jwtSecret);
+
+      if (decoded.type === 'admin') {
+        return next(new Error('Authentication error: Invalid token type'));
+      }
+
+      const user = await User.findById(decoded.id).select('fullName name role isActive');
+
+      if (!user || !user.isActive) {
+        return next(new Error('Authentication error: User not found or inactive'));
+      }
+
+      socket.userId = user._id.toString();
+      socket.user = {
+        id: user._id,
+        name: user.fullName || user.name,
+        role: user.role
+      };
+
+      next();
+    } catch (error) {
+      console.error('WebSocket user authentication error:', error);
+      next(new Error('Authentication error: Invalid token'));
+    }
+  }
+
+  handleChatConnection(socket) {
+    // Required here: messagingService delivers through this service
+    const messagingService = require('./messagingService');
+    const userId = socket.userId;
+
+    if (!this.connectedUsers.has(userId)) {
+      this.connectedUsers.set(userId, new Set());
+    }
+    this.connectedUsers.get(userId).add(socket.id);
+
+    // Every device of a user joins the same room
+    socket.join(`user_${userId}`);
+
+    socket.on('disconnect', () => {
+      const sockets = this.connectedUsers.get(userId);
+      if (sockets) {
+        sockets.delete(socket.id);
+        if (sockets.size === 0) this.connectedUsers.delete(userId);
+      }
+    });
+
+    // Socket events answer through the ack callback with the same body as the REST routes
+    const handle = (event, run) => {
+      socket.on(event, async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          const result = await messagingService.findConversationForParticipant(data && data.conversationId, userId);
+          if (!result.success) {
+            return reply({ success: false, message: result.message });
+          }
+          reply(await run(result.conversation, result.side, data));
+        } catch (error) {
+          console.error(`Chat ${event} error:`, error);
+          reply({ success: false, message: 'Something went wrong' });
+        }
+      });
+    };
+
+    // Send a message: { conversationId, text?, attachments? }
+    handle('message:send', async (conversation, side, data) => {
+      const result = await messagingService.sendMessage(conversation, side, userId, data);
+      if (!result.success) return { success: false, message: result.message };
+      return { success: true, data: messagingService.formatMessage(result.message) };
+    });
+
+    // Read receipt for everything received in a conversation: { conversationId }
+    handle('message:read', async (conversation, side) => {
+      const result = await messagingService.markRead(conversation, side);
+      return { success: true, data: { read: result.read, readAt: result.readAt } };
+    });
+
+    // Typing indicator, relayed to the other side only: { conversationId }
+    handle('typing', async (conversation, side) => {
+      const recipientId = side === 'user' ? conversation.shopId.ownerId : conversation.userId._id;
+      this.emitToUser(recipientId, 'typing', { conversationId: conversation._id, sender: side });
+      return { success: true };
+    });
+
+    socket.emit('connected', {
+      message: 'Connected to messaging',
+      user: socket.user,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Send an event to every chat socket of a user
+  emitToUser(userId, event, payload) {
+    if (!this.chat) return;
+
+    this.chat.to(`user_${userId}`).emit(event, payload);
+  }
+
+  // Whether a user has a chat socket open on any device
+  isUserOnline(userId) {
+    return this.connectedUsers.has(String(userId));
+  }
+
   handleConnection(socket) {
     const adminId = socket.adminId;
     const admin = socket.admin;
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  isWithinHappyHours,
+  priceProduct,
+  priceCart,
+  computeProductPrice,
+  normalizeOfferRules
+} = require('../services/pricingService');
+
+// Friday 2026-10-16, in UTC so shop-local time is the clock time
+const friday = (time) => new Date(`2026-10-16T${time}:00Z`);
+const saturday = (time) => new Date(`2026-10-17T${time}:00Z`);
+const context = { now: friday('12:00'), timezone: 'UTC' };
+
+let nextId = 1;
+const offer = (fields) => ({ _id: `offer${nextId++}`, title: fields.discountType, status: 'active', ...fields });
+
+test('a percentage offer comes off the whole line', () => {
+  const result = priceProduct({ price: 80, quantity: 3, offers: [offer({ discountType: 'Percentage', discountValue: 25 })], context });
+  assert.strictEqual(result.subtotal, 240);
+  assert.strictEqual(result.discount, 60);
+  assert.strictEqual(result.total, 180);
+  assert.strictEqual(result.effectivePrice, 60);
+  assert.strictEqual(result.discountPercent, 25);
+});
+
+test('a fixed amount larger than the price makes the line free, never negative', () => {
+  const result = priceProduct({ price: 30, quantity: 2, offers: [offer({ discountType: 'Fixed Amount', discountValue: 50 })], context });
+  assert.strictEqual(result.discount, 60);
+  assert.strictEqual(result.total, 0);
+  assert.strictEqual(result.effectivePrice, 0);
+});
+
+test('stackable offers apply highest priority first, each to what is left', () => {
+  const tenPercent = offer({ discountType: 'Percentage', discountValue: 10, stacking: { stackable: true, priority: 1 } });
+  const twentyOff = offer({ discountType: 'Fixed Amount', discountValue: 20, stacking: { stackable: true, priority: 5 } });
+  const result = priceProduct({ price: 100, offers: [tenPercent, twentyOff], context });
+
+  // 100 - 20 = 80, then 10% of 80; the other order would give 70
+  assert.strictEqual(result.total, 72);
+  assert.deepStrictEqual(result.appliedOffers.map(a => [a.offerId, a.discount]), [[twentyOff._id, 20], [tenPercent._id, 8]]);
+});
+
+test('the best single offer wins over a smaller stack', () => {
+  const stackA = offer({ discountType: 'Percentage', discountValue: 10, stacking: { stackable: true } });
+  const stackB = offer({ discountType: 'Percentage', discountValue: 10, stacking: { stackable: true } });
+  const single = offer({ discountType: 'Percentage', discountValue: 30 });
+  const result = priceProduct({ price: 100, offers: [stackA, stackB, single], context });
+  assert.strictEqual(result.total, 70);
+  assert.deepStrictEqual(result.appliedOffers.map(a => a.offerId), [single._id]);
+});
+
+test('buy X get Y discounts every complete group, capped by maxDiscountAmount', () => {
+  const buy2get1 = offer({ discountType: 'Buy X Get Y', rules: { buyQuantity: 2, getQuantity: 1 } });
+  assert.strictEqual(priceProduct({ price: 10, quantity: 7, offers: [buy2get1], context }).discount, 20);
+
+  const capped = offer({ discountType: 'Percentage', discountValue: 50, rules: { maxDiscountAmount: 15 } });
+  assert.strictEqual(priceProduct({ price: 100, offers: [capped], context }).discount, 15);
+});
+
+test('inactive and ineligible offers are left out, ineligible ones with a reason', () => {
+  const expired = offer({ discountType: 'Percentage', discountValue: 50, endDate: friday('11:00') });
+  const usedUp = offer({ discountType: 'Percentage', discountValue: 50, maxUses: 10, currentUses: 10 });
+  const bulk = offer({ discountType: 'Percentage', discountValue: 20, rules: { minQuantity: 3 } });
+  const result = priceProduct({ price: 100, quantity: 2, offers: [expired, usedUp, bulk], context });
+  assert.strictEqual(result.discount, 0);
+  assert.deepStrictEqual(result.potentialOffers.map(p => [p.offerId, p.reason]), [[bulk._id, 'Buy at least 3']]);
+});
+
+test('happy hours across midnight belong to the day they start on', () => {
+  const lateFriday = [{ days: [5], start: '22:00', end: '02:00' }];
+  assert.strictEqual(isWithinHappyHours(lateFriday, friday('23:30'), 'UTC'), true);
+  assert.strictEqual(isWithinHappyHours(lateFriday, saturday('01:30'), 'UTC'), true);
+  assert.strictEqual(isWithinHappyHours(lateFriday, saturday('02:00'), 'UTC'), false);
+  assert.strictEqual(isWithinHappyHours(lateFriday, friday('01:30'), 'UTC'), false);
+  assert.strictEqual(isWithinHappyHours(lateFriday, saturday('23:30'), 'UTC'), false);
+
+  const nightOffer = offer({ discountType: 'Percentage', discountValue: 20, rules: { happyHours: lateFriday } });
+  assert.strictEqual(priceProduct({ price: 50, offers: [nightOffer], context: { now: saturday('00:30'), timezone: 'UTC' } }).total, 40);
+  const daytime = priceProduct({ price: 50, offers: [nightOffer], context: { now: saturday('12:00'), timezone: 'UTC' } });
+  assert.strictEqual(daytime.total, 50);
+  assert.strictEqual(daytime.potentialOffers[0].reason, 'Happy hours only');
+  // The standing price (price history) ignores happy hours even during one
+  assert.strictEqual(priceProduct({ price: 50, offers: [nightOffer], context: { now: saturday('00:30'), timezone: 'UTC', excludeTimeLimited: true } }).total, 50);
+});
+
+test('a product with variants is quoted at its cheapest in-stock variant, with that variant\'s offers', () => {
+  const product = {
+    price: 90,
+    variants: [
+      { _id: 'small', price: 100, stock: 5 },
+      { _id: 'medium', price: 90, stock: 0 },
+      { _id: 'large', price: 120, stock: 3 },
+      { _id: 'hidden', price: 10, stock: 9, isActive: false }
+    ]
+  };
+  const largeHalfOff = offer({ discountType: 'Percentage', discountValue: 50, variantId: 'large' });
+
+  const withOffer = computeProductPrice(product, [largeHalfOff], context);
+  assert.strictEqual(withOffer.variantId, 'large');
+  assert.strictEqual(withOffer.effectivePrice, 60);
+
+  const withoutOffer = computeProductPrice(product, [], context);
+  assert.strictEqual(withoutOffer.variantId, 'small');
+  assert.strictEqual(withoutOffer.effectivePrice, 100);
+
+  // Without variants, offers for a variant do not apply
+  const plain = computeProductPrice({ price: 40 }, [largeHalfOff], context);
+  assert.strictEqual(plain.variantId, null);
+  assert.strictEqual(plain.effectivePrice, 40);
+});
+
+test('cart lines see the rest of the basket at their own shop only', () => {
+  const spend200 = offer({ discountType: 'Fixed Amount', discountValue: 10, rules: { minPurchaseAmount: 200 } });
+  const bundle = offer({ discountType: 'Bundle', discountValue: 50, rules: { bundleProductIds: ['p2'] } });
+  const newcomers = offer({ discountType: 'Percentage', discountValue: 10, rules: { firstTimeCustomerOnly: true } });
+
+  const cart = priceCart([
+    { productId: 'p1', shopId: 'shopA', price: 150, quantity: 1, offers: [spend200] },
+    { productId: 'p2', shopId: 'shopA', price: 60, quantity: 1, offers: [] },
+    { productId: 'p3', shopId: 'shopB', price: 100, quantity: 1, offers: [spend200, newcomers] },
+    { productId: 'p4', shopId: 'shopB', price: 40, quantity: 1, offers: [bundle] }
+  ], { ...context, shops: { shopB: { isFirstTimeCustomer: true } } });
+
+  const byProduct = Object.fromEntries(cart.lines.map(line => [line.productId, line]));
+  // shopA's basket is 210, shopB's 140: only shopA reaches the minimum spend
+  assert.strictEqual(byProduct.p1.discount, 10);
+  assert.strictEqual(byProduct.p3.potentialOffers[0].reason, 'Spend at least ₹200');
+  assert.strictEqual(byProduct.p3.discount, 10);
+  // p2 is in the cart, but at another shop
+  assert.strictEqual(byProduct.p4.discount, 0);
+  assert.strictEqual(cart.subtotal, 350);
+  assert.strictEqual(cart.discount, 20);
+  assert.strictEqual(cart.total, 330);
+});
+
+test('offer rules are validated and normalized per discount type', () => {
+  assert.match(normalizeOfferRules('Half Off').error, /discountType must be one of/);
+  assert.match(normalizeOfferRules('Buy X Get Y', { buyQuantity: 2 }).error, /buyQuantity and rules.getQuantity/);
+  assert.match(normalizeOfferRules('Bundle', { bundleProductIds: ['nope'] }).error, /bundleProductIds/);
+  assert.match(normalizeOfferRules('Percentage', { minQuantity: 1.5 }).error, /rules.minQuantity must be a whole number/);
+  assert.match(normalizeOfferRules('Percentage', { happyHours: [{ start: '22:00', end: '22:00' }] }).error, /HH:mm/);
+  assert.match(normalizeOfferRules('Tiered', { tiers: [{ minQuantity: 2, discountType: 'Half', discountValue: 5 }] }).error, /Tier discountType/);
+
+  const tiered = normalizeOfferRules('Tiered', {
+    tiers: [
+      { minQuantity: '10', discountType: 'Percentage', discountValue: '15' },
+      { minQuantity: 5, discountType: 'Fixed Amount', discountValue: 20 }
+    ],
+    happyHours: [{ days: ['Fri', 6], start: '22:00', end: '02:00' }],
+    firstTimeCustomerOnly: 'true'
+  }, { stackable: 'true', priority: '3' });
+  assert.deepStrictEqual(tiered.rules.tiers.map(t => [t.minQuantity, t.discountValue]), [[5, 20], [10, 15]]);
+  assert.deepStrictEqual(tiered.rules.happyHours, [{ days: [5, 6], start: '22:00', end: '02:00' }]);
+  assert.strictEqual(tiered.rules.firstTimeCustomerOnly, true);
+  assert.deepStrictEqual(tiered.stacking, { stackable: true, priority: 3 });
+
+  assert.deepStrictEqual(normalizeOfferRules('Percentage', null, null), {
+    rules: { firstTimeCustomerOnly: false },
+    stacking: { stackable: false, priority: 0 }
+  });
+});
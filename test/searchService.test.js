@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SearchRule = require('../models/searchRuleModel');
+const searchRuleService = require('../services/searchRuleService');
+const { buildSearchIndex, parseSearchQuery, rewriteQuery } = require('../services/searchService');
+
+test('query words match the index words of the same text', () => {
+  for (const text of ['Café', 'Nestlé', "women's", "L'Oréal", 'T-Shirt', 'दूध']) {
+    const index = buildSearchIndex({ primary: [text] });
+    const { words } = parseSearchQuery(text.toLowerCase());
+    assert.ok(words.length > 0, text);
+    for (const word of words) assert.ok(index.terms.includes(word), `${text}: ${word} not in ${index.terms}`);
+  }
+});
+
+test('rule terms are normalized like queries', () => {
+  const { words } = rewriteQuery('Nestlé café');
+  assert.deepStrictEqual(words, ['nestle', 'cafe']);
+});
+
+test('database rules are laid over the built-in defaults', async (t) => {
+  const stored = [
+    { type: 'synonym', language: 'en', term: 'mobile', synonyms: ['handset'], isActive: true },
+    { type: 'synonym', language: 'en', term: 'laptop', synonyms: ['notebook'], isActive: false },
+    { type: 'stopword', language: 'en', term: 'the', isActive: true }
+  ];
+  t.mock.method(SearchRule, 'find', () => ({ select: () => ({ lean: async () => stored }) }));
+  searchRuleService.clearCache();
+  t.after(() => searchRuleService.clearCache());
+
+  const rules = await searchRuleService.getRules();
+  const terms = (q) => rewriteQuery(q, rules).terms;
+
+  assert.deepStrictEqual(terms('the mobile'), ['mobile', 'handset']);
+  assert.deepStrictEqual(terms('laptop'), ['laptop']);
+  // Defaults without a database rule, including the Hindi and Marathi sets, still apply
+  assert.ok(terms('shoes').includes('sneakers'));
+  assert.ok(terms('doodh').includes('milk'));
+  assert.ok(terms('tandul').includes('rice'));
+});